@@ -12,13 +12,13 @@ const testSuites = [
     {
         name: 'Core Unit Tests',
         command: 'npx',
-        args: ['vitest', 'run', 'tests/video-model.test.js', 'tests/state-management.test.js', 'tests/ipc-integration.test.js', 'tests/download-manager.test.js'],
+        args: ['vitest', 'run', 'tests/video-model.test.js', 'tests/state-management.test.js', 'tests/ipc-integration.test.js', 'tests/download-manager.test.js', 'tests/queue-journal.test.js', 'tests/conversion-queue.test.js', 'tests/cli.test.js', 'tests/control-server.test.js', 'tests/hook-runner.test.js', 'tests/folder-organizer.test.js', 'tests/download-archive.test.js', 'tests/subscription-manager.test.js', 'tests/site-settings-store.test.js'],
         timeout: 60000
     },
     {
         name: 'Service Tests',
         command: 'npx',
-        args: ['vitest', 'run', 'tests/metadata-service.test.js'],
+        args: ['vitest', 'run', 'tests/metadata-service.test.js', 'tests/full-metadata.test.js'],
         timeout: 60000
     },
     {
@@ -30,7 +30,7 @@ const testSuites = [
     {
         name: 'Validation Tests',
         command: 'npx',
-        args: ['vitest', 'run', 'tests/url-validation.test.js', 'tests/playlist-extraction.test.js', 'tests/binary-versions.test.js', 'tests/gpu-detection.test.js'],
+        args: ['vitest', 'run', 'tests/url-validation.test.js', 'tests/site-registry.test.js', 'tests/deep-link.test.js', 'tests/filename-template.test.js', 'tests/subtitle-options.test.js', 'tests/format-selector.test.js', 'tests/download-schedule.test.js', 'tests/playlist-extraction.test.js', 'tests/playlist-filter.test.js', 'tests/clip-options.test.js', 'tests/chapter-splitter.test.js', 'tests/audio-options.test.js', 'tests/metadata-options.test.js', 'tests/conversion-presets.test.js', 'tests/original-file-policy.test.js', 'tests/local-media.test.js', 'tests/binary-versions.test.js', 'tests/gpu-detection.test.js'],
         timeout: 60000
     },
     {
@@ -12,6 +12,7 @@ class GrabZillaApp {
         this.eventBus = null;
         this.initialized = false;
         this.modules = new Map();
+        this.controlApiStatus = null; // Last reply of the main process: { success, running, url, token, error }
     }
 
     // Initialize the application
@@ -52,6 +53,22 @@ class GrabZillaApp {
             // Check binary status and validate
             await this.checkAndValidateBinaries();
 
+            // Apply saved download limits and allowed sites before anything is queued
+            await this.applyDownloadSettings();
+            await this.loadSiteSettings();
+
+            // Start the control API if the user turned it on
+            await this.applyControlApiSettings();
+
+            // Offer to resume downloads interrupted by a crash or quit
+            await this.checkRestorableDownloads();
+
+            // Queue new uploads of subscribed channels, then start periodic checks
+            await this.startSubscriptionChecks();
+
+            // Offer videos sent from the browser through grabzilla:// links
+            await this.startDeepLinkHandling();
+
             // Initialize keyboard navigation
             this.initializeKeyboardNavigation();
 
@@ -142,6 +159,12 @@ class GrabZillaApp {
             importUrlsBtn.addEventListener('click', () => this.handleImportUrls());
         }
 
+        // Add Files button (local media to convert)
+        const addLocalFilesBtn = document.getElementById('addLocalFilesBtn');
+        if (addLocalFilesBtn) {
+            addLocalFilesBtn.addEventListener('click', () => this.handleAddLocalFiles());
+        }
+
         // Save Path button
         const savePathBtn = document.getElementById('savePathBtn');
         if (savePathBtn) {
@@ -202,6 +225,11 @@ class GrabZillaApp {
         if (showHistoryBtn) {
             showHistoryBtn.addEventListener('click', () => this.showHistoryModal());
         }
+
+        const showSubscriptionsBtn = document.getElementById('showSubscriptionsBtn');
+        if (showSubscriptionsBtn) {
+            showSubscriptionsBtn.addEventListener('click', () => this.showSubscriptionsModal());
+        }
     }
 
     // Set up input event listeners
@@ -242,6 +270,7 @@ class GrabZillaApp {
         if (videoList) {
             videoList.addEventListener('click', (e) => this.handleVideoListClick(e));
             videoList.addEventListener('change', (e) => this.handleVideoListChange(e));
+            videoList.addEventListener('focusin', (e) => this.handleVideoListFocus(e));
             this.setupDragAndDrop(videoList);
         }
     }
@@ -265,6 +294,12 @@ class GrabZillaApp {
 
         videoList.addEventListener('dragover', (e) => {
             e.preventDefault();
+            if (!draggedVideoId && e.dataTransfer.types.includes('Files')) {
+                // Files dragged in from the desktop are added, not reordered
+                e.dataTransfer.dropEffect = 'copy';
+                return;
+            }
+
             const videoItem = e.target.closest('.video-item');
             if (!videoItem || videoItem === draggedElement) return;
 
@@ -292,6 +327,11 @@ class GrabZillaApp {
 
         videoList.addEventListener('drop', (e) => {
             e.preventDefault();
+            if (!draggedVideoId && e.dataTransfer.files.length > 0) {
+                this.handleDroppedFiles(e.dataTransfer.files);
+                return;
+            }
+
             const targetItem = e.target.closest('.video-item');
             if (!targetItem || !draggedVideoId) return;
 
@@ -372,6 +412,13 @@ class GrabZillaApp {
             return;
         }
 
+        // Handle per-video options button click
+        if (target.closest('.video-options-btn')) {
+            event.preventDefault();
+            this.showVideoOptionsModal(videoId);
+            return;
+        }
+
         // Handle delete button click
         if (target.closest('.delete-video-btn')) {
             event.preventDefault();
@@ -419,6 +466,139 @@ class GrabZillaApp {
         }
     }
 
+    // Load the qualities a video actually offers when its quality dropdown is opened
+    handleVideoListFocus(event) {
+        const target = event.target;
+        if (!target.classList.contains('quality-select')) return;
+
+        const videoId = target.closest('.video-item')?.dataset.videoId;
+        if (videoId) {
+            this.loadAvailableQualities(videoId);
+        }
+    }
+
+    /**
+     * Fetch full metadata for a video and limit its quality dropdown to what the source has
+     * @param {string} videoId - Video ID
+     */
+    async loadAvailableQualities(videoId) {
+        const video = this.state.getVideo(videoId);
+        if (!video || video.isLocal() || video.availableQualities || !window.MetadataService?.getFullMetadata) return;
+
+        try {
+            const metadata = await window.MetadataService.getFullMetadata(video.url);
+            this.applyAvailableQualities(videoId, metadata);
+        } catch (error) {
+            logger.warn(`Could not load available qualities for ${video.url}:`, error.message);
+        }
+    }
+
+    /**
+     * Store the quality labels matching a video's available resolutions
+     * @param {string} videoId - Video ID
+     * @param {Object} metadata - Full metadata with availableResolutions
+     */
+    applyAvailableQualities(videoId, metadata) {
+        if (!this.state.getVideo(videoId) || !Array.isArray(metadata?.availableResolutions)) return;
+
+        const availableQualities = window.FormatSelector.getAvailableQualities(metadata.availableResolutions);
+
+        // Sources without video-size info (or only tiny streams) keep the generic list
+        if (availableQualities.length === 0) return;
+
+        this.state.updateVideo(videoId, { availableQualities });
+    }
+
+    /**
+     * Get the options of a video's quality dropdown
+     * The generic list is used until the video's available resolutions are known
+     * @param {Video} video - Video
+     * @returns {Array<Object>} Options ({ value, label })
+     */
+    getQualityOptions(video) {
+        const values = video.availableQualities
+            ? ['Best', ...video.availableQualities]
+            : ['Best', '4K', '1080p', '720p'];
+        const options = values.map(value => ({ value, label: value }));
+
+        // Keep the current choice visible even if the source doesn't have it
+        if (video.quality && !values.includes(video.quality)) {
+            options.push({
+                value: video.quality,
+                label: video.availableQualities ? `${video.quality} (not available)` : video.quality
+            });
+        }
+
+        return options;
+    }
+
+    /**
+     * Render quality dropdown options
+     * @param {Video} video - Video
+     * @returns {string} Option elements HTML
+     */
+    renderQualityOptions(video) {
+        return this.getQualityOptions(video)
+            .map(option => `<option value="${option.value}" ${video.quality === option.value ? 'selected' : ''}>${option.label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Get the options of a format dropdown, built-in formats followed by the conversion presets
+     * @returns {Array<Object>} Options ({ value, label, preset })
+     */
+    getFormatOptions() {
+        const builtIn = window.AppConfig?.APP_CONFIG?.SUPPORTED_FORMATS ||
+                        ['None', 'H264', 'ProRes', 'DNxHR', 'MP3', 'M4A', 'Opus', 'FLAC', 'WAV'];
+        const presets = window.ConversionPresets ? (this.state.config.conversionPresets || []) : [];
+
+        return [
+            ...builtIn.map(value => ({ value, label: value, preset: false })),
+            ...presets.map(preset => ({ value: window.ConversionPresets.toFormat(preset), label: preset.name, preset: true }))
+        ];
+    }
+
+    /**
+     * Render format dropdown options, presets are grouped under their own heading
+     * @param {string} selected - Selected format
+     * @returns {string} Option elements HTML
+     */
+    renderFormatOptions(selected) {
+        const options = this.getFormatOptions();
+        const render = option => `<option value="${option.value}" ${selected === option.value ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`;
+        const presets = options.filter(option => option.preset);
+        const html = options.filter(option => !option.preset).map(render).join('');
+
+        return presets.length > 0
+            ? `${html}<optgroup label="Presets">${presets.map(render).join('')}</optgroup>`
+            : html;
+    }
+
+    /**
+     * Escape text for use in HTML (preset names come from users and shared files)
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Get the conversion preset behind a format
+     * @param {string} format - Video format
+     * @returns {Object|null} Preset, or null for built-in formats
+     */
+    getConversionPreset(format) {
+        const id = window.ConversionPresets?.parseFormat(format);
+        if (!id) return null;
+        return (this.state.config.conversionPresets || []).find(preset => preset.id === id) || null;
+    }
+
     // Toggle video selection
     toggleVideoSelection(videoId) {
         this.state.toggleVideoSelection(videoId);
@@ -488,6 +668,57 @@ class GrabZillaApp {
         return { unique, duplicates };
     }
 
+    /**
+     * Find URLs of videos that are in the download archive
+     * @param {Array<string>} urls - URLs to check
+     * @returns {Promise<Set<string>>} Archived URLs
+     */
+    async getArchivedUrls(urls) {
+        if (!window.electronAPI?.checkDownloadArchive || urls.length === 0) {
+            return new Set();
+        }
+
+        try {
+            const result = await window.electronAPI.checkDownloadArchive(urls);
+            return new Set(result.success ? result.archived : []);
+        } catch (error) {
+            logger.warn('Failed to check download archive:', error.message);
+            return new Set();
+        }
+    }
+
+    /**
+     * Apply the archive setting to URLs about to be added
+     * @param {Array<string>} urls - URLs to add
+     * @returns {Promise<Object>} { urls, archived, skipped } - URLs to add, archived URLs among them, number skipped
+     */
+    async filterArchivedUrls(urls) {
+        const archived = await this.getArchivedUrls(urls);
+
+        if (this.state.config.archiveAction === 'skip') {
+            return {
+                urls: urls.filter(url => !archived.has(url)),
+                archived: new Set(),
+                skipped: urls.filter(url => archived.has(url)).length
+            };
+        }
+
+        return { urls, archived, skipped: 0 };
+    }
+
+    /**
+     * Flag added videos that are in the download archive
+     * @param {Array<Video>} videos - Added videos
+     * @param {Set<string>} archived - Archived URLs
+     */
+    flagArchivedVideos(videos, archived) {
+        videos.forEach(video => {
+            if (archived.has(video.url)) {
+                this.state.updateVideo(video.id, { archived: true });
+            }
+        });
+    }
+
     /**
      * Show dialog for handling duplicate URLs
      * @param {Object} duplicateInfo - Info about duplicates
@@ -528,20 +759,21 @@ class GrabZillaApp {
     }
 
     /**
-     * Handle playlist URL - show modal with all videos
+     * Handle playlist URL - show modal with the first page of videos
      * @param {string} playlistUrl - YouTube playlist URL
      */
     async handlePlaylistUrl(playlistUrl) {
         try {
             this.updateStatusMessage('Extracting playlist...');
 
-            const result = await window.electronAPI.extractPlaylistVideos(playlistUrl);
+            const result = await this.fetchPlaylistPage(playlistUrl, 1);
 
             if (!result.success) {
                 this.showError('Failed to extract playlist');
                 return;
             }
 
+            this.currentPlaylistUrl = playlistUrl;
             this.showPlaylistModal(result);
         } catch (error) {
             logger.error('Error handling playlist:', error.message);
@@ -549,30 +781,78 @@ class GrabZillaApp {
         }
     }
 
+    /**
+     * Enumerate one page of a playlist and mark videos downloaded before
+     * @param {string} playlistUrl - YouTube playlist URL
+     * @param {number} start - Playlist position of the first video
+     * @returns {Promise<Object>} Playlist page from extraction
+     */
+    async fetchPlaylistPage(playlistUrl, start) {
+        const result = await window.electronAPI.extractPlaylistVideos(playlistUrl, { start });
+
+        if (result.success) {
+            // Mark videos downloaded before so the modal can label them
+            const archived = await this.getArchivedUrls(result.videos.map(video => video.url));
+            result.videos.forEach(video => {
+                video.archived = archived.has(video.url);
+            });
+        }
+
+        return result;
+    }
+
     /**
      * Show playlist modal with video list
-     * @param {Object} playlistData - Playlist data from extraction
+     * @param {Object} playlistData - First page of playlist data from extraction
      */
     showPlaylistModal(playlistData) {
         const modal = document.getElementById('playlistModal');
-        const title = document.getElementById('playlistTitle');
-        const info = document.getElementById('playlistInfo');
         const videoList = document.getElementById('playlistVideoList');
 
-        if (!modal || !title || !info || !videoList) return;
+        if (!modal || !videoList) return;
 
-        // Update modal content
-        title.textContent = `Playlist (${playlistData.videoCount} videos)`;
-        info.textContent = `${playlistData.videoCount} video(s) found in this playlist`;
-
-        // Clear previous video list
+        // Clear previous video list and filter
         videoList.innerHTML = '';
+        ['playlistRangeInput', 'playlistTitlePattern', 'playlistMinDuration', 'playlistMaxDuration', 'playlistDateFrom', 'playlistDateTo'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
 
         // Store playlist videos for later use
-        this.currentPlaylistVideos = playlistData.videos;
+        this.currentPlaylistVideos = [];
+        this.currentPlaylistPaging = {
+            playlistCount: playlistData.playlistCount || null,
+            hasMore: Boolean(playlistData.hasMore),
+            loading: false
+        };
+        this.currentPlaylist = {
+            title: playlistData.playlistTitle || `Playlist ${playlistData.playlistId}`,
+            count: playlistData.playlistCount || null
+        };
+
+        this.appendPlaylistVideos(playlistData.videos);
+
+        // Setup modal event listeners
+        this.setupPlaylistModalListeners();
+
+        // Show modal
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    /**
+     * Add a page of videos to the playlist modal
+     * @param {Array<Object>} videos - Playlist entries
+     */
+    appendPlaylistVideos(videos) {
+        const videoList = document.getElementById('playlistVideoList');
+        if (!videoList || !this.currentPlaylistVideos) return;
+
+        const offset = this.currentPlaylistVideos.length;
+        this.currentPlaylistVideos.push(...videos);
 
         // Create checkbox for each video
-        playlistData.videos.forEach((video, index) => {
+        videos.forEach((video, position) => {
             const videoItem = document.createElement('label');
             videoItem.className = 'flex items-center gap-3 p-2 hover:bg-[#45556c]/30 rounded cursor-pointer';
 
@@ -581,31 +861,140 @@ class GrabZillaApp {
                             video.title.includes('Private video') ||
                             video.title.includes('[Deleted') ||
                             video.title.includes('Unavailable');
-            const checkedAttr = isPrivate ? '' : 'checked';
+            // Videos downloaded before are deselected when the archive skips them
+            const skipArchived = video.archived && this.state.config.archiveAction === 'skip';
+            const checkedAttr = isPrivate || skipArchived ? '' : 'checked';
+            const uploadDate = video.uploadDate ? ` · ${video.uploadDate.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3')}` : '';
 
             videoItem.innerHTML = `
-                <input type="checkbox" class="playlist-video-checkbox w-4 h-4" data-index="${index}" ${checkedAttr}>
+                <input type="checkbox" class="playlist-video-checkbox w-4 h-4" data-index="${offset + position}" ${checkedAttr}>
+                <span class="text-xs text-[#62748e] w-8 text-right flex-shrink-0">${video.playlistIndex}</span>
                 <div class="flex-1 min-w-0">
-                    <p class="text-sm text-white truncate">${video.title}</p>
-                    <p class="text-xs text-[#90a1b9]">${video.duration ? this.formatDuration(video.duration) : 'Unknown duration'}</p>
+                    <p class="text-sm text-white truncate"></p>
+                    <p class="text-xs text-[#90a1b9]">${video.duration ? this.formatDuration(video.duration) : 'Unknown duration'}${uploadDate}${video.archived ? ' · <span class="text-[#00a63e]">Downloaded before</span>' : ''}</p>
                 </div>
             `;
+            videoItem.querySelector('p').textContent = video.title;
             videoList.appendChild(videoItem);
         });
 
-        // Setup modal event listeners
-        this.setupPlaylistModalListeners();
+        this.updatePlaylistInfo();
+    }
 
-        // Show modal
-        modal.classList.remove('hidden');
-        modal.classList.add('flex');
+    /**
+     * Update playlist title, counts and the load more buttons
+     */
+    updatePlaylistInfo() {
+        const title = document.getElementById('playlistTitle');
+        const info = document.getElementById('playlistInfo');
+        const loadMore = document.getElementById('playlistLoadMore');
+        const videos = this.currentPlaylistVideos || [];
+        const { playlistCount, hasMore, loading } = this.currentPlaylistPaging || {};
+
+        const total = playlistCount || `${videos.length}${hasMore ? '+' : ''}`;
+        const archivedCount = videos.filter(video => video.archived).length;
+
+        if (title) {
+            title.textContent = `${this.currentPlaylist?.title || 'Playlist'} (${total} videos)`;
+        }
+        if (info) {
+            info.textContent = (hasMore ? `Loaded ${videos.length} of ${total} video(s)` : `${videos.length} video(s) found in this playlist`) +
+                (archivedCount > 0 ? `, ${archivedCount} downloaded before` : '') +
+                (loading ? ' - loading...' : '');
+        }
+        if (loadMore) {
+            loadMore.classList.toggle('hidden', !hasMore);
+            loadMore.querySelectorAll('button').forEach(button => {
+                button.disabled = Boolean(loading);
+            });
+        }
+    }
+
+    /**
+     * Enumerate further pages of the open playlist
+     * @param {boolean} all - Keep loading until the end of the playlist
+     */
+    async loadMorePlaylistVideos(all = false) {
+        const paging = this.currentPlaylistPaging;
+        if (!paging || paging.loading || !paging.hasMore) return;
+
+        paging.loading = true;
+        this.updatePlaylistInfo();
+
+        try {
+            do {
+                const videos = this.currentPlaylistVideos;
+                const start = videos.reduce((max, video) => Math.max(max, video.playlistIndex || 0), 0) + 1;
+                const result = await this.fetchPlaylistPage(this.currentPlaylistUrl, start);
+
+                // Modal closed or another playlist opened while loading
+                if (this.currentPlaylistPaging !== paging || document.getElementById('playlistModal')?.classList.contains('hidden')) return;
+
+                paging.hasMore = result.hasMore && result.videos.length > 0;
+                paging.playlistCount = paging.playlistCount || result.playlistCount || null;
+                this.appendPlaylistVideos(result.videos);
+            } while (all && paging.hasMore);
+        } catch (error) {
+            logger.error('Error loading playlist page:', error.message);
+            this.showError(`Failed to load more playlist videos: ${error.message}`);
+        } finally {
+            paging.loading = false;
+            if (this.currentPlaylistPaging === paging) {
+                this.updatePlaylistInfo();
+            }
+        }
+    }
+
+    /**
+     * Check the loaded playlist videos matching the filter inputs and uncheck the rest
+     */
+    applyPlaylistFilter() {
+        const videos = this.currentPlaylistVideos || [];
+        const { playlistCount, hasMore } = this.currentPlaylistPaging || {};
+        const minutes = id => {
+            const value = document.getElementById(id)?.value;
+            return value === '' || value === undefined ? null : parseFloat(value) * 60;
+        };
+
+        // 'last N' needs the playlist length, known once every page is loaded
+        const loadedCount = videos.reduce((max, video) => Math.max(max, video.playlistIndex || 0), 0);
+        const total = playlistCount || (hasMore ? null : loadedCount);
+
+        const result = window.PlaylistFilter.apply(videos, {
+            range: document.getElementById('playlistRangeInput')?.value || '',
+            titlePattern: document.getElementById('playlistTitlePattern')?.value || '',
+            minDuration: minutes('playlistMinDuration'),
+            maxDuration: minutes('playlistMaxDuration'),
+            dateFrom: document.getElementById('playlistDateFrom')?.value || '',
+            dateTo: document.getElementById('playlistDateTo')?.value || ''
+        }, total);
+
+        if (!result.valid) {
+            this.showError(result.error);
+            return;
+        }
+
+        const selected = new Set(result.videos);
+        document.querySelectorAll('.playlist-video-checkbox').forEach(checkbox => {
+            checkbox.checked = selected.has(videos[parseInt(checkbox.dataset.index)]);
+        });
+
+        const loadedText = hasMore ? ' loaded' : '';
+        this.showToast(`Selected ${selected.size} of ${videos.length}${loadedText} video(s)`, 'info');
     }
 
     /**
-     * Setup event listeners for playlist modal
+     * Setup event listeners for playlist modal (replace nodes so reopening doesn't stack listeners)
      */
     setupPlaylistModalListeners() {
         const modal = document.getElementById('playlistModal');
+
+        ['closePlaylistModal', 'cancelPlaylistBtn', 'downloadSelectedPlaylistBtn', 'selectAllPlaylistVideos',
+            'applyPlaylistFilterBtn', 'loadMorePlaylistBtn', 'loadAllPlaylistBtn'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
         const closeBtn = document.getElementById('closePlaylistModal');
         const cancelBtn = document.getElementById('cancelPlaylistBtn');
         const downloadBtn = document.getElementById('downloadSelectedPlaylistBtn');
@@ -616,6 +1005,8 @@ class GrabZillaApp {
             modal.classList.remove('flex');
             modal.classList.add('hidden');
             this.currentPlaylistVideos = null;
+            this.currentPlaylistPaging = null;
+            this.currentPlaylist = null;
         };
 
         closeBtn?.addEventListener('click', closeModal);
@@ -627,6 +1018,11 @@ class GrabZillaApp {
             checkboxes.forEach(cb => cb.checked = e.target.checked);
         });
 
+        // Range, duration, title and date selection
+        document.getElementById('applyPlaylistFilterBtn')?.addEventListener('click', () => this.applyPlaylistFilter());
+        document.getElementById('loadMorePlaylistBtn')?.addEventListener('click', () => this.loadMorePlaylistVideos());
+        document.getElementById('loadAllPlaylistBtn')?.addEventListener('click', () => this.loadMorePlaylistVideos(true));
+
         // Download selected handler
         downloadBtn?.addEventListener('click', async () => {
             const checkboxes = document.querySelectorAll('.playlist-video-checkbox:checked');
@@ -637,11 +1033,31 @@ class GrabZillaApp {
                 return;
             }
 
-            const selectedUrls = selectedIndices.map(i => this.currentPlaylistVideos[i].url);
+            const selectedVideos = selectedIndices.map(i => this.currentPlaylistVideos[i]);
+            const selectedUrls = selectedVideos.map(video => video.url);
 
             // Add selected videos to queue
             const results = await this.state.addVideosFromUrls(selectedUrls);
 
+            this.flagArchivedVideos(results.successful, new Set(selectedVideos.filter(video => video.archived).map(video => video.url)));
+
+            // Remember the playlist so files can be numbered in playlist order
+            if (this.currentPlaylist) {
+                const playlist = {
+                    ...this.currentPlaylist,
+                    count: this.currentPlaylist.count ||
+                        this.currentPlaylistVideos.reduce((max, video) => Math.max(max, video.playlistIndex || 0), 0) || null
+                };
+                results.successful.forEach(video => {
+                    const source = selectedVideos.find(item => item.url === video.url);
+                    if (source?.playlistIndex) {
+                        this.state.updateVideo(video.id, {
+                            playlist: { ...playlist, index: source.playlistIndex }
+                        });
+                    }
+                });
+            }
+
             this.showToast(`Added ${results.successful.length} video(s) from playlist`, 'success');
             closeModal();
         });
@@ -672,7 +1088,8 @@ class GrabZillaApp {
         const views = document.getElementById('previewViews');
         const likes = document.getElementById('previewLikes');
         const description = document.getElementById('previewDescription');
-        const downloadBtn = document.getElementById('downloadFromPreviewBtn');
+        const uploader = document.getElementById('previewUploader');
+        const uploadDate = document.getElementById('previewUploadDate');
 
         if (!modal || !player) return;
 
@@ -685,19 +1102,8 @@ class GrabZillaApp {
         // Set title
         title.textContent = video.title || video.url;
 
-        // Extract video ID and create embed URL
-        let embedUrl = '';
-        if (url.includes('youtube.com') || url.includes('youtu.be')) {
-            const youtubeIdMatch = url.match(/(?:youtube\.com\/(?:[^\/\n\s]+\/\S+\/|(?:v|e(?:mbed)?)\/|\S*?[?&]v=)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
-            if (youtubeIdMatch) {
-                embedUrl = `https://www.youtube.com/embed/${youtubeIdMatch[1]}`;
-            }
-        } else if (url.includes('vimeo.com')) {
-            const vimeoIdMatch = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
-            if (vimeoIdMatch) {
-                embedUrl = `https://player.vimeo.com/video/${vimeoIdMatch[1]}`;
-            }
-        }
+        // Embeddable player of the video's site (not every site can be embedded)
+        const embedUrl = window.SiteRegistry?.getEmbedUrl(url);
 
         if (!embedUrl) {
             this.showError('Preview not available for this video');
@@ -715,35 +1121,137 @@ class GrabZillaApp {
         }
 
         // Show loading state for other info
-        views.querySelector('span').textContent = 'Loading...';
-        likes.querySelector('span').textContent = 'Loading...';
+        [views, likes, uploader, uploadDate].forEach(element => {
+            if (element) element.querySelector('span').textContent = 'Loading...';
+        });
         description.textContent = 'Loading video information...';
+        this.renderPreviewChapters([]);
+        this.renderPreviewFormats([]);
+
+        // Setup modal event listeners
+        this.setupPreviewModalListeners();
+
+        // Show modal while the full metadata loads
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
 
-        // Fetch full metadata (views, likes, description)
+        // Fetch full metadata (uploader, counts, description, chapters, formats)
         try {
-            const metadata = await window.electronAPI.getVideoMetadata(url);
-            if (metadata.views) {
-                views.querySelector('span').textContent = this.formatNumber(metadata.views);
-            }
-            if (metadata.likes) {
-                likes.querySelector('span').textContent = this.formatNumber(metadata.likes);
-            }
+            const metadata = await window.MetadataService.getFullMetadata(url);
+
+            // Modal was closed or switched to another video meanwhile
+            if (this.currentPreviewVideoId !== videoId) return;
+
+            views.querySelector('span').textContent = metadata.viewCount !== null ? `${this.formatNumber(metadata.viewCount)} views` : 'N/A';
+            likes.querySelector('span').textContent = metadata.likeCount !== null ? `${this.formatNumber(metadata.likeCount)} likes` : 'N/A';
+            if (uploader) uploader.querySelector('span').textContent = metadata.uploader || 'N/A';
+            if (uploadDate) uploadDate.querySelector('span').textContent = metadata.uploadDate || 'N/A';
+
             if (metadata.description) {
                 description.textContent = metadata.description.slice(0, 500) + (metadata.description.length > 500 ? '...' : '');
+            } else {
+                description.textContent = 'No description available.';
             }
+
+            this.renderPreviewChapters(metadata.chapters);
+            this.renderPreviewFormats(metadata.formats);
+            this.applyAvailableQualities(videoId, metadata);
         } catch (error) {
             logger.error('Error fetching preview metadata:', error.message);
-            views.querySelector('span').textContent = 'N/A';
-            likes.querySelector('span').textContent = 'N/A';
+            if (this.currentPreviewVideoId !== videoId) return;
+
+            [views, likes, uploader, uploadDate].forEach(element => {
+                if (element) element.querySelector('span').textContent = 'N/A';
+            });
             description.textContent = 'Unable to load video information.';
         }
+    }
 
-        // Setup modal event listeners
-        this.setupPreviewModalListeners();
+    /**
+     * Render the chapter list of the preview modal
+     * @param {Array<Object>} chapters - Chapters ({ title, startTime })
+     */
+    renderPreviewChapters(chapters) {
+        const section = document.getElementById('previewChaptersSection');
+        const list = document.getElementById('previewChapters');
+        if (!section || !list) return;
+
+        list.innerHTML = '';
+        section.classList.toggle('hidden', !chapters || chapters.length === 0);
+
+        (chapters || []).forEach(chapter => {
+            const item = document.createElement('li');
+            item.textContent = `${this.formatTimestamp(chapter.startTime)}  ${chapter.title}`;
+            list.appendChild(item);
+        });
+    }
 
-        // Show modal
-        modal.classList.remove('hidden');
-        modal.classList.add('flex');
+    /**
+     * Render the available formats table of the preview modal
+     * @param {Array<Object>} formats - Formats from full metadata
+     */
+    renderPreviewFormats(formats) {
+        const section = document.getElementById('previewFormatsSection');
+        const body = document.getElementById('previewFormats');
+        if (!section || !body) return;
+
+        body.innerHTML = '';
+        section.classList.toggle('hidden', !formats || formats.length === 0);
+
+        (formats || []).forEach(format => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-[#45556c]/50';
+
+            const size = format.filesize
+                ? `${format.filesizeApproximate ? '~' : ''}${this.formatFileSize(format.filesize)}`
+                : '--';
+            const cells = [
+                format.resolution || '--',
+                format.ext || '--',
+                format.vcodec || '--',
+                format.acodec || '--',
+                format.fps ? String(format.fps) : '--',
+                size
+            ];
+
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.className = index === cells.length - 1 ? 'py-1 text-right' : 'py-1 pr-2';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Format seconds as M:SS or H:MM:SS
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted timestamp
+     */
+    formatTimestamp(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    /**
+     * Format a byte count with a binary unit
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatFileSize(bytes) {
+        const units = ['B', 'KiB', 'MiB', 'GiB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
     }
 
     /**
@@ -911,6 +1419,14 @@ class GrabZillaApp {
             });
         }
 
+        const conversionsSlider = document.getElementById('settings-concurrent-conversions');
+        const conversionsValue = document.getElementById('concurrent-conversions-value');
+        if (conversionsSlider && conversionsValue) {
+            conversionsSlider.addEventListener('input', (e) => {
+                conversionsValue.textContent = e.target.value;
+            });
+        }
+
         // Setup event listeners
         this.setupSettingsModalListeners();
 
@@ -929,6 +1445,37 @@ class GrabZillaApp {
             savePathInput.value = this.state.config.savePath || '';
         }
 
+        const filenameTemplateInput = document.getElementById('settings-filename-template');
+        if (filenameTemplateInput) {
+            filenameTemplateInput.value = this.state.config.filenamePattern || '';
+            this.updateFilenamePreview(filenameTemplateInput.value);
+        }
+
+        const autoOrganizeInput = document.getElementById('settings-auto-organize');
+        const organizeRuleSelect = document.getElementById('settings-organize-rule');
+        if (autoOrganizeInput) autoOrganizeInput.checked = this.state.config.autoOrganize || false;
+        if (organizeRuleSelect) organizeRuleSelect.value = this.state.config.organizeRule || 'uploader';
+
+        // Sites tab
+        this.fillSiteSettings();
+
+        // Presets tab
+        this.renderPresetList();
+
+        // Data tab
+        const archiveActionSelect = document.getElementById('settings-archive-action');
+        if (archiveActionSelect) archiveActionSelect.value = this.state.config.archiveAction || 'flag';
+        this.renderArchiveList();
+
+        const controlApiEnabledInput = document.getElementById('settings-control-api-enabled');
+        const controlApiPortInput = document.getElementById('settings-control-api-port');
+        if (controlApiEnabledInput) controlApiEnabledInput.checked = this.state.config.controlApiEnabled || false;
+        if (controlApiPortInput) controlApiPortInput.value = this.state.config.controlApiPort || 7690;
+        this.renderControlApiStatus();
+
+        // Hooks tab
+        this.renderHooks();
+
         // Downloads tab
         const concurrentSlider = document.getElementById('settings-concurrent-downloads');
         const concurrentValue = document.getElementById('concurrent-value');
@@ -936,6 +1483,77 @@ class GrabZillaApp {
         if (concurrentSlider) concurrentSlider.value = concurrentDownloads;
         if (concurrentValue) concurrentValue.textContent = concurrentDownloads;
 
+        const conversionsSlider = document.getElementById('settings-concurrent-conversions');
+        const conversionsValue = document.getElementById('concurrent-conversions-value');
+        const concurrentConversions = this.state.config.concurrentConversions || 1;
+        if (conversionsSlider) conversionsSlider.value = concurrentConversions;
+        if (conversionsValue) conversionsValue.textContent = concurrentConversions;
+
+        const maxRetriesInput = document.getElementById('settings-max-retries');
+        if (maxRetriesInput) {
+            maxRetriesInput.value = this.state.config.maxRetries ?? 3;
+        }
+
+        const timeoutInput = document.getElementById('settings-timeout');
+        if (timeoutInput) {
+            timeoutInput.value = this.state.config.timeout ?? 30;
+        }
+
+        if (window.SubtitleOptions) {
+            const subtitleDefaults = window.SubtitleOptions.fromConfig(this.state.config);
+            this.fillSubtitleFields('settings', subtitleDefaults);
+            const autoSubtitlesInput = document.getElementById('settings-auto-download-subtitles');
+            if (autoSubtitlesInput) autoSubtitlesInput.checked = subtitleDefaults.enabled;
+        }
+
+        const rateLimitInput = document.getElementById('settings-rate-limit');
+        if (rateLimitInput) {
+            rateLimitInput.value = this.state.config.rateLimit ?? 0;
+        }
+
+        if (window.DownloadSchedule) {
+            const schedule = window.DownloadSchedule.validate(this.state.config.downloadSchedule).schedule
+                || window.DownloadSchedule.DEFAULTS;
+            const scheduleEnabledInput = document.getElementById('settings-schedule-enabled');
+            const scheduleStartInput = document.getElementById('settings-schedule-start');
+            const scheduleEndInput = document.getElementById('settings-schedule-end');
+            if (scheduleEnabledInput) scheduleEnabledInput.checked = schedule.enabled;
+            if (scheduleStartInput) scheduleStartInput.value = schedule.start;
+            if (scheduleEndInput) scheduleEndInput.value = schedule.end;
+        }
+
+        if (window.FormatSelector) {
+            const formatDefaults = window.FormatSelector.fromConfig(this.state.config);
+            const codecSelect = document.getElementById('settings-preferred-codec');
+            const containerSelect = document.getElementById('settings-preferred-container');
+            const fallbackSelect = document.getElementById('settings-quality-fallback');
+            if (codecSelect) codecSelect.value = formatDefaults.codec;
+            if (containerSelect) containerSelect.value = formatDefaults.container;
+            if (fallbackSelect) fallbackSelect.value = formatDefaults.fallback;
+        }
+
+        if (window.AudioOptions) {
+            const audioDefaults = window.AudioOptions.fromConfig(this.state.config);
+            const bitrateSelect = document.getElementById('settings-audio-bitrate');
+            if (bitrateSelect) bitrateSelect.value = String(audioDefaults.bitrate);
+            const audioInputs = { vbr: 'settings-audio-vbr', normalize: 'settings-audio-normalize', coverArt: 'settings-audio-cover-art', tags: 'settings-audio-tags' };
+            Object.entries(audioInputs).forEach(([key, inputId]) => {
+                const input = document.getElementById(inputId);
+                if (input) input.checked = audioDefaults[key];
+            });
+        }
+
+        if (window.MetadataOptions) {
+            const metadataDefaults = window.MetadataOptions.fromConfig(this.state.config);
+            Object.entries(this.getMetadataInputIds()).forEach(([key, inputId]) => {
+                const input = document.getElementById(inputId);
+                if (input) input.checked = metadataDefaults[key];
+            });
+        }
+
+        const originalPolicySelect = document.getElementById('settings-original-policy');
+        if (originalPolicySelect) originalPolicySelect.value = this.state.config.originalPolicy || 'delete';
+
         // Advanced tab
         const cookieFileInput = document.getElementById('settings-cookie-file');
         if (cookieFileInput) {
@@ -943,6 +1561,26 @@ class GrabZillaApp {
         }
     }
 
+    /**
+     * Render the filename template preview below the template input
+     * @param {string} template - Template as typed by the user
+     */
+    updateFilenamePreview(template) {
+        const previewEl = document.getElementById('settings-filename-preview');
+        if (!previewEl || !window.FilenameTemplate) return;
+
+        const result = window.FilenameTemplate.preview(template);
+        if (result.valid) {
+            previewEl.textContent = `Preview: ${result.preview}`;
+            previewEl.classList.remove('text-red-400');
+            previewEl.classList.add('text-[#cad5e2]');
+        } else {
+            previewEl.textContent = result.error;
+            previewEl.classList.remove('text-[#cad5e2]');
+            previewEl.classList.add('text-red-400');
+        }
+    }
+
     /**
      * Setup tab switching for settings modal
      */
@@ -987,10 +1625,16 @@ class GrabZillaApp {
         closeBtn?.addEventListener('click', closeModal);
         cancelBtn?.addEventListener('click', closeModal);
 
-        // Save settings
+        // Save settings (keep modal open if validation fails)
         saveBtn?.addEventListener('click', async () => {
-            await this.saveSettings();
-            closeModal();
+            if (await this.saveSettings()) {
+                closeModal();
+            }
+        });
+
+        // Live filename template preview
+        document.getElementById('settings-filename-template')?.addEventListener('input', (e) => {
+            this.updateFilenamePreview(e.target.value);
         });
 
         // Change save path
@@ -1031,6 +1675,11 @@ class GrabZillaApp {
             this.handleUpdateDependencies();
         });
 
+        this.setupArchiveListeners();
+        this.setupControlApiListeners();
+        this.setupPresetListeners();
+        this.setupHookListeners();
+
         // Close on Escape key
         const escHandler = (e) => {
             if (e.key === 'Escape') {
@@ -1050,18 +1699,130 @@ class GrabZillaApp {
 
     /**
      * Save settings from modal to state
+     * @returns {Promise<boolean>} False if a setting failed validation
      */
     async saveSettings() {
+        const templateInput = document.getElementById('settings-filename-template')?.value || '';
+        const templateResult = window.FilenameTemplate
+            ? window.FilenameTemplate.validate(templateInput)
+            : { valid: true, template: templateInput || '%(title)s.%(ext)s' };
+
+        if (!templateResult.valid) {
+            this.showToast(templateResult.error, 'error');
+            return false;
+        }
+
+        const subtitleResult = this.readSubtitleFields('settings', document.getElementById('settings-auto-download-subtitles')?.checked || false);
+        if (!subtitleResult.valid) {
+            this.showToast(subtitleResult.error, 'error');
+            return false;
+        }
+
+        const formatResult = window.FormatSelector
+            ? window.FormatSelector.validate({
+                codec: document.getElementById('settings-preferred-codec')?.value,
+                container: document.getElementById('settings-preferred-container')?.value,
+                fallback: document.getElementById('settings-quality-fallback')?.value
+            })
+            : { valid: true, preferences: { codec: 'any', container: 'any', fallback: 'lower' } };
+
+        if (!formatResult.valid) {
+            this.showToast(formatResult.error, 'error');
+            return false;
+        }
+
+        const audioResult = window.AudioOptions
+            ? window.AudioOptions.validate({
+                bitrate: parseInt(document.getElementById('settings-audio-bitrate')?.value, 10),
+                vbr: document.getElementById('settings-audio-vbr')?.checked || false,
+                normalize: document.getElementById('settings-audio-normalize')?.checked || false,
+                coverArt: document.getElementById('settings-audio-cover-art')?.checked || false,
+                tags: document.getElementById('settings-audio-tags')?.checked || false
+            })
+            : { valid: true, options: { bitrate: 192, vbr: false, normalize: false, coverArt: true, tags: true } };
+
+        if (!audioResult.valid) {
+            this.showToast(audioResult.error, 'error');
+            return false;
+        }
+
+        const metadataInputs = Object.fromEntries(Object.entries(this.getMetadataInputIds())
+            .map(([key, inputId]) => [key, document.getElementById(inputId)?.checked || false]));
+        const metadataResult = window.MetadataOptions
+            ? window.MetadataOptions.validate(metadataInputs)
+            : { valid: true, options: metadataInputs };
+
+        if (!metadataResult.valid) {
+            this.showToast(metadataResult.error, 'error');
+            return false;
+        }
+
+        const rateLimit = this.parseSettingNumber('settings-rate-limit', 0);
+        if (rateLimit < 0) {
+            this.showToast('Bandwidth limit cannot be negative', 'error');
+            return false;
+        }
+
+        const scheduleResult = window.DownloadSchedule
+            ? window.DownloadSchedule.validate({
+                enabled: document.getElementById('settings-schedule-enabled')?.checked || false,
+                start: document.getElementById('settings-schedule-start')?.value,
+                end: document.getElementById('settings-schedule-end')?.value
+            })
+            : { valid: true, schedule: null };
+
+        if (!scheduleResult.valid) {
+            this.showToast(scheduleResult.error, 'error');
+            return false;
+        }
+
+        const siteResult = this.readSiteSettings();
+        if (!siteResult.valid) {
+            this.showToast(siteResult.error, 'error');
+            return false;
+        }
+
+        const controlApiPort = this.parseSettingNumber('settings-control-api-port', 7690);
+        if (controlApiPort < 1024 || controlApiPort > 65535) {
+            this.showToast('Control API port must be between 1024 and 65535', 'error');
+            return false;
+        }
+
         const newSettings = {
             savePath: document.getElementById('settings-save-path')?.value || this.state.config.savePath,
             concurrentDownloads: parseInt(document.getElementById('settings-concurrent-downloads')?.value) || 3,
+            concurrentConversions: parseInt(document.getElementById('settings-concurrent-conversions')?.value) || 1,
             autoOrganize: document.getElementById('settings-auto-organize')?.checked || false,
-            filenameTemplate: document.getElementById('settings-filename-template')?.value || '%(title)s',
-            autoDownloadSubtitles: document.getElementById('settings-auto-download-subtitles')?.checked || false,
-            subtitleLanguage: document.getElementById('settings-subtitle-language')?.value || 'en',
+            organizeRule: document.getElementById('settings-organize-rule')?.value || 'uploader',
+            filenamePattern: templateResult.template,
+            autoDownloadSubtitles: subtitleResult.options.enabled,
+            subtitleLanguages: subtitleResult.options.languages,
+            subtitleSource: subtitleResult.options.source,
+            subtitleFormat: subtitleResult.options.format,
+            embedSubtitles: subtitleResult.options.embed,
+            preferredCodec: formatResult.preferences.codec,
+            preferredContainer: formatResult.preferences.container,
+            qualityFallback: formatResult.preferences.fallback,
+            audioBitrate: audioResult.options.bitrate,
+            audioVbr: audioResult.options.vbr,
+            audioNormalize: audioResult.options.normalize,
+            audioCoverArt: audioResult.options.coverArt,
+            audioTags: audioResult.options.tags,
+            metadataInfoJson: metadataResult.options.infoJson,
+            metadataDescription: metadataResult.options.description,
+            metadataThumbnail: metadataResult.options.thumbnail,
+            metadataNfo: metadataResult.options.nfo,
+            metadataEmbed: metadataResult.options.embed,
+            originalPolicy: document.getElementById('settings-original-policy')?.value || 'delete',
             desktopNotifications: document.getElementById('settings-desktop-notifications')?.checked || true,
-            maxRetries: parseInt(document.getElementById('settings-max-retries')?.value) || 3,
-            timeout: parseInt(document.getElementById('settings-timeout')?.value) || 30,
+            maxRetries: this.parseSettingNumber('settings-max-retries', 3),
+            timeout: this.parseSettingNumber('settings-timeout', 30),
+            rateLimit,
+            downloadSchedule: scheduleResult.schedule,
+            archiveAction: document.getElementById('settings-archive-action')?.value === 'skip' ? 'skip' : 'flag',
+            siteSettings: siteResult.settings,
+            controlApiEnabled: document.getElementById('settings-control-api-enabled')?.checked || false,
+            controlApiPort,
             cookieFile: document.getElementById('settings-cookie-file')?.value || null
         };
 
@@ -1074,9 +1835,903 @@ class GrabZillaApp {
             if (savePathDisplay) {
                 savePathDisplay.textContent = newSettings.savePath;
             }
-        }
+        }
+
+        // Push download limits, allowed sites and the control API settings to the main process
+        await this.applyDownloadSettings();
+        await this.applySiteSettings();
+        await this.applyControlApiSettings();
+
+        this.showToast('Settings saved successfully', 'success');
+        return true;
+    }
+
+    /**
+     * Fill subtitle language/source/format/embed inputs
+     * @param {string} prefix - Input id prefix ('settings' or 'video-options')
+     * @param {Object} options - Subtitle options
+     */
+    fillSubtitleFields(prefix, options) {
+        const languagesInput = document.getElementById(`${prefix}-subtitle-languages`);
+        const sourceSelect = document.getElementById(`${prefix}-subtitle-source`);
+        const formatSelect = document.getElementById(`${prefix}-subtitle-format`);
+        const embedInput = document.getElementById(prefix === 'settings' ? 'settings-embed-subtitles' : `${prefix}-subtitles-embed`);
+
+        if (languagesInput) languagesInput.value = options.languages.join(', ');
+        if (sourceSelect) sourceSelect.value = options.source;
+        if (formatSelect) formatSelect.value = options.format;
+        if (embedInput) embedInput.checked = options.embed;
+    }
+
+    /**
+     * Read and validate subtitle language/source/format/embed inputs
+     * @param {string} prefix - Input id prefix ('settings' or 'video-options')
+     * @param {boolean} enabled - Whether subtitles should be downloaded
+     * @returns {Object} { valid, error, options }
+     */
+    readSubtitleFields(prefix, enabled) {
+        if (!window.SubtitleOptions) {
+            return { valid: true, error: null, options: { enabled: false, languages: ['en'], source: 'manual', format: 'srt', embed: false } };
+        }
+
+        const embedInput = document.getElementById(prefix === 'settings' ? 'settings-embed-subtitles' : `${prefix}-subtitles-embed`);
+
+        return window.SubtitleOptions.validate({
+            enabled,
+            languages: document.getElementById(`${prefix}-subtitle-languages`)?.value || '',
+            source: document.getElementById(`${prefix}-subtitle-source`)?.value,
+            format: document.getElementById(`${prefix}-subtitle-format`)?.value,
+            embed: embedInput?.checked || false
+        });
+    }
+
+    /**
+     * Get the subtitle options a video is downloaded with
+     * @param {Video} video - Video to download
+     * @returns {Object|null} Per-video options, or the settings defaults
+     */
+    getSubtitleOptions(video) {
+        if (video.subtitles) {
+            return video.subtitles;
+        }
+        return window.SubtitleOptions ? window.SubtitleOptions.fromConfig(this.state.config) : null;
+    }
+
+    /**
+     * Show per-video options (subtitles, clips, chapters, speed limit) for a video in the list
+     * @param {string} videoId - Video ID
+     */
+    showVideoOptionsModal(videoId) {
+        const modal = document.getElementById('videoOptionsModal');
+        const video = this.state.getVideo(videoId);
+        if (!modal || !video || !window.SubtitleOptions) return;
+
+        const title = document.getElementById('videoOptionsTitle');
+        if (title) title.textContent = video.getDisplayName();
+
+        const useDefaults = !video.subtitles;
+        const options = video.subtitles || window.SubtitleOptions.fromConfig(this.state.config);
+
+        const defaultsInput = document.getElementById('video-options-subtitles-default');
+        const enabledInput = document.getElementById('video-options-subtitles-enabled');
+        if (defaultsInput) defaultsInput.checked = useDefaults;
+        if (enabledInput) enabledInput.checked = options.enabled;
+        this.fillSubtitleFields('video-options', options);
+        this.toggleVideoSubtitleFields(useDefaults);
+
+        const rateLimitInput = document.getElementById('video-options-rate-limit');
+        if (rateLimitInput) {
+            rateLimitInput.value = video.rateLimit ? Math.round(video.rateLimit / 1024) : '';
+        }
+
+        const clipsInput = document.getElementById('video-options-clips');
+        if (clipsInput && window.ClipOptions) {
+            clipsInput.value = window.ClipOptions.formatList(video.clips);
+        }
+        const clipModeSelect = document.getElementById('video-options-clip-mode');
+        if (clipModeSelect) clipModeSelect.value = video.clipMode || 'keyframe';
+        const splitChaptersInput = document.getElementById('video-options-split-chapters');
+        if (splitChaptersInput) splitChaptersInput.checked = video.splitChapters;
+        const chapterList = document.getElementById('video-options-chapters');
+        if (chapterList) {
+            chapterList.innerHTML = '';
+            chapterList.classList.add('hidden');
+        }
+
+        this.videoOptionsTarget = videoId;
+        this.setupVideoOptionsModalListeners();
+
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    /**
+     * Disable per-video subtitle inputs while the defaults are used
+     * @param {boolean} useDefaults - Whether the settings defaults apply
+     */
+    toggleVideoSubtitleFields(useDefaults) {
+        const fields = document.getElementById('video-options-subtitle-fields');
+        if (!fields) return;
+
+        fields.classList.toggle('opacity-50', useDefaults);
+        fields.querySelectorAll('input, select').forEach(input => {
+            input.disabled = useDefaults;
+        });
+    }
+
+    // Setup video options modal listeners
+    setupVideoOptionsModalListeners() {
+        const modal = document.getElementById('videoOptionsModal');
+        if (!modal || modal.dataset.listenersAttached) return;
+        modal.dataset.listenersAttached = 'true';
+
+        const closeModal = () => {
+            modal.classList.remove('flex');
+            modal.classList.add('hidden');
+            this.videoOptionsTarget = null;
+        };
+
+        document.getElementById('closeVideoOptionsModal')?.addEventListener('click', closeModal);
+        document.getElementById('cancelVideoOptionsBtn')?.addEventListener('click', closeModal);
+
+        document.getElementById('video-options-subtitles-default')?.addEventListener('change', (e) => {
+            this.toggleVideoSubtitleFields(e.target.checked);
+        });
+
+        document.getElementById('loadClipChaptersBtn')?.addEventListener('click', () => this.loadClipChapters());
+
+        // Picked chapters are appended as clip lines
+        document.getElementById('video-options-chapters')?.addEventListener('click', (e) => {
+            const chapterBtn = e.target.closest('.clip-chapter-btn');
+            const clipsInput = document.getElementById('video-options-clips');
+            if (!chapterBtn || !clipsInput) return;
+
+            const clip = this.clipChapters?.[parseInt(chapterBtn.dataset.index, 10)];
+            if (!clip) return;
+
+            const line = window.ClipOptions.formatList([clip]);
+            clipsInput.value = clipsInput.value.trim() ? `${clipsInput.value.trim()}\n${line}` : line;
+        });
+
+        document.getElementById('saveVideoOptionsBtn')?.addEventListener('click', () => {
+            if (this.saveVideoOptions()) {
+                closeModal();
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+                closeModal();
+            }
+        });
+    }
+
+    /**
+     * List the chapters of the video in the options modal so they can be picked as clips
+     */
+    async loadClipChapters() {
+        const videoId = this.videoOptionsTarget;
+        const video = this.state.getVideo(videoId);
+        const chapterList = document.getElementById('video-options-chapters');
+        if (!video || !chapterList || !window.ClipOptions) return;
+
+        chapterList.classList.remove('hidden');
+        chapterList.innerHTML = '<p class="text-xs text-[#90a1b9]">Loading chapters...</p>';
+
+        try {
+            const metadata = await window.MetadataService.getFullMetadata(video.url);
+
+            // Modal was closed or switched to another video meanwhile
+            if (this.videoOptionsTarget !== videoId) return;
+
+            this.clipChapters = (metadata.chapters || [])
+                .map(chapter => window.ClipOptions.fromChapter(chapter, metadata.duration || null))
+                .filter(Boolean);
+
+            if (this.clipChapters.length === 0) {
+                chapterList.innerHTML = '<p class="text-xs text-[#90a1b9]">This video has no chapters</p>';
+                return;
+            }
+
+            chapterList.innerHTML = '';
+            this.clipChapters.forEach((clip, index) => {
+                const button = document.createElement('button');
+                button.className = 'clip-chapter-btn w-full text-left text-xs text-[#cad5e2] bg-[#1d293d] hover:bg-[#45556c] rounded px-2 py-1 truncate transition-colors';
+                button.dataset.index = index;
+                button.textContent = `${window.ClipOptions.formatTimestamp(clip.start)}-${window.ClipOptions.formatTimestamp(clip.end)}  ${clip.label || ''}`;
+                chapterList.appendChild(button);
+            });
+        } catch (error) {
+            logger.error('Error loading chapters:', error.message);
+            chapterList.innerHTML = '<p class="text-xs text-[#e7000b]">Failed to load chapters</p>';
+        }
+    }
+
+    /**
+     * Read and validate the clips of the options modal
+     * @returns {Object} { valid, error, clips, mode }
+     */
+    readClipFields() {
+        const parsed = window.ClipOptions.parseList(document.getElementById('video-options-clips')?.value || '');
+        if (!parsed.valid) {
+            return { valid: false, error: parsed.error, clips: null, mode: null };
+        }
+
+        return window.ClipOptions.validate(parsed.clips, document.getElementById('video-options-clip-mode')?.value);
+    }
+
+    /**
+     * Read clips from an imported video list entry, invalid clips are dropped
+     * @param {Object} videoData - Imported video
+     * @returns {Object} { clips, clipMode } or nothing without valid clips
+     */
+    importClips(videoData) {
+        if (!window.ClipOptions || !videoData.clips) return {};
+
+        const result = window.ClipOptions.validate(videoData.clips, videoData.clipMode);
+        if (!result.valid) {
+            logger.warn(`Ignoring clips of imported video ${videoData.url}:`, result.error);
+            return {};
+        }
+
+        return { clips: result.clips, clipMode: result.mode };
+    }
+
+    /**
+     * Save per-video options from the modal
+     * @returns {boolean} False if an option failed validation
+     */
+    saveVideoOptions() {
+        const videoId = this.videoOptionsTarget;
+        if (!videoId || !this.state.getVideo(videoId)) return true;
+
+        // Empty speed limit means the video gets its share of the global limit
+        const rateLimitValue = document.getElementById('video-options-rate-limit')?.value.trim() || '';
+        const rateLimit = rateLimitValue === '' ? null : parseInt(rateLimitValue, 10);
+        if (rateLimit !== null && (Number.isNaN(rateLimit) || rateLimit < 1)) {
+            this.showToast('Speed limit must be a positive number of KB/s', 'error');
+            return false;
+        }
+
+        let subtitles = null;
+        if (!document.getElementById('video-options-subtitles-default')?.checked) {
+            const enabled = document.getElementById('video-options-subtitles-enabled')?.checked || false;
+            const result = this.readSubtitleFields('video-options', enabled);
+            if (!result.valid) {
+                this.showToast(result.error, 'error');
+                return false;
+            }
+            subtitles = result.options;
+        }
+
+        let clipOptions = { clips: [], mode: 'keyframe' };
+        if (window.ClipOptions) {
+            clipOptions = this.readClipFields();
+            if (!clipOptions.valid) {
+                this.showToast(clipOptions.error, 'error');
+                return false;
+            }
+        }
+
+        const splitChapters = document.getElementById('video-options-split-chapters')?.checked || false;
+        if (splitChapters && clipOptions.clips.length > 0) {
+            this.showToast('Clips and chapter splitting cannot be combined', 'error');
+            return false;
+        }
+
+        this.state.updateVideo(videoId, {
+            subtitles,
+            rateLimit: rateLimit ? rateLimit * 1024 : null,
+            clips: clipOptions.clips,
+            clipMode: clipOptions.mode,
+            splitChapters
+        });
+        return true;
+    }
+
+    /**
+     * Read a numeric settings input, keeping valid zero values
+     * @param {string} inputId - Input element id
+     * @param {number} fallback - Value when the input is empty or invalid
+     * @returns {number} Parsed value
+     */
+    parseSettingNumber(inputId, fallback) {
+        const value = parseInt(document.getElementById(inputId)?.value, 10);
+        return Number.isNaN(value) ? fallback : value;
+    }
+
+    // Settings checkboxes of the metadata options
+    getMetadataInputIds() {
+        return {
+            infoJson: 'settings-metadata-info-json',
+            description: 'settings-metadata-description',
+            thumbnail: 'settings-metadata-thumbnail',
+            nfo: 'settings-metadata-nfo',
+            embed: 'settings-metadata-embed'
+        };
+    }
+
+    /**
+     * Apply concurrency, retry, stall timeout, bandwidth and schedule settings to the DownloadManager
+     * and the conversion concurrency to the ConversionQueue
+     * Only values the user has saved are sent, the rest keep the main process defaults
+     */
+    async applyDownloadSettings() {
+        if (!window.IPCManager || !window.IPCManager.isAvailable()) return;
+
+        const { concurrentDownloads, concurrentConversions, maxRetries, timeout, rateLimit, downloadSchedule } = this.state.config;
+        const settings = {};
+        if (concurrentDownloads !== undefined) settings.maxConcurrent = concurrentDownloads;
+        if (concurrentConversions !== undefined) settings.maxConcurrentConversions = concurrentConversions;
+        if (maxRetries !== undefined) settings.maxRetries = maxRetries;
+        if (timeout !== undefined) settings.stallTimeout = timeout;
+        if (rateLimit !== undefined) settings.rateLimit = rateLimit * 1024;
+        if (downloadSchedule !== undefined) settings.schedule = downloadSchedule;
+
+        if (Object.keys(settings).length === 0) return;
+
+        try {
+            const stats = await window.IPCManager.updateDownloadSettings(settings);
+            logger.debug('Download settings applied:', stats);
+        } catch (error) {
+            logger.warn('Failed to apply download settings:', error.message);
+        }
+    }
+
+    /**
+     * Take the allowed sites saved by the main process (userData), then apply them
+     * Settings that only exist in the renderer config (older versions) are handed to the main process
+     */
+    async loadSiteSettings() {
+        if (window.electronAPI?.getSiteSettings) {
+            try {
+                const result = await window.electronAPI.getSiteSettings();
+                if (result.success && result.stored) {
+                    this.state.updateConfig({ siteSettings: result.settings });
+                }
+            } catch (error) {
+                logger.warn('Failed to read site settings:', error.message);
+            }
+        }
+
+        await this.applySiteSettings();
+    }
+
+    /**
+     * Apply the allowed sites to the renderer's site registry and save them in the main process
+     */
+    async applySiteSettings() {
+        if (!window.SiteRegistry) return;
+
+        const result = window.SiteRegistry.configure(this.state.config.siteSettings || null);
+        if (!result.valid) {
+            logger.warn('Invalid site settings, keeping defaults:', result.error);
+            return;
+        }
+
+        if (!window.electronAPI?.updateSiteSettings) return;
+
+        try {
+            await window.electronAPI.updateSiteSettings(result.settings);
+        } catch (error) {
+            logger.warn('Failed to apply site settings:', error.message);
+        }
+    }
+
+    /**
+     * Fill the Sites tab with a checkbox per built-in site and the custom hosts
+     */
+    fillSiteSettings() {
+        const siteList = document.getElementById('settings-site-list');
+        const customHostsInput = document.getElementById('settings-custom-hosts');
+        if (!window.SiteRegistry) return;
+
+        const { enabledSites, customHosts } = window.SiteRegistry.settings;
+
+        if (siteList) {
+            siteList.innerHTML = window.SiteRegistry.SITES.map(site => `
+                <label class="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" class="settings-site-checkbox w-4 h-4" value="${site.id}" ${enabledSites.includes(site.id) ? 'checked' : ''}>
+                    <span class="text-sm text-[#cad5e2]">${site.name}</span>
+                    <span class="text-xs text-[#90a1b9]">${site.hosts.join(', ')}</span>
+                </label>
+            `).join('');
+        }
+
+        if (customHostsInput) {
+            customHostsInput.value = customHosts.join('\n');
+        }
+    }
+
+    /**
+     * Read and validate the Sites tab
+     * @returns {Object} { valid, error, settings }
+     */
+    readSiteSettings() {
+        if (!window.SiteRegistry) {
+            return { valid: true, error: null, settings: null };
+        }
+
+        const enabledSites = Array.from(document.querySelectorAll('.settings-site-checkbox:checked'))
+            .map(checkbox => checkbox.value);
+        const customHosts = (document.getElementById('settings-custom-hosts')?.value || '')
+            .split(/[\s,]+/)
+            .filter(Boolean);
+
+        const result = window.SiteRegistry.validate({ enabledSites, customHosts });
+        if (result.valid && result.settings.enabledSites.length === 0 && result.settings.customHosts.length === 0) {
+            return { valid: false, error: 'Enable at least one site', settings: null };
+        }
+        return result;
+    }
+
+    // Render download archive entries in the settings Data tab
+    async renderArchiveList() {
+        const archiveList = document.getElementById('archiveList');
+        if (!archiveList || !window.electronAPI?.getDownloadArchive) return;
+
+        try {
+            const { entries } = await window.electronAPI.getDownloadArchive();
+
+            if (entries.length === 0) {
+                archiveList.innerHTML = '<p class="text-xs text-[#90a1b9]">No videos in the archive yet</p>';
+                return;
+            }
+
+            // Most recent downloads first
+            archiveList.innerHTML = entries.slice().reverse().map(entry => `
+                <div class="flex items-center gap-2 bg-[#1d293d] rounded px-2 py-1">
+                    <span class="text-xs text-[#90a1b9] w-16 flex-shrink-0 truncate">${entry.extractor}</span>
+                    <span class="text-xs text-[#cad5e2] font-mono flex-1 truncate">${entry.id}</span>
+                    <button class="remove-archive-entry-btn text-[#90a1b9] hover:text-[#e7000b] transition-colors text-xs"
+                            data-key="${entry.key}"
+                            title="Remove from archive">
+                        Remove
+                    </button>
+                </div>
+            `).join('');
+        } catch (error) {
+            logger.error('Error loading download archive:', error.message);
+            archiveList.innerHTML = '<p class="text-xs text-[#e7000b]">Failed to load the download archive</p>';
+        }
+    }
+
+    // Setup download archive listeners (replace nodes so reopening settings doesn't stack listeners)
+    setupArchiveListeners() {
+        ['archiveList', 'importArchiveBtnSettings', 'exportArchiveBtnSettings'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
+        document.getElementById('archiveList')?.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('.remove-archive-entry-btn');
+            if (!removeBtn) return;
+
+            await window.electronAPI.removeDownloadArchiveEntry(removeBtn.dataset.key);
+            this.renderArchiveList();
+            this.showToast('Removed from download archive', 'info');
+        });
+
+        document.getElementById('importArchiveBtnSettings')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.importDownloadArchive();
+            if (result.cancelled) return;
+
+            if (!result.success) {
+                this.showError(`Archive import failed: ${result.error}`);
+                return;
+            }
+
+            this.renderArchiveList();
+            this.showToast(`Imported ${result.added} video(s) into the download archive`, 'success');
+        });
+
+        document.getElementById('exportArchiveBtnSettings')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.exportDownloadArchive();
+            if (result.cancelled) return;
+
+            if (!result.success) {
+                this.showError(`Archive export failed: ${result.error}`);
+                return;
+            }
+
+            this.showToast(`Exported ${result.count} video(s) from the download archive`, 'success');
+        });
+    }
+
+    /**
+     * Start, move or stop the control API to match the settings
+     * Its defaults for requests without quality, format or folder follow the app's
+     */
+    async applyControlApiSettings() {
+        if (!window.IPCManager || !window.IPCManager.isAvailable()) return;
+
+        const { controlApiEnabled, controlApiPort, savePath, defaultQuality, defaultFormat, cookieFile } = this.state.config;
+
+        try {
+            this.controlApiStatus = await window.IPCManager.configureControlApi({
+                enabled: controlApiEnabled || false,
+                port: controlApiPort || 7690,
+                savePath,
+                quality: defaultQuality,
+                format: defaultFormat,
+                cookieFile
+            });
+
+            if (!this.controlApiStatus.success) {
+                this.showError(`Control API could not start: ${this.controlApiStatus.error}`);
+            }
+        } catch (error) {
+            logger.warn('Failed to apply control API settings:', error.message);
+            this.controlApiStatus = null;
+        }
+
+        this.renderControlApiStatus();
+    }
+
+    // Show the control API address and token in the settings Data tab
+    renderControlApiStatus() {
+        const tokenInput = document.getElementById('settings-control-api-token');
+        const statusText = document.getElementById('controlApiStatus');
+        const status = this.controlApiStatus;
+
+        if (tokenInput) tokenInput.value = status?.token || '';
+        if (!statusText) return;
+
+        if (status?.running) {
+            statusText.textContent = `Listening on ${status.url}`;
+        } else if (status && !status.success) {
+            statusText.textContent = `Not running: ${status.error}`;
+        } else {
+            statusText.textContent = 'Not running';
+        }
+    }
+
+    // Setup control API token buttons (replace nodes so reopening settings doesn't stack listeners)
+    setupControlApiListeners() {
+        ['copyControlApiTokenBtn', 'regenerateControlApiTokenBtn'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
+        document.getElementById('copyControlApiTokenBtn')?.addEventListener('click', async () => {
+            const token = this.controlApiStatus?.token;
+            if (!token) {
+                this.showToast('Enable the control API and save to create a token', 'info');
+                return;
+            }
+
+            try {
+                await navigator.clipboard.writeText(token);
+                this.showToast('Token copied to clipboard', 'success');
+            } catch (error) {
+                this.showError(`Failed to copy the token: ${error.message}`);
+            }
+        });
+
+        document.getElementById('regenerateControlApiTokenBtn')?.addEventListener('click', async () => {
+            if (!this.controlApiStatus?.token) {
+                this.showToast('Enable the control API and save to create a token', 'info');
+                return;
+            }
+
+            try {
+                this.controlApiStatus.token = await window.IPCManager.regenerateControlApiToken();
+                this.renderControlApiStatus();
+                this.showToast('New token created, scripts using the old one must be updated', 'success');
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+    }
+
+    // Render conversion presets in the settings Presets tab
+    renderPresetList() {
+        const presetList = document.getElementById('presetList');
+        if (!presetList || !window.ConversionPresets) return;
+
+        const presets = this.state.config.conversionPresets || [];
+        if (presets.length === 0) {
+            presetList.innerHTML = '<p class="text-xs text-[#90a1b9]">No presets yet</p>';
+            return;
+        }
+
+        presetList.innerHTML = presets.map(preset => `
+            <div class="flex items-center gap-2 bg-[#1d293d] rounded px-2 py-1">
+                <span class="text-sm text-[#cad5e2] w-32 flex-shrink-0 truncate">${this.escapeHtml(preset.name)}</span>
+                <span class="text-xs text-[#90a1b9] flex-1 truncate">${this.escapeHtml(window.ConversionPresets.describe(preset))} · _${preset.suffix}</span>
+                <button class="remove-preset-btn text-[#90a1b9] hover:text-[#e7000b] transition-colors text-xs"
+                        data-preset-id="${preset.id}"
+                        title="Delete preset">
+                    Delete
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the new preset form of the Presets tab
+     * @returns {Object} Preset fields, numbers converted
+     */
+    readPresetForm() {
+        const value = id => document.getElementById(id)?.value || '';
+        const optionalNumber = id => value(id) === '' ? null : Number(value(id));
+
+        return {
+            name: value('preset-name'),
+            container: value('preset-container'),
+            videoCodec: value('preset-video-codec'),
+            rateControl: value('preset-rate-control'),
+            crf: Number(value('preset-crf')),
+            videoBitrate: Number(value('preset-video-bitrate')),
+            maxHeight: optionalNumber('preset-max-height'),
+            fps: optionalNumber('preset-fps'),
+            audioCodec: value('preset-audio-codec'),
+            audioBitrate: Number(value('preset-audio-bitrate')),
+            suffix: value('preset-suffix').trim(),
+            original: value('preset-original')
+        };
+    }
+
+    /**
+     * Store conversion presets, videos and the default format using a removed preset fall back to no conversion
+     * @param {Array<Object>} presets - Validated presets
+     */
+    saveConversionPresets(presets) {
+        const remaining = new Set(presets.map(preset => window.ConversionPresets.toFormat(preset)));
+        const isRemoved = format => window.ConversionPresets.isPresetFormat(format) && !remaining.has(format);
+
+        this.state.videos
+            .filter(video => isRemoved(video.format))
+            .forEach(video => this.state.updateVideo(video.id, { format: 'None' }));
+
+        this.state.updateConfig({
+            conversionPresets: presets,
+            ...(isRemoved(this.state.config.defaultFormat) ? { defaultFormat: 'None' } : {})
+        });
+
+        // Refresh the rows whose format stayed the same so their dropdowns list the presets
+        this.renderVideoList();
+        this.renderPresetList();
+    }
+
+    // Setup conversion preset listeners (replace nodes so reopening settings doesn't stack listeners)
+    setupPresetListeners() {
+        ['presetList', 'addPresetBtnSettings', 'importPresetsBtnSettings', 'exportPresetsBtnSettings'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
+        if (!window.ConversionPresets) return;
+
+        document.getElementById('presetList')?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-preset-btn');
+            if (!removeBtn) return;
+
+            const presets = this.state.config.conversionPresets || [];
+            this.saveConversionPresets(presets.filter(preset => preset.id !== removeBtn.dataset.presetId));
+            this.showToast('Preset deleted', 'info');
+        });
+
+        document.getElementById('addPresetBtnSettings')?.addEventListener('click', () => {
+            const presets = this.state.config.conversionPresets || [];
+            const result = window.ConversionPresets.validate(this.readPresetForm());
+            if (!result.valid) {
+                this.showError(result.error);
+                return;
+            }
+
+            const replaces = presets.some(preset => preset.name.toLowerCase() === result.preset.name.toLowerCase());
+            if (!replaces && presets.length >= window.ConversionPresets.MAX_PRESETS) {
+                this.showError(`At most ${window.ConversionPresets.MAX_PRESETS} presets`);
+                return;
+            }
+
+            this.saveConversionPresets(window.ConversionPresets.merge(presets, [result.preset]));
+            this.showToast(`Preset "${result.preset.name}" saved`, 'success');
+        });
+
+        document.getElementById('importPresetsBtnSettings')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.importConversionPresets();
+            if (result.cancelled) return;
+
+            if (!result.success) {
+                this.showError(`Preset import failed: ${result.error}`);
+                return;
+            }
+
+            this.saveConversionPresets(window.ConversionPresets.merge(this.state.config.conversionPresets || [], result.presets));
+            const skippedInfo = result.skipped.length > 0 ? `, skipped ${result.skipped.length} invalid` : '';
+            this.showToast(`Imported ${result.presets.length} preset(s)${skippedInfo}`, result.skipped.length > 0 ? 'warning' : 'success');
+        });
+
+        document.getElementById('exportPresetsBtnSettings')?.addEventListener('click', async () => {
+            const presets = this.state.config.conversionPresets || [];
+            if (presets.length === 0) {
+                this.showToast('No presets to export', 'info');
+                return;
+            }
+
+            const result = await window.electronAPI.exportConversionPresets(presets);
+            if (result.cancelled) return;
+
+            if (!result.success) {
+                this.showError(`Preset export failed: ${result.error}`);
+                return;
+            }
+
+            this.showToast(`Exported ${result.count} preset(s)`, 'success');
+        });
+    }
+
+    // Render post-download hooks and their run log in the settings Hooks tab
+    async renderHooks() {
+        const list = document.getElementById('hookList');
+        const log = document.getElementById('hookLog');
+        if (!list || !window.electronAPI?.getHooks) return;
+
+        try {
+            const { hooks, log: entries } = await window.electronAPI.getHooks();
+
+            list.innerHTML = '';
+            if (hooks.length === 0) {
+                list.innerHTML = '<p class="text-xs text-[#90a1b9]">No hooks yet</p>';
+            }
+
+            hooks.forEach(hook => {
+                const row = document.createElement('div');
+                row.className = 'flex items-center gap-2 bg-[#1d293d] rounded px-2 py-1';
+                row.dataset.hookId = hook.id;
+
+                const enabled = document.createElement('input');
+                enabled.type = 'checkbox';
+                enabled.className = 'toggle-hook-checkbox w-4 h-4 flex-shrink-0';
+                enabled.checked = hook.enabled;
+                enabled.title = 'Enabled';
+
+                const name = document.createElement('span');
+                name.className = 'text-sm text-[#cad5e2] w-32 flex-shrink-0 truncate';
+                name.textContent = hook.name;
+
+                const details = document.createElement('span');
+                details.className = 'text-xs text-[#90a1b9] flex-1 truncate';
+                details.textContent = `${hook.type === 'script' ? hook.command : hook.url} · ${hook.events.join(', ')} · ${hook.timeoutSeconds}s`;
+                details.title = details.textContent;
+
+                const testBtn = document.createElement('button');
+                testBtn.className = 'test-hook-btn text-[#155dfc] hover:text-white transition-colors text-xs';
+                testBtn.textContent = 'Test';
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-hook-btn text-[#90a1b9] hover:text-[#e7000b] transition-colors text-xs';
+                removeBtn.textContent = 'Delete';
+
+                row.append(enabled, name, details, testBtn, removeBtn);
+                list.appendChild(row);
+            });
+
+            if (log) {
+                log.innerHTML = '';
+                if (entries.length === 0) {
+                    log.innerHTML = '<li>No hooks have run yet</li>';
+                }
+
+                entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    const time = new Date(entry.startedAt).toLocaleString();
+                    const subject = entry.title || entry.url;
+
+                    item.className = entry.success ? '' : 'text-[#e7000b]';
+                    item.textContent = `${time} — ${entry.name} (${entry.event}) ${subject}: ${entry.success ? 'ok' : entry.error}`;
+                    item.title = entry.output || '';
+                    log.appendChild(item);
+                });
+            }
+        } catch (error) {
+            logger.error('Error loading hooks:', error.message);
+            list.innerHTML = '<p class="text-xs text-[#e7000b]">Failed to load hooks</p>';
+        }
+    }
+
+    /**
+     * Read the new hook form of the Hooks tab
+     * @returns {Object} Hook settings for the main process to validate
+     */
+    readHookForm() {
+        const value = id => document.getElementById(id)?.value || '';
+        const type = value('hook-type');
+
+        return {
+            name: value('hook-name').trim(),
+            type,
+            command: type === 'script' ? value('hook-command') : null,
+            url: type === 'webhook' ? value('hook-url').trim() : null,
+            events: ['completed', 'failed'].filter(event => document.getElementById(`hook-event-${event}`)?.checked),
+            timeoutSeconds: this.parseSettingNumber('hook-timeout', 30)
+        };
+    }
+
+    // Setup hook listeners (replace nodes so reopening settings doesn't stack listeners)
+    setupHookListeners() {
+        ['hookList', 'hook-type', 'selectHookScriptBtn', 'addHookBtnSettings', 'refreshHookLogBtn'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
+        if (!window.electronAPI?.getHooks) return;
+
+        document.getElementById('hook-type')?.addEventListener('change', (e) => {
+            document.getElementById('hook-script-field')?.classList.toggle('hidden', e.target.value !== 'script');
+            document.getElementById('hook-url-field')?.classList.toggle('hidden', e.target.value !== 'webhook');
+        });
+
+        document.getElementById('selectHookScriptBtn')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.selectHookScript();
+            if (result.success && result.path) {
+                document.getElementById('hook-command').value = result.path;
+            } else if (result.error) {
+                this.showError(result.error);
+            }
+        });
+
+        document.getElementById('addHookBtnSettings')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.addHook(this.readHookForm());
+            if (!result.success) {
+                this.showError(`Failed to add hook: ${result.error}`);
+                return;
+            }
+
+            ['hook-name', 'hook-command', 'hook-url'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.value = '';
+            });
+            this.renderHooks();
+            this.showToast(`Hook "${result.hook.name}" added`, 'success');
+        });
+
+        document.getElementById('refreshHookLogBtn')?.addEventListener('click', () => this.renderHooks());
+
+        document.getElementById('hookList')?.addEventListener('click', async (e) => {
+            const row = e.target.closest('[data-hook-id]');
+            if (!row) return;
+            const id = row.dataset.hookId;
+
+            if (e.target.closest('.test-hook-btn')) {
+                e.target.closest('.test-hook-btn').disabled = true;
+                const result = await window.electronAPI.testHook(id);
+                if (!result.success) {
+                    this.showError(`Hook test failed: ${result.error}`);
+                } else if (result.entry.success) {
+                    this.showToast(`Hook "${result.entry.name}" ran successfully`, 'success');
+                } else {
+                    this.showError(`Hook "${result.entry.name}" failed: ${result.entry.error}`);
+                }
+                this.renderHooks();
+            }
 
-        this.showToast('Settings saved successfully', 'success');
+            if (e.target.closest('.remove-hook-btn')) {
+                await window.electronAPI.removeHook(id);
+                this.renderHooks();
+                this.showToast('Hook deleted', 'info');
+            }
+        });
+
+        document.getElementById('hookList')?.addEventListener('change', async (e) => {
+            const checkbox = e.target.closest('.toggle-hook-checkbox');
+            const row = e.target.closest('[data-hook-id]');
+            if (!checkbox || !row) return;
+
+            const result = await window.electronAPI.updateHook(row.dataset.hookId, { enabled: checkbox.checked });
+            if (!result.success) {
+                this.showError(`Failed to update hook: ${result.error}`);
+                this.renderHooks();
+            }
+        });
     }
 
     // Show history modal
@@ -1127,6 +2782,10 @@ class GrabZillaApp {
                         <h3 class="text-sm text-white font-medium truncate">${entry.title}</h3>
                         <div class="flex items-center gap-3 text-xs text-[#90a1b9] mt-1">
                             <span>${entry.quality} • ${entry.format !== 'None' ? entry.format : 'MP4'}</span>
+                            ${entry.subtitleFiles && entry.subtitleFiles.length > 0 ? `
+                                <span>•</span>
+                                <span title="${entry.subtitleFiles.map(file => file.filename).join('\n')}">CC ${entry.subtitleFiles.map(file => file.language).join(', ')}</span>
+                            ` : ''}
                             <span>•</span>
                             <span>${dateStr} ${timeStr}</span>
                         </div>
@@ -1220,6 +2879,352 @@ class GrabZillaApp {
         }
     }
 
+    // Listen for new uploads of subscriptions before the main process starts checking
+    async startSubscriptionChecks() {
+        if (!window.electronAPI?.onSubscriptionNewVideos) return;
+
+        window.electronAPI.onSubscriptionNewVideos((event, data) => {
+            this.queueSubscriptionVideos(data);
+        });
+
+        try {
+            await window.electronAPI.startSubscriptionChecks();
+        } catch (error) {
+            logger.error('Error starting subscription checks:', error.message);
+        }
+    }
+
+    /**
+     * Add new uploads of a subscription to the list and download them with its defaults
+     * @param {Object} data - { subscription, videos } from the main process
+     */
+    async queueSubscriptionVideos({ subscription, videos }) {
+        try {
+            const archiveInfo = await this.filterArchivedUrls(videos.map(video => video.url));
+            const results = await this.state.addVideosFromUrls(archiveInfo.urls);
+            this.flagArchivedVideos(results.successful, archiveInfo.archived);
+
+            const queueOptions = {};
+            const added = results.successful.map(video => {
+                const changes = {};
+                if (subscription.quality) changes.quality = subscription.quality;
+                if (subscription.format) changes.format = subscription.format;
+                if (Object.keys(changes).length > 0) {
+                    this.state.updateVideo(video.id, changes);
+                }
+
+                queueOptions[video.id] = {};
+                if (subscription.savePath) queueOptions[video.id].savePath = subscription.savePath;
+                if (subscription.organizeRule) queueOptions[video.id].organizeRule = subscription.organizeRule;
+
+                return this.state.getVideo(video.id);
+            });
+
+            this.renderSubscriptions();
+
+            if (added.length === 0) return;
+
+            this.showToast(`Queued ${added.length} new video(s) from ${subscription.title}`, 'success');
+            await this.downloadVideos(added, queueOptions);
+        } catch (error) {
+            logger.error('Error queueing subscription videos:', error.message);
+            this.showError(`Failed to queue new videos from ${subscription.title}: ${error.message}`);
+        }
+    }
+
+    // Listen for grabzilla:// links, then handle the ones that opened or reached the app before
+    async startDeepLinkHandling() {
+        if (!window.electronAPI?.onDeepLink) return;
+
+        window.electronAPI.onDeepLink((event, link) => {
+            this.handleDeepLink(link);
+        });
+
+        try {
+            const links = await window.electronAPI.takePendingDeepLinks();
+            for (const link of links) {
+                await this.handleDeepLink(link);
+            }
+        } catch (error) {
+            logger.error('Error reading deep links:', error.message);
+        }
+    }
+
+    /**
+     * Ask the user before adding a video sent from the browser
+     * The main process has already checked the URL against the allowed sites and lookalike domains
+     * @param {Object} link - { url, quality, format } or { error } for rejected links
+     */
+    async handleDeepLink({ url, quality, format, error }) {
+        if (error) {
+            this.showError(`Ignored a link from the browser: ${error}`);
+            return;
+        }
+
+        const details = [quality && `Quality: ${quality}`, format && `Format: ${format}`].filter(Boolean).join('\n');
+        const confirmed = confirm(`Add this video sent from your browser?\n\n${url}${details ? `\n\n${details}` : ''}`);
+        if (!confirmed) return;
+
+        try {
+            const archiveInfo = await this.filterArchivedUrls([url]);
+            if (archiveInfo.urls.length === 0) {
+                this.showToast('Skipped a video that was already downloaded', 'info');
+                return;
+            }
+
+            const results = await this.state.addVideosFromUrls(archiveInfo.urls);
+            this.flagArchivedVideos(results.successful, archiveInfo.archived);
+
+            results.successful.forEach(video => {
+                const changes = {};
+                if (quality) changes.quality = quality;
+                if (format) changes.format = format;
+                if (Object.keys(changes).length > 0) {
+                    this.state.updateVideo(video.id, changes);
+                }
+            });
+
+            if (results.successful.length > 0) {
+                this.showToast('Added video from the browser', 'success');
+            } else if (results.duplicates.length > 0) {
+                this.showToast('This video is already in the list', 'info');
+            } else if (results.failed.length > 0) {
+                this.showError(`Failed to add the video: ${results.failed[0].error}`);
+            }
+        } catch (addError) {
+            logger.error('Error adding video from link:', addError.message);
+            this.showError(`Failed to add the video: ${addError.message}`);
+        }
+    }
+
+    // Show subscriptions modal
+    showSubscriptionsModal() {
+        const modal = document.getElementById('subscriptionsModal');
+        if (!modal) return;
+
+        this.subscriptionSavePath = null;
+        const folderLabel = document.getElementById('subscriptionFolderLabel');
+        if (folderLabel) folderLabel.textContent = 'Default save folder';
+
+        this.renderSubscriptions();
+        this.setupSubscriptionsModalListeners();
+
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    // Render subscriptions and the log of queued uploads
+    async renderSubscriptions() {
+        const list = document.getElementById('subscriptionList');
+        const emptyState = document.getElementById('subscriptionsEmptyState');
+        const log = document.getElementById('subscriptionLog');
+        if (!list || !window.electronAPI?.getSubscriptions) return;
+
+        try {
+            const { subscriptions, log: entries } = await window.electronAPI.getSubscriptions();
+
+            list.innerHTML = '';
+            emptyState?.classList.toggle('hidden', subscriptions.length > 0);
+
+            subscriptions.forEach(subscription => {
+                const row = document.createElement('div');
+                row.className = 'bg-[#1d293d] rounded-lg p-3 flex items-center gap-3';
+                row.dataset.subscriptionId = subscription.id;
+
+                const info = document.createElement('div');
+                info.className = 'flex-1 min-w-0';
+
+                const title = document.createElement('h3');
+                title.className = 'text-sm text-white font-medium truncate';
+                title.textContent = subscription.title;
+                title.title = subscription.url;
+
+                const details = document.createElement('p');
+                details.className = 'text-xs text-[#90a1b9] mt-1 truncate';
+                const interval = subscription.intervalHours > 0 ? `every ${subscription.intervalHours}h` : 'manual checks';
+                const checked = subscription.lastCheckedAt ? new Date(subscription.lastCheckedAt).toLocaleString() : 'never';
+                details.textContent = [
+                    subscription.quality || 'Default quality',
+                    subscription.format || 'Default format',
+                    subscription.savePath || 'Default save folder',
+                    interval,
+                    `last checked ${checked}`
+                ].join(' • ');
+
+                info.append(title, details);
+
+                if (subscription.lastError) {
+                    const error = document.createElement('p');
+                    error.className = 'text-xs text-[#e7000b] mt-1 truncate';
+                    error.textContent = subscription.lastError;
+                    info.appendChild(error);
+                }
+
+                const enabled = document.createElement('label');
+                enabled.className = 'flex items-center gap-1 text-xs text-[#90a1b9] cursor-pointer flex-shrink-0';
+                enabled.innerHTML = '<input type="checkbox" class="toggle-subscription-checkbox w-4 h-4"> Auto';
+                enabled.querySelector('input').checked = subscription.enabled;
+
+                const checkBtn = document.createElement('button');
+                checkBtn.className = 'check-subscription-btn text-[#155dfc] hover:text-white px-3 py-1 rounded border border-[#155dfc] hover:bg-[#155dfc] transition-colors text-xs flex-shrink-0';
+                checkBtn.textContent = subscription.checking ? 'Checking...' : 'Check Now';
+                checkBtn.disabled = subscription.checking;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-subscription-btn text-[#90a1b9] hover:text-[#e7000b] transition-colors text-xs flex-shrink-0';
+                removeBtn.textContent = 'Unsubscribe';
+
+                row.append(info, enabled, checkBtn, removeBtn);
+                list.appendChild(row);
+            });
+
+            if (log) {
+                log.innerHTML = '';
+                if (entries.length === 0) {
+                    log.innerHTML = '<li>No new uploads queued yet</li>';
+                }
+
+                entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    const time = new Date(entry.checkedAt).toLocaleString();
+
+                    if (entry.error) {
+                        item.className = 'text-[#e7000b]';
+                        item.textContent = `${time} — ${entry.title}: check failed (${entry.error})`;
+                    } else {
+                        const skipped = entry.skipped > 0 ? `, ${entry.skipped} more skipped` : '';
+                        item.textContent = `${time} — ${entry.title}: queued ${entry.videos.length}${skipped}`;
+                        item.title = entry.videos.map(video => video.title).join('\n');
+                    }
+
+                    log.appendChild(item);
+                });
+            }
+        } catch (error) {
+            logger.error('Error loading subscriptions:', error.message);
+            list.innerHTML = '<p class="text-xs text-[#e7000b]">Failed to load subscriptions</p>';
+        }
+    }
+
+    // Read the add-subscription form
+    readSubscriptionForm() {
+        const interval = parseInt(document.getElementById('subscriptionInterval')?.value, 10);
+
+        return {
+            quality: document.getElementById('subscriptionQuality')?.value || null,
+            format: document.getElementById('subscriptionFormat')?.value || null,
+            organizeRule: document.getElementById('subscriptionOrganizeRule')?.value || null,
+            intervalHours: Number.isInteger(interval) ? interval : 24,
+            savePath: this.subscriptionSavePath || null
+        };
+    }
+
+    // Setup subscriptions modal listeners (replace nodes so reopening doesn't stack listeners)
+    setupSubscriptionsModalListeners() {
+        const modal = document.getElementById('subscriptionsModal');
+        if (!modal) return;
+
+        ['closeSubscriptionsModal', 'checkAllSubscriptionsBtn', 'addSubscriptionBtn', 'subscriptionFolderBtn', 'subscriptionList'].forEach(id => {
+            const element = document.getElementById(id);
+            element?.replaceWith(element.cloneNode(true));
+        });
+
+        const closeModal = () => {
+            modal.classList.remove('flex');
+            modal.classList.add('hidden');
+        };
+
+        document.getElementById('closeSubscriptionsModal')?.addEventListener('click', closeModal);
+
+        if (!modal.dataset.listenersAttached) {
+            modal.dataset.listenersAttached = 'true';
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal();
+            });
+        }
+
+        document.getElementById('subscriptionFolderBtn')?.addEventListener('click', async () => {
+            const result = await window.electronAPI.selectSaveDirectory();
+            if (result.success && result.path) {
+                this.subscriptionSavePath = result.path;
+                document.getElementById('subscriptionFolderLabel').textContent = result.path;
+            }
+        });
+
+        document.getElementById('addSubscriptionBtn')?.addEventListener('click', async (e) => {
+            const urlInput = document.getElementById('subscriptionUrlInput');
+            const url = urlInput?.value.trim();
+            if (!url) {
+                this.showError('Please enter a channel or playlist URL');
+                return;
+            }
+
+            const button = e.currentTarget;
+            button.disabled = true;
+            button.textContent = 'Subscribing...';
+
+            try {
+                const result = await window.electronAPI.addSubscription(url, this.readSubscriptionForm());
+                if (!result.success) {
+                    this.showError(`Failed to subscribe: ${result.error}`);
+                    return;
+                }
+
+                urlInput.value = '';
+                this.showToast(`Subscribed to ${result.subscription.title}`, 'success');
+                this.renderSubscriptions();
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Subscribe';
+            }
+        });
+
+        document.getElementById('checkAllSubscriptionsBtn')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            button.disabled = true;
+
+            try {
+                const result = await window.electronAPI.checkAllSubscriptions();
+                const failedText = result.failed > 0 ? `, ${result.failed} failed` : '';
+                this.showToast(`Checked ${result.checked} subscription(s): ${result.newCount} new video(s)${failedText}`, result.failed > 0 ? 'warning' : 'info');
+                this.renderSubscriptions();
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        document.getElementById('subscriptionList')?.addEventListener('click', async (e) => {
+            const row = e.target.closest('[data-subscription-id]');
+            if (!row) return;
+            const id = row.dataset.subscriptionId;
+
+            if (e.target.closest('.check-subscription-btn')) {
+                e.target.closest('.check-subscription-btn').disabled = true;
+                const result = await window.electronAPI.checkSubscription(id);
+                if (!result.success) {
+                    this.showError(`Check failed: ${result.error}`);
+                } else if (result.newCount === 0) {
+                    this.showToast(`No new videos from ${result.subscription.title}`, 'info');
+                }
+                this.renderSubscriptions();
+            }
+
+            if (e.target.closest('.remove-subscription-btn')) {
+                await window.electronAPI.removeSubscription(id);
+                this.renderSubscriptions();
+                this.showToast('Unsubscribed', 'info');
+            }
+        });
+
+        document.getElementById('subscriptionList')?.addEventListener('change', async (e) => {
+            const checkbox = e.target.closest('.toggle-subscription-checkbox');
+            const row = e.target.closest('[data-subscription-id]');
+            if (!checkbox || !row) return;
+
+            await window.electronAPI.updateSubscription(row.dataset.subscriptionId, { enabled: checkbox.checked });
+        });
+    }
+
     // Event handlers
     async handleAddVideo() {
         const urlInput = document.getElementById('urlInput');
@@ -1286,8 +3291,21 @@ class GrabZillaApp {
                 }
             }
 
+            // Skip or flag videos downloaded before
+            const archiveInfo = await this.filterArchivedUrls(urlsToAdd);
+            urlsToAdd = archiveInfo.urls;
+
+            if (urlsToAdd.length === 0) {
+                this.showToast(`Skipped ${archiveInfo.skipped} video(s) already downloaded`, 'info');
+                if (urlInput) {
+                    urlInput.value = '';
+                }
+                return;
+            }
+
             // Add videos to state
             const results = await this.state.addVideosFromUrls(urlsToAdd, addOptions);
+            this.flagArchivedVideos(results.successful, archiveInfo.archived);
 
             // Clear input on success
             if (urlInput) {
@@ -1299,7 +3317,8 @@ class GrabZillaApp {
             const failedCount = results.failed.length;
 
             if (successCount > 0) {
-                const message = `Added ${successCount} video(s)`;
+                const skippedText = archiveInfo.skipped > 0 ? `, skipped ${archiveInfo.skipped} already downloaded` : '';
+                const message = `Added ${successCount} video(s)${skippedText}`;
                 this.showToast(message, 'success');
             }
 
@@ -1327,6 +3346,95 @@ class GrabZillaApp {
         }
     }
 
+    async handleAddLocalFiles() {
+        if (!window.IPCManager || !window.IPCManager.isAvailable()) {
+            this.showError('Adding local files requires Electron environment');
+            return;
+        }
+
+        try {
+            const result = await window.IPCManager.selectLocalFiles();
+            if (result && result.success) {
+                await this.addLocalFiles(result.filePaths);
+            } else if (result && result.error) {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            logger.error('Error selecting local files:', error.message);
+            this.showError(`Failed to add files: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add files dropped on the video list
+     * @param {FileList} files - Dropped files
+     */
+    async handleDroppedFiles(files) {
+        if (!window.electronAPI?.getPathForFile) {
+            this.showError('Adding local files requires Electron environment');
+            return;
+        }
+
+        const filePaths = Array.from(files)
+            .map(file => window.electronAPI.getPathForFile(file))
+            .filter(Boolean);
+
+        await this.addLocalFiles(filePaths);
+    }
+
+    /**
+     * Add local media files to the list, they are converted instead of downloaded
+     * Unsupported files and files already in the list are skipped
+     * @param {Array<string>} filePaths - Absolute file paths
+     */
+    async addLocalFiles(filePaths) {
+        const mediaPaths = filePaths.filter(filePath => window.LocalMedia.isMediaFile(filePath));
+        const unsupported = filePaths.length - mediaPaths.length;
+
+        // Local files have no "None" option, they are only queued to be converted
+        const defaultFormat = this.state.config.defaultFormat;
+        const format = defaultFormat && defaultFormat !== 'None' ? defaultFormat : 'H264';
+
+        let addedCount = 0;
+        const failed = [];
+
+        for (const filePath of mediaPaths) {
+            if (this.state.getVideos().some(v => v.url === window.LocalMedia.toUrl(filePath))) {
+                continue;
+            }
+
+            try {
+                const result = await window.IPCManager.getLocalFileInfo(filePath);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                const { info } = result;
+                const video = window.Video.fromFile(info.filePath, {
+                    title: info.title,
+                    duration: info.duration ? this.formatDuration(info.duration) : undefined,
+                    quality: this.state.config.defaultQuality,
+                    format
+                });
+                this.state.addVideo(video);
+                addedCount++;
+            } catch (error) {
+                logger.warn(`Could not add ${filePath}:`, error.message);
+                failed.push(window.LocalMedia.getTitle(filePath));
+            }
+        }
+
+        if (addedCount > 0) {
+            this.updateStatusMessage(`Added ${addedCount} local file(s) to convert`);
+        }
+        if (failed.length > 0) {
+            this.showToast(`Could not add: ${failed.join(', ')}`, 'error');
+        }
+        if (unsupported > 0) {
+            this.showToast(`${unsupported} file(s) skipped, only video and audio files can be converted`, 'warning');
+        }
+    }
+
     async handleSelectSavePath() {
         if (!window.IPCManager || !window.IPCManager.isAvailable()) {
             this.showError('Path selection requires Electron environment');
@@ -1556,6 +3664,10 @@ class GrabZillaApp {
             let addedCount = 0;
             let skippedCount = 0;
 
+            const skipArchived = this.state.config.archiveAction === 'skip';
+            const archived = await this.getArchivedUrls(result.videos.map(videoData => videoData.url));
+            let archivedCount = 0;
+
             for (const videoData of result.videos) {
                 // Check for duplicates (only if merging)
                 if (!action) {
@@ -1566,6 +3678,11 @@ class GrabZillaApp {
                     }
                 }
 
+                if (skipArchived && archived.has(videoData.url)) {
+                    archivedCount++;
+                    continue;
+                }
+
                 // Create new video with imported data - Video constructor takes (url, options)
                 const video = new Video(videoData.url, {
                     title: videoData.title || 'Imported Video',
@@ -1573,16 +3690,20 @@ class GrabZillaApp {
                     duration: videoData.duration || '',
                     quality: videoData.quality || this.state.config.defaultQuality,
                     format: videoData.format || this.state.config.defaultFormat,
-                    status: 'ready' // Always reset to ready on import
+                    status: 'ready', // Always reset to ready on import
+                    archived: archived.has(videoData.url),
+                    ...this.importClips(videoData),
+                    splitChapters: videoData.splitChapters === true && !videoData.clips?.length
                 });
 
                 this.state.addVideo(video);
                 addedCount++;
             }
 
+            const archivedText = archivedCount > 0 ? `, skipped ${archivedCount} already downloaded` : '';
             const message = action
-                ? `Imported ${addedCount} video(s)`
-                : `Imported ${addedCount} video(s)${skippedCount > 0 ? `, skipped ${skippedCount} duplicate(s)` : ''}`;
+                ? `Imported ${addedCount} video(s)${archivedText}`
+                : `Imported ${addedCount} video(s)${skippedCount > 0 ? `, skipped ${skippedCount} duplicate(s)` : ''}${archivedText}`;
 
             this.showToast(message, 'success');
             this.renderVideoList();
@@ -1659,10 +3780,21 @@ class GrabZillaApp {
             return;
         }
 
+        await this.downloadVideos(videos);
+    }
+
+    /**
+     * Download a batch of videos through the main process DownloadManager
+     * @param {Video[]} videos - Videos to download
+     * @param {Object} queueOptions - Optional per-video queue data keyed by video id, overrides
+     *                                the settings ({ priority, retryCount, savePath, ... } for restored downloads)
+     */
+    async downloadVideos(videos, queueOptions = {}) {
         this.state.updateUI({ isDownloading: true });
         this.updateStatusMessage(`Starting parallel download of ${videos.length} video(s)...`);
 
-        // Set up download progress listener
+        // Set up download progress listener (shared by overlapping batches)
+        this.activeDownloadBatches = (this.activeDownloadBatches || 0) + 1;
         window.IPCManager.onDownloadProgress('app', (progressData) => {
             this.handleDownloadProgress(progressData);
         });
@@ -1674,24 +3806,66 @@ class GrabZillaApp {
         const downloadPromises = videos.map(async (video) => {
             try {
                 // Update video status to downloading
-                this.state.updateVideo(video.id, { status: 'downloading', progress: 0 });
-
-                const result = await window.IPCManager.downloadVideo({
-                    videoId: video.id,
-                    url: video.url,
-                    quality: video.quality,
-                    format: video.format,
-                    savePath: this.state.config.savePath,
-                    cookieFile: this.state.config.cookieFile
-                });
+                this.state.updateVideo(video.id, { status: 'downloading', progress: 0, warning: null });
+
+                let result;
+                if (video.isLocal()) {
+                    result = await window.IPCManager.convertLocalFile({
+                        videoId: video.id,
+                        filePath: video.filePath,
+                        quality: video.quality,
+                        format: video.format,
+                        audio: window.AudioOptions ? window.AudioOptions.fromConfig(this.state.config) : null,
+                        preset: this.getConversionPreset(video.format),
+                        ...(queueOptions[video.id] || {})
+                    });
+                } else {
+                    result = await window.IPCManager.downloadVideo({
+                        videoId: video.id,
+                        url: video.url,
+                        quality: video.quality,
+                        format: video.format,
+                        savePath: this.state.config.savePath,
+                        cookieFile: this.state.config.cookieFile,
+                        filenameTemplate: this.state.config.filenamePattern,
+                        subtitles: this.getSubtitleOptions(video),
+                        formatPreferences: window.FormatSelector.fromConfig(this.state.config),
+                        audio: window.AudioOptions ? window.AudioOptions.fromConfig(this.state.config) : null,
+                        metadata: window.MetadataOptions ? window.MetadataOptions.fromConfig(this.state.config) : null,
+                        rateLimit: video.rateLimit,
+                        organizeRule: this.state.config.autoOrganize ? (this.state.config.organizeRule || 'uploader') : null,
+                        playlist: video.playlist,
+                        clips: video.clips,
+                        clipMode: video.clipMode,
+                        splitChapters: video.splitChapters,
+                        preset: this.getConversionPreset(video.format),
+                        originalPolicy: this.state.config.originalPolicy || 'delete',
+                        title: video.title,
+                        ...(queueOptions[video.id] || {})
+                    });
+                }
 
                 if (result.success) {
                     this.state.updateVideo(video.id, {
                         status: 'completed',
                         progress: 100,
-                        filename: result.filename
+                        filename: result.filename,
+                        subtitleFiles: result.subtitles || [],
+                        clipFiles: result.clipFiles || [],
+                        chapterFiles: result.chapterFiles || [],
+                        warning: result.warning || null
                     });
 
+                    // The conversion didn't check out, the original was kept next to it
+                    if (result.warning) {
+                        this.showToast(`${video.getDisplayName()}: ${result.warning}`, 'warning', 8000);
+                    }
+
+                    // Videos without chapters are kept as one file
+                    if (video.splitChapters && !result.chapterFiles?.length && result.message) {
+                        this.showToast(`${video.getDisplayName()}: ${result.message}`, 'info');
+                    }
+
                     // Add to download history
                     const completedVideo = this.state.getVideo(video.id);
                     if (completedVideo) {
@@ -1729,10 +3903,12 @@ class GrabZillaApp {
         const successCount = results.filter(r => r.success).length;
         const failedCount = results.filter(r => !r.success).length;
 
-        // Clean up progress listener
-        window.IPCManager.removeDownloadProgressListener('app');
-
-        this.state.updateUI({ isDownloading: false });
+        // Clean up progress listener once no batch is running
+        this.activeDownloadBatches--;
+        if (this.activeDownloadBatches === 0) {
+            window.IPCManager.removeDownloadProgressListener('app');
+            this.state.updateUI({ isDownloading: false });
+        }
 
         // Show final status
         let message = `Download complete: ${successCount} succeeded`;
@@ -1742,6 +3918,104 @@ class GrabZillaApp {
         this.updateStatusMessage(message);
     }
 
+    /**
+     * Offer to resume downloads left unfinished by the previous session
+     * The main process keeps them in an on-disk queue journal; resuming
+     * re-queues them so yt-dlp continues from the partial files
+     */
+    async checkRestorableDownloads() {
+        if (!window.electronAPI?.getRestorableDownloads) return;
+
+        let downloads = [];
+        try {
+            const result = await window.electronAPI.getRestorableDownloads();
+            downloads = result.success ? result.downloads : [];
+        } catch (error) {
+            logger.warn('Failed to read unfinished downloads:', error.message);
+        }
+
+        const restorableIds = new Set(downloads.map(entry => entry.videoId));
+
+        // Videos saved mid-download that the main process doesn't know about can't resume
+        this.state.getVideos()
+            .filter(video => video.isProcessing() && !restorableIds.has(video.id))
+            .forEach(video => {
+                this.state.updateVideo(video.id, { status: 'ready', progress: 0, downloadSpeed: null, eta: null });
+            });
+
+        if (downloads.length === 0) return;
+
+        const interrupted = downloads.filter(entry => entry.status !== 'queued').length;
+        const details = interrupted > 0 ? ` (${interrupted} interrupted mid-download)` : '';
+        const resume = confirm(
+            `${downloads.length} download(s) from your last session did not finish${details}.\n\n` +
+            'Resume them now? Partially downloaded files will be reused.'
+        );
+
+        if (!resume) {
+            try {
+                await window.electronAPI.discardRestorableDownloads();
+            } catch (error) {
+                logger.warn('Failed to discard unfinished downloads:', error.message);
+            }
+            downloads.forEach(entry => {
+                if (this.state.getVideo(entry.videoId)) {
+                    this.state.updateVideo(entry.videoId, { status: 'ready', progress: 0 });
+                }
+            });
+            return;
+        }
+
+        // Recreate videos that were lost with the renderer state (e.g. after a crash)
+        const videos = [];
+        const queueOptions = {};
+        downloads.forEach(entry => {
+            let video = this.state.getVideo(entry.videoId);
+            if (!video) {
+                try {
+                    video = window.Video.fromJSON({
+                        id: entry.videoId,
+                        url: entry.url,
+                        source: entry.options?.source,
+                        filePath: entry.options?.filePath,
+                        title: entry.options?.title || undefined,
+                        quality: entry.quality,
+                        format: entry.format,
+                        createdAt: new Date(entry.addedAt || Date.now()).toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                    this.state.addVideo(video);
+                } catch (error) {
+                    logger.warn(`Skipping unfinished download ${entry.videoId}:`, error.message);
+                    return;
+                }
+            }
+
+            this.state.updateVideo(video.id, { status: 'ready', progress: entry.progress || 0, error: null });
+            queueOptions[video.id] = { priority: entry.priority, retryCount: entry.retryCount };
+
+            // Partial files are only reused if yt-dlp writes to the same path as before
+            if (entry.savePath) {
+                queueOptions[video.id].savePath = entry.savePath;
+            }
+            if (entry.options && 'organizeRule' in entry.options) {
+                queueOptions[video.id].organizeRule = entry.options.organizeRule;
+            }
+
+            // Keep the options the download was queued with
+            ['filenameTemplate', 'subtitles', 'rateLimit', 'formatPreferences', 'playlist', 'clips', 'clipMode', 'splitChapters', 'audio', 'metadata', 'preset', 'originalPolicy'].forEach(key => {
+                if (entry.options?.[key]) {
+                    queueOptions[video.id][key] = entry.options[key];
+                }
+            });
+            videos.push(video);
+        });
+
+        if (videos.length > 0) {
+            this.downloadVideos(videos, queueOptions);
+        }
+    }
+
     // Handle pause download
     async handlePauseDownload(videoId) {
         if (!window.electronAPI) {
@@ -1792,12 +4066,16 @@ class GrabZillaApp {
         const video = this.state.getVideos().find(v => v.url === url);
         if (!video) return;
 
+        // Late output from a stopped process must not un-pause the video
+        if (video.status === 'paused' && status !== 'paused' && stage !== 'resumed') return;
+
         // Update video progress
         this.state.updateVideo(video.id, {
             progress: Math.round(progress),
             status: status || 'downloading',
             downloadSpeed: speed,
-            eta: eta
+            eta: eta,
+            queuePosition: stage === 'queued' ? progressData.queuePosition : null
         });
     }
 
@@ -1835,7 +4113,7 @@ class GrabZillaApp {
             if (hasSelection) {
                 // Cancel only selected videos that are downloading or converting
                 videosToCancel = selectedVideos.filter(v =>
-                    v.status === 'downloading' || v.status === 'converting'
+                    v.status === 'downloading' || v.status === 'converting' || v.status === 'paused'
                 );
 
                 if (videosToCancel.length === 0) {
@@ -1857,7 +4135,8 @@ class GrabZillaApp {
                 // Cancel all active downloads
                 const downloadingVideos = this.state.getVideosByStatus('downloading');
                 const convertingVideos = this.state.getVideosByStatus('converting');
-                videosToCancel = [...downloadingVideos, ...convertingVideos];
+                const pausedVideos = this.state.getVideosByStatus('paused');
+                videosToCancel = [...downloadingVideos, ...convertingVideos, ...pausedVideos];
 
                 if (videosToCancel.length === 0) {
                     this.updateStatusMessage('No active downloads to cancel');
@@ -2028,6 +4307,7 @@ class GrabZillaApp {
 
         const defaultFormat = document.getElementById('defaultFormat');
         if (defaultFormat) {
+            defaultFormat.innerHTML = this.renderFormatOptions(this.state.config.defaultFormat);
             defaultFormat.value = this.state.config.defaultFormat;
         }
     }
@@ -2050,7 +4330,7 @@ class GrabZillaApp {
             videoList.innerHTML = `
                 <div class="text-center py-12 text-[#90a1b9]">
                     <p class="text-lg mb-2">No videos yet</p>
-                    <p class="text-sm">Paste YouTube or Vimeo URLs above to get started</p>
+                    <p class="text-sm">Paste video URLs above to get started</p>
                 </div>
             `;
             return;
@@ -2097,7 +4377,7 @@ class GrabZillaApp {
 
             <!-- Video Info -->
             <div class="flex items-center gap-3 min-w-0">
-                <div class="video-thumbnail-container w-16 h-12 bg-[#45556c] rounded overflow-hidden flex-shrink-0 relative group cursor-pointer" data-preview-url="${video.url}">
+                <div class="video-thumbnail-container w-16 h-12 bg-[#45556c] rounded overflow-hidden flex-shrink-0 relative group ${video.isLocal() ? '' : 'cursor-pointer'}" data-preview-url="${video.isLocal() ? '' : video.url}">
                     ${video.isFetchingMetadata ?
                         `<div class="w-full h-full bg-gradient-to-br from-[#4a5568] to-[#2d3748] flex items-center justify-center">
                             <svg class="animate-spin h-5 w-5 text-[#155dfc]" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -2114,16 +4394,29 @@ class GrabZillaApp {
                             </div>`
                     }
                     <!-- Preview Overlay -->
-                    <div class="absolute inset-0 bg-black/70 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
+                    ${video.isLocal() ? '' : `<div class="absolute inset-0 bg-black/70 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="white">
                             <path d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
                             <path fill-rule="evenodd" d="M1.323 11.447C2.811 6.976 7.028 3.75 12.001 3.75c4.97 0 9.185 3.223 10.675 7.69.12.362.12.752 0 1.113-1.487 4.471-5.705 7.697-10.677 7.697-4.97 0-9.186-3.223-10.675-7.69a1.762 1.762 0 010-1.113zM17.25 12a5.25 5.25 0 11-10.5 0 5.25 5.25 0 0110.5 0z" clip-rule="evenodd"/>
                         </svg>
-                    </div>
+                    </div>`}
                 </div>
                 <div class="min-w-0 flex-1">
                     <div class="flex items-center gap-2">
                         <div class="text-sm text-white truncate font-medium flex-1">${video.getDisplayName()}</div>
+                        ${video.isLocal() ? `
+                            <span class="flex-shrink-0 px-1 rounded text-[10px] font-semibold border border-[#45556c] text-[#90a1b9]"
+                                title="${this.escapeHtml(video.filePath)}">Local file</span>
+                        ` : `
+                        <button class="video-options-btn flex-shrink-0 px-1 rounded text-[10px] font-semibold border transition-colors hover:text-white ${video.subtitles || video.rateLimit || video.clips.length > 0 || video.splitChapters ? 'border-[#155dfc] text-[#155dfc]' : 'border-[#45556c] text-[#90a1b9]'}"
+                            aria-label="Options for ${video.getDisplayName()}" title="Video options (subtitles, clips, chapters, speed limit)">
+                            CC
+                        </button>
+                        `}
+                        ${video.archived ? `
+                            <span class="flex-shrink-0 px-1 rounded text-[10px] font-semibold border border-[#00a63e] text-[#00a63e]"
+                                title="This video is in the download archive">Downloaded before</span>
+                        ` : ''}
                         ${video.requiresAuth ? `
                             <div class="flex-shrink-0 group relative">
                                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="text-[#f59e0b]" stroke-linecap="round" stroke-linejoin="round">
@@ -2161,10 +4454,7 @@ class GrabZillaApp {
             <div class="flex justify-center">
                 <select class="quality-select bg-[#314158] border border-[#45556c] text-[#cad5e2] px-2 py-1 rounded text-xs font-medium min-w-0 w-full text-center"
                     aria-label="Quality for ${video.getDisplayName()}">
-                    <option value="Best" ${video.quality === 'Best' ? 'selected' : ''}>Best</option>
-                    <option value="4K" ${video.quality === '4K' ? 'selected' : ''}>4K</option>
-                    <option value="1080p" ${video.quality === '1080p' ? 'selected' : ''}>1080p</option>
-                    <option value="720p" ${video.quality === '720p' ? 'selected' : ''}>720p</option>
+                    ${this.renderQualityOptions(video)}
                 </select>
             </div>
 
@@ -2172,17 +4462,13 @@ class GrabZillaApp {
             <div class="flex justify-center">
                 <select class="format-select bg-[#314158] border border-[#45556c] text-[#cad5e2] px-2 py-1 rounded text-xs font-medium min-w-0 w-full text-center"
                     aria-label="Format for ${video.getDisplayName()}">
-                    <option value="None" ${video.format === 'None' ? 'selected' : ''}>None</option>
-                    <option value="H264" ${video.format === 'H264' ? 'selected' : ''}>H264</option>
-                    <option value="ProRes" ${video.format === 'ProRes' ? 'selected' : ''}>ProRes</option>
-                    <option value="DNxHR" ${video.format === 'DNxHR' ? 'selected' : ''}>DNxHR</option>
-                    <option value="Audio only" ${video.format === 'Audio only' ? 'selected' : ''}>Audio only</option>
+                    ${this.renderFormatOptions(video.format)}
                 </select>
             </div>
 
             <!-- Status Badge with Pause/Resume -->
             <div class="flex items-center justify-center gap-2 status-column">
-                <span class="status-badge ${video.status}" role="status" aria-live="polite">
+                <span class="status-badge ${video.status}${video.warning ? ' warning' : ''}" role="status" aria-live="polite"${video.warning ? ` title="${this.escapeHtml(video.warning)}"` : ''}>
                     ${this.getStatusText(video)}
                 </span>
                 ${video.status === 'downloading' || video.status === 'paused' ? `
@@ -2233,9 +4519,13 @@ class GrabZillaApp {
             case 'paused':
                 return `Paused ${video.progress || 0}%`;
             case 'converting':
+                // Downloaded, waiting for a free conversion slot
+                if (video.queuePosition) {
+                    return `Waiting to convert (#${video.queuePosition})`;
+                }
                 return `Converting ${video.progress || 0}%`;
             case 'completed':
-                return 'Completed';
+                return video.warning ? 'Completed ⚠' : 'Completed';
             case 'error':
                 const retryText = video.retryCount > 0 ? ` (Retry ${video.retryCount}/${video.maxRetries})` : '';
                 return `Error${retryText}`;
@@ -2301,20 +4591,45 @@ class GrabZillaApp {
         // Update quality dropdown
         const qualitySelect = videoElement.querySelector('.quality-select');
         if (qualitySelect) {
+            const optionValues = this.getQualityOptions(video).map(option => option.value);
+            const currentValues = Array.from(qualitySelect.options).map(option => option.value);
+            if (optionValues.join('|') !== currentValues.join('|')) {
+                qualitySelect.innerHTML = this.renderQualityOptions(video);
+            }
             qualitySelect.value = video.quality;
         }
 
-        // Update format dropdown
+        // Update format dropdown, rebuilding it when presets were added or removed
         const formatSelect = videoElement.querySelector('.format-select');
         if (formatSelect) {
+            const optionValues = this.getFormatOptions().map(option => option.value);
+            const currentValues = Array.from(formatSelect.options).map(option => option.value);
+            if (optionValues.join('|') !== currentValues.join('|')) {
+                formatSelect.innerHTML = this.renderFormatOptions(video.format);
+            }
             formatSelect.value = video.format;
         }
 
+        // Highlight the options button when the video has its own subtitles, clips, chapter splitting or speed limit
+        const optionsButton = videoElement.querySelector('.video-options-btn');
+        if (optionsButton) {
+            const hasOptions = !!(video.subtitles || video.rateLimit || video.clips.length > 0 || video.splitChapters);
+            optionsButton.classList.toggle('border-[#155dfc]', hasOptions);
+            optionsButton.classList.toggle('text-[#155dfc]', hasOptions);
+            optionsButton.classList.toggle('border-[#45556c]', !hasOptions);
+            optionsButton.classList.toggle('text-[#90a1b9]', !hasOptions);
+        }
+
         // Update status badge with progress
         const statusBadge = videoElement.querySelector('.status-badge');
         if (statusBadge) {
-            statusBadge.className = `status-badge ${video.status}`;
+            statusBadge.className = `status-badge ${video.status}${video.warning ? ' warning' : ''}`;
             statusBadge.textContent = this.getStatusText(video);
+            if (video.warning) {
+                statusBadge.title = video.warning;
+            } else {
+                statusBadge.removeAttribute('title');
+            }
 
             // Add progress bar for downloading/converting states
             if (video.status === 'downloading' || video.status === 'converting') {
@@ -2463,7 +4778,7 @@ class GrabZillaApp {
                         break;
                     case 'Escape':
                         // Close any open modals
-                        const modals = ['settingsModal', 'playlistModal', 'previewModal', 'historyModal'];
+                        const modals = ['settingsModal', 'playlistModal', 'previewModal', 'historyModal', 'subscriptionsModal'];
                         modals.forEach(modalId => {
                             const modal = document.getElementById(modalId);
                             if (modal && modal.classList.contains('flex')) {
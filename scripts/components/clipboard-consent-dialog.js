@@ -94,7 +94,7 @@ class ClipboardConsentDialog {
                                 <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"/>
                             </svg>
                             <p class="text-sm text-[#cad5e2]">
-                                <strong class="text-white">Only checks for video URLs</strong> from YouTube and Vimeo
+                                <strong class="text-white">Only checks for video URLs</strong> from the sites enabled in Settings
                             </p>
                         </div>
                         <div class="flex items-start gap-2">
@@ -20,7 +20,7 @@ export const APP_CONFIG = {
     STATUS_AUTO_CLEAR_DELAY: 5000,
     INPUT_DEBOUNCE_DELAY: 300,
     SUPPORTED_QUALITIES: ['Best', '720p', '1080p', '4K'],
-    SUPPORTED_FORMATS: ['None', 'H264', 'ProRes', 'DNxHR', 'Audio only']
+    SUPPORTED_FORMATS: ['None', 'H264', 'ProRes', 'DNxHR', 'MP3', 'M4A', 'Opus', 'FLAC', 'WAV']
 };
 
 // Network and performance constants
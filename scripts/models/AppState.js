@@ -11,6 +11,7 @@ class AppState {
             defaultFormat: window.AppConfig?.APP_CONFIG?.DEFAULT_FORMAT || 'None',
             filenamePattern: window.AppConfig?.APP_CONFIG?.DEFAULT_FILENAME_PATTERN || '%(title)s.%(ext)s',
             cookieFile: null,
+            conversionPresets: [], // User-defined conversion formats (see ConversionPresets)
             maxHistoryEntries: 100, // Maximum number of history entries to keep
             clipboardConsent: null // null = not asked, true = allowed, false = denied
         };
@@ -457,6 +458,11 @@ class AppState {
     // State restoration
     fromJSON(data) {
         try {
+            // Custom sites must be allowed before their videos are restored
+            if (window.SiteRegistry && data.config?.siteSettings) {
+                window.SiteRegistry.configure(data.config.siteSettings);
+            }
+
             // Restore videos
             this.videos = (data.videos || []).map(v => window.Video.fromJSON(v));
 
@@ -468,6 +474,9 @@ class AppState {
                 ...this.config,
                 ...data.config
             };
+            if (this.config.defaultFormat === 'Audio only') {
+                this.config.defaultFormat = 'M4A';
+            }
 
             // Restore UI state with defaults
             this.ui = {
@@ -525,6 +534,7 @@ class AppState {
             quality: video.quality,
             format: video.format,
             filename: video.filename,
+            subtitleFiles: video.subtitleFiles || [],
             downloadedAt: new Date().toISOString()
         };
 
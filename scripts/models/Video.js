@@ -4,6 +4,8 @@
 class Video {
     constructor(url, options = {}) {
         this.id = this.generateId();
+        this.source = options.source === 'local' ? 'local' : 'url'; // 'local' = file on disk, converted without downloading
+        this.filePath = this.source === 'local' ? options.filePath || null : null;
         this.url = this.validateUrl(url);
         this.title = options.title || 'Loading...';
         this.thumbnail = options.thumbnail || 'assets/icons/placeholder.svg';
@@ -15,7 +17,9 @@ class Video {
         const defaultFormat = appState?.config?.defaultFormat || window.AppConfig?.APP_CONFIG?.DEFAULT_FORMAT || 'None';
 
         this.quality = options.quality || defaultQuality;
-        this.format = options.format || defaultFormat;
+        // 'Audio only' was the AAC export before MP3, Opus, FLAC and WAV were added
+        const format = options.format || defaultFormat;
+        this.format = format === 'Audio only' ? 'M4A' : format;
         this.status = options.status || 'ready';
         this.progress = options.progress || 0;
         this.filename = options.filename || '';
@@ -24,12 +28,35 @@ class Video {
         this.maxRetries = options.maxRetries || 3;
         this.downloadSpeed = options.downloadSpeed || null;
         this.eta = options.eta || null;
+        this.queuePosition = options.queuePosition || null; // Place in the conversion queue while waiting for a slot
         this.isFetchingMetadata = options.isFetchingMetadata !== undefined ? options.isFetchingMetadata : false;
         this.requiresAuth = options.requiresAuth || false; // Video requires cookie file for download
+        this.subtitles = options.subtitles || null; // Per-video subtitle options, null = use settings defaults
+        this.subtitleFiles = options.subtitleFiles || []; // Subtitle files written by the last download
+        this.availableQualities = options.availableQualities || null; // Qualities the source offers, null = not loaded yet
+        this.rateLimit = options.rateLimit || null; // Per-video speed limit in bytes/s, null = share of the global limit
+        this.playlist = options.playlist || null; // Playlist the video was added from ({ title, index, count })
+        this.archived = options.archived || false; // Found in the download archive when added
+        this.clips = options.clips || []; // Time ranges to download instead of the whole video ([{ start, end, label }] in seconds)
+        this.clipMode = options.clipMode || 'keyframe'; // 'keyframe' (fast cuts) or 'accurate' (re-encoded cuts)
+        this.clipFiles = options.clipFiles || []; // Clip files written by the last download
+        this.splitChapters = options.splitChapters || false; // Save one file per chapter in a folder named after the video
+        this.chapterFiles = options.chapterFiles || []; // Chapter files written by the last download
+        this.warning = options.warning || null; // Problem with a finished download, e.g. a conversion that failed its check
         this.createdAt = new Date();
         this.updatedAt = new Date();
     }
 
+    // Create a list item for a local media file, its file:// URL identifies it like a download URL
+    static fromFile(filePath, options = {}) {
+        return new Video(window.LocalMedia.toUrl(filePath), {
+            title: window.LocalMedia.getTitle(filePath),
+            ...options,
+            source: 'local',
+            filePath
+        });
+    }
+
     // Generate unique ID for video
     generateId() {
         return 'video_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -42,6 +69,13 @@ class Video {
         }
 
         const trimmedUrl = url.trim();
+        if (this.source === 'local') {
+            if (!this.filePath || !trimmedUrl.startsWith('file://')) {
+                throw new Error('Local items need a file path');
+            }
+            return trimmedUrl;
+        }
+
         if (window.URLValidator && !window.URLValidator.isValidVideoUrl(trimmedUrl)) {
             throw new Error('Invalid video URL format');
         }
@@ -53,7 +87,8 @@ class Video {
     update(properties) {
         const allowedProperties = [
             'title', 'thumbnail', 'duration', 'quality', 'format',
-            'status', 'progress', 'filename', 'error', 'retryCount', 'maxRetries', 'downloadSpeed', 'eta', 'isFetchingMetadata', 'requiresAuth'
+            'status', 'progress', 'filename', 'error', 'retryCount', 'maxRetries', 'downloadSpeed', 'eta', 'isFetchingMetadata', 'requiresAuth',
+            'subtitles', 'subtitleFiles', 'availableQualities', 'rateLimit', 'playlist', 'archived', 'clips', 'clipMode', 'clipFiles', 'splitChapters', 'chapterFiles', 'warning', 'queuePosition'
         ];
 
         Object.keys(properties).forEach(key => {
@@ -71,6 +106,11 @@ class Video {
         return this.title !== 'Loading...' ? this.title : this.url;
     }
 
+    // Check if the item is a local file rather than a download
+    isLocal() {
+        return this.source === 'local';
+    }
+
     // Check if video is downloadable
     isDownloadable() {
         return this.status === 'ready' && !this.error;
@@ -102,6 +142,9 @@ class Video {
         this.progress = 0;
         this.error = null;
         this.filename = '';
+        this.subtitleFiles = [];
+        this.warning = null;
+        this.queuePosition = null;
         this.updatedAt = new Date();
         return this;
     }
@@ -122,6 +165,9 @@ class Video {
             case 'downloading':
                 return this.progress > 0 ? `Downloading ${this.progress}%` : 'Downloading';
             case 'converting':
+                if (this.queuePosition) {
+                    return `Waiting to convert (#${this.queuePosition})`;
+                }
                 return this.progress > 0 ? `Converting ${this.progress}%` : 'Converting';
             case 'completed':
                 return 'Completed';
@@ -147,12 +193,15 @@ class Video {
     // Check if video supports the specified format
     supportsFormat(format) {
         const supportedFormats = window.AppConfig?.APP_CONFIG?.SUPPORTED_FORMATS ||
-                                ['None', 'H264', 'ProRes', 'DNxHR', 'Audio only'];
-        return supportedFormats.includes(format);
+                                ['None', 'H264', 'ProRes', 'DNxHR', 'MP3', 'M4A', 'Opus', 'FLAC', 'WAV'];
+        return supportedFormats.includes(format) || !!window.ConversionPresets?.isPresetFormat(format);
     }
 
     // Get video platform (YouTube, Vimeo, etc.)
     getPlatform() {
+        if (this.isLocal()) {
+            return 'Local file';
+        }
         if (window.URLValidator) {
             return window.URLValidator.getPlatform(this.url);
         }
@@ -161,7 +210,7 @@ class Video {
 
     // Get normalized URL
     getNormalizedUrl() {
-        if (window.URLValidator) {
+        if (window.URLValidator && !this.isLocal()) {
             return window.URLValidator.normalizeUrl(this.url);
         }
         return this.url;
@@ -218,6 +267,8 @@ class Video {
         return {
             id: this.id,
             url: this.url,
+            source: this.source,
+            filePath: this.filePath,
             title: this.title,
             thumbnail: this.thumbnail,
             duration: this.duration,
@@ -229,6 +280,17 @@ class Video {
             error: this.error,
             isFetchingMetadata: this.isFetchingMetadata,
             requiresAuth: this.requiresAuth,
+            subtitles: this.subtitles,
+            subtitleFiles: this.subtitleFiles,
+            rateLimit: this.rateLimit,
+            playlist: this.playlist,
+            archived: this.archived,
+            clips: this.clips,
+            clipMode: this.clipMode,
+            clipFiles: this.clipFiles,
+            splitChapters: this.splitChapters,
+            chapterFiles: this.chapterFiles,
+            warning: this.warning,
             estimatedSize: this.estimatedSize,
             downloadSpeed: this.downloadSpeed,
             createdAt: this.createdAt.toISOString(),
@@ -239,6 +301,8 @@ class Video {
     // Create Video from JSON
     static fromJSON(data) {
         const video = new Video(data.url, {
+            source: data.source,
+            filePath: data.filePath || null,
             title: data.title,
             thumbnail: data.thumbnail,
             duration: data.duration,
@@ -249,7 +313,18 @@ class Video {
             filename: data.filename,
             error: data.error,
             isFetchingMetadata: data.isFetchingMetadata || false,
-            requiresAuth: data.requiresAuth || false
+            requiresAuth: data.requiresAuth || false,
+            subtitles: data.subtitles || null,
+            subtitleFiles: data.subtitleFiles || [],
+            rateLimit: data.rateLimit || null,
+            playlist: data.playlist || null,
+            archived: data.archived || false,
+            clips: Array.isArray(data.clips) ? data.clips : [],
+            clipMode: data.clipMode || 'keyframe',
+            clipFiles: Array.isArray(data.clipFiles) ? data.clipFiles : [],
+            splitChapters: data.splitChapters === true,
+            chapterFiles: Array.isArray(data.chapterFiles) ? data.chapterFiles : [],
+            warning: data.warning || null
         });
 
         video.id = data.id;
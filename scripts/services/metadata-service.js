@@ -11,7 +11,8 @@ const logger = window.logger;
  * METADATA SERVICE
  *
  * Fetches video metadata (title, thumbnail, duration) from URLs using yt-dlp
- * via the Electron IPC bridge.
+ * via the Electron IPC bridge. Full metadata (formats, chapters, counts) is
+ * fetched separately on demand.
  *
  * Features:
  * - Async metadata fetching with timeout
@@ -27,6 +28,9 @@ class MetadataService {
         this.timeout = 30000; // 30 second timeout
         this.maxRetries = 2; // Maximum retry attempts
         this.retryDelay = 2000; // 2 second delay between retries
+        this.fullCache = new Map(); // Full metadata (formats, chapters) fetched on demand
+        this.pendingFullRequests = new Map();
+        this.fullTimeout = 60000; // Resolving every format takes longer
         this.ipcAvailable = typeof window !== 'undefined' && window.IPCManager;
     }
 
@@ -69,6 +73,52 @@ class MetadataService {
         }
     }
 
+    /**
+     * Get full video metadata (uploader, counts, description, chapters, formats)
+     * Uses a separate, slower IPC path than getVideoMetadata - only for single
+     * videos the user is looking at, never for bulk adds
+     * @param {string} url - Video URL to fetch metadata for
+     * @returns {Promise<Object>} Full metadata object
+     */
+    async getFullMetadata(url) {
+        if (!url || typeof url !== 'string') {
+            throw new Error('Valid URL is required');
+        }
+
+        if (!this.ipcAvailable || !window.IPCManager.getFullVideoMetadata) {
+            throw new Error('Full metadata not available in browser mode');
+        }
+
+        const normalizedUrl = this.normalizeUrl(url);
+
+        if (this.fullCache.has(normalizedUrl)) {
+            return this.fullCache.get(normalizedUrl);
+        }
+
+        if (this.pendingFullRequests.has(normalizedUrl)) {
+            return this.pendingFullRequests.get(normalizedUrl);
+        }
+
+        const cookieFile = window.appState?.config?.cookieFile || null;
+        const timeoutPromise = new Promise((_, reject) => {
+            setTimeout(() => reject(new Error('Metadata fetch timeout')), this.fullTimeout);
+        });
+
+        const requestPromise = Promise.race([
+            window.IPCManager.getFullVideoMetadata(normalizedUrl, cookieFile),
+            timeoutPromise
+        ]);
+        this.pendingFullRequests.set(normalizedUrl, requestPromise);
+
+        try {
+            const metadata = await requestPromise;
+            this.fullCache.set(normalizedUrl, metadata);
+            return metadata;
+        } finally {
+            this.pendingFullRequests.delete(normalizedUrl);
+        }
+    }
+
     /**
      * Fetch metadata from main process via IPC with retry logic
      * @private
@@ -169,20 +219,10 @@ class MetadataService {
      */
     extractTitleFromUrl(url) {
         try {
-            // Extract video ID for YouTube
-            if (url.includes('youtube.com') || url.includes('youtu.be')) {
-                const match = url.match(/(?:v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
-                if (match) {
-                    return `YouTube Video (${match[1]})`;
-                }
-            }
-
-            // Extract video ID for Vimeo
-            if (url.includes('vimeo.com')) {
-                const match = url.match(/vimeo\.com\/(\d+)/);
-                if (match) {
-                    return `Vimeo Video (${match[1]})`;
-                }
+            // Site name and video ID, e.g. "YouTube Video (dQw4w9WgXcQ)"
+            const result = window.SiteRegistry?.extractId(url);
+            if (result) {
+                return `${result.site.name} Video (${result.id})`;
             }
 
             return url;
@@ -234,8 +274,10 @@ class MetadataService {
         if (url) {
             const normalizedUrl = this.normalizeUrl(url);
             this.cache.delete(normalizedUrl);
+            this.fullCache.delete(normalizedUrl);
         } else {
             this.cache.clear();
+            this.fullCache.clear();
         }
     }
 
@@ -344,7 +344,7 @@ class AccessibilityManager {
             const instructions = document.createElement('div');
             instructions.id = 'url-instructions';
             instructions.className = 'sr-only';
-            instructions.textContent = 'Enter YouTube or Vimeo URLs, one per line. Press Ctrl+Enter to add videos quickly.';
+            instructions.textContent = 'Enter video URLs, one per line. Press Ctrl+Enter to add videos quickly.';
             urlInput.parentNode.appendChild(instructions);
         }
 
@@ -367,7 +367,7 @@ class AccessibilityManager {
             const formatHelp = document.createElement('div');
             formatHelp.id = 'format-help';
             formatHelp.className = 'sr-only';
-            formatHelp.textContent = 'Default conversion format. None means no conversion, Audio only extracts audio.';
+            formatHelp.textContent = 'Default conversion format. None means no conversion, MP3, M4A, Opus, FLAC and WAV extract audio.';
             defaultFormat.parentNode.appendChild(formatHelp);
         }
 
@@ -0,0 +1,171 @@
+// GrabZilla 2.1 - Audio Options
+// Audio export formats, bitrate/VBR, loudness normalization, cover art and tags (shared by main and renderer)
+
+class AudioOptions {
+    /**
+     * Audio formats offered as conversion targets
+     * 'Audio only' is the original AAC option, kept so saved settings and lists still work
+     */
+    static get FORMATS() {
+        return {
+            'MP3': { codec: 'libmp3lame', extension: 'mp3', lossless: false, vbr: true, coverArt: true },
+            'M4A': { codec: 'aac', extension: 'm4a', lossless: false, vbr: false, coverArt: true },
+            'Opus': { codec: 'libopus', extension: 'opus', lossless: false, vbr: true, coverArt: false },
+            'FLAC': { codec: 'flac', extension: 'flac', lossless: true, vbr: false, coverArt: true },
+            'WAV': { codec: 'pcm_s16le', extension: 'wav', lossless: true, vbr: false, coverArt: false },
+            'Audio only': { codec: 'aac', extension: 'm4a', lossless: false, vbr: false, coverArt: true }
+        };
+    }
+
+    /**
+     * Bitrates in kbit/s offered for lossy formats
+     */
+    static get BITRATES() {
+        return [96, 128, 160, 192, 256, 320];
+    }
+
+    static get DEFAULTS() {
+        return {
+            bitrate: 192,
+            vbr: false,
+            normalize: false,
+            coverArt: true,
+            tags: true
+        };
+    }
+
+    /**
+     * Single-pass EBU R128 loudness normalization, targeting -16 LUFS like streaming services
+     */
+    static get LOUDNORM_FILTER() {
+        return 'loudnorm=I=-16:TP=-1.5:LRA=11';
+    }
+
+    /**
+     * Check whether a conversion format produces an audio file
+     * @param {string} format - Conversion format
+     * @returns {boolean} True for audio formats
+     */
+    static isAudioFormat(format) {
+        return Object.prototype.hasOwnProperty.call(this.FORMATS, format);
+    }
+
+    /**
+     * Get the file extension of an audio format
+     * @param {string} format - Audio format
+     * @returns {string|null} Extension without the dot, or null for other formats
+     */
+    static getExtension(format) {
+        return this.isAudioFormat(format) ? this.FORMATS[format].extension : null;
+    }
+
+    /**
+     * Check whether a format can carry an embedded cover image
+     * @param {string} format - Audio format
+     * @returns {boolean} True if the cover is embedded
+     */
+    static supportsCoverArt(format) {
+        return this.isAudioFormat(format) && this.FORMATS[format].coverArt;
+    }
+
+    /**
+     * Validate audio options
+     * @param {object|null} options - { bitrate, vbr, normalize, coverArt, tags }
+     * @returns {object} { valid, error, options } - missing values are filled with the defaults
+     */
+    static validate(options) {
+        if (options === undefined || options === null) {
+            return { valid: true, error: null, options: this.DEFAULTS };
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return { valid: false, error: 'Audio options must be an object', options: null };
+        }
+
+        const merged = { ...this.DEFAULTS, ...options };
+
+        if (!this.BITRATES.includes(merged.bitrate)) {
+            return { valid: false, error: `Unsupported audio bitrate: ${merged.bitrate}. Allowed: ${this.BITRATES.join(', ')} kbit/s`, options: null };
+        }
+
+        for (const key of ['vbr', 'normalize', 'coverArt', 'tags']) {
+            if (typeof merged[key] !== 'boolean') {
+                return { valid: false, error: `Audio option ${key} must be true or false`, options: null };
+            }
+        }
+
+        const { bitrate, vbr, normalize, coverArt, tags } = merged;
+        return { valid: true, error: null, options: { bitrate, vbr, normalize, coverArt, tags } };
+    }
+
+    /**
+     * Read audio options from the app config
+     * @param {object} config - App config (audioBitrate, audioVbr, audioNormalize, audioCoverArt, audioTags)
+     * @returns {object} Audio options
+     */
+    static fromConfig(config = {}) {
+        const defaults = this.DEFAULTS;
+        return {
+            bitrate: config.audioBitrate || defaults.bitrate,
+            vbr: config.audioVbr === undefined ? defaults.vbr : config.audioVbr === true,
+            normalize: config.audioNormalize === undefined ? defaults.normalize : config.audioNormalize === true,
+            coverArt: config.audioCoverArt === undefined ? defaults.coverArt : config.audioCoverArt === true,
+            tags: config.audioTags === undefined ? defaults.tags : config.audioTags === true
+        };
+    }
+
+    /**
+     * Get the LAME VBR quality closest to a bitrate (0 = best)
+     * @param {number} bitrate - Bitrate in kbit/s
+     * @returns {number} Value for -q:a
+     */
+    static getMp3VbrQuality(bitrate) {
+        const levels = { 320: 0, 256: 0, 192: 2, 160: 4, 128: 5, 96: 7 };
+        return levels[bitrate] !== undefined ? levels[bitrate] : 2;
+    }
+
+    /**
+     * Build the FFmpeg audio encoding arguments of a format
+     * Lossless formats ignore the bitrate, formats without VBR support ignore vbr
+     * @param {string} format - Audio format
+     * @param {object} options - Validated audio options
+     * @returns {Array<string>} FFmpeg arguments
+     */
+    static buildEncodingArgs(format, options = this.DEFAULTS) {
+        if (!this.isAudioFormat(format)) {
+            throw new Error(`Unsupported audio format: ${format}`);
+        }
+
+        const { codec, lossless, vbr } = this.FORMATS[format];
+        const args = ['-c:a', codec];
+
+        if (!lossless) {
+            if (codec === 'libmp3lame' && options.vbr) {
+                args.push('-q:a', String(this.getMp3VbrQuality(options.bitrate)));
+            } else {
+                args.push('-b:a', `${options.bitrate}k`);
+            }
+
+            // Opus is VBR by default, CBR has to be asked for
+            if (codec === 'libopus') {
+                args.push('-vbr', vbr && options.vbr ? 'on' : 'off');
+            }
+        }
+
+        if (options.normalize) {
+            // loudnorm resamples to 192 kHz internally, bring it back to a common rate
+            args.push('-af', this.LOUDNORM_FILTER, '-ar', '48000');
+        }
+
+        return args;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = AudioOptions;
+} else {
+    // Browser environment - attach to window
+    window.AudioOptions = AudioOptions;
+}
@@ -0,0 +1,236 @@
+// GrabZilla 2.1 - Clip Options
+// Time ranges cut out of a video (shared by main and renderer)
+
+class ClipOptions {
+    /**
+     * Cut modes: 'keyframe' cuts at the nearest keyframes without re-encoding (fast),
+     * 'accurate' re-encodes around the cuts so clips start and end exactly on the in/out points
+     */
+    static get MODES() {
+        return ['keyframe', 'accurate'];
+    }
+
+    static get DEFAULT_MODE() {
+        return 'keyframe';
+    }
+
+    /**
+     * Clips per video at most
+     */
+    static get MAX_CLIPS() {
+        return 20;
+    }
+
+    static get MAX_LABEL_LENGTH() {
+        return 100;
+    }
+
+    /**
+     * Parse a timestamp such as '90', '1:30', '01:02:03' or '1:30.5'
+     * @param {string|number} value - Timestamp or seconds
+     * @returns {number|null} Seconds, or null if invalid
+     */
+    static parseTimestamp(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value >= 0 ? value : null;
+        }
+
+        const match = /^(?:(?:(\d+):)?([0-5]?\d):)?(\d+(?:\.\d{1,3})?)$/.exec(typeof value === 'string' ? value.trim() : '');
+        if (!match) {
+            return null;
+        }
+
+        const [, hours, minutes, seconds] = match;
+        // Seconds may only exceed 59 when they are the whole timestamp
+        if (minutes !== undefined && Number(seconds) >= 60) {
+            return null;
+        }
+
+        return Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds);
+    }
+
+    /**
+     * Format seconds as a timestamp (M:SS or H:MM:SS, milliseconds when present)
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Timestamp
+     */
+    static formatTimestamp(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+
+        const fraction = ms > 0 ? `.${String(ms).padStart(3, '0').replace(/0+$/, '')}` : '';
+        const tail = `${String(secs).padStart(2, '0')}${fraction}`;
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${tail}`
+            : `${minutes}:${tail}`;
+    }
+
+    /**
+     * Validate clips and the cut mode
+     * @param {Array<object>|null} clips - [{ start, end, label }] with seconds or timestamps
+     * @param {string} [mode] - Cut mode, defaults to 'keyframe'
+     * @returns {object} { valid, error, clips, mode } - clips hold seconds, sorted by start
+     */
+    static validate(clips, mode = this.DEFAULT_MODE) {
+        if (clips === undefined || clips === null) {
+            clips = [];
+        }
+
+        if (!Array.isArray(clips)) {
+            return { valid: false, error: 'Clips must be an array', clips: null, mode: null };
+        }
+
+        if (clips.length > this.MAX_CLIPS) {
+            return { valid: false, error: `At most ${this.MAX_CLIPS} clips per video`, clips: null, mode: null };
+        }
+
+        const normalizedMode = mode === undefined || mode === null ? this.DEFAULT_MODE : mode;
+        if (!this.MODES.includes(normalizedMode)) {
+            return { valid: false, error: `Unsupported cut mode: ${mode}`, clips: null, mode: null };
+        }
+
+        const normalized = [];
+
+        for (const clip of clips) {
+            if (!clip || typeof clip !== 'object') {
+                return { valid: false, error: 'Each clip needs a start and an end', clips: null, mode: null };
+            }
+
+            const start = this.parseTimestamp(clip.start);
+            const end = this.parseTimestamp(clip.end);
+
+            if (start === null || end === null) {
+                return { valid: false, error: 'Clip times must be timestamps like 1:30 or 1:02:03', clips: null, mode: null };
+            }
+
+            if (end <= start) {
+                return { valid: false, error: `Clip ${this.formatTimestamp(start)}-${this.formatTimestamp(end)} ends before it starts`, clips: null, mode: null };
+            }
+
+            const label = typeof clip.label === 'string'
+                ? clip.label.replace(/[\u0000-\u001f]/g, '').trim().slice(0, this.MAX_LABEL_LENGTH)
+                : '';
+
+            normalized.push({ start, end, label: label || null });
+        }
+
+        normalized.sort((a, b) => a.start - b.start);
+
+        return { valid: true, error: null, clips: normalized, mode: normalizedMode };
+    }
+
+    /**
+     * Parse clips entered one per line as 'start-end label' (e.g. '1:30-2:45 Intro')
+     * @param {string} text - Clip list
+     * @returns {object} { valid, error, clips } - clips in input order, times still unvalidated
+     */
+    static parseList(text) {
+        const clips = [];
+        const lines = (typeof text === 'string' ? text : '').split('\n').map(line => line.trim()).filter(Boolean);
+
+        for (const line of lines) {
+            const match = /^([\d:.]+)\s*-\s*([\d:.]+)(?:\s+(.+))?$/.exec(line);
+            if (!match) {
+                return { valid: false, error: `Invalid clip: "${line}". Use start-end, e.g. 1:30-2:45 Intro`, clips: null };
+            }
+            clips.push({ start: match[1], end: match[2], label: match[3] || null });
+        }
+
+        return { valid: true, error: null, clips };
+    }
+
+    /**
+     * Format clips one per line as accepted by parseList()
+     * @param {Array<object>} clips - Validated clips
+     * @returns {string} Clip list
+     */
+    static formatList(clips) {
+        return (clips || [])
+            .map(clip => `${this.formatTimestamp(clip.start)}-${this.formatTimestamp(clip.end)}${clip.label ? ` ${clip.label}` : ''}`)
+            .join('\n');
+    }
+
+    /**
+     * Build a clip covering a chapter
+     * @param {object} chapter - Chapter from full metadata ({ title, startTime, endTime })
+     * @param {number|null} [duration] - Video duration, used when the chapter has no end
+     * @returns {object|null} Clip, or null if the chapter has no usable range
+     */
+    static fromChapter(chapter, duration = null) {
+        const end = typeof chapter.endTime === 'number' ? chapter.endTime : duration;
+        if (typeof chapter.startTime !== 'number' || typeof end !== 'number' || end <= chapter.startTime) {
+            return null;
+        }
+
+        return { start: chapter.startTime, end, label: chapter.title || null };
+    }
+
+    /**
+     * Build yt-dlp arguments downloading only the clip ranges
+     * @param {Array<object>} clips - Validated clips
+     * @param {string} mode - Validated cut mode
+     * @returns {Array<string>} yt-dlp arguments (empty without clips)
+     */
+    static buildYtDlpArgs(clips, mode) {
+        if (!clips || clips.length === 0) {
+            return [];
+        }
+
+        const args = [];
+        clips.forEach(clip => {
+            args.push('--download-sections', `*${clip.start}-${clip.end}`);
+        });
+
+        if (mode === 'accurate') {
+            args.push('--force-keyframes-at-cuts');
+        }
+
+        return args;
+    }
+
+    /**
+     * Add the clip range to an output template so clips of one video don't overwrite each other
+     * @param {string} template - yt-dlp output template ending in .%(ext)s
+     * @returns {string} Template with a [start-end] suffix before the extension
+     */
+    static buildOutputTemplate(template) {
+        const suffix = ' [%(section_start>%H-%M-%S)s-%(section_end>%H-%M-%S)s]';
+        return /\.%\(ext\)s$/.test(template)
+            ? template.replace(/\.%\(ext\)s$/, `${suffix}.%(ext)s`)
+            : `${template}${suffix}`;
+    }
+
+    /**
+     * Build the file name of a clip trimmed from a complete download
+     * @param {string} filename - Downloaded file name
+     * @param {object} clip - Validated clip
+     * @param {string} [extension] - Output extension including the dot, defaults to the input's
+     * @returns {string} Clip file name matching the yt-dlp naming
+     */
+    static getClipFilename(filename, clip, extension = null) {
+        const dot = filename.lastIndexOf('.');
+        const base = dot > 0 ? filename.slice(0, dot) : filename;
+        const ext = extension || (dot > 0 ? filename.slice(dot) : '');
+        const stamp = seconds => {
+            const total = Math.floor(seconds);
+            return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+                .map(part => String(part).padStart(2, '0'))
+                .join('-');
+        };
+
+        return `${base} [${stamp(clip.start)}-${stamp(clip.end)}]${ext}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = ClipOptions;
+} else {
+    // Browser environment - attach to window
+    window.ClipOptions = ClipOptions;
+}
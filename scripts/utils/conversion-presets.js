@@ -0,0 +1,385 @@
+// GrabZilla 2.1 - Conversion Presets
+// User-defined conversion formats built only from whitelisted values (shared by main and renderer)
+
+class ConversionPresets {
+    /**
+     * Containers with the video and audio codecs they can hold
+     */
+    static get CONTAINERS() {
+        return {
+            mp4: { videoCodecs: ['h264', 'h265', 'copy'], audioCodecs: ['aac', 'mp3', 'opus', 'copy', 'none'] },
+            mkv: { videoCodecs: ['h264', 'h265', 'vp9', 'copy'], audioCodecs: ['aac', 'opus', 'mp3', 'flac', 'pcm', 'copy', 'none'] },
+            mov: { videoCodecs: ['h264', 'h265', 'prores', 'copy'], audioCodecs: ['aac', 'pcm', 'copy', 'none'] },
+            webm: { videoCodecs: ['vp9', 'copy'], audioCodecs: ['opus', 'copy', 'none'] }
+        };
+    }
+
+    /**
+     * Video codecs mapped to FFmpeg encoders ('copy' keeps the downloaded stream)
+     */
+    static get VIDEO_CODECS() {
+        return {
+            h264: 'libx264',
+            h265: 'libx265',
+            vp9: 'libvpx-vp9',
+            prores: 'prores_ks',
+            copy: 'copy'
+        };
+    }
+
+    /**
+     * Audio codecs mapped to FFmpeg encoders ('none' drops the audio)
+     */
+    static get AUDIO_CODECS() {
+        return {
+            aac: 'aac',
+            opus: 'libopus',
+            mp3: 'libmp3lame',
+            flac: 'flac',
+            pcm: 'pcm_s16le',
+            copy: 'copy',
+            none: null
+        };
+    }
+
+    static get RATE_CONTROLS() {
+        return ['crf', 'bitrate'];
+    }
+
+    /**
+     * Resolution caps (frame height), null keeps the source resolution
+     */
+    static get MAX_HEIGHTS() {
+        return [null, 2160, 1440, 1080, 720, 480, 360];
+    }
+
+    /**
+     * Frame rates, null keeps the source frame rate
+     */
+    static get FRAME_RATES() {
+        return [null, 24, 25, 30, 50, 60];
+    }
+
+    static get AUDIO_BITRATES() {
+        return [96, 128, 160, 192, 256, 320];
+    }
+
+    /**
+     * What happens to the downloaded file once the conversion is verified:
+     * 'delete' removes it, 'keep' leaves it next to the output, 'move' puts it in an "originals" folder
+     */
+    static get ORIGINAL_POLICIES() {
+        return ['delete', 'keep', 'move'];
+    }
+
+    static get MAX_PRESETS() {
+        return 50;
+    }
+
+    static get MAX_NAME_LENGTH() {
+        return 50;
+    }
+
+    /**
+     * Starting point for a new preset
+     */
+    static get DEFAULTS() {
+        return {
+            name: '',
+            container: 'mp4',
+            videoCodec: 'h264',
+            rateControl: 'crf',
+            crf: 23,
+            videoBitrate: 5000,
+            maxHeight: null,
+            fps: null,
+            audioCodec: 'aac',
+            audioBitrate: 192,
+            suffix: '',
+            original: 'delete'
+        };
+    }
+
+    /**
+     * Format value of a preset in format dropdowns and download requests
+     * @param {object} preset - Preset with an id
+     * @returns {string} Format such as 'preset:p_k2x9a'
+     */
+    static toFormat(preset) {
+        return `preset:${preset.id}`;
+    }
+
+    /**
+     * Get the preset id of a format value
+     * @param {string} format - Format value
+     * @returns {string|null} Preset id, or null for built-in formats
+     */
+    static parseFormat(format) {
+        const match = /^preset:([A-Za-z0-9_-]{1,40})$/.exec(typeof format === 'string' ? format : '');
+        return match ? match[1] : null;
+    }
+
+    static isPresetFormat(format) {
+        return this.parseFormat(format) !== null;
+    }
+
+    /**
+     * Generate a preset id
+     * @returns {string} Id
+     */
+    static createId() {
+        return `p_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    }
+
+    /**
+     * Validate a preset, every value must come from a whitelist or a numeric range
+     * @param {object} preset - Preset as entered or imported
+     * @param {object} [options]
+     * @param {boolean} [options.requireId] - Reject presets without an id instead of generating one
+     * @returns {object} { valid, error, preset } - preset holds only the known fields
+     */
+    static validate(preset, { requireId = false } = {}) {
+        const fail = error => ({ valid: false, error, preset: null });
+
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            return fail('Preset must be an object');
+        }
+
+        const merged = { ...this.DEFAULTS, ...preset };
+
+        let id = merged.id;
+        if (id === undefined || id === null) {
+            if (requireId) return fail('Preset has no id');
+            id = this.createId();
+        } else if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,40}$/.test(id)) {
+            return fail('Preset id may only contain letters, numbers, _ and -');
+        }
+
+        const name = typeof merged.name === 'string' ? merged.name.replace(/[\u0000-\u001f\u007f]/g, '').trim() : '';
+        if (!name) return fail('Preset needs a name');
+        if (name.length > this.MAX_NAME_LENGTH) return fail(`Preset name is longer than ${this.MAX_NAME_LENGTH} characters`);
+
+        const container = this.CONTAINERS[merged.container];
+        if (!container) return fail(`Unsupported container: ${merged.container}`);
+
+        if (!container.videoCodecs.includes(merged.videoCodec)) {
+            return fail(`Video codec ${merged.videoCodec} is not supported in ${merged.container}`);
+        }
+        if (!container.audioCodecs.includes(merged.audioCodec)) {
+            return fail(`Audio codec ${merged.audioCodec} is not supported in ${merged.container}`);
+        }
+
+        if (!this.RATE_CONTROLS.includes(merged.rateControl)) {
+            return fail(`Unsupported rate control: ${merged.rateControl}`);
+        }
+        if (!Number.isInteger(merged.crf) || merged.crf < 0 || merged.crf > 51) {
+            return fail('CRF must be a whole number from 0 to 51');
+        }
+        if (!Number.isInteger(merged.videoBitrate) || merged.videoBitrate < 100 || merged.videoBitrate > 100000) {
+            return fail('Video bitrate must be a whole number from 100 to 100000 kbit/s');
+        }
+
+        if (!this.MAX_HEIGHTS.includes(merged.maxHeight)) {
+            return fail(`Unsupported resolution cap: ${merged.maxHeight}`);
+        }
+        if (!this.FRAME_RATES.includes(merged.fps)) {
+            return fail(`Unsupported frame rate: ${merged.fps}`);
+        }
+        if (merged.videoCodec === 'copy' && (merged.maxHeight !== null || merged.fps !== null)) {
+            return fail('Resolution and frame rate changes need a video codec other than copy');
+        }
+
+        if (!this.AUDIO_BITRATES.includes(merged.audioBitrate)) {
+            return fail(`Unsupported audio bitrate: ${merged.audioBitrate}`);
+        }
+
+        // The suffix keeps the converted file apart from the download, it can't be empty
+        if (typeof merged.suffix !== 'string' || !/^[A-Za-z0-9_-]{1,20}$/.test(merged.suffix)) {
+            return fail('Filename suffix must be 1 to 20 letters, numbers, _ or -');
+        }
+
+        if (!this.ORIGINAL_POLICIES.includes(merged.original)) {
+            return fail(`Unsupported original file policy: ${merged.original}`);
+        }
+
+        return {
+            valid: true,
+            error: null,
+            preset: {
+                id,
+                name,
+                container: merged.container,
+                videoCodec: merged.videoCodec,
+                rateControl: merged.rateControl,
+                crf: merged.crf,
+                videoBitrate: merged.videoBitrate,
+                maxHeight: merged.maxHeight,
+                fps: merged.fps,
+                audioCodec: merged.audioCodec,
+                audioBitrate: merged.audioBitrate,
+                suffix: merged.suffix,
+                original: merged.original
+            }
+        };
+    }
+
+    /**
+     * Build FFmpeg encoding arguments for a validated preset
+     * Arguments are assembled from the whitelists only, nothing from the preset is passed through as text
+     * @param {object} preset - Validated preset
+     * @returns {Array<string>} FFmpeg arguments
+     */
+    static buildFFmpegArgs(preset) {
+        const args = ['-c:v', this.VIDEO_CODECS[preset.videoCodec]];
+
+        switch (preset.videoCodec) {
+            case 'h264':
+            case 'h265':
+                args.push('-preset', 'medium');
+                args.push(...(preset.rateControl === 'crf' ? ['-crf', String(preset.crf)] : ['-b:v', `${preset.videoBitrate}k`]));
+                args.push('-pix_fmt', 'yuv420p');
+                if (preset.videoCodec === 'h265' && preset.container !== 'mkv') {
+                    // Apple players only recognize HEVC in MP4/MOV with the hvc1 tag
+                    args.push('-tag:v', 'hvc1');
+                }
+                break;
+
+            case 'vp9':
+                // Constant quality in libvpx needs the bitrate cap disabled
+                args.push(...(preset.rateControl === 'crf' ? ['-crf', String(preset.crf), '-b:v', '0'] : ['-b:v', `${preset.videoBitrate}k`]));
+                break;
+
+            case 'prores':
+                // ProRes has fixed-rate profiles, 2 = ProRes 422
+                args.push('-profile:v', '2');
+                break;
+        }
+
+        if (preset.maxHeight) {
+            // Never upscale, keep the aspect ratio with an even width
+            args.push('-vf', `scale=-2:'min(ih,${preset.maxHeight})'`);
+        }
+
+        if (preset.fps) {
+            args.push('-r', String(preset.fps));
+        }
+
+        const audioEncoder = this.AUDIO_CODECS[preset.audioCodec];
+        if (!audioEncoder) {
+            args.push('-an');
+        } else {
+            args.push('-c:a', audioEncoder);
+            if (['aac', 'opus', 'mp3'].includes(preset.audioCodec)) {
+                args.push('-b:a', `${preset.audioBitrate}k`);
+            }
+        }
+
+        return args;
+    }
+
+    /**
+     * Describe a preset in one line for lists and tooltips
+     * @param {object} preset - Validated preset
+     * @returns {string} Summary such as 'MP4 · H264 CRF 23 · ≤720p · AAC 192k'
+     */
+    static describe(preset) {
+        const parts = [preset.container.toUpperCase()];
+
+        if (preset.videoCodec === 'copy') {
+            parts.push('video copied');
+        } else if (preset.videoCodec === 'prores') {
+            parts.push('ProRes 422');
+        } else {
+            parts.push(`${preset.videoCodec.toUpperCase()} ${preset.rateControl === 'crf' ? `CRF ${preset.crf}` : `${preset.videoBitrate}k`}`);
+        }
+
+        if (preset.maxHeight) parts.push(`≤${preset.maxHeight}p`);
+        if (preset.fps) parts.push(`${preset.fps} fps`);
+
+        if (preset.audioCodec === 'none') {
+            parts.push('no audio');
+        } else if (['aac', 'opus', 'mp3'].includes(preset.audioCodec)) {
+            parts.push(`${preset.audioCodec.toUpperCase()} ${preset.audioBitrate}k`);
+        } else {
+            parts.push(preset.audioCodec === 'copy' ? 'audio copied' : preset.audioCodec.toUpperCase());
+        }
+
+        if (preset.original === 'keep') parts.push('original kept');
+        if (preset.original === 'move') parts.push('original moved');
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Build the JSON shared between team members
+     * @param {Array<object>} presets - Validated presets
+     * @returns {string} JSON text
+     */
+    static serialize(presets) {
+        return JSON.stringify({ version: 1, presets: presets.map(({ id, ...preset }) => preset) }, null, 2);
+    }
+
+    /**
+     * Parse shared preset JSON, invalid presets are reported and skipped
+     * @param {string} text - JSON text ({ presets: [...] } or a bare array)
+     * @returns {object} { valid, error, presets, skipped } - presets get new ids, skipped lists the errors
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (parseError) {
+            return { valid: false, error: 'File is not valid JSON', presets: [], skipped: [] };
+        }
+
+        const list = Array.isArray(data) ? data : data?.presets;
+        if (!Array.isArray(list)) {
+            return { valid: false, error: 'File contains no presets', presets: [], skipped: [] };
+        }
+
+        const presets = [];
+        const skipped = [];
+        list.slice(0, this.MAX_PRESETS).forEach((entry, index) => {
+            const { id, ...fields } = entry && typeof entry === 'object' ? entry : {};
+            const result = this.validate(fields);
+            if (result.valid) {
+                presets.push(result.preset);
+            } else {
+                skipped.push(`Preset ${index + 1}: ${result.error}`);
+            }
+        });
+
+        return { valid: true, error: null, presets, skipped };
+    }
+
+    /**
+     * Merge imported presets into the existing ones
+     * A preset with the same name is replaced but keeps its id, so videos using it stay valid
+     * @param {Array<object>} existing - Current presets
+     * @param {Array<object>} imported - Validated presets from parse()
+     * @returns {Array<object>} Merged presets, capped at MAX_PRESETS
+     */
+    static merge(existing, imported) {
+        const merged = existing.slice();
+
+        imported.forEach(preset => {
+            const index = merged.findIndex(current => current.name.toLowerCase() === preset.name.toLowerCase());
+            if (index >= 0) {
+                merged[index] = { ...preset, id: merged[index].id };
+            } else {
+                merged.push(preset);
+            }
+        });
+
+        return merged.slice(0, this.MAX_PRESETS);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = ConversionPresets;
+} else {
+    // Browser environment - attach to window
+    window.ConversionPresets = ConversionPresets;
+}
@@ -0,0 +1,90 @@
+// GrabZilla 2.1 - Download Schedule
+// Daily time window in which queued downloads may run (shared by main and renderer)
+
+class DownloadSchedule {
+    /**
+     * Schedule used when nothing has been configured (downloads run at any time)
+     */
+    static get DEFAULTS() {
+        return {
+            enabled: false,
+            start: '01:00',
+            end: '06:00'
+        };
+    }
+
+    /**
+     * Parse an HH:MM time of day
+     * @param {string} value - Time such as '01:00' or '23:30'
+     * @returns {number|null} Minutes after midnight, or null if invalid
+     */
+    static parseTime(value) {
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(typeof value === 'string' ? value.trim() : '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    /**
+     * Validate a schedule and fill in defaults
+     * @param {object|null} schedule - { enabled, start, end }
+     * @returns {object} { valid, error, schedule }
+     */
+    static validate(schedule) {
+        if (schedule === undefined || schedule === null) {
+            return { valid: true, error: null, schedule: this.DEFAULTS };
+        }
+
+        if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return { valid: false, error: 'Schedule must be an object', schedule: null };
+        }
+
+        const normalized = {
+            enabled: Boolean(schedule.enabled),
+            start: typeof schedule.start === 'string' ? schedule.start.trim() : this.DEFAULTS.start,
+            end: typeof schedule.end === 'string' ? schedule.end.trim() : this.DEFAULTS.end
+        };
+
+        const start = this.parseTime(normalized.start);
+        const end = this.parseTime(normalized.end);
+
+        if (start === null || end === null) {
+            return { valid: false, error: 'Schedule times must use the HH:MM format', schedule: null };
+        }
+
+        if (start === end) {
+            return { valid: false, error: 'Schedule start and end times must differ', schedule: null };
+        }
+
+        return { valid: true, error: null, schedule: normalized };
+    }
+
+    /**
+     * Check whether downloads may run at a given time
+     * Windows ending before they start run past midnight (22:00-06:00)
+     * @param {object|null} schedule - Validated schedule
+     * @param {Date} [date] - Time to check, defaults to now
+     * @returns {boolean} True if outside of a schedule or inside its window
+     */
+    static isWithinWindow(schedule, date = new Date()) {
+        if (!schedule || !schedule.enabled) {
+            return true;
+        }
+
+        const start = this.parseTime(schedule.start);
+        const end = this.parseTime(schedule.end);
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (start < end) {
+            return now >= start && now < end;
+        }
+        return now >= start || now < end;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = DownloadSchedule;
+} else {
+    // Browser environment - attach to window
+    window.DownloadSchedule = DownloadSchedule;
+}
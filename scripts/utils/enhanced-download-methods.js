@@ -447,9 +447,9 @@ async function handleCancelConversions(videoId = null) {
         let result;
         
         if (videoId) {
-            // Cancel conversion for specific video (would need conversion ID tracking)
+            // Cancel the running or queued conversion of one video
             this.showStatus('Cancelling conversion...', 'info');
-            result = await window.electronAPI.cancelAllConversions(); // Simplified for now
+            result = await window.electronAPI.cancelConversion(videoId);
         } else {
             // Cancel all active conversions
             this.showStatus('Cancelling all conversions...', 'info');
@@ -458,7 +458,8 @@ async function handleCancelConversions(videoId = null) {
 
         if (result.success) {
             // Update video statuses for cancelled conversions
-            const convertingVideos = this.state.getVideosByStatus('converting');
+            const convertingVideos = this.state.getVideosByStatus('converting')
+                .filter(video => !videoId || video.id === videoId);
             convertingVideos.forEach(video => {
                 this.state.updateVideo(video.id, {
                     status: 'ready',
@@ -12,7 +12,8 @@
  * 
  * Features:
  * - H.264, ProRes, DNxHR format conversion
- * - Audio-only extraction functionality
+ * - Audio export (MP3, M4A, Opus, FLAC, WAV) with cover art and tags
+ * - Title, uploader, date and source URL tags, during conversion or in a remux
  * - Conversion progress tracking and status updates
  * - Format-specific encoding parameters and quality settings
  * 
@@ -28,6 +29,9 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const gpuDetector = require('./gpu-detector');
+const AudioOptions = require('./audio-options');
+const ConversionPresets = require('./conversion-presets');
+const MetadataOptions = require('./metadata-options');
 const logger = require('../../src/logger');
 
 /**
@@ -79,13 +83,14 @@ class FFmpegConverter {
 
     /**
      * Get FFmpeg encoding arguments for specific format
-     * @param {string} format - Target format (H264, ProRes, DNxHR, Audio only)
+     * @param {string} format - Target format (H264, ProRes, DNxHR or an audio format)
      * @param {string} quality - Video quality setting
      * @param {boolean} useGPU - Whether to use GPU acceleration (default: true)
+     * @param {Object} [audioOptions] - Validated audio options (bitrate, vbr, normalize) for audio formats
      * @returns {Array<string>} FFmpeg arguments array
      * @private
      */
-    getEncodingArgs(format, quality, useGPU = true) {
+    getEncodingArgs(format, quality, useGPU = true, audioOptions = AudioOptions.DEFAULTS) {
         const args = [];
 
         switch (format) {
@@ -121,16 +126,11 @@ class FFmpegConverter {
                 );
                 break;
 
-            case 'Audio only':
-                args.push(
-                    '-vn', // No video
-                    '-c:a', 'aac',
-                    '-b:a', '192k'
-                );
-                break;
-
             default:
-                throw new Error(`Unsupported format: ${format}`);
+                if (!AudioOptions.isAudioFormat(format)) {
+                    throw new Error(`Unsupported format: ${format}`);
+                }
+                args.push(...AudioOptions.buildEncodingArgs(format, audioOptions));
         }
 
         return args;
@@ -385,10 +385,9 @@ class FFmpegConverter {
         const extensionMap = {
             'H264': 'mp4',
             'ProRes': 'mov',
-            'DNxHR': 'mov',
-            'Audio only': 'm4a'
+            'DNxHR': 'mov'
         };
-        return extensionMap[format] || 'mp4';
+        return extensionMap[format] || AudioOptions.getExtension(format) || 'mp4';
     }
 
     /**
@@ -433,14 +432,99 @@ class FFmpegConverter {
         return Math.min(100, Math.round((processedTime / totalDuration) * 100));
     }
 
+    /**
+     * Get the subtitle codec for an output container
+     * @param {string} outputPath - Output file path
+     * @returns {string|null} Codec name, or null if the container can't hold text subtitles
+     * @private
+     */
+    getSubtitleCodec(outputPath) {
+        const codecMap = {
+            '.mp4': 'mov_text',
+            '.m4v': 'mov_text',
+            '.mov': 'mov_text',
+            '.mkv': 'copy' // Matroska stores SRT, VTT and ASS as they are
+        };
+        return codecMap[path.extname(outputPath).toLowerCase()] || null;
+    }
+
+    /**
+     * Get FFmpeg arguments that mux subtitle files into the output
+     * Subtitle files become inputs 1..n after the video input
+     * @param {string} outputPath - Output file path
+     * @param {Array<Object>} subtitles - Subtitle files ({ path, language })
+     * @returns {Object} { inputs, args } argument arrays (empty if nothing to embed)
+     * @private
+     */
+    getSubtitleArgs(outputPath, subtitles) {
+        const codec = this.getSubtitleCodec(outputPath);
+        const files = (subtitles || []).filter(subtitle => subtitle && subtitle.path && fs.existsSync(subtitle.path));
+
+        if (!codec || files.length === 0) {
+            return { inputs: [], args: [] };
+        }
+
+        const inputs = [];
+        const args = ['-map', '0:v?', '-map', '0:a?'];
+
+        files.forEach((subtitle, index) => {
+            inputs.push('-i', subtitle.path);
+            args.push('-map', `${index + 1}:0`);
+        });
+
+        args.push('-c:s', codec);
+
+        files.forEach((subtitle, index) => {
+            if (subtitle.language) {
+                args.push(`-metadata:s:s:${index}`, `language=${subtitle.language}`);
+            }
+        });
+
+        return { inputs, args };
+    }
+
+    /**
+     * Get FFmpeg arguments that select the audio, embed the cover and carry over the tags
+     * The cover becomes input 1 after the video input
+     * @param {string} format - Audio format
+     * @param {Object} audioOptions - Validated audio options (coverArt, tags)
+     * @param {string|null} coverPath - Thumbnail image (JPEG) to embed
+     * @returns {Object} { inputs, args } argument arrays
+     * @private
+     */
+    getAudioArgs(format, audioOptions, coverPath) {
+        const inputs = [];
+        const args = ['-map', '0:a'];
+
+        if (audioOptions.coverArt && coverPath && AudioOptions.supportsCoverArt(format) && fs.existsSync(coverPath)) {
+            inputs.push('-i', coverPath);
+            args.push('-map', '1:v', '-c:v', 'copy', '-disposition:v:0', 'attached_pic');
+        }
+
+        // Tags come from the metadata yt-dlp embedded into the download
+        args.push('-map_metadata', audioOptions.tags ? '0' : '-1');
+        if (format === 'MP3') {
+            // ID3v2.3 is what most players and tag editors read
+            args.push('-id3v2_version', '3');
+        }
+
+        return { inputs, args };
+    }
+
     /**
      * Convert video file to specified format
      * @param {Object} options - Conversion options
      * @param {string} options.inputPath - Path to input video file
      * @param {string} options.outputPath - Path for output file
-     * @param {string} options.format - Target format (H264, ProRes, DNxHR, Audio only)
+     * @param {string} options.format - Target format (H264, ProRes, DNxHR or an audio format)
      * @param {string} options.quality - Video quality setting
      * @param {number} [options.duration] - Video duration in seconds for progress calculation
+     * @param {Array<Object>} [options.subtitles] - Subtitle files to embed ({ path, language })
+     * @param {Object} [options.audio] - Validated audio options for audio formats
+     * @param {string} [options.coverPath] - Cover image embedded into audio formats that support it
+     * @param {Object} [options.preset] - Validated conversion preset, replaces the format's encoding settings
+     * @param {Object} [options.tags] - Container tags from MetadataOptions.buildTags
+     * @param {Function} [options.onProcess] - Receives the FFmpeg process so the caller can cancel it
      * @param {Function} [options.onProgress] - Progress callback function
      * @returns {Promise<Object>} Conversion result
      */
@@ -451,6 +535,12 @@ class FFmpegConverter {
             format,
             quality,
             duration,
+            subtitles,
+            audio = AudioOptions.DEFAULTS,
+            coverPath = null,
+            preset = null,
+            tags = null,
+            onProcess,
             onProgress
         } = options;
 
@@ -468,13 +558,26 @@ class FFmpegConverter {
         }
 
         const conversionId = ++this.conversionId;
-        const ffmpegPath = this.getBinaryPath();
+
+        // Audio output has no use for subtitle tracks, but gets cover art and tags
+        const isAudio = AudioOptions.isAudioFormat(format);
+        const subtitleArgs = isAudio
+            ? { inputs: [], args: [] }
+            : this.getSubtitleArgs(outputPath, subtitles);
+        const audioArgs = isAudio
+            ? this.getAudioArgs(format, audio, coverPath)
+            : { inputs: [], args: [] };
 
         // Build FFmpeg command arguments
         const args = [
             '-i', inputPath,
+            ...subtitleArgs.inputs,
+            ...audioArgs.inputs,
             '-y', // Overwrite output file
-            ...this.getEncodingArgs(format, quality),
+            ...subtitleArgs.args,
+            ...audioArgs.args,
+            ...MetadataOptions.buildFFmpegArgs(tags),
+            ...(preset ? ConversionPresets.buildFFmpegArgs(preset) : this.getEncodingArgs(format, quality, true, audio)),
             outputPath
         ];
 
@@ -486,6 +589,143 @@ class FFmpegConverter {
             args: args.join(' ')
         });
 
+        const result = await this.runFFmpeg(conversionId, args, { outputPath, duration, onProcess, onProgress });
+        return { ...result, embeddedSubtitles: subtitleArgs.inputs.length / 2 };
+    }
+
+    /**
+     * Embed subtitle files and tags into an existing file without re-encoding
+     * The file is remuxed to a temporary file that then replaces the original
+     * @param {Object} options - Remux options
+     * @param {string} options.inputPath - File to embed into
+     * @param {Array<Object>} [options.subtitles] - Subtitle files ({ path, language })
+     * @param {Object} [options.tags] - Container tags from MetadataOptions.buildTags
+     * @param {number} [options.duration] - Video duration in seconds for progress calculation
+     * @param {Function} [options.onProgress] - Progress callback function
+     * @returns {Promise<Object>} Result with the number of embedded subtitle tracks
+     */
+    async remux(options) {
+        const { inputPath, subtitles = [], tags = null, duration, onProgress } = options;
+
+        if (!inputPath || !Array.isArray(subtitles)) {
+            throw new Error('Missing required remux parameters');
+        }
+
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`Input file not found: ${inputPath}`);
+        }
+
+        if (!this.isAvailable()) {
+            throw new Error('FFmpeg binary not found');
+        }
+
+        const extension = path.extname(inputPath);
+        const tempPath = path.join(
+            path.dirname(inputPath),
+            `${path.basename(inputPath, extension)}.remux${extension}`
+        );
+
+        const subtitleArgs = this.getSubtitleArgs(inputPath, subtitles);
+        const tagArgs = MetadataOptions.buildFFmpegArgs(tags);
+        if (subtitleArgs.inputs.length === 0 && tagArgs.length === 0) {
+            return { success: true, outputPath: inputPath, embeddedSubtitles: 0 };
+        }
+
+        const conversionId = ++this.conversionId;
+        const args = [
+            '-i', inputPath,
+            ...subtitleArgs.inputs,
+            '-y',
+            // Without subtitles every video and audio stream is kept as it is
+            ...(subtitleArgs.args.length > 0 ? subtitleArgs.args : ['-map', '0:v?', '-map', '0:a?']),
+            ...tagArgs,
+            '-c:v', 'copy',
+            '-c:a', 'copy',
+            tempPath
+        ];
+
+        logger.debug(`Remuxing ${inputPath} with ${subtitleArgs.inputs.length / 2} subtitle track(s)${tagArgs.length > 0 ? ' and tags' : ''}`);
+
+        try {
+            await this.runFFmpeg(conversionId, args, { outputPath: tempPath, duration, onProgress });
+            fs.renameSync(tempPath, inputPath);
+        } catch (error) {
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw error;
+        }
+
+        return {
+            success: true,
+            outputPath: inputPath,
+            fileSize: fs.statSync(inputPath).size,
+            embeddedSubtitles: subtitleArgs.inputs.length / 2
+        };
+    }
+
+    /**
+     * Cut a time range out of a video
+     * Keyframe mode copies the streams (fast, the cut snaps to the keyframe before the in point),
+     * accurate mode re-encodes to H.264/AAC so the clip starts and ends exactly on the in/out points
+     * @param {Object} options - Trim options
+     * @param {string} options.inputPath - Complete video file
+     * @param {string} options.outputPath - Path for the clip (.mp4 in accurate mode)
+     * @param {number} options.start - In point in seconds
+     * @param {number} options.end - Out point in seconds
+     * @param {boolean} [options.accurate] - Re-encode for exact cuts
+     * @param {Function} [options.onProcess] - Receives the FFmpeg process so the caller can cancel it
+     * @param {Function} [options.onProgress] - Progress callback function
+     * @returns {Promise<Object>} Conversion result
+     */
+    async trimVideo(options) {
+        const { inputPath, outputPath, start, end, accurate = false, onProcess, onProgress } = options;
+
+        if (!inputPath || !outputPath || typeof start !== 'number' || typeof end !== 'number' || end <= start) {
+            throw new Error('Missing required trim parameters');
+        }
+
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`Input file not found: ${inputPath}`);
+        }
+
+        if (!this.isAvailable()) {
+            throw new Error('FFmpeg binary not found');
+        }
+
+        const conversionId = ++this.conversionId;
+        const duration = end - start;
+
+        // Input seeking (-ss before -i) is fast, and frame-exact when re-encoding
+        const args = [
+            '-ss', String(start),
+            '-i', inputPath,
+            '-t', String(duration),
+            '-y',
+            '-map', '0:v?',
+            '-map', '0:a?',
+            ...(accurate
+                ? ['-c:v', 'libx264', '-preset', 'medium', '-crf', '18', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '192k']
+                : ['-c', 'copy', '-avoid_negative_ts', 'make_zero']),
+            outputPath
+        ];
+
+        logger.debug(`Trimming ${inputPath} (${start}s-${end}s, ${accurate ? 'accurate' : 'keyframe'})`);
+
+        return this.runFFmpeg(conversionId, args, { outputPath, duration, onProcess, onProgress });
+    }
+
+    /**
+     * Run an FFmpeg process with progress tracking
+     * @param {number} conversionId - Conversion ID used for cancellation
+     * @param {Array<string>} args - FFmpeg arguments
+     * @param {Object} options - { outputPath, duration, onProcess, onProgress }
+     * @returns {Promise<Object>} Conversion result
+     * @private
+     */
+    runFFmpeg(conversionId, args, { outputPath, duration, onProcess, onProgress }) {
+        const ffmpegPath = this.getBinaryPath();
+
         return new Promise((resolve, reject) => {
             const ffmpegProcess = spawn(ffmpegPath, args, {
                 stdio: ['pipe', 'pipe', 'pipe'],
@@ -494,6 +734,9 @@ class FFmpegConverter {
 
             // Store active conversion for potential cancellation
             this.activeConversions.set(conversionId, ffmpegProcess);
+            if (onProcess) {
+                onProcess(ffmpegProcess);
+            }
 
             let output = '';
             let errorOutput = '';
@@ -532,11 +775,20 @@ class FFmpegConverter {
             });
 
             // Handle process completion
-            ffmpegProcess.on('close', (code) => {
+            ffmpegProcess.on('close', (code, signal) => {
                 this.activeConversions.delete(conversionId);
 
                 logger.debug(`FFmpeg conversion ${conversionId} completed with code ${code}`);
 
+                // Stopped from outside (cancel, pause), the partial output is of no use
+                if (signal) {
+                    if (fs.existsSync(outputPath)) {
+                        fs.unlinkSync(outputPath);
+                    }
+                    reject(new Error('Conversion was cancelled'));
+                    return;
+                }
+
                 if (code === 0) {
                     // Verify output file was created
                     if (fs.existsSync(outputPath)) {
@@ -684,6 +936,112 @@ class FFmpegConverter {
             });
         });
     }
+
+    /**
+     * Probe a media file for its duration and the kinds of streams it holds
+     * Uses FFprobe when it's installed, otherwise the input summary FFmpeg prints
+     * @param {string} filePath - Path to media file
+     * @returns {Promise<Object|null>} { duration, hasVideo, hasAudio }, or null if the file can't be read
+     */
+    async probeFile(filePath) {
+        if (!fs.existsSync(filePath) || !this.isAvailable()) {
+            return null;
+        }
+
+        const ffprobePath = path.join(path.dirname(this.getBinaryPath()), path.basename(this.getBinaryPath()).replace('ffmpeg', 'ffprobe'));
+        if (fs.existsSync(ffprobePath)) {
+            const { code, stdout } = await this.runProbe(ffprobePath, [
+                '-v', 'quiet',
+                '-print_format', 'json',
+                '-show_entries', 'format=duration:stream=codec_type:stream_disposition=attached_pic',
+                filePath
+            ]);
+            return code === 0 ? this.parseProbeJson(stdout) : null;
+        }
+
+        // Without an output file FFmpeg exits with an error, but still describes the input
+        const { stderr } = await this.runProbe(this.getBinaryPath(), ['-hide_banner', '-i', filePath]);
+        return this.parseInputSummary(stderr);
+    }
+
+    /**
+     * Run a probe command and collect its output
+     * @param {string} binaryPath - FFprobe or FFmpeg binary
+     * @param {Array<string>} args - Arguments
+     * @param {number} [timeoutMs] - Kill the probe after this long
+     * @returns {Promise<Object>} { code, stdout, stderr } - code is -1 if the probe couldn't run
+     */
+    runProbe(binaryPath, args, timeoutMs = 30000) {
+        return new Promise((resolve) => {
+            const probeProcess = spawn(binaryPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            const timer = setTimeout(() => probeProcess.kill('SIGKILL'), timeoutMs);
+
+            probeProcess.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            probeProcess.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            probeProcess.on('close', (code) => {
+                clearTimeout(timer);
+                resolve({ code: code === null ? -1 : code, stdout, stderr });
+            });
+
+            probeProcess.on('error', (error) => {
+                clearTimeout(timer);
+                logger.warn('Probe process error:', error.message);
+                resolve({ code: -1, stdout, stderr });
+            });
+        });
+    }
+
+    /**
+     * Parse FFprobe JSON output, cover images don't count as video
+     * @param {string} text - FFprobe output
+     * @returns {Object|null} { duration, hasVideo, hasAudio }
+     */
+    parseProbeJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+
+        const streams = (data.streams || []).filter(stream => !stream.disposition?.attached_pic);
+        const duration = parseFloat(data.format?.duration);
+
+        return {
+            duration: isNaN(duration) ? null : duration,
+            hasVideo: streams.some(stream => stream.codec_type === 'video'),
+            hasAudio: streams.some(stream => stream.codec_type === 'audio')
+        };
+    }
+
+    /**
+     * Parse the input summary FFmpeg prints to stderr, cover images don't count as video
+     * @param {string} text - FFmpeg stderr
+     * @returns {Object|null} { duration, hasVideo, hasAudio }, or null if FFmpeg couldn't read the input
+     */
+    parseInputSummary(text) {
+        if (!/^Input #0/m.test(text || '')) {
+            return null;
+        }
+
+        const match = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(text);
+        const streams = text.split('\n').filter(line => /Stream #0:\d+/.test(line) && !/\(attached pic\)/.test(line));
+
+        return {
+            duration: match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null,
+            hasVideo: streams.some(line => /: Video: /.test(line)),
+            hasAudio: streams.some(line => /: Audio: /.test(line))
+        };
+    }
 }
 
 // Export singleton instance
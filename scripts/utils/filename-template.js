@@ -0,0 +1,311 @@
+// GrabZilla 2.1 - Filename Template Utilities
+// Validation and preview of yt-dlp output templates (shared by main and renderer)
+
+class FilenameTemplate {
+    /**
+     * Default template used when the user hasn't configured one
+     */
+    static get DEFAULT_TEMPLATE() {
+        return '%(title)s.%(ext)s';
+    }
+
+    /**
+     * yt-dlp output template fields users may reference
+     */
+    static get SUPPORTED_FIELDS() {
+        return [
+            'title', 'id', 'ext',
+            'uploader', 'uploader_id', 'channel', 'channel_id',
+            'upload_date', 'release_date', 'timestamp',
+            'duration', 'duration_string', 'view_count', 'like_count',
+            'playlist', 'playlist_title', 'playlist_id', 'playlist_index',
+            'extractor', 'extractor_key',
+            'resolution', 'width', 'height', 'fps', 'format_id',
+            'autonumber', 'epoch'
+        ];
+    }
+
+    /**
+     * Fields that can be formatted as dates with the `>` modifier
+     */
+    static get DATE_FIELDS() {
+        return ['upload_date', 'release_date', 'timestamp', 'epoch'];
+    }
+
+    /**
+     * Maximum template length (rendered names are limited by the file system)
+     */
+    static get MAX_LENGTH() {
+        return 200;
+    }
+
+    /**
+     * Sample metadata used for the settings preview
+     */
+    static get SAMPLE_METADATA() {
+        return {
+            title: 'Big Buck Bunny',
+            id: 'aqz-KE-bpKQ',
+            ext: 'mp4',
+            uploader: 'Blender',
+            uploader_id: '@BlenderOfficial',
+            channel: 'Blender',
+            channel_id: 'UCSMOQeBJ2RAnuFungnQOxLg',
+            upload_date: '20140528',
+            release_date: '20140528',
+            timestamp: 1401235200,
+            duration: 635,
+            duration_string: '10:35',
+            view_count: 1234567,
+            like_count: 45678,
+            playlist: 'Open Movies',
+            playlist_title: 'Open Movies',
+            playlist_id: 'PL6B3937A5D230E335',
+            playlist_index: 1,
+            extractor: 'youtube',
+            extractor_key: 'Youtube',
+            resolution: '1920x1080',
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            format_id: '137',
+            autonumber: 1,
+            epoch: 1401235200
+        };
+    }
+
+    /**
+     * Parse a template into literal text and field tokens
+     * @param {string} template - yt-dlp output template
+     * @returns {object} { tokens: Array, error: string|null }
+     */
+    static tokenize(template) {
+        const tokens = [];
+        let literal = '';
+        let i = 0;
+
+        while (i < template.length) {
+            const char = template[i];
+
+            if (char !== '%') {
+                literal += char;
+                i++;
+                continue;
+            }
+
+            // Escaped percent sign
+            if (template[i + 1] === '%') {
+                literal += '%';
+                i += 2;
+                continue;
+            }
+
+            // %(field>dateformat|default)03d
+            const match = template.slice(i).match(/^%\(([a-z_]+)(?:>([^)|]*))?(?:\|([^)]*))?\)(0?\d{0,2})([sd])/);
+            if (!match) {
+                return { tokens, error: `Unsupported template syntax at position ${i + 1}` };
+            }
+
+            if (literal) {
+                tokens.push({ type: 'literal', value: literal });
+                literal = '';
+            }
+
+            tokens.push({
+                type: 'field',
+                raw: match[0],
+                field: match[1],
+                dateFormat: match[2] !== undefined ? match[2] : null,
+                defaultValue: match[3] !== undefined ? match[3] : null,
+                width: match[4] || '',
+                conversion: match[5]
+            });
+            i += match[0].length;
+        }
+
+        if (literal) {
+            tokens.push({ type: 'literal', value: literal });
+        }
+
+        return { tokens, error: null };
+    }
+
+    /**
+     * Normalize a template so it always ends with a single `.%(ext)s`
+     * @param {string} template - Template to normalize
+     * @returns {string} Normalized template
+     */
+    static normalize(template) {
+        const trimmed = (template || '').trim();
+        if (!trimmed) {
+            return this.DEFAULT_TEMPLATE;
+        }
+
+        const withoutExt = trimmed.replace(/\.?%\(ext\)s$/, '');
+        return `${withoutExt}.%(ext)s`;
+    }
+
+    /**
+     * Validate a template against supported fields and path traversal
+     * @param {string} template - Template to validate
+     * @returns {object} { valid, error, template } where template is normalized
+     */
+    static validate(template) {
+        if (template !== undefined && template !== null && typeof template !== 'string') {
+            return { valid: false, error: 'Filename template must be text', template: null };
+        }
+
+        const normalized = this.normalize(template);
+
+        if (normalized.length > this.MAX_LENGTH) {
+            return { valid: false, error: `Filename template is too long (max ${this.MAX_LENGTH} characters)`, template: null };
+        }
+
+        // Templates name a file inside the save folder, never a path
+        if (/[\/\\]/.test(normalized)) {
+            return { valid: false, error: 'Filename template cannot contain path separators', template: null };
+        }
+
+        if (/[\0-\x1f]/.test(normalized)) {
+            return { valid: false, error: 'Filename template cannot contain control characters', template: null };
+        }
+
+        const { tokens, error } = this.tokenize(normalized);
+        if (error) {
+            return { valid: false, error, template: null };
+        }
+
+        const supported = this.SUPPORTED_FIELDS;
+        let hasNameField = false;
+
+        for (const token of tokens) {
+            if (token.type === 'literal') {
+                if (/[<>:"|?*]/.test(token.value)) {
+                    return { valid: false, error: 'Filename template contains characters not allowed in filenames', template: null };
+                }
+                continue;
+            }
+
+            if (!supported.includes(token.field)) {
+                return { valid: false, error: `Unsupported template field: ${token.field}`, template: null };
+            }
+
+            if (token.field === 'ext' && token.raw !== '%(ext)s') {
+                return { valid: false, error: 'The ext field cannot be formatted', template: null };
+            }
+
+            if (token.dateFormat !== null) {
+                if (!this.DATE_FIELDS.includes(token.field)) {
+                    return { valid: false, error: `Date formatting is not supported for ${token.field}`, template: null };
+                }
+                if (!/^[%A-Za-z0-9 _.,-]*$/.test(token.dateFormat)) {
+                    return { valid: false, error: 'Date format contains unsupported characters', template: null };
+                }
+            }
+
+            if (token.defaultValue !== null && !/^[A-Za-z0-9 _.,-]*$/.test(token.defaultValue)) {
+                return { valid: false, error: 'Default value contains unsupported characters', template: null };
+            }
+
+            if (token.field !== 'ext') {
+                hasNameField = true;
+            }
+        }
+
+        // A fixed name would make every download overwrite the previous one
+        if (!hasNameField) {
+            return { valid: false, error: 'Filename template must include at least one field such as %(title)s', template: null };
+        }
+
+        return { valid: true, error: null, template: normalized };
+    }
+
+    /**
+     * Format a YYYYMMDD date or unix timestamp with a strftime-style pattern
+     * @param {string|number} value - Date value
+     * @param {string} pattern - Pattern such as %Y-%m-%d
+     * @returns {string} Formatted date
+     * @private
+     */
+    static formatDate(value, pattern) {
+        let date;
+        if (typeof value === 'number') {
+            date = new Date(value * 1000);
+        } else if (/^\d{8}$/.test(String(value))) {
+            const str = String(value);
+            date = new Date(Date.UTC(+str.slice(0, 4), +str.slice(4, 6) - 1, +str.slice(6, 8)));
+        } else {
+            return String(value);
+        }
+
+        const pad = (num) => String(num).padStart(2, '0');
+        const parts = {
+            Y: String(date.getUTCFullYear()),
+            y: String(date.getUTCFullYear()).slice(-2),
+            m: pad(date.getUTCMonth() + 1),
+            d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()),
+            M: pad(date.getUTCMinutes()),
+            S: pad(date.getUTCSeconds())
+        };
+
+        return pattern.replace(/%([YymdHMS%])/g, (match, key) => key === '%' ? '%' : parts[key]);
+    }
+
+    /**
+     * Render a template with metadata (used for previews, yt-dlp does the real work)
+     * @param {string} template - Template to render
+     * @param {object} metadata - Field values (defaults to sample metadata)
+     * @returns {string} Rendered filename
+     */
+    static render(template, metadata = this.SAMPLE_METADATA) {
+        const { tokens, error } = this.tokenize(this.normalize(template));
+        if (error) {
+            return '';
+        }
+
+        return tokens.map(token => {
+            if (token.type === 'literal') {
+                return token.value;
+            }
+
+            let value = metadata[token.field];
+            if (value === undefined || value === null || value === '') {
+                return token.defaultValue !== null ? token.defaultValue : 'NA';
+            }
+
+            if (token.dateFormat) {
+                value = this.formatDate(value, token.dateFormat);
+            } else if (token.conversion === 'd' && token.width) {
+                const width = parseInt(token.width, 10);
+                value = String(parseInt(value, 10) || 0).padStart(width, token.width.startsWith('0') ? '0' : ' ');
+            }
+
+            // yt-dlp replaces separators inside field values, mirror that for the preview
+            return String(value).replace(/[\/\\]/g, '_');
+        }).join('');
+    }
+
+    /**
+     * Validate and render a preview in one call for the settings modal
+     * @param {string} template - Template to preview
+     * @returns {object} { valid, error, preview }
+     */
+    static preview(template) {
+        const result = this.validate(template);
+        if (!result.valid) {
+            return { valid: false, error: result.error, preview: '' };
+        }
+
+        return { valid: true, error: null, preview: this.render(result.template) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = FilenameTemplate;
+} else {
+    // Browser environment - attach to window
+    window.FilenameTemplate = FilenameTemplate;
+}
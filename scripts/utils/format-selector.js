@@ -0,0 +1,217 @@
+// GrabZilla 2.1 - Format Selector
+// Maps quality labels and format preferences to yt-dlp format selection (shared by main and renderer)
+
+class FormatSelector {
+    /**
+     * Quality labels and the resolution class they stand for (null = no limit)
+     */
+    static get QUALITY_HEIGHTS() {
+        return {
+            'Best': null,
+            '4K': 2160,
+            '1440p': 1440,
+            '1080p': 1080,
+            '720p': 720,
+            '480p': 480,
+            '360p': 360
+        };
+    }
+
+    /**
+     * Preferred video codecs and their yt-dlp sort values
+     */
+    static get CODECS() {
+        return {
+            any: null,
+            av1: 'av01',
+            vp9: 'vp9',
+            h264: 'h264'
+        };
+    }
+
+    /**
+     * Preferred containers, with the merge fallback yt-dlp uses when streams don't fit
+     */
+    static get CONTAINERS() {
+        return {
+            any: null,
+            mp4: 'mp4/mkv',
+            webm: 'webm/mkv',
+            mkv: 'mkv'
+        };
+    }
+
+    /**
+     * What to do when the source doesn't have the requested resolution
+     */
+    static get FALLBACK_POLICIES() {
+        return ['lower', 'fail'];
+    }
+
+    /**
+     * Preferences used when nothing has been configured
+     */
+    static get DEFAULTS() {
+        return {
+            codec: 'any',
+            container: 'any',
+            fallback: 'lower'
+        };
+    }
+
+    /**
+     * Get the canonical quality label ('best' and 'BEST' become 'Best')
+     * @param {string} quality - Quality label
+     * @returns {string|null} Canonical label or null if unsupported
+     */
+    static normalizeQuality(quality) {
+        if (typeof quality !== 'string') {
+            return null;
+        }
+
+        const trimmed = quality.trim().toLowerCase();
+        return Object.keys(this.QUALITY_HEIGHTS).find(label => label.toLowerCase() === trimmed) || null;
+    }
+
+    /**
+     * Validate format preferences and fill in defaults
+     * @param {object|null} preferences - { codec, container, fallback }
+     * @returns {object} { valid, error, preferences }
+     */
+    static validate(preferences) {
+        if (preferences === undefined || preferences === null) {
+            return { valid: true, error: null, preferences: this.DEFAULTS };
+        }
+
+        if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+            return { valid: false, error: 'Format preferences must be an object', preferences: null };
+        }
+
+        const normalized = { ...this.DEFAULTS };
+        ['codec', 'container', 'fallback'].forEach(key => {
+            if (preferences[key]) normalized[key] = preferences[key];
+        });
+
+        if (!Object.prototype.hasOwnProperty.call(this.CODECS, normalized.codec)) {
+            return { valid: false, error: `Unsupported video codec: ${normalized.codec}`, preferences: null };
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.CONTAINERS, normalized.container)) {
+            return { valid: false, error: `Unsupported container: ${normalized.container}`, preferences: null };
+        }
+
+        if (!this.FALLBACK_POLICIES.includes(normalized.fallback)) {
+            return { valid: false, error: `Unsupported fallback policy: ${normalized.fallback}`, preferences: null };
+        }
+
+        return { valid: true, error: null, preferences: normalized };
+    }
+
+    /**
+     * Build default format preferences from the app config
+     * @param {object} config - AppState config
+     * @returns {object} Format preferences
+     */
+    static fromConfig(config = {}) {
+        const defaults = this.DEFAULTS;
+        return {
+            codec: config.preferredCodec || defaults.codec,
+            container: config.preferredContainer || defaults.container,
+            fallback: config.qualityFallback || defaults.fallback
+        };
+    }
+
+    /**
+     * Build the format filters matching exactly one resolution class
+     * Standard, letterboxed (wider than 16:9) and vertical videos are covered
+     * by separate alternatives because yt-dlp filters can't compare fields
+     * @param {number} height - Resolution class (1080 for 1080p)
+     * @returns {Array<string>} Filter strings, one per alternative
+     * @private
+     */
+    static getExactResolutionFilters(height) {
+        const min = Math.floor(height * 0.95);
+        const width = Math.round(height * 16 / 9);
+        const minWidth = Math.floor(width * 0.95);
+
+        return [
+            `[height<=${height}][height>=${min}]`,
+            `[width<=${width}][width>=${minWidth}][height<${min}]`,
+            `[width<=${height}][width>=${min}][height>${height}]`
+        ];
+    }
+
+    /**
+     * Build the yt-dlp format selection arguments
+     * Best video and audio streams are merged when ffmpeg is available,
+     * otherwise only single-file (progressive) formats can be used
+     * @param {string} quality - Quality label
+     * @param {object} preferences - Validated format preferences
+     * @param {object} [options] - { canMerge: whether ffmpeg is available for merging }
+     * @returns {Array<string>} yt-dlp arguments
+     * @throws {Error} If the quality label is unsupported
+     */
+    static buildYtDlpArgs(quality, preferences = this.DEFAULTS, options = {}) {
+        const label = this.normalizeQuality(quality);
+        if (!label) {
+            throw new Error(`Unsupported quality: ${quality}`);
+        }
+
+        const canMerge = options.canMerge !== false;
+        const height = this.QUALITY_HEIGHTS[label];
+        const codec = this.CODECS[preferences.codec];
+        const container = this.CONTAINERS[preferences.container];
+
+        let selector;
+        if (height && preferences.fallback === 'fail') {
+            const filters = this.getExactResolutionFilters(height);
+            const merged = filters.map(filter => `bv*${filter}+ba`);
+            const single = filters.map(filter => `b${filter}`);
+            selector = (canMerge ? [...merged, ...single] : single).join('/');
+        } else {
+            // The sort below keeps the choice at or below the requested resolution
+            selector = canMerge ? 'bv*+ba/b' : 'b';
+        }
+
+        // Resolution always outranks codec and container preferences
+        const sort = [height ? `res:${height}` : 'res'];
+        if (codec) {
+            sort.push(`vcodec:${codec}`);
+        }
+        if (preferences.container === 'mp4') {
+            sort.push('ext:mp4:m4a');
+        } else if (preferences.container === 'webm') {
+            sort.push('ext:webm:webm');
+        }
+
+        const args = ['-f', selector, '-S', sort.join(',')];
+        if (container && canMerge) {
+            args.push('--merge-output-format', container);
+        }
+
+        return args;
+    }
+
+    /**
+     * Get the quality labels a source offers
+     * @param {Array<number>} resolutions - Available resolution classes (from full metadata)
+     * @returns {Array<string>} Labels, highest first, without 'Best'
+     */
+    static getAvailableQualities(resolutions) {
+        if (!Array.isArray(resolutions)) {
+            return [];
+        }
+
+        const heights = this.QUALITY_HEIGHTS;
+        return Object.keys(heights).filter(label => heights[label] && resolutions.includes(heights[label]));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = FormatSelector;
+} else {
+    // Browser environment - attach to window
+    window.FormatSelector = FormatSelector;
+}
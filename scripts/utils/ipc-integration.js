@@ -51,12 +51,10 @@ class IPCManager {
         if (!this.isElectronAvailable) return;
 
         window.electronAPI.onDownloadProgress((event, progressData) => {
-            const { url, progress } = progressData;
-            
-            // Notify all registered listeners
+            // Notify all registered listeners (status/stage carry paused, converting, etc.)
             this.downloadProgressListeners.forEach((callback, listenerId) => {
                 try {
-                    callback({ url, progress });
+                    callback({ ...progressData });
                 } catch (error) {
                     logger.error(`Error in download progress listener ${listenerId}:`, error.message);
                 }
@@ -121,6 +119,36 @@ class IPCManager {
         }
     }
 
+    /**
+     * Select local media files to convert
+     * @returns {Promise<Object>} { success, filePaths } or { cancelled }
+     */
+    async selectLocalFiles() {
+        if (!this.isElectronAvailable) {
+            throw new Error('File selection not available in browser mode');
+        }
+
+        try {
+            return await window.electronAPI.selectLocalFiles();
+        } catch (error) {
+            logger.error('Error selecting local files:', error.message);
+            throw new Error('Failed to select files');
+        }
+    }
+
+    /**
+     * Read the title, duration and streams of a local media file
+     * @param {string} filePath - Absolute file path
+     * @returns {Promise<Object>} { success, info } or { success: false, error }
+     */
+    async getLocalFileInfo(filePath) {
+        if (!this.isElectronAvailable) {
+            throw new Error('Local files not available in browser mode');
+        }
+
+        return await window.electronAPI.getLocalFileInfo(filePath);
+    }
+
     /**
      * Check binary versions (yt-dlp, ffmpeg)
      * @returns {Promise<Object>} Binary version information
@@ -163,6 +191,30 @@ class IPCManager {
         }
     }
 
+    /**
+     * Get full video metadata (uploader, counts, description, chapters, formats)
+     * Slower than getVideoMetadata, use for a single video only
+     * @param {string} url - Video URL to fetch metadata for
+     * @param {string} cookieFile - Optional path to cookie file for authentication
+     * @returns {Promise<Object>} Full video metadata
+     */
+    async getFullVideoMetadata(url, cookieFile = null) {
+        if (!this.isElectronAvailable) {
+            throw new Error('Metadata fetching not available in browser mode');
+        }
+
+        if (!url || typeof url !== 'string') {
+            throw new Error('Valid URL is required for metadata fetching');
+        }
+
+        try {
+            return await window.electronAPI.getFullVideoMetadata(url, cookieFile);
+        } catch (error) {
+            logger.error('Error fetching full video metadata:', error.message);
+            throw new Error(`Failed to fetch metadata: ${error.message}`);
+        }
+    }
+
     /**
      * Get metadata for multiple URLs in a single batch request (5-10x faster)
      * @param {string[]} urls - Array of video URLs to fetch metadata for
@@ -195,6 +247,11 @@ class IPCManager {
      * @param {string} options.format - Output format (None, H264, ProRes, etc.)
      * @param {string} options.savePath - Directory to save the video
      * @param {string} [options.cookieFile] - Optional cookie file path
+     * @param {Object} [options.subtitles] - Subtitle options ({ enabled, languages, source, format, embed })
+     * @param {Object} [options.formatPreferences] - Format preferences ({ codec, container, fallback })
+     * @param {number} [options.rateLimit] - Per-download speed limit in bytes/s
+     * @param {string} [options.organizeRule] - Subfolder rule (uploader, playlist, date, platform)
+     * @param {Object} [options.playlist] - Playlist the video was added from ({ title, index, count })
      * @returns {Promise<Object>} Download result
      */
     async downloadVideo(options) {
@@ -217,9 +274,31 @@ class IPCManager {
             quality: options.quality,
             format: options.format,
             savePath: options.savePath,
-            cookieFile: options.cookieFile || null
+            cookieFile: options.cookieFile || null,
+            filenameTemplate: options.filenameTemplate || null,
+            subtitles: options.subtitles || null,
+            formatPreferences: options.formatPreferences || null,
+            audio: options.audio || null,
+            metadata: options.metadata || null,
+            preset: options.preset || null,
+            originalPolicy: options.originalPolicy || null,
+            rateLimit: options.rateLimit || null,
+            organizeRule: options.organizeRule || null,
+            playlist: options.playlist || null,
+            clips: options.clips || [],
+            clipMode: options.clipMode || null,
+            splitChapters: options.splitChapters === true,
+            title: options.title || null
         };
 
+        // Restored downloads carry their queue priority and retry count
+        if (Number.isInteger(options.priority)) {
+            sanitizedOptions.priority = options.priority;
+        }
+        if (Number.isInteger(options.retryCount)) {
+            sanitizedOptions.retryCount = options.retryCount;
+        }
+
         try {
             const result = await window.electronAPI.downloadVideo(sanitizedOptions);
             return result;
@@ -229,6 +308,43 @@ class IPCManager {
         }
     }
 
+    /**
+     * Queue a local media file for conversion
+     * @param {Object} options - { videoId, filePath, quality, format, audio, preset, priority }
+     * @returns {Promise<Object>} Conversion result
+     */
+    async convertLocalFile(options) {
+        if (!this.isElectronAvailable) {
+            throw new Error('Local file conversion not available in browser mode');
+        }
+
+        for (const field of ['videoId', 'filePath', 'quality', 'format']) {
+            if (!options[field]) {
+                throw new Error(`Missing required field: ${field}`);
+            }
+        }
+
+        const sanitizedOptions = {
+            videoId: options.videoId,
+            filePath: options.filePath,
+            quality: options.quality,
+            format: options.format,
+            audio: options.audio || null,
+            preset: options.preset || null
+        };
+
+        if (Number.isInteger(options.priority)) {
+            sanitizedOptions.priority = options.priority;
+        }
+
+        try {
+            return await window.electronAPI.convertLocalFile(sanitizedOptions);
+        } catch (error) {
+            logger.error('Error converting local file:', error.message);
+            throw new Error(`Conversion failed: ${error.message}`);
+        }
+    }
+
     /**
      * Get download manager statistics
      * @returns {Promise<Object>} Download stats
@@ -238,9 +354,13 @@ class IPCManager {
             return {
                 active: 0,
                 queued: 0,
+                paused: 0,
                 maxConcurrent: 1,
+                maxRetries: 0,
+                stallTimeout: 0,
                 completed: 0,
-                canAcceptMore: true
+                canAcceptMore: true,
+                conversions: { active: 0, queued: 0, maxConcurrent: 1, completed: 0, canAcceptMore: true }
             };
         }
 
@@ -253,6 +373,70 @@ class IPCManager {
         }
     }
 
+    /**
+     * Apply download settings to the main process DownloadManager
+     * @param {Object} settings - { maxConcurrent, maxConcurrentConversions, maxRetries, stallTimeout (seconds), rateLimit (bytes/s), schedule }
+     * @returns {Promise<Object>} Live download stats after the change
+     */
+    async updateDownloadSettings(settings) {
+        if (!this.isElectronAvailable) {
+            throw new Error('Download settings not available in browser mode');
+        }
+
+        try {
+            const result = await window.electronAPI.updateDownloadSettings(settings);
+            return result.stats;
+        } catch (error) {
+            logger.error('Error updating download settings:', error.message);
+            throw new Error(`Failed to update download settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start, move or stop the local HTTP control API
+     * @param {Object} settings - { enabled, port, savePath, quality, format, cookieFile } - the rest are defaults for API requests
+     * @returns {Promise<Object>} { success, running, port, url, token, error }
+     */
+    async configureControlApi(settings) {
+        if (!this.isElectronAvailable) {
+            throw new Error('Control API not available in browser mode');
+        }
+
+        const sanitizedSettings = {
+            enabled: settings.enabled === true,
+            port: parseInt(settings.port, 10),
+            savePath: settings.savePath || null,
+            quality: settings.quality || null,
+            format: settings.format || null,
+            cookieFile: settings.cookieFile || null
+        };
+
+        try {
+            return await window.electronAPI.configureControlApi(sanitizedSettings);
+        } catch (error) {
+            logger.error('Error configuring control API:', error.message);
+            throw new Error(`Failed to configure control API: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the control API token, scripts using the old one stop working
+     * @returns {Promise<string>} New token
+     */
+    async regenerateControlApiToken() {
+        if (!this.isElectronAvailable) {
+            throw new Error('Control API not available in browser mode');
+        }
+
+        try {
+            const result = await window.electronAPI.regenerateControlApiToken();
+            return result.token;
+        } catch (error) {
+            logger.error('Error regenerating control API token:', error.message);
+            throw new Error(`Failed to regenerate token: ${error.message}`);
+        }
+    }
+
     /**
      * Cancel a specific download
      * @param {string} videoId - Video ID to cancel
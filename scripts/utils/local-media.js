@@ -0,0 +1,89 @@
+// GrabZilla 2.1 - Local Media
+// Media files already on disk that are queued for conversion only (shared by main and renderer)
+
+class LocalMedia {
+    /**
+     * Extensions accepted from the file dialog and drag and drop
+     */
+    static get VIDEO_EXTENSIONS() {
+        return ['mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'wmv', 'flv', 'mpg', 'mpeg', 'ts', 'mts', 'm2ts', 'mxf'];
+    }
+
+    static get AUDIO_EXTENSIONS() {
+        return ['mp3', 'm4a', 'aac', 'wav', 'flac', 'ogg', 'opus', 'aif', 'aiff'];
+    }
+
+    static get EXTENSIONS() {
+        return [...this.VIDEO_EXTENSIONS, ...this.AUDIO_EXTENSIONS];
+    }
+
+    /**
+     * Local items are identified by a file:// URL, so progress updates find them like downloads
+     */
+    static get URL_PREFIX() {
+        return 'file://';
+    }
+
+    /**
+     * Get the lowercase extension of a path
+     * @param {string} filePath - File path
+     * @returns {string} Extension without the dot, empty if there is none
+     */
+    static getExtension(filePath) {
+        const name = String(filePath || '').split(/[\\/]/).pop();
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+    }
+
+    /**
+     * Check whether a file can be converted
+     * @param {string} filePath - File path
+     * @returns {boolean} True for supported media extensions
+     */
+    static isMediaFile(filePath) {
+        return this.EXTENSIONS.includes(this.getExtension(filePath));
+    }
+
+    /**
+     * Get the file name without folder and extension, used as the title
+     * @param {string} filePath - File path
+     * @returns {string} Title
+     */
+    static getTitle(filePath) {
+        const name = String(filePath || '').split(/[\\/]/).pop();
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.slice(0, dot) : name;
+    }
+
+    /**
+     * Build the file:// URL identifying a local file
+     * @param {string} filePath - Absolute file path ('/Videos/a.mov' or 'C:\\Videos\\a.mov')
+     * @returns {string} URL such as 'file:///Videos/a.mov'
+     */
+    static toUrl(filePath) {
+        const segments = String(filePath).replace(/\\/g, '/').split('/');
+        const encoded = segments
+            .map((segment, index) => (index === 0 && /^[A-Za-z]:$/.test(segment) ? segment : encodeURIComponent(segment)))
+            .join('/');
+
+        return `${this.URL_PREFIX}${encoded.startsWith('/') ? '' : '/'}${encoded}`;
+    }
+
+    /**
+     * Check whether a video URL stands for a local file
+     * @param {string} url - Video URL
+     * @returns {boolean} True for file:// URLs
+     */
+    static isLocalUrl(url) {
+        return typeof url === 'string' && url.startsWith(this.URL_PREFIX);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = LocalMedia;
+} else {
+    // Browser environment - attach to window
+    window.LocalMedia = LocalMedia;
+}
@@ -0,0 +1,289 @@
+// GrabZilla 2.1 - Metadata Options
+// Sidecar files (.info.json, .description, thumbnail, NFO) and container tags that record where a download came from (shared by main and renderer)
+
+class MetadataOptions {
+    static get DEFAULTS() {
+        return {
+            infoJson: false,
+            description: false,
+            thumbnail: false,
+            nfo: false,
+            embed: false
+        };
+    }
+
+    /**
+     * Extensions of the sidecar files yt-dlp writes next to a download, per option
+     * Thumbnails are converted to JPEG when FFmpeg is available, otherwise they keep the site's format
+     */
+    static get SIDECAR_EXTENSIONS() {
+        return {
+            infoJson: ['.info.json'],
+            description: ['.description'],
+            thumbnail: ['.jpg', '.webp', '.png']
+        };
+    }
+
+    /**
+     * Prefix of the metadata line printed by yt-dlp
+     */
+    static get PRINT_PREFIX() {
+        return '[metadata]';
+    }
+
+    /**
+     * Longest value written into a container tag
+     */
+    static get MAX_TAG_LENGTH() {
+        return 1000;
+    }
+
+    /**
+     * Validate metadata options
+     * @param {object|null} options - { infoJson, description, thumbnail, nfo, embed }
+     * @returns {object} { valid, error, options } - missing values are filled with the defaults
+     */
+    static validate(options) {
+        if (options === undefined || options === null) {
+            return { valid: true, error: null, options: this.DEFAULTS };
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return { valid: false, error: 'Metadata options must be an object', options: null };
+        }
+
+        const merged = { ...this.DEFAULTS, ...options };
+
+        for (const key of Object.keys(this.DEFAULTS)) {
+            if (typeof merged[key] !== 'boolean') {
+                return { valid: false, error: `Metadata option ${key} must be true or false`, options: null };
+            }
+        }
+
+        const { infoJson, description, thumbnail, nfo, embed } = merged;
+        return { valid: true, error: null, options: { infoJson, description, thumbnail, nfo, embed } };
+    }
+
+    /**
+     * Read metadata options from the app config
+     * @param {object} config - App config (metadataInfoJson, metadataDescription, metadataThumbnail, metadataNfo, metadataEmbed)
+     * @returns {object} Metadata options
+     */
+    static fromConfig(config = {}) {
+        return {
+            infoJson: config.metadataInfoJson === true,
+            description: config.metadataDescription === true,
+            thumbnail: config.metadataThumbnail === true,
+            nfo: config.metadataNfo === true,
+            embed: config.metadataEmbed === true
+        };
+    }
+
+    /**
+     * Check whether the video's metadata has to be read during the download (NFO file or tags)
+     * @param {object} options - Validated metadata options
+     * @returns {boolean} True if buildYtDlpArgs prints the metadata
+     */
+    static needsMetadata(options) {
+        return Boolean(options && (options.nfo || options.embed));
+    }
+
+    /**
+     * Build the yt-dlp arguments that write the sidecar files and print the metadata
+     * @param {object} options - Validated metadata options
+     * @param {object} [capabilities] - { canConvert } - converting thumbnails to JPEG needs FFmpeg
+     * @returns {Array<string>} yt-dlp arguments
+     */
+    static buildYtDlpArgs(options, { canConvert = true } = {}) {
+        if (!options) {
+            return [];
+        }
+
+        const args = [];
+
+        if (options.infoJson) {
+            args.push('--write-info-json');
+        }
+        if (options.description) {
+            args.push('--write-description');
+        }
+        if (options.thumbnail) {
+            args.push('--write-thumbnail');
+            if (canConvert) {
+                args.push('--convert-thumbnails', 'jpg');
+            }
+        }
+        if (this.needsMetadata(options)) {
+            args.push('--print', `after_move:${this.PRINT_PREFIX} %(.{id,title,uploader,channel,upload_date,webpage_url,description,duration,extractor_key})j`);
+        }
+
+        return args;
+    }
+
+    /**
+     * Parse the metadata line printed by yt-dlp
+     * @param {string} line - Output line
+     * @returns {object|null} Metadata fields, or null if the line isn't a metadata line
+     */
+    static parseMetadataLine(line) {
+        const text = line.trim();
+        if (!text.startsWith(`${this.PRINT_PREFIX} `)) {
+            return null;
+        }
+
+        try {
+            const metadata = JSON.parse(text.slice(this.PRINT_PREFIX.length + 1));
+            return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Turn yt-dlp's YYYYMMDD upload date into YYYY-MM-DD
+     * @param {string} uploadDate - Upload date from yt-dlp
+     * @returns {string|null} ISO date, or null if missing or malformed
+     */
+    static formatDate(uploadDate) {
+        const match = typeof uploadDate === 'string' ? uploadDate.match(/^(\d{4})(\d{2})(\d{2})$/) : null;
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * Remove control characters and limit the length of a tag value
+     * @param {*} value - Value from the metadata
+     * @returns {string|null} Clean value, or null if there is nothing left
+     */
+    static cleanTagValue(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const clean = value.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, this.MAX_TAG_LENGTH);
+        return clean || null;
+    }
+
+    /**
+     * Get the container tags recording a video's title, uploader, date and source URL
+     * @param {object|null} metadata - Metadata from parseMetadataLine
+     * @returns {object|null} { title, artist, date, comment } without empty values, or null if there are none
+     */
+    static buildTags(metadata) {
+        if (!metadata) {
+            return null;
+        }
+
+        const tags = {
+            title: this.cleanTagValue(metadata.title),
+            artist: this.cleanTagValue(metadata.uploader || metadata.channel),
+            date: this.formatDate(metadata.upload_date),
+            comment: this.cleanTagValue(metadata.webpage_url)
+        };
+
+        const present = Object.entries(tags).filter(([, value]) => value);
+        return present.length > 0 ? Object.fromEntries(present) : null;
+    }
+
+    /**
+     * Build the FFmpeg arguments that write container tags
+     * Placed after -map_metadata, so they replace tags carried over from the input
+     * @param {object|null} tags - Tags from buildTags
+     * @returns {Array<string>} FFmpeg arguments
+     */
+    static buildFFmpegArgs(tags) {
+        if (!tags) {
+            return [];
+        }
+
+        return Object.entries(tags).flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML 1.0 doesn't allow
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Build a Kodi/Jellyfin style NFO file for a download
+     * @param {object} metadata - Metadata from parseMetadataLine
+     * @returns {string} NFO file content
+     */
+    static buildNfo(metadata) {
+        const date = this.formatDate(metadata.upload_date);
+        const uploader = metadata.uploader || metadata.channel;
+        const fields = [
+            ['title', metadata.title],
+            ['plot', metadata.description],
+            ['studio', uploader],
+            ['premiered', date],
+            ['year', date ? date.slice(0, 4) : null],
+            ['runtime', Number.isFinite(metadata.duration) && metadata.duration > 0 ? Math.max(1, Math.round(metadata.duration / 60)) : null]
+        ];
+
+        const lines = fields
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `    <${name}>${this.escapeXml(value)}</${name}>`);
+
+        if (metadata.id) {
+            const source = this.escapeXml(String(metadata.extractor_key || 'video').toLowerCase());
+            lines.push(`    <uniqueid type="${source}" default="true">${this.escapeXml(metadata.id)}</uniqueid>`);
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<movie>',
+            ...lines,
+            '</movie>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Get a file path without its extension
+     * @param {string} filePath - File path
+     * @returns {string} Path without the extension
+     */
+    static getStem(filePath) {
+        return filePath.replace(/\.[^./\\]+$/, '');
+    }
+
+    /**
+     * Get the paths sidecar files of a download may have
+     * @param {string} filePath - Downloaded file
+     * @param {object} options - Validated metadata options
+     * @returns {Array<string>} Candidate paths of the enabled sidecar files (not all of them exist)
+     */
+    static getSidecarPaths(filePath, options) {
+        const stem = this.getStem(filePath);
+        return Object.entries(this.SIDECAR_EXTENSIONS)
+            .filter(([key]) => options && options[key])
+            .flatMap(([, extensions]) => extensions.map(extension => `${stem}${extension}`));
+    }
+
+    /**
+     * Get the NFO file path of a download
+     * @param {string} filePath - Downloaded (or converted) file
+     * @returns {string} NFO path next to the file
+     */
+    static getNfoPath(filePath) {
+        return `${this.getStem(filePath)}.nfo`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = MetadataOptions;
+} else {
+    // Browser environment - attach to window
+    window.MetadataOptions = MetadataOptions;
+}
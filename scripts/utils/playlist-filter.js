@@ -0,0 +1,233 @@
+// GrabZilla 2.1 - Playlist Filter
+// Select playlist entries by index range, duration, title pattern and upload date
+
+class PlaylistFilter {
+    /**
+     * Filter used when nothing has been entered (every entry matches)
+     */
+    static get DEFAULTS() {
+        return {
+            range: '',
+            minDuration: null,
+            maxDuration: null,
+            titlePattern: '',
+            dateFrom: '',
+            dateTo: ''
+        };
+    }
+
+    /**
+     * Longest accepted title pattern
+     */
+    static get MAX_PATTERN_LENGTH() {
+        return 200;
+    }
+
+    /**
+     * Parse an index range such as '5-20', '1,3,7', '50-' or 'last 10'
+     * @param {string} text - Comma-separated range terms
+     * @returns {object} { valid, error, ranges } - ranges are { start, end } or { last }
+     */
+    static parseRange(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            return { valid: true, error: null, ranges: [] };
+        }
+
+        const ranges = [];
+
+        for (const term of text.split(',').map(part => part.trim().toLowerCase())) {
+            let match;
+
+            if ((match = /^last\s+(\d+)$/.exec(term))) {
+                ranges.push({ last: Number(match[1]) });
+            } else if ((match = /^(\d+)$/.exec(term))) {
+                ranges.push({ start: Number(match[1]), end: Number(match[1]) });
+            } else if ((match = /^(\d+)\s*-\s*(\d*)$/.exec(term))) {
+                const start = Number(match[1]);
+                const end = match[2] === '' ? Infinity : Number(match[2]);
+                if (end < start) {
+                    return { valid: false, error: `Range ${term} ends before it starts`, ranges: null };
+                }
+                ranges.push({ start, end });
+            } else {
+                return { valid: false, error: `Invalid range: ${term}. Use e.g. 5-20, 1,3,7, 50- or last 10`, ranges: null };
+            }
+        }
+
+        if (ranges.some(range => range.start === 0 || range.last === 0)) {
+            return { valid: false, error: 'Playlist positions start at 1', ranges: null };
+        }
+
+        return { valid: true, error: null, ranges };
+    }
+
+    /**
+     * Parse a YYYY-MM-DD date (as given by date inputs)
+     * @param {string} value - Date string
+     * @returns {string|null} Date in yt-dlp YYYYMMDD form, or null if invalid
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+        if (!match) {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        if (date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+            return null;
+        }
+
+        return `${match[1]}${match[2]}${match[3]}`;
+    }
+
+    /**
+     * Validate a filter and compile it for matching
+     * @param {object|null} filter - { range, minDuration, maxDuration, titlePattern, dateFrom, dateTo }
+     *                               durations in seconds, dates as YYYY-MM-DD
+     * @returns {object} { valid, error, filter } - filter holds ranges, regex and YYYYMMDD dates
+     */
+    static validate(filter) {
+        if (filter === undefined || filter === null) {
+            filter = this.DEFAULTS;
+        }
+
+        if (typeof filter !== 'object' || Array.isArray(filter)) {
+            return { valid: false, error: 'Filter must be an object', filter: null };
+        }
+
+        const { valid, error, ranges } = this.parseRange(filter.range);
+        if (!valid) {
+            return { valid: false, error, filter: null };
+        }
+
+        const durations = {};
+        for (const key of ['minDuration', 'maxDuration']) {
+            const value = filter[key];
+            if (value === undefined || value === null || value === '') {
+                durations[key] = null;
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return { valid: false, error: 'Durations must be positive numbers', filter: null };
+            } else {
+                durations[key] = value;
+            }
+        }
+
+        if (durations.minDuration !== null && durations.maxDuration !== null && durations.minDuration > durations.maxDuration) {
+            return { valid: false, error: 'Minimum duration is longer than the maximum', filter: null };
+        }
+
+        let titleRegex = null;
+        const pattern = typeof filter.titlePattern === 'string' ? filter.titlePattern.trim() : '';
+        if (pattern) {
+            if (pattern.length > this.MAX_PATTERN_LENGTH) {
+                return { valid: false, error: `Title pattern is longer than ${this.MAX_PATTERN_LENGTH} characters`, filter: null };
+            }
+            try {
+                titleRegex = new RegExp(pattern, 'i');
+            } catch (regexError) {
+                return { valid: false, error: `Invalid title pattern: ${regexError.message}`, filter: null };
+            }
+        }
+
+        const dates = {};
+        for (const key of ['dateFrom', 'dateTo']) {
+            const value = filter[key];
+            if (value === undefined || value === null || value === '') {
+                dates[key] = null;
+            } else {
+                dates[key] = this.parseDate(value);
+                if (!dates[key]) {
+                    return { valid: false, error: 'Dates must use the YYYY-MM-DD format', filter: null };
+                }
+            }
+        }
+
+        if (dates.dateFrom && dates.dateTo && dates.dateFrom > dates.dateTo) {
+            return { valid: false, error: 'Start date is after the end date', filter: null };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            filter: { ranges, titleRegex, ...durations, ...dates }
+        };
+    }
+
+    /**
+     * Check whether a compiled filter selects by position from the end ('last N')
+     * @param {object} compiled - Filter from validate()
+     * @returns {boolean} True if the playlist length is needed
+     */
+    static needsTotal(compiled) {
+        return compiled.ranges.some(range => range.last !== undefined);
+    }
+
+    /**
+     * Check whether a playlist entry matches a compiled filter
+     * Entries without a known duration or upload date don't match bounds on them
+     * @param {object} video - { playlistIndex, title, duration, uploadDate (YYYYMMDD) }
+     * @param {object} compiled - Filter from validate()
+     * @param {number|null} total - Playlist length, needed for 'last N'
+     * @returns {boolean} True if the entry is selected
+     */
+    static matches(video, compiled, total = null) {
+        const index = video.playlistIndex;
+
+        if (compiled.ranges.length > 0) {
+            const inRange = compiled.ranges.some(range => {
+                if (range.last !== undefined) {
+                    return Number.isInteger(total) && index > total - range.last && index <= total;
+                }
+                return index >= range.start && index <= range.end;
+            });
+            if (!inRange) return false;
+        }
+
+        if (compiled.minDuration !== null || compiled.maxDuration !== null) {
+            if (typeof video.duration !== 'number') return false;
+            if (compiled.minDuration !== null && video.duration < compiled.minDuration) return false;
+            if (compiled.maxDuration !== null && video.duration > compiled.maxDuration) return false;
+        }
+
+        if (compiled.titleRegex && !compiled.titleRegex.test(video.title || '')) {
+            return false;
+        }
+
+        if (compiled.dateFrom || compiled.dateTo) {
+            if (!video.uploadDate) return false;
+            if (compiled.dateFrom && video.uploadDate < compiled.dateFrom) return false;
+            if (compiled.dateTo && video.uploadDate > compiled.dateTo) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Select the playlist entries matching a filter
+     * @param {Array<object>} videos - Playlist entries
+     * @param {object|null} filter - Filter as accepted by validate()
+     * @param {number|null} total - Playlist length, needed for 'last N'
+     * @returns {object} { valid, error, videos }
+     */
+    static apply(videos, filter, total = null) {
+        const { valid, error, filter: compiled } = this.validate(filter);
+        if (!valid) {
+            return { valid: false, error, videos: [] };
+        }
+
+        if (this.needsTotal(compiled) && !Number.isInteger(total)) {
+            return { valid: false, error: 'Load the whole playlist to select its last videos', videos: [] };
+        }
+
+        return { valid: true, error: null, videos: videos.filter(video => this.matches(video, compiled, total)) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = PlaylistFilter;
+} else {
+    // Browser environment - attach to window
+    window.PlaylistFilter = PlaylistFilter;
+}
@@ -0,0 +1,356 @@
+// GrabZilla 2.1 - Site Registry
+// Supported sites and their URL rules (shared by main and renderer)
+
+class SiteRegistry {
+    /**
+     * Built-in sites
+     * pattern: full video URL (regex source, also used to find URLs in text and the clipboard)
+     * idPattern: captures the video ID
+     * extractor/archiveId: yt-dlp download archive entry, null when the ID isn't in the URL
+     */
+    static get SITES() {
+        return [
+            {
+                id: 'youtube',
+                name: 'YouTube',
+                hosts: ['youtube.com', 'youtu.be'],
+                pattern: '(?:https?:\\/\\/)?(?:www\\.|m\\.)?(?:youtube\\.com\\/(?:watch\\?v=|embed\\/|v\\/|shorts\\/)|youtu\\.be\\/)[\\w-]{11}(?:[?&]\\S*)?',
+                playlistPattern: '(?:https?:\\/\\/)?(?:www\\.|m\\.)?youtube\\.com\\/playlist\\?list=[\\w-]+\\S*',
+                idPattern: /(?:[?&]v=|\/embed\/|\/v\/|\/shorts\/|youtu\.be\/)([\w-]{11})/,
+                canonicalUrl: id => `https://www.youtube.com/watch?v=${id}`,
+                embedUrl: id => `https://www.youtube.com/embed/${id}`,
+                extractor: 'youtube'
+            },
+            {
+                id: 'vimeo',
+                name: 'Vimeo',
+                hosts: ['vimeo.com'],
+                pattern: '(?:https?:\\/\\/)?(?:www\\.)?(?:vimeo\\.com\\/|player\\.vimeo\\.com\\/video\\/)\\d+(?:[\\/?#]\\S*)?',
+                idPattern: /vimeo\.com\/(?:video\/)?(\d+)/,
+                canonicalUrl: id => `https://vimeo.com/${id}`,
+                embedUrl: id => `https://player.vimeo.com/video/${id}`,
+                extractor: 'vimeo'
+            },
+            {
+                id: 'twitch',
+                name: 'Twitch',
+                hosts: ['twitch.tv'],
+                pattern: '(?:https?:\\/\\/)?(?:www\\.|m\\.)?twitch\\.tv\\/videos\\/\\d+(?:[?#]\\S*)?',
+                idPattern: /twitch\.tv\/videos\/(\d+)/,
+                canonicalUrl: id => `https://www.twitch.tv/videos/${id}`,
+                // Twitch embeds need the embedding page's domain, which a local app doesn't have
+                embedUrl: null,
+                extractor: 'twitchvod',
+                archiveId: id => `v${id}`
+            },
+            {
+                id: 'dailymotion',
+                name: 'Dailymotion',
+                hosts: ['dailymotion.com', 'dai.ly'],
+                pattern: '(?:https?:\\/\\/)?(?:(?:www\\.)?dailymotion\\.com\\/video\\/|dai\\.ly\\/)[a-z0-9]+(?:[_?#]\\S*)?',
+                idPattern: /(?:dailymotion\.com\/video\/|dai\.ly\/)([a-z0-9]+)/i,
+                canonicalUrl: id => `https://www.dailymotion.com/video/${id}`,
+                embedUrl: id => `https://www.dailymotion.com/embed/video/${id}`,
+                extractor: 'dailymotion'
+            },
+            {
+                id: 'soundcloud',
+                name: 'SoundCloud',
+                hosts: ['soundcloud.com'],
+                pattern: '(?:https?:\\/\\/)?(?:www\\.|m\\.)?soundcloud\\.com\\/[\\w-]+\\/(?!sets\\b)[\\w-]+(?:[\\/?#]\\S*)?',
+                idPattern: /soundcloud\.com\/([\w-]+\/[\w-]+)/,
+                canonicalUrl: id => `https://soundcloud.com/${id}`,
+                embedUrl: id => `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com/${id}`)}`,
+                // Track IDs are numeric and not part of the URL
+                extractor: null
+            }
+        ];
+    }
+
+    /**
+     * Settings used when nothing has been configured (all built-in sites, no custom hosts)
+     */
+    static get DEFAULTS() {
+        return {
+            enabledSites: this.SITES.map(site => site.id),
+            customHosts: []
+        };
+    }
+
+    static get MAX_CUSTOM_HOSTS() {
+        return 50;
+    }
+
+    /**
+     * Normalize a host typed in the settings ('https://www.example.com/videos' -> 'example.com')
+     * Punycode hosts are rejected, they are a common way to spoof trusted domains
+     * @param {string} value - Host or URL
+     * @returns {string|null} Lowercase host, or null if invalid
+     */
+    static normalizeHost(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const host = value.trim().toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/[\/?#].*$/, '')
+            .replace(/^www\./, '');
+
+        const validHost = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+        if (!validHost.test(host) || host.includes('xn--')) {
+            return null;
+        }
+
+        return host;
+    }
+
+    /**
+     * Validate site settings and fill in defaults
+     * @param {object|null} settings - { enabledSites, customHosts }
+     * @returns {object} { valid, error, settings }
+     */
+    static validate(settings) {
+        if (settings === undefined || settings === null) {
+            return { valid: true, error: null, settings: this.DEFAULTS };
+        }
+
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            return { valid: false, error: 'Site settings must be an object', settings: null };
+        }
+
+        const enabledSites = settings.enabledSites ?? this.DEFAULTS.enabledSites;
+        const customHosts = settings.customHosts ?? [];
+
+        if (!Array.isArray(enabledSites) || !Array.isArray(customHosts)) {
+            return { valid: false, error: 'Enabled sites and custom hosts must be lists', settings: null };
+        }
+
+        const knownIds = this.SITES.map(site => site.id);
+        const unknownSite = enabledSites.find(id => !knownIds.includes(id));
+        if (unknownSite !== undefined) {
+            return { valid: false, error: `Unknown site: ${unknownSite}`, settings: null };
+        }
+
+        if (customHosts.length > this.MAX_CUSTOM_HOSTS) {
+            return { valid: false, error: `At most ${this.MAX_CUSTOM_HOSTS} custom hosts are allowed`, settings: null };
+        }
+
+        const hosts = [];
+        for (const value of customHosts) {
+            const host = this.normalizeHost(value);
+            if (!host) {
+                return { valid: false, error: `Invalid host: ${value}`, settings: null };
+            }
+            if (!hosts.includes(host)) {
+                hosts.push(host);
+            }
+        }
+
+        return {
+            valid: true,
+            error: null,
+            settings: {
+                enabledSites: knownIds.filter(id => enabledSites.includes(id)),
+                customHosts: hosts
+            }
+        };
+    }
+
+    /**
+     * Apply site settings (the whitelist used by every check below)
+     * @param {object|null} settings - { enabledSites, customHosts }
+     * @returns {object} { valid, error, settings } - settings are unchanged when invalid
+     */
+    static configure(settings) {
+        const result = this.validate(settings);
+        if (result.valid) {
+            this.settings = result.settings;
+        }
+        return result;
+    }
+
+    /**
+     * Build a site entry for a user-defined host
+     * yt-dlp decides whether it supports the URL, so any URL with a path is accepted
+     * @param {string} host - Normalized host
+     * @returns {object} Site entry
+     */
+    static createCustomSite(host) {
+        return {
+            id: `custom:${host}`,
+            name: host,
+            hosts: [host],
+            pattern: `(?:https?:\\/\\/)?(?:[\\w-]+\\.)*${host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\/\\S+`,
+            idPattern: null,
+            canonicalUrl: null,
+            embedUrl: null,
+            extractor: null,
+            custom: true
+        };
+    }
+
+    /**
+     * Get a built-in site, enabled or not
+     * @param {string} id - Site ID ('youtube')
+     * @returns {object|null} Site entry
+     */
+    static getSite(id) {
+        return this.SITES.find(site => site.id === id) || null;
+    }
+
+    /**
+     * Get the enabled built-in sites followed by the custom hosts
+     * @returns {Array<object>} Site entries
+     */
+    static getActiveSites() {
+        const { enabledSites, customHosts } = this.settings;
+        return [
+            ...this.SITES.filter(site => enabledSites.includes(site.id)),
+            ...customHosts.map(host => this.createCustomSite(host))
+        ];
+    }
+
+    /**
+     * Get the hosts of all active sites
+     * @returns {Array<string>} Hosts (subdomains are allowed as well)
+     */
+    static getAllowedHosts() {
+        return this.getActiveSites().flatMap(site => site.hosts);
+    }
+
+    /**
+     * Check a hostname against the whitelist
+     * @param {string} hostname - Hostname from a parsed URL
+     * @returns {boolean} True if the host or a parent domain is allowed
+     */
+    static isAllowedHost(hostname) {
+        if (!hostname || typeof hostname !== 'string') {
+            return false;
+        }
+
+        const lowerHostname = hostname.toLowerCase();
+        return this.getAllowedHosts().some(host =>
+            lowerHostname === host || lowerHostname.endsWith('.' + host)
+        );
+    }
+
+    /**
+     * Check whether a URL is a video URL of a site
+     * @param {object|null} site - Site entry
+     * @param {string} url - URL to check
+     * @returns {boolean} True if the whole URL matches the site
+     */
+    static matches(site, url) {
+        if (!site || !url || typeof url !== 'string') {
+            return false;
+        }
+
+        const trimmedUrl = url.trim();
+        return [site.pattern, site.playlistPattern]
+            .filter(Boolean)
+            .some(pattern => new RegExp(`^${pattern}$`, 'i').test(trimmedUrl));
+    }
+
+    /**
+     * Find the active site a URL belongs to
+     * @param {string} url - URL to check
+     * @returns {object|null} Site entry or null if not supported
+     */
+    static findSite(url) {
+        return this.getActiveSites().find(site => this.matches(site, url)) || null;
+    }
+
+    /**
+     * Extract the video ID from a URL
+     * @param {string} url - Video URL
+     * @param {object|null} [site] - Site to use, defaults to the active site matching the URL
+     * @returns {object|null} { site, id } or null if the URL has no known ID
+     */
+    static extractId(url, site = this.findSite(url)) {
+        if (!site || !site.idPattern || !this.matches(site, url)) {
+            return null;
+        }
+
+        const match = url.match(site.idPattern);
+        return match && match[1] ? { site, id: match[1] } : null;
+    }
+
+    /**
+     * Normalize a URL to the site's canonical video URL
+     * @param {string} url - URL with protocol
+     * @returns {string} Canonical URL, or the URL unchanged if the site has none
+     */
+    static normalizeUrl(url) {
+        const result = this.extractId(url);
+        if (result && result.site.canonicalUrl) {
+            return result.site.canonicalUrl(result.id);
+        }
+        return url;
+    }
+
+    /**
+     * Get the embeddable player URL for the preview modal
+     * @param {string} url - Video URL
+     * @returns {string|null} Embed URL or null if the site can't be embedded
+     */
+    static getEmbedUrl(url) {
+        const result = this.extractId(url);
+        if (result && result.site.embedUrl) {
+            return result.site.embedUrl(result.id);
+        }
+        return null;
+    }
+
+    /**
+     * Get the yt-dlp download archive entry of a URL
+     * @param {string} url - Video URL
+     * @returns {object|null} { extractor, id } or null if it can't be derived from the URL
+     */
+    static getArchiveEntry(url) {
+        const result = this.extractId(url);
+        if (!result || !result.site.extractor) {
+            return null;
+        }
+
+        const { site, id } = result;
+        return { extractor: site.extractor, id: site.archiveId ? site.archiveId(id) : id };
+    }
+
+    /**
+     * Find video URLs of active sites in text
+     * @param {string} text - Text such as pasted input or clipboard content
+     * @returns {Array<string>} URLs as written in the text, grouped by site
+     */
+    static extractUrls(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        // Don't match hosts that are only the end of another domain (notyoutube.com)
+        return this.getActiveSites().flatMap(site =>
+            text.match(new RegExp(`(?<![\\w.-])${site.pattern}`, 'gi')) || []
+        );
+    }
+
+    /**
+     * Check whether text contains a supported video URL (clipboard monitoring)
+     * @param {string} text - Text to check
+     * @returns {boolean} True if at least one video URL was found
+     */
+    static containsVideoUrl(text) {
+        return this.extractUrls(text).length > 0;
+    }
+}
+
+// Active settings, replaced through configure()
+SiteRegistry.settings = SiteRegistry.DEFAULTS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = SiteRegistry;
+} else {
+    // Browser environment - attach to window
+    window.SiteRegistry = SiteRegistry;
+}
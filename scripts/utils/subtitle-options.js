@@ -0,0 +1,190 @@
+// GrabZilla 2.1 - Subtitle Options
+// Validation of subtitle download settings and yt-dlp argument building (shared by main and renderer)
+
+class SubtitleOptions {
+    /**
+     * Which captions to fetch: uploaded by the author, generated by the site, or both
+     */
+    static get SOURCES() {
+        return ['manual', 'auto', 'both'];
+    }
+
+    /**
+     * Output formats yt-dlp can convert subtitles to
+     */
+    static get FORMATS() {
+        return ['srt', 'vtt', 'ass'];
+    }
+
+    /**
+     * Maximum number of languages per download
+     */
+    static get MAX_LANGUAGES() {
+        return 10;
+    }
+
+    /**
+     * Settings used when nothing has been configured
+     */
+    static get DEFAULTS() {
+        return {
+            enabled: false,
+            languages: ['en'],
+            source: 'manual',
+            format: 'srt',
+            embed: false
+        };
+    }
+
+    /**
+     * Split a comma or space separated language list ("en, es-419")
+     * @param {string|Array} value - Language list as typed by the user
+     * @returns {Array<string>} Trimmed, de-duplicated language codes
+     */
+    static parseLanguages(value) {
+        const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+        const languages = [];
+
+        parts.forEach(part => {
+            const language = String(part).trim();
+            if (language && !languages.includes(language)) {
+                languages.push(language);
+            }
+        });
+
+        return languages;
+    }
+
+    /**
+     * Check a language code (en, pt-BR, zh-Hans, es-419)
+     * @param {string} language - Language code
+     * @returns {boolean} True if valid
+     */
+    static isValidLanguage(language) {
+        return typeof language === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language);
+    }
+
+    /**
+     * Validate subtitle options and fill in defaults
+     * @param {object|null} options - { enabled, languages, source, format, embed }
+     * @returns {object} { valid, error, options } where options is normalized
+     */
+    static validate(options) {
+        if (options === undefined || options === null) {
+            return { valid: true, error: null, options: this.DEFAULTS };
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return { valid: false, error: 'Subtitle options must be an object', options: null };
+        }
+
+        const defaults = this.DEFAULTS;
+        const languages = options.languages !== undefined ? this.parseLanguages(options.languages) : defaults.languages;
+        const source = options.source || defaults.source;
+        const format = options.format || defaults.format;
+        const enabled = options.enabled === true;
+
+        if (enabled && languages.length === 0) {
+            return { valid: false, error: 'At least one subtitle language is required', options: null };
+        }
+
+        if (languages.length > this.MAX_LANGUAGES) {
+            return { valid: false, error: `Too many subtitle languages (max ${this.MAX_LANGUAGES})`, options: null };
+        }
+
+        const invalidLanguage = languages.find(language => !this.isValidLanguage(language));
+        if (invalidLanguage) {
+            return { valid: false, error: `Invalid subtitle language: ${invalidLanguage}`, options: null };
+        }
+
+        if (!this.SOURCES.includes(source)) {
+            return { valid: false, error: `Unsupported subtitle source: ${source}`, options: null };
+        }
+
+        if (!this.FORMATS.includes(format)) {
+            return { valid: false, error: `Unsupported subtitle format: ${format}`, options: null };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            options: { enabled, languages, source, format, embed: options.embed === true }
+        };
+    }
+
+    /**
+     * Build default subtitle options from the app config
+     * Older configs only have a single subtitleLanguage
+     * @param {object} config - AppState config
+     * @returns {object} Subtitle options
+     */
+    static fromConfig(config = {}) {
+        const defaults = this.DEFAULTS;
+        const languages = config.subtitleLanguages || (config.subtitleLanguage ? [config.subtitleLanguage] : defaults.languages);
+
+        return {
+            enabled: config.autoDownloadSubtitles === true,
+            languages: this.parseLanguages(languages),
+            source: config.subtitleSource || defaults.source,
+            format: config.subtitleFormat || defaults.format,
+            embed: config.embedSubtitles === true
+        };
+    }
+
+    /**
+     * Build yt-dlp arguments for validated options
+     * @param {object} options - Normalized subtitle options
+     * @returns {Array<string>} yt-dlp arguments (empty when disabled)
+     */
+    static buildYtDlpArgs(options) {
+        if (!options || !options.enabled) {
+            return [];
+        }
+
+        const args = [];
+        if (options.source === 'manual' || options.source === 'both') {
+            args.push('--write-subs');
+        }
+        if (options.source === 'auto' || options.source === 'both') {
+            args.push('--write-auto-subs');
+        }
+
+        args.push(
+            '--sub-langs', options.languages.join(','),
+            '--convert-subs', options.format
+        );
+
+        return args;
+    }
+
+    /**
+     * Match a file written next to a video against yt-dlp's subtitle naming
+     * (<video name>.<language>.<format>)
+     * @param {string} videoFilename - Downloaded video filename
+     * @param {string} candidate - Filename found in the same folder
+     * @param {string} format - Subtitle format that was requested
+     * @returns {string|null} Subtitle language or null if not a subtitle of this video
+     */
+    static matchSubtitleFile(videoFilename, candidate, format) {
+        const dotIndex = videoFilename.lastIndexOf('.');
+        const baseName = dotIndex > 0 ? videoFilename.slice(0, dotIndex) : videoFilename;
+        const prefix = `${baseName}.`;
+        const suffix = `.${format}`;
+
+        if (!candidate.startsWith(prefix) || !candidate.endsWith(suffix)) {
+            return null;
+        }
+
+        const language = candidate.slice(prefix.length, candidate.length - suffix.length);
+        return /^[A-Za-z0-9_-]+$/.test(language) ? language : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = SubtitleOptions;
+} else {
+    // Browser environment - attach to window
+    window.SubtitleOptions = SubtitleOptions;
+}
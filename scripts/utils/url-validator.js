@@ -1,7 +1,18 @@
 // GrabZilla 2.1 - URL Validation Utilities
 // Comprehensive URL validation for video platforms
+// Site rules come from the SiteRegistry so main and renderer share one whitelist
 
 class URLValidator {
+    /**
+     * Site registry (window global in the renderer, required in Node.js)
+     */
+    static get sites() {
+        if (typeof window !== 'undefined' && window.SiteRegistry) {
+            return window.SiteRegistry;
+        }
+        return require('./site-registry');
+    }
+
     /**
      * Detect punycode/IDN domains that might be used for spoofing
      * @param {string} hostname - Domain hostname to check
@@ -99,18 +110,8 @@ class URLValidator {
                 }
             }
 
-            // Verify against trusted domains
-            const trustedDomains = [
-                'youtube.com',
-                'youtu.be',
-                'vimeo.com'
-            ];
-
-            const isTrusted = trustedDomains.some(domain =>
-                hostname === domain ||
-                hostname.endsWith('.' + domain) ||
-                hostname === 'www.' + domain
-            );
+            // Verify against the sites enabled in the settings
+            const isTrusted = this.sites.isAllowedHost(hostname);
 
             if (!isTrusted && warnings.length === 0) {
                 warnings.push('⚠️ Domain not in trusted list');
@@ -151,25 +152,18 @@ class URLValidator {
         }
 
         // Check against supported platforms
-        return this.isYouTubeUrl(trimmedUrl) ||
-               this.isVimeoUrl(trimmedUrl) ||
+        return this.sites.findSite(trimmedUrl) !== null ||
                this.isGenericVideoUrl(trimmedUrl);
     }
 
     // Validate YouTube URLs (including Shorts)
     static isYouTubeUrl(url) {
-        // Match YouTube URLs with any query parameters (including Shorts)
-        const videoPattern = /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/|v\/|shorts\/)|youtu\.be\/)[\w\-_]{11}([?&].*)?$/i;
-        const playlistPattern = /^(https?:\/\/)?(www\.)?youtube\.com\/playlist\?list=[\w\-]+/i;
-        return videoPattern.test(url) || playlistPattern.test(url);
+        return this.sites.matches(this.sites.getSite('youtube'), url);
     }
 
     // Validate Vimeo URLs
     static isVimeoUrl(url) {
-        const patterns = (typeof window !== 'undefined' && window.AppConfig?.VALIDATION_PATTERNS) || {
-            VIMEO_URL: /^(https?:\/\/)?(www\.)?(vimeo\.com\/\d+|player\.vimeo\.com\/video\/\d+)/i
-        };
-        return patterns.VIMEO_URL.test(url);
+        return this.sites.matches(this.sites.getSite('vimeo'), url);
     }
 
     // Check if URL is a YouTube playlist
@@ -191,42 +185,20 @@ class URLValidator {
     // Validate generic video URLs
     static isGenericVideoUrl(url) {
         // Disable generic video URL validation to be more strict
-        // Only allow explicitly supported platforms (YouTube, Vimeo)
+        // Only allow sites from the registry (built-in or added in the settings)
         return false;
     }
 
     // Extract video ID from YouTube URL (including Shorts)
     static extractYouTubeId(url) {
-        if (!this.isYouTubeUrl(url)) {
-            return null;
-        }
-
-        const patterns = [
-            /[?&]v=([^&#]*)/,                    // youtube.com/watch?v=ID
-            /\/embed\/([^\/\?]*)/,               // youtube.com/embed/ID
-            /\/v\/([^\/\?]*)/,                   // youtube.com/v/ID
-            /\/shorts\/([^\/\?]*)/,              // youtube.com/shorts/ID
-            /youtu\.be\/([^\/\?]*)/              // youtu.be/ID
-        ];
-
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match && match[1]) {
-                return match[1];
-            }
-        }
-
-        return null;
+        const result = this.sites.extractId(url, this.sites.getSite('youtube'));
+        return result ? result.id : null;
     }
 
     // Extract video ID from Vimeo URL
     static extractVimeoId(url) {
-        if (!this.isVimeoUrl(url)) {
-            return null;
-        }
-
-        const match = url.match(/vimeo\.com\/(\d+)/);
-        return match ? match[1] : null;
+        const result = this.sites.extractId(url, this.sites.getSite('vimeo'));
+        return result ? result.id : null;
     }
 
     // Normalize URL to standard format
@@ -242,34 +214,14 @@ class URLValidator {
             normalizedUrl = 'https://' + normalizedUrl;
         }
 
-        // Normalize YouTube URLs
-        if (this.isYouTubeUrl(normalizedUrl)) {
-            const videoId = this.extractYouTubeId(normalizedUrl);
-            if (videoId) {
-                return `https://www.youtube.com/watch?v=${videoId}`;
-            }
-        }
-
-        // Normalize Vimeo URLs
-        if (this.isVimeoUrl(normalizedUrl)) {
-            const videoId = this.extractVimeoId(normalizedUrl);
-            if (videoId) {
-                return `https://vimeo.com/${videoId}`;
-            }
-        }
-
-        return normalizedUrl;
+        // Canonical video URL of the site (youtu.be/ID -> youtube.com/watch?v=ID)
+        return this.sites.normalizeUrl(normalizedUrl);
     }
 
     // Get platform name from URL
     static getPlatform(url) {
-        if (this.isYouTubeUrl(url)) {
-            return 'YouTube';
-        }
-        if (this.isVimeoUrl(url)) {
-            return 'Vimeo';
-        }
-        return 'Unknown';
+        const site = this.sites.findSite(url);
+        return site ? site.name : 'Unknown';
     }
 
     // Validate multiple URLs (one per line)
@@ -278,15 +230,8 @@ class URLValidator {
             return { valid: [], invalid: [] };
         }
 
-        // Extract all URLs from text using regex patterns
-        // Match entire YouTube URLs including all query parameters (including Shorts)
-        const youtubePattern = /(?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/(?:watch\?v=|embed\/|v\/|shorts\/)|youtu\.be\/)[\w\-_]{11}(?:[?&][^\s]*)*/gi;
-        const vimeoPattern = /(?:https?:\/\/)?(?:www\.)?(?:vimeo\.com\/|player\.vimeo\.com\/video\/)\d+/gi;
-
-        const youtubeMatches = urlText.match(youtubePattern) || [];
-        const vimeoMatches = urlText.match(vimeoPattern) || [];
-
-        const allUrls = [...youtubeMatches, ...vimeoMatches];
+        // Extract all URLs of enabled sites from text
+        const allUrls = this.sites.extractUrls(urlText);
 
         const valid = [];
         const invalid = [];
@@ -344,7 +289,8 @@ class URLValidator {
         }
 
         if (!this.isValidVideoUrl(trimmedUrl)) {
-            return 'Unsupported video platform - currently supports YouTube and Vimeo';
+            const siteNames = this.sites.getActiveSites().map(site => site.name);
+            return `Unsupported video platform - currently supports ${siteNames.join(', ')}`;
         }
 
         return null; // Valid URL
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Chapter splitting
+ * Plans one file per chapter of a finished download, named with the chapter
+ * index and title and grouped in a folder named after the download
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const path = require('path')
+const { toFolderName } = require('./folder-organizer')
+
+// Chapters shorter than this are dropped (zero-length markers, rounding leftovers)
+const MIN_CHAPTER_LENGTH = 0.5
+
+/**
+ * Turn parsed chapters into consecutive time ranges
+ * Chapters without an end run until the next chapter or the end of the video
+ * @param {Array<Object>} chapters - Chapters from parseFullMetadata ({ title, startTime, endTime })
+ * @param {number|null} duration - Video duration in seconds
+ * @returns {Array<Object>} Segments ({ index, title, start, end }), index starts at 1
+ */
+function buildChapterSegments(chapters, duration = null) {
+  if (!Array.isArray(chapters)) {
+    return []
+  }
+
+  const sorted = chapters
+    .filter(chapter => chapter && typeof chapter.startTime === 'number' && chapter.startTime >= 0)
+    .sort((a, b) => a.startTime - b.startTime)
+
+  const segments = []
+
+  sorted.forEach((chapter, position) => {
+    const next = sorted[position + 1]
+    let end = typeof chapter.endTime === 'number' ? chapter.endTime : (next ? next.startTime : duration)
+    if (typeof duration === 'number' && typeof end === 'number') {
+      end = Math.min(end, duration)
+    }
+
+    if (typeof end !== 'number' || end - chapter.startTime < MIN_CHAPTER_LENGTH) {
+      return
+    }
+
+    segments.push({
+      index: segments.length + 1,
+      title: chapter.title || `Chapter ${segments.length + 1}`,
+      start: chapter.startTime,
+      end
+    })
+  })
+
+  return segments
+}
+
+/**
+ * Plan the chapter files of a download
+ * '/Videos/Talk.mp4' becomes '/Videos/Talk/01 - Intro.mp4', '/Videos/Talk/02 - Q&A.mp4', ...
+ * @param {string} filePath - Downloaded (or converted) file
+ * @param {Array<Object>} chapters - Chapters from parseFullMetadata
+ * @param {number|null} duration - Video duration in seconds
+ * @returns {Object} { folder, files } - files are segments with filename and filePath, empty without chapters
+ */
+function planChapterFiles(filePath, chapters, duration = null) {
+  const extension = path.extname(filePath)
+  const baseName = path.basename(filePath, extension)
+  const folder = path.join(path.dirname(filePath), toFolderName(baseName, 'Chapters'))
+  const segments = buildChapterSegments(chapters, duration)
+
+  // Pad indexes so the files sort in chapter order
+  const width = Math.max(2, String(segments.length).length)
+
+  const files = segments.map(segment => {
+    const filename = `${String(segment.index).padStart(width, '0')} - ${toFolderName(segment.title, `Chapter ${segment.index}`)}${extension}`
+    return { ...segment, filename, filePath: path.join(folder, filename) }
+  })
+
+  return { folder, files }
+}
+
+module.exports = {
+  buildChapterSegments,
+  planChapterFiles,
+  MIN_CHAPTER_LENGTH
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Headless command-line mode
+ * Parses `grabzilla --urls list.txt --quality 1080p --format H264 --out DIR`,
+ * writes one JSON object per line to stdout and maps failures to exit codes
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const CLI_FLAG = '--urls'
+
+const DEFAULT_QUALITY = '1080p'
+const DEFAULT_FORMAT = 'None'
+
+// Exit codes per failure class, the classes are the types returned by parseDownloadError
+const EXIT_CODES = {
+  success: 0,
+  unknown: 1,
+  usage: 2,
+  invalid_url: 3,
+  binary_missing: 4,
+  cancelled: 5,
+  network: 10,
+  availability: 11,
+  age_restricted: 12,
+  format: 13,
+  permission: 14,
+  disk_space: 15,
+  geo_blocked: 16,
+  rate_limit: 17,
+  conversion: 20
+}
+
+// Options that take a value, mapped to their key in the parsed options
+const VALUE_OPTIONS = {
+  '--urls': 'urlsFile',
+  '--quality': 'quality',
+  '--format': 'format',
+  '--out': 'savePath',
+  '--cookies': 'cookieFile',
+  '--concurrency': 'concurrency'
+}
+
+const USAGE = `Usage: grabzilla --urls <file> [options]
+
+Downloads every URL in <file> (one per line, # starts a comment) without opening a window.
+Progress is written to stdout as one JSON object per line.
+
+Options:
+  --urls <file>        Text file with the video URLs ("-" reads stdin)
+  --quality <quality>  Video quality, e.g. 4K, 1080p, 720p, best (default: ${DEFAULT_QUALITY})
+  --format <format>    Conversion format, e.g. H264, ProRes, MP3 or None (default: ${DEFAULT_FORMAT})
+  --out <dir>          Download folder (default: the current folder)
+  --cookies <file>     Cookie file for age-restricted or private videos
+  --concurrency <n>    Parallel downloads (1-10, default: chosen from the CPU count)
+  --help               Show this help
+
+Exit codes:
+${Object.entries(EXIT_CODES).map(([name, code]) => `  ${String(code).padStart(2)}  ${name}`).join('\n')}
+`
+
+/**
+ * Check whether the app was started for a headless batch (or for its help)
+ * @param {Array<string>} args - Command-line arguments after the executable (and app path)
+ * @returns {boolean} True if the CLI should run instead of the window
+ */
+function isCliInvocation(args) {
+  return args.some(arg => arg === CLI_FLAG || arg.startsWith(`${CLI_FLAG}=`) || arg === '--help')
+}
+
+/**
+ * Parse the command-line arguments of a headless batch
+ * Unknown --switches are returned in `ignored` rather than rejected: Electron and
+ * Chromium switches (--no-sandbox, --disable-gpu) share the command line
+ * @param {Array<string>} args - Command-line arguments after the executable (and app path)
+ * @returns {Object} { options, ignored, help, error }
+ */
+function parseArgs(args) {
+  const options = {
+    urlsFile: null,
+    quality: DEFAULT_QUALITY,
+    format: DEFAULT_FORMAT,
+    savePath: null,
+    cookieFile: null,
+    concurrency: null
+  }
+  const ignored = []
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index]
+
+    if (arg === '--help' || arg === '-h') {
+      return { options, ignored, help: true, error: null }
+    }
+
+    const [name, inlineValue] = arg.split(/=(.*)/s)
+    if (!VALUE_OPTIONS[name]) {
+      if (arg.startsWith('-')) {
+        ignored.push(arg)
+        continue
+      }
+      return { options, ignored, help: false, error: `Unexpected argument: ${arg}` }
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++index]
+    if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('--'))) {
+      return { options, ignored, help: false, error: `Missing value for ${name}` }
+    }
+
+    options[VALUE_OPTIONS[name]] = value
+  }
+
+  if (!options.urlsFile) {
+    return { options, ignored, help: false, error: `Missing required option ${CLI_FLAG}` }
+  }
+
+  if (options.concurrency !== null) {
+    const concurrency = Number(options.concurrency)
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10) {
+      return { options, ignored, help: false, error: '--concurrency must be a whole number between 1 and 10' }
+    }
+    options.concurrency = concurrency
+  }
+
+  return { options, ignored, help: false, error: null }
+}
+
+/**
+ * Get the failure class of an error thrown by the download pipeline
+ * @param {Error} error - Error with the parseDownloadError type attached, if any
+ * @returns {string} Key of EXIT_CODES
+ */
+function classifyError(error) {
+  if (error && EXIT_CODES[error.type] !== undefined) {
+    return error.type
+  }
+
+  const message = error && error.message ? error.message : ''
+  if (/binary not found/i.test(message)) {
+    return 'binary_missing'
+  }
+  if (/cancel|process was stopped/i.test(message)) {
+    return 'cancelled'
+  }
+  if (/conversion/i.test(message)) {
+    return 'conversion'
+  }
+  return 'unknown'
+}
+
+/**
+ * Get the exit code of a finished batch
+ * All downloads succeeded: 0. Otherwise the code of the first failure in list order,
+ * so a batch where one class of error dominates can be scripted against
+ * @param {Array<Object>} results - { url, success, errorClass } in list order
+ * @returns {number} Process exit code
+ */
+function getExitCode(results) {
+  const failure = results.find(result => !result.success)
+  if (!failure) {
+    return EXIT_CODES.success
+  }
+  return EXIT_CODES[failure.errorClass] !== undefined ? EXIT_CODES[failure.errorClass] : EXIT_CODES.unknown
+}
+
+/**
+ * Writes batch events as JSON lines
+ * Progress is only written when the whole percentage or the stage changes,
+ * yt-dlp reports several times per second
+ */
+class CliReporter {
+  /**
+   * @param {Object} output - Stream with write(), process.stdout by default
+   */
+  constructor(output = process.stdout) {
+    this.output = output
+    this.lastProgress = new Map() // url -> stage, status and percent last written
+  }
+
+  /**
+   * Write one event
+   * @param {string} event - Event name
+   * @param {Object} data - Event fields
+   */
+  write(event, data = {}) {
+    this.output.write(`${JSON.stringify({ event, ...data, time: new Date().toISOString() })}\n`)
+  }
+
+  /**
+   * Write a download-progress update unless it repeats the previous one
+   * @param {Object} progressData - Payload of a download-progress message
+   */
+  progress({ url, progress, status, stage, speed, eta, queuePosition }) {
+    const percent = Math.floor(progress || 0)
+    const key = `${stage}:${status}:${percent}:${queuePosition || ''}`
+    if (this.lastProgress.get(url) === key) {
+      return
+    }
+    this.lastProgress.set(url, key)
+
+    this.write('progress', {
+      url,
+      progress: percent,
+      status,
+      stage,
+      ...(speed ? { speed } : {}),
+      ...(eta ? { eta } : {}),
+      ...(queuePosition ? { queuePosition } : {})
+    })
+  }
+}
+
+module.exports = {
+  isCliInvocation,
+  parseArgs,
+  classifyError,
+  getExitCode,
+  CliReporter,
+  EXIT_CODES,
+  USAGE,
+  DEFAULT_QUALITY,
+  DEFAULT_FORMAT
+}
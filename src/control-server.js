@@ -0,0 +1,501 @@
+/**
+ * @fileoverview Local HTTP/JSON control API
+ * Lets scripts and bookmarklets on the same machine queue downloads and watch
+ * their progress. Listens on 127.0.0.1 only and every request needs the bearer token
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { PRIORITY } = require('./download-manager')
+
+const HOST = '127.0.0.1'
+const DEFAULT_PORT = 7690
+const MAX_BODY_SIZE = 64 * 1024
+
+// Priority names accepted and reported by the API
+const PRIORITY_NAMES = {
+  high: PRIORITY.HIGH,
+  normal: PRIORITY.NORMAL,
+  low: PRIORITY.LOW
+}
+
+// Queue events streamed to /api/events subscribers
+const DOWNLOAD_EVENTS = ['downloadStarted', 'downloadProgress', 'downloadCompleted', 'downloadFailed', 'downloadCancelled', 'queueUpdated']
+const CONVERSION_EVENTS = ['conversionStarted', 'conversionCompleted', 'conversionFailed', 'conversionCancelled']
+
+/**
+ * Create an error that is answered with the given HTTP status
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message for the client
+ * @returns {Error} Error with statusCode
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} segment - Path segment
+ * @returns {string} Decoded segment
+ * @throws {Error} 400 error if the encoding is malformed
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch (error) {
+    throw httpError(400, 'Malformed path')
+  }
+}
+
+/**
+ * Get the API name of a priority level
+ * @param {number} priority - PRIORITY value
+ * @returns {string} 'high', 'normal' or 'low'
+ */
+function getPriorityName(priority) {
+  return Object.keys(PRIORITY_NAMES).find(name => PRIORITY_NAMES[name] === priority) || 'normal'
+}
+
+/**
+ * Control Server
+ * REST endpoints for the queue and history, Server-Sent Events for live progress
+ */
+class ControlServer {
+  /**
+   * @param {Object} options - Server dependencies
+   * @param {DownloadManager} options.downloadManager - Download queue to control
+   * @param {ConversionQueue} options.conversionQueue - Conversion queue, cancelled and listed with the downloads
+   * @param {Function} options.enqueue - async ({ url, quality, format, savePath, priority }) => queued download,
+   *   throws when the request is invalid
+   * @param {string} options.tokenFile - File that keeps the bearer token between sessions
+   */
+  constructor({ downloadManager, conversionQueue, enqueue, tokenFile }) {
+    this.downloadManager = downloadManager
+    this.conversionQueue = conversionQueue
+    this.enqueue = enqueue
+    this.tokenFile = tokenFile
+    this.token = null
+    this.server = null
+    this.port = null
+    this.clients = new Set() // Open /api/events responses
+    this.subscriptions = [] // [emitter, event, listener] while running
+  }
+
+  /**
+   * Get the bearer token, creating it on first use
+   * @returns {string} Token
+   */
+  getToken() {
+    if (this.token) {
+      return this.token
+    }
+
+    try {
+      const saved = fs.readFileSync(this.tokenFile, 'utf8').trim()
+      if (/^[a-f0-9]{64}$/.test(saved)) {
+        this.token = saved
+        return this.token
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read control API token: ${error.message}`)
+      }
+    }
+
+    return this.regenerateToken()
+  }
+
+  /**
+   * Replace the bearer token, clients using the old one are locked out
+   * @returns {string} New token
+   */
+  regenerateToken() {
+    this.token = crypto.randomBytes(32).toString('hex')
+
+    fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true })
+    fs.writeFileSync(this.tokenFile, `${this.token}\n`, { mode: 0o600 })
+
+    // Event streams were opened with the old token
+    this.closeClients()
+
+    return this.token
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   * @param {number} port - TCP port (0 picks a free one)
+   * @returns {Promise<Object>} Server status
+   */
+  async start(port = DEFAULT_PORT) {
+    if (this.server) {
+      await this.stop()
+    }
+
+    this.getToken()
+
+    const server = http.createServer((req, res) => this.handleRequest(req, res))
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, HOST, () => {
+        server.off('error', reject)
+        resolve()
+      })
+    })
+
+    this.server = server
+    this.port = server.address().port
+    this.subscribe()
+
+    console.log(`🔌 Control API listening on http://${HOST}:${this.port}`)
+
+    return this.getStatus()
+  }
+
+  /**
+   * Stop listening and close all event streams
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return
+    }
+
+    const server = this.server
+    this.server = null
+    this.port = null
+    this.unsubscribe()
+    this.closeClients()
+
+    const closed = new Promise(resolve => server.close(() => resolve()))
+    server.closeAllConnections()
+    await closed
+
+    console.log('🔌 Control API stopped')
+  }
+
+  /**
+   * Get whether the server runs and where
+   * @returns {Object} { running, port, url }
+   */
+  getStatus() {
+    return {
+      running: this.server !== null,
+      port: this.port,
+      url: this.server ? `http://${HOST}:${this.port}/api` : null
+    }
+  }
+
+  /**
+   * Forward queue events to the event stream subscribers
+   * @private
+   */
+  subscribe() {
+    const forward = (emitter, events) => {
+      events.forEach(event => {
+        const listener = (data) => this.broadcast(event, this.withUrl(data))
+        emitter.on(event, listener)
+        this.subscriptions.push([emitter, event, listener])
+      })
+    }
+
+    forward(this.downloadManager, DOWNLOAD_EVENTS)
+    forward(this.conversionQueue, CONVERSION_EVENTS)
+  }
+
+  /**
+   * Stop forwarding queue events
+   * @private
+   */
+  unsubscribe() {
+    this.subscriptions.forEach(([emitter, event, listener]) => emitter.off(event, listener))
+    this.subscriptions = []
+  }
+
+  /**
+   * Add the URL to events that only carry the video ID
+   * @param {Object} data - Event data
+   * @returns {Object} Event data with url, if the video is known
+   * @private
+   */
+  withUrl(data) {
+    if (!data || !data.videoId || data.url) {
+      return data
+    }
+
+    const downloadInfo = this.downloadManager.getDownloadInfo(data.videoId)
+    const conversion = this.conversionQueue.getConversions().find(entry => entry.videoId === data.videoId)
+    const url = (downloadInfo && downloadInfo.url) || (conversion && conversion.url)
+
+    return url ? { ...data, url } : data
+  }
+
+  /**
+   * Send an event to all event stream subscribers
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+    this.clients.forEach(res => res.write(message))
+  }
+
+  /**
+   * End all event streams
+   * @private
+   */
+  closeClients() {
+    this.clients.forEach(res => res.end())
+    this.clients.clear()
+  }
+
+  /**
+   * Check the Host header, so web pages can't reach the API through DNS rebinding
+   * @param {string} host - Host header
+   * @returns {boolean} True for 127.0.0.1 and localhost on the server's port
+   * @private
+   */
+  isLocalHost(host) {
+    return host === `${HOST}:${this.port}` || host === `localhost:${this.port}`
+  }
+
+  /**
+   * Check the bearer token of a request
+   * EventSource can't send headers, so the event stream also takes ?token=
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} requestUrl - Parsed request URL
+   * @returns {boolean} True if the token matches
+   * @private
+   */
+  isAuthorized(req, requestUrl) {
+    const header = req.headers.authorization || ''
+    const match = header.match(/^Bearer\s+(\S+)$/i)
+    let token = match ? match[1] : null
+
+    if (!token && requestUrl.pathname === '/api/events') {
+      token = requestUrl.searchParams.get('token')
+    }
+
+    if (!token || token.length !== this.token.length) {
+      return false
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(this.token))
+  }
+
+  /**
+   * Answer an API request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    // Bookmarklets call the API from the video page; the token, not the origin, grants access
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+    res.setHeader('Access-Control-Allow-Private-Network', 'true')
+
+    if (!this.isLocalHost(req.headers.host)) {
+      this.sendJson(res, 403, { error: 'Forbidden host' })
+      return
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+      return
+    }
+
+    const requestUrl = new URL(req.url, `http://${HOST}:${this.port}`)
+    if (!this.isAuthorized(req, requestUrl)) {
+      this.sendJson(res, 401, { error: 'Missing or invalid token' })
+      return
+    }
+
+    try {
+      const segments = requestUrl.pathname.split('/').filter(Boolean).map(decodeSegment)
+      const [prefix, resource, videoId, action] = segments
+
+      if (prefix !== 'api' || segments.length > 4) {
+        throw httpError(404, 'Not found')
+      }
+
+      if (resource === 'events' && segments.length === 2 && req.method === 'GET') {
+        this.openEventStream(req, res)
+        return
+      }
+
+      if (resource === 'history' && segments.length === 2 && req.method === 'GET') {
+        this.sendJson(res, 200, { history: this.downloadManager.getHistory() })
+        return
+      }
+
+      if (resource === 'queue' && segments.length === 2 && req.method === 'GET') {
+        this.sendJson(res, 200, this.getQueue())
+        return
+      }
+
+      if (resource === 'queue' && segments.length === 2 && req.method === 'POST') {
+        this.sendJson(res, 202, await this.addToQueue(await this.readBody(req)))
+        return
+      }
+
+      if (resource === 'queue' && segments.length === 3 && req.method === 'DELETE') {
+        this.sendJson(res, 200, this.cancel(videoId))
+        return
+      }
+
+      if (resource === 'queue' && action === 'priority' && req.method === 'PUT') {
+        this.sendJson(res, 200, this.setPriority(videoId, await this.readBody(req)))
+        return
+      }
+
+      throw httpError(404, 'Not found')
+    } catch (error) {
+      const statusCode = error.statusCode || 500
+      if (statusCode === 500) {
+        console.error('❌ Control API request failed:', error.message)
+      }
+      this.sendJson(res, statusCode, { error: error.message })
+    }
+  }
+
+  /**
+   * Read a JSON object request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   * @private
+   */
+  async readBody(req) {
+    let body = ''
+    for await (const chunk of req) {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        throw httpError(413, 'Request body too large')
+      }
+    }
+
+    let data
+    try {
+      data = JSON.parse(body || '{}')
+    } catch (error) {
+      throw httpError(400, 'Request body must be JSON')
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw httpError(400, 'Request body must be a JSON object')
+    }
+    return data
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   */
+  sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' })
+    res.end(JSON.stringify(data))
+  }
+
+  /**
+   * Keep a response open as a Server-Sent Events stream
+   * @private
+   */
+  openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+
+    this.clients.add(res)
+    req.on('close', () => this.clients.delete(res))
+
+    // Subscribers start from the current counts
+    res.write(`event: queueUpdated\ndata: ${JSON.stringify(this.downloadManager.getStats())}\n\n`)
+  }
+
+  /**
+   * List downloads and conversions with the stats of both queues
+   * @returns {Object} { downloads, conversions, stats }
+   */
+  getQueue() {
+    return {
+      downloads: this.downloadManager.getDownloads().map(download => ({ ...download, priority: getPriorityName(download.priority) })),
+      conversions: this.conversionQueue.getConversions(),
+      stats: {
+        downloads: this.downloadManager.getStats(),
+        conversions: this.conversionQueue.getStats()
+      }
+    }
+  }
+
+  /**
+   * Queue a download
+   * @param {Object} body - { url, quality, format, savePath, priority }
+   * @returns {Promise<Object>} The queued download
+   */
+  async addToQueue({ url, quality, format, savePath, priority = 'normal' }) {
+    if (typeof url !== 'string' || !url.trim()) {
+      throw httpError(400, 'url is required')
+    }
+    if (typeof priority !== 'string' || !Object.hasOwn(PRIORITY_NAMES, priority)) {
+      throw httpError(400, `Invalid priority: ${priority}. Allowed: ${Object.keys(PRIORITY_NAMES).join(', ')}`)
+    }
+    for (const [name, value] of Object.entries({ quality, format, savePath })) {
+      if (value !== undefined && typeof value !== 'string') {
+        throw httpError(400, `${name} must be a string`)
+      }
+    }
+
+    try {
+      const queued = await this.enqueue({ url: url.trim(), quality, format, savePath, priority: PRIORITY_NAMES[priority] })
+      return { ...queued, priority }
+    } catch (error) {
+      throw httpError(error.statusCode || 400, error.message)
+    }
+  }
+
+  /**
+   * Cancel a download or conversion
+   * @param {string} videoId - Video ID
+   * @returns {Object} { videoId, cancelled }
+   */
+  cancel(videoId) {
+    if (!this.downloadManager.cancelDownload(videoId) && !this.conversionQueue.cancelConversion(videoId)) {
+      throw httpError(404, `Unknown or finished video: ${videoId}`)
+    }
+    return { videoId, cancelled: true }
+  }
+
+  /**
+   * Move a queued download up or down the queue
+   * @param {string} videoId - Video ID
+   * @param {Object} body - { priority }
+   * @returns {Object} { videoId, priority, position }
+   */
+  setPriority(videoId, { priority }) {
+    if (typeof priority !== 'string' || !Object.hasOwn(PRIORITY_NAMES, priority)) {
+      throw httpError(400, `Invalid priority: ${priority}. Allowed: ${Object.keys(PRIORITY_NAMES).join(', ')}`)
+    }
+
+    if (!this.downloadManager.setPriority(videoId, PRIORITY_NAMES[priority])) {
+      if (this.downloadManager.isDownloading(videoId) || this.conversionQueue.isConverting(videoId)) {
+        throw httpError(409, `Only queued downloads can change priority: ${videoId}`)
+      }
+      throw httpError(404, `Unknown or finished video: ${videoId}`)
+    }
+
+    const download = this.downloadManager.getDownloads().find(entry => entry.videoId === videoId)
+    return { videoId, priority, position: download ? download.position : 0 }
+  }
+}
+
+module.exports = ControlServer
+module.exports.DEFAULT_PORT = DEFAULT_PORT
+module.exports.PRIORITY_NAMES = PRIORITY_NAMES
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Conversion queue for FFmpeg encodes
+ * Runs conversions in their own worker pool, so a long encode never holds a
+ * download slot and parallel encodes don't oversubscribe the CPU/GPU
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const os = require('os')
+const EventEmitter = require('events')
+const { PRIORITY } = require('./download-manager')
+
+/**
+ * Conversion Queue
+ * Downloads hand their finished files over to this queue; local files are queued directly
+ */
+class ConversionQueue extends EventEmitter {
+  constructor(options = {}) {
+    super()
+
+    // FFmpeg already spreads one encode across several threads (or the GPU),
+    // so only a few encodes run side by side
+    const cpuCount = os.cpus().length
+    const optimalConcurrency = Math.max(1, Math.floor(cpuCount / 4))
+
+    this.maxConcurrent = options.maxConcurrent || optimalConcurrency
+    this.activeConversions = new Map() // videoId -> conversion request
+    this.queuedConversions = [] // Array of pending conversion requests
+    this.completedCount = 0
+
+    console.log(`🎞️  ConversionQueue initialized: Max Concurrent: ${this.maxConcurrent}`)
+  }
+
+  /**
+   * Get current queue statistics
+   */
+  getStats() {
+    return {
+      active: this.activeConversions.size,
+      queued: this.queuedConversions.length,
+      maxConcurrent: this.maxConcurrent,
+      completed: this.completedCount,
+      canAcceptMore: this.activeConversions.size < this.maxConcurrent
+    }
+  }
+
+  /**
+   * Update the concurrency limit at runtime
+   * Lowering it never stops running conversions, raising it starts queued ones
+   * @param {Object} settings - { maxConcurrent }
+   * @returns {Object} Current stats with the applied values
+   */
+  configure(settings = {}) {
+    const { maxConcurrent } = settings
+
+    if (maxConcurrent !== undefined) {
+      if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+        throw new Error('maxConcurrent must be a positive integer')
+      }
+      this.maxConcurrent = maxConcurrent
+    }
+
+    console.log(`⚙️  ConversionQueue reconfigured: maxConcurrent=${this.maxConcurrent}`)
+
+    this.emit('queueUpdated', this.getStats())
+    this.processQueue()
+
+    return this.getStats()
+  }
+
+  /**
+   * Add a conversion to the queue
+   * @param {Object} conversionRequest - { videoId, url, quality, format, savePath, cookieFile, progress, options, convertFn }
+   *   convertFn({ onProcess }) runs the conversion; progress is where the video's progress bar
+   *   stands while it waits; the remaining fields are kept for the queue journal
+   * @param {number} priority - Priority level (PRIORITY.HIGH/NORMAL/LOW)
+   * @returns {Promise} Resolves with the result of convertFn
+   */
+  async addConversion(conversionRequest, priority = PRIORITY.NORMAL) {
+    const { videoId, url, quality, format, savePath, cookieFile, progress, options, convertFn } = conversionRequest
+
+    if (this.isConverting(videoId)) {
+      throw new Error(`Video ${videoId} is already being converted`)
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        videoId,
+        url,
+        quality,
+        format,
+        savePath,
+        cookieFile,
+        convertFn,
+        resolve,
+        reject,
+        priority,
+        progress: progress || 0,
+        addedAt: Date.now(),
+        options: options || {} // Extra caller data, persisted with the queue
+      }
+
+      this.queuedConversions.push(request)
+      this.sortQueue()
+      this.emit('conversionQueued', { videoId, url })
+      this.emit('queueUpdated', this.getStats())
+
+      this.processQueue()
+    })
+  }
+
+  /**
+   * Sort queue by priority and then by addedAt
+   * @private
+   */
+  sortQueue() {
+    this.queuedConversions.sort((a, b) => {
+      if (b.priority !== a.priority) {
+        return b.priority - a.priority
+      }
+      return a.addedAt - b.addedAt
+    })
+  }
+
+  /**
+   * Start queued conversions up to the maxConcurrent limit
+   */
+  processQueue() {
+    while (this.activeConversions.size < this.maxConcurrent && this.queuedConversions.length > 0) {
+      const request = this.queuedConversions.shift()
+      this.startConversion(request)
+    }
+  }
+
+  /**
+   * Run a single conversion
+   * @private
+   */
+  async startConversion(request) {
+    const { videoId, url, convertFn, resolve, reject } = request
+
+    request.startedAt = Date.now()
+    this.activeConversions.set(videoId, request)
+
+    console.log(`🎬 Starting conversion ${this.activeConversions.size}/${this.maxConcurrent}: ${videoId}`)
+
+    this.emit('conversionStarted', { videoId, url })
+    this.emit('queueUpdated', this.getStats())
+
+    try {
+      const result = await convertFn({
+        onProcess: (process) => {
+          // Cancelled before FFmpeg was spawned - stop it right away
+          if (request.cancelled) {
+            this.terminateProcess(process)
+            return
+          }
+
+          // Store process reference for cancellation
+          request.process = process
+        }
+      })
+
+      if (request.cancelled) {
+        throw new Error('Conversion cancelled by user')
+      }
+
+      this.completedCount++
+      console.log(`✅ Conversion completed: ${videoId} (${((Date.now() - request.startedAt) / 1000).toFixed(1)}s)`)
+      this.emit('conversionCompleted', { videoId, result })
+      resolve(result)
+    } catch (error) {
+      if (!request.cancelled) {
+        console.error(`❌ Conversion failed: ${videoId} - ${error.message}`)
+        this.emit('conversionFailed', { videoId, error: error.message })
+      }
+      reject(error)
+    } finally {
+      // A cancelled conversion has already given up its slot
+      if (this.activeConversions.get(videoId) === request) {
+        this.activeConversions.delete(videoId)
+        this.emit('queueUpdated', this.getStats())
+      }
+      this.processQueue()
+    }
+  }
+
+  /**
+   * Stop an FFmpeg process, escalating to SIGKILL if it doesn't exit
+   * @param {ChildProcess} process - Process to stop
+   * @private
+   */
+  terminateProcess(process) {
+    if (!process || process.killed) {
+      return
+    }
+
+    process.kill('SIGTERM')
+
+    setTimeout(() => {
+      if (process.exitCode === null && process.signalCode === null) {
+        process.kill('SIGKILL')
+      }
+    }, 5000)
+  }
+
+  /**
+   * Cancel a running or queued conversion
+   * @param {string} videoId - Video ID to cancel
+   * @returns {boolean} Success status
+   */
+  cancelConversion(videoId) {
+    const request = this.activeConversions.get(videoId)
+    if (request) {
+      request.cancelled = true
+      this.terminateProcess(request.process)
+      this.activeConversions.delete(videoId)
+
+      console.log(`🛑 Cancelled active conversion: ${videoId}`)
+
+      this.emit('conversionCancelled', { videoId })
+      this.emit('queueUpdated', this.getStats())
+      this.processQueue()
+      return true
+    }
+
+    const queueIndex = this.queuedConversions.findIndex(req => req.videoId === videoId)
+    if (queueIndex !== -1) {
+      const queued = this.queuedConversions.splice(queueIndex, 1)[0]
+      queued.reject(new Error('Conversion cancelled by user'))
+
+      console.log(`🛑 Removed from conversion queue: ${videoId}`)
+
+      this.emit('conversionCancelled', { videoId })
+      this.emit('queueUpdated', this.getStats())
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Cancel all conversions (both running and queued)
+   * @returns {Object} Cancellation results
+   */
+  cancelAll() {
+    const active = [...this.activeConversions.values()]
+    active.forEach(request => {
+      request.cancelled = true
+      this.terminateProcess(request.process)
+    })
+    this.activeConversions.clear()
+
+    const queued = this.queuedConversions
+    this.queuedConversions = []
+    queued.forEach(request => request.reject(new Error('Conversion cancelled by user')))
+
+    this.emit('queueUpdated', this.getStats())
+
+    console.log(`🛑 Cancelled ${active.length} active and ${queued.length} queued conversions`)
+
+    return {
+      cancelledActive: active.length,
+      cancelledQueued: queued.length,
+      total: active.length + queued.length
+    }
+  }
+
+  /**
+   * List running and queued conversions
+   * @returns {Array<Object>} { videoId, url, status, position, progress, addedAt, startedAt, pid } -
+   *   status is 'converting' or 'queued', position is the place in line (1 = next, 0 = running)
+   */
+  getConversions() {
+    const active = [...this.activeConversions.values()].map(request => ({
+      videoId: request.videoId,
+      url: request.url,
+      status: 'converting',
+      position: 0,
+      progress: request.progress,
+      addedAt: request.addedAt,
+      startedAt: request.startedAt,
+      pid: request.process ? request.process.pid : null
+    }))
+
+    const queued = this.queuedConversions.map((request, index) => ({
+      videoId: request.videoId,
+      url: request.url,
+      status: 'queued',
+      position: index + 1,
+      progress: request.progress,
+      addedAt: request.addedAt,
+      startedAt: null,
+      pid: null
+    }))
+
+    return [...active, ...queued]
+  }
+
+  /**
+   * Get a serializable snapshot of all unfinished conversions, in the
+   * DownloadManager snapshot format so the queue journal can restore them
+   * @returns {Array<Object>} Running and queued conversions
+   */
+  getSnapshot() {
+    const toEntry = (request, status) => ({
+      videoId: request.videoId,
+      url: request.url,
+      quality: request.quality,
+      format: request.format,
+      savePath: request.savePath,
+      cookieFile: request.cookieFile || null,
+      priority: request.priority,
+      retryCount: 0,
+      addedAt: request.addedAt,
+      status,
+      progress: request.progress,
+      options: request.options
+    })
+
+    return [
+      ...[...this.activeConversions.values()].map(request => toEntry(request, 'converting')),
+      ...this.queuedConversions.map(request => toEntry(request, 'queued'))
+    ]
+  }
+
+  /**
+   * Check if a video is being converted or waits for it
+   * @param {string} videoId - Video ID
+   * @returns {boolean} True if running or queued
+   */
+  isConverting(videoId) {
+    return this.activeConversions.has(videoId) ||
+           this.queuedConversions.some(req => req.videoId === videoId)
+  }
+}
+
+module.exports = ConversionQueue
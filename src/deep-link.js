@@ -0,0 +1,85 @@
+/**
+ * @fileoverview grabzilla:// deep links
+ * Parses `grabzilla://add?url=...&quality=...&format=...` links handed over by
+ * browsers and bookmarklets. Links come from web pages, so the video URL must
+ * pass the site whitelist and the punycode/homograph checks without warnings
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const URLValidator = require('../scripts/utils/url-validator')
+const FormatSelector = require('../scripts/utils/format-selector')
+const AudioOptions = require('../scripts/utils/audio-options')
+
+const PROTOCOL = 'grabzilla'
+const MAX_LINK_LENGTH = 4096
+
+// Conversion formats a link may ask for, the same as the format menu
+const FORMATS = ['None', 'H264', 'ProRes', 'DNxHR', ...Object.keys(AudioOptions.FORMATS)]
+
+/**
+ * Find a deep link in a command line
+ * Windows and Linux pass the link as an argument, to the first instance or via second-instance
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {string|null} The link, or null if there is none
+ */
+function findDeepLink(argv) {
+  return argv.find(arg => typeof arg === 'string' && arg.toLowerCase().startsWith(`${PROTOCOL}://`)) || null
+}
+
+/**
+ * Parse and validate a deep link
+ * @param {string} link - grabzilla:// link
+ * @returns {Object} { url, quality, format } - quality and format are null when the link leaves them out
+ * @throws {Error} If the link is malformed or the video URL is not allowed
+ */
+function parseDeepLink(link) {
+  if (typeof link !== 'string' || link.length > MAX_LINK_LENGTH) {
+    throw new Error('Invalid link')
+  }
+
+  let parsed
+  try {
+    parsed = new URL(link)
+  } catch (error) {
+    throw new Error('Invalid link')
+  }
+
+  // grabzilla://add?... puts the action in the host, grabzilla:add?... in the path
+  const action = (parsed.hostname || parsed.pathname).replace(/^\/+|\/+$/g, '').toLowerCase()
+  if (parsed.protocol !== `${PROTOCOL}:` || action !== 'add') {
+    throw new Error(`Unsupported link: only ${PROTOCOL}://add is handled`)
+  }
+
+  const url = (parsed.searchParams.get('url') || '').trim()
+  if (!url) {
+    throw new Error('The link does not contain a video URL')
+  }
+
+  const security = URLValidator.validateUrlSecurity(url)
+  if (!/^https?:\/\//i.test(url) || !security.safe || !URLValidator.isValidVideoUrl(url)) {
+    const warnings = (security.warnings || []).map(warning => warning.replace(/^⚠️\s*/, ''))
+    const reasons = warnings.length > 0 ? `: ${warnings.join(', ')}` : ''
+    throw new Error(`Unsupported or unsafe video URL${reasons}`)
+  }
+
+  const qualityParam = parsed.searchParams.get('quality')
+  const quality = qualityParam ? FormatSelector.normalizeQuality(qualityParam) : null
+  if (qualityParam && !quality) {
+    throw new Error(`Unsupported quality: ${qualityParam}`)
+  }
+
+  const formatParam = parsed.searchParams.get('format')
+  const format = formatParam ? FORMATS.find(name => name.toLowerCase() === formatParam.trim().toLowerCase()) : null
+  if (formatParam && !format) {
+    throw new Error(`Unsupported format: ${formatParam}`)
+  }
+
+  return { url, quality, format }
+}
+
+module.exports = {
+  PROTOCOL,
+  findDeepLink,
+  parseDeepLink
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Persistent archive of downloaded videos
+ * Uses yt-dlp's --download-archive format (one "<extractor> <video id>" line
+ * per video) so archive files can be shared with yt-dlp in both directions
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+const SiteRegistry = require('../scripts/utils/site-registry')
+
+// Archive lines: lowercase extractor key, one space, video ID
+// IDs are shown in the renderer, markup characters are never valid
+const ENTRY_PATTERN = /^(\w+) ([^\s<>"'&`]+)$/
+
+/**
+ * Download Archive
+ * Keeps the set of downloaded videos in memory and mirrors it to a text file
+ */
+class DownloadArchive {
+  /**
+   * @param {string} filePath - Archive file location (inside userData)
+   */
+  constructor(filePath) {
+    this.filePath = filePath
+    this.entries = new Set() // "<extractor> <id>" keys in insertion order
+  }
+
+  /**
+   * Build an archive key the way yt-dlp does
+   * @param {string} extractor - Extractor key ('Youtube', 'Vimeo')
+   * @param {string} videoId - Video ID
+   * @returns {string|null} Key or null if either part is missing or invalid
+   */
+  static makeKey(extractor, videoId) {
+    if (typeof extractor !== 'string' || typeof videoId !== 'string') {
+      return null
+    }
+
+    const key = `${extractor.trim().toLowerCase()} ${videoId.trim()}`
+    return ENTRY_PATTERN.test(key) ? key : null
+  }
+
+  /**
+   * Parse one line of an archive file
+   * @param {string} line - Archive line
+   * @returns {string|null} Key or null for blank or malformed lines
+   */
+  static parseLine(line) {
+    const match = ENTRY_PATTERN.exec(String(line).trim())
+    return match ? DownloadArchive.makeKey(match[1], match[2]) : null
+  }
+
+  /**
+   * Get the archive key of a URL without asking yt-dlp
+   * Only platforms with IDs in the URL can be checked before downloading
+   * @param {string} url - Video URL
+   * @returns {string|null} Key or null if it can't be derived from the URL
+   */
+  static getKeyForUrl(url) {
+    if (!url || typeof url !== 'string') {
+      return null
+    }
+
+    const entry = SiteRegistry.getArchiveEntry(url)
+    return entry ? DownloadArchive.makeKey(entry.extractor, entry.id) : null
+  }
+
+  /**
+   * Load the archive file
+   * A missing file is an empty archive, malformed lines are skipped
+   * @returns {number} Number of entries
+   */
+  load() {
+    this.entries.clear()
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.parseContent(fs.readFileSync(this.filePath, 'utf8')).forEach(key => this.entries.add(key))
+      }
+      console.log(`🗄️  Download archive loaded: ${this.entries.size} video(s)`)
+    } catch (error) {
+      console.error('Failed to read download archive:', error.message)
+    }
+
+    return this.entries.size
+  }
+
+  /**
+   * Parse archive file content
+   * @param {string} content - File content
+   * @returns {Array<string>} Keys
+   * @private
+   */
+  parseContent(content) {
+    return content.split(/\r?\n/).map(DownloadArchive.parseLine).filter(Boolean)
+  }
+
+  /**
+   * Check whether a video has been downloaded
+   * @param {string} key - Archive key
+   * @returns {boolean} True if archived
+   */
+  has(key) {
+    return this.entries.has(key)
+  }
+
+  /**
+   * Record a downloaded video
+   * @param {string} extractor - Extractor key
+   * @param {string} videoId - Video ID
+   * @returns {boolean} True if a new entry was added
+   */
+  add(extractor, videoId) {
+    const key = DownloadArchive.makeKey(extractor, videoId)
+    if (!key || this.entries.has(key)) {
+      return false
+    }
+
+    this.entries.add(key)
+
+    // Append like yt-dlp does, no need to rewrite the whole file
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.appendFileSync(this.filePath, `${key}\n`, 'utf8')
+    } catch (error) {
+      console.error('Failed to write download archive:', error.message)
+    }
+
+    return true
+  }
+
+  /**
+   * Remove a video so it is no longer treated as downloaded
+   * @param {string} key - Archive key
+   * @returns {boolean} True if an entry was removed
+   */
+  remove(key) {
+    const removed = this.entries.delete(key)
+    if (removed) {
+      this.write()
+    }
+    return removed
+  }
+
+  /**
+   * Get all entries, oldest first
+   * @returns {Array<Object>} Entries ({ key, extractor, id })
+   */
+  getEntries() {
+    return [...this.entries].map(key => {
+      const [extractor, id] = key.split(' ')
+      return { key, extractor, id }
+    })
+  }
+
+  /**
+   * Merge entries from a yt-dlp archive file
+   * @param {string} filePath - File to import
+   * @returns {Object} { added, total }
+   */
+  importFrom(filePath) {
+    const keys = this.parseContent(fs.readFileSync(filePath, 'utf8'))
+    const before = this.entries.size
+
+    keys.forEach(key => this.entries.add(key))
+
+    const added = this.entries.size - before
+    if (added > 0) {
+      this.write()
+    }
+
+    return { added, total: this.entries.size }
+  }
+
+  /**
+   * Write the archive to a file usable with yt-dlp --download-archive
+   * @param {string} filePath - Destination
+   * @returns {number} Number of exported entries
+   */
+  exportTo(filePath) {
+    fs.writeFileSync(filePath, this.serialize(), 'utf8')
+    return this.entries.size
+  }
+
+  /**
+   * Serialize entries in archive file format
+   * @returns {string} File content
+   * @private
+   */
+  serialize() {
+    return [...this.entries].map(key => `${key}\n`).join('')
+  }
+
+  /**
+   * Write archive atomically (temp file + rename)
+   * @private
+   */
+  write() {
+    const tempPath = `${this.filePath}.tmp`
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempPath, this.serialize(), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      console.error('Failed to write download archive:', error.message)
+    }
+  }
+}
+
+module.exports = DownloadArchive
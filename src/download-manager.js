@@ -7,6 +7,7 @@
 
 const os = require('os')
 const EventEmitter = require('events')
+const DownloadSchedule = require('../scripts/utils/download-schedule')
 
 // Priority levels for download queue
 const PRIORITY = {
@@ -15,6 +16,9 @@ const PRIORITY = {
   LOW: 1
 }
 
+// How often the schedule window is checked while a schedule is enabled
+const SCHEDULE_CHECK_INTERVAL = 30 * 1000
+
 /**
  * Download Manager
  * Manages concurrent video downloads with worker pool
@@ -40,10 +44,19 @@ class DownloadManager extends EventEmitter {
 
     this.maxConcurrent = options.maxConcurrent || optimalConcurrency
     this.maxRetries = options.maxRetries || 3
+    this.stallTimeout = options.stallTimeout || 0 // ms without progress before a download is restarted (0 = off)
     this.activeDownloads = new Map() // videoId -> download info
     this.activeProcesses = new Map() // videoId -> child process
     this.queuedDownloads = [] // Array of pending download requests
+    this.activeRequests = new Map() // videoId -> request of the running attempt
+    this.pausedDownloads = new Map() // videoId -> paused download request
+    this.retryingRequests = new Map() // videoId -> request waiting for its retry backoff
     this.downloadHistory = new Map() // Track completed downloads
+    this.rateLimit = options.rateLimit || 0 // Global bytes/s shared by active downloads (0 = unlimited)
+    this.schedule = null // Daily download window (null = any time)
+    this.withinSchedule = true
+    this.scheduleHeld = new Set() // videoIds paused when the window closed
+    this.scheduleTimer = null
 
     console.log(`📦 DownloadManager initialized:`)
     console.log(`   Platform: ${platform} ${arch}`)
@@ -60,10 +73,229 @@ class DownloadManager extends EventEmitter {
     return {
       active: this.activeDownloads.size,
       queued: this.queuedDownloads.length,
+      paused: this.pausedDownloads.size,
       maxConcurrent: this.maxConcurrent,
+      maxRetries: this.maxRetries,
+      stallTimeout: this.stallTimeout,
+      rateLimit: this.rateLimit,
+      rateLimitPerDownload: this.getRateLimitShare(),
+      schedule: this.schedule,
+      withinSchedule: this.withinSchedule,
+      heldBySchedule: this.scheduleHeld.size,
       completed: this.downloadHistory.size,
-      canAcceptMore: this.activeDownloads.size < this.maxConcurrent
+      canAcceptMore: this.withinSchedule && this.activeDownloads.size < this.maxConcurrent
+    }
+  }
+
+  /**
+   * Get the share of the global rate limit each download gets
+   * The limit is split evenly across the running downloads that don't have
+   * their own limit. yt-dlp can't change its rate once running, so
+   * rebalanceRateLimits restarts them when their number changes.
+   * @param {number} [sharing] - Downloads sharing the limit, defaults to the running ones
+   * @returns {number} Bytes/s per download (0 = unlimited)
+   */
+  getRateLimitShare(sharing = this.countSharingDownloads()) {
+    if (!this.rateLimit) {
+      return 0
+    }
+
+    return Math.max(1, Math.floor(this.rateLimit / Math.max(1, sharing)))
+  }
+
+  /**
+   * Count the running downloads that share the global rate limit
+   * @returns {number} Running downloads without a per-download limit
+   * @private
+   */
+  countSharingDownloads() {
+    return [...this.activeRequests.values()].filter(request => !request.options.rateLimit).length
+  }
+
+  /**
+   * Restart running downloads whose rate no longer matches their share of the global limit
+   * They continue from their .part files. Downloads with their own limit, and ones
+   * past the transfer (merging, clip ranges, post-processing), are left alone.
+   * @private
+   */
+  rebalanceRateLimits() {
+    const share = this.getRateLimitShare()
+
+    for (const [videoId, request] of [...this.activeRequests.entries()]) {
+      const downloadInfo = this.activeDownloads.get(videoId)
+      if (!downloadInfo || request.options.rateLimit || downloadInfo.rateLimit === share) {
+        continue
+      }
+      if (downloadInfo.stage && downloadInfo.stage !== 'download') {
+        continue
+      }
+
+      this.restartDownload(videoId, share)
+    }
+  }
+
+  /**
+   * Restart a running download with a new rate limit
+   * The download keeps its slot; the new attempt starts once the old
+   * process has exited, so the two never write the same .part file
+   * @param {string} videoId - Video ID of an active download
+   * @param {number} rateLimit - Bytes/s for the new attempt
+   * @private
+   */
+  restartDownload(videoId, rateLimit) {
+    const request = this.activeRequests.get(videoId)
+    const downloadInfo = this.activeDownloads.get(videoId)
+    const process = this.activeProcesses.get(videoId)
+
+    downloadInfo.rateLimit = rateLimit
+
+    // Already waiting for the old process, the new attempt picks up the latest rate
+    if (downloadInfo.restarting) {
+      return
+    }
+    downloadInfo.restarting = true
+
+    // The running attempt's outcome is ignored from here on
+    request.attempt = (request.attempt || 0) + 1
+    request.progress = downloadInfo.progress
+    this.activeProcesses.delete(videoId)
+
+    console.log(`🔁 Restarting download with ${rateLimit ? `${rateLimit}B/s` : 'no rate limit'}: ${videoId}`)
+
+    const start = () => {
+      // Paused or cancelled while the old process was exiting
+      if (this.activeRequests.get(videoId) !== request || request.cancelled || request.paused) {
+        return
+      }
+      this.startDownload(request, downloadInfo.rateLimit)
+    }
+
+    if (process && typeof process.once === 'function' && process.exitCode === null && process.signalCode === null) {
+      process.once('exit', start)
+      this.terminateProcess(process)
+    } else {
+      this.terminateProcess(process)
+      start()
+    }
+  }
+
+  /**
+   * Update limits at runtime
+   * Lowering maxConcurrent never stops running downloads: the queue simply
+   * waits until enough of them finish. Raising it starts queued downloads.
+   * @param {Object} settings - Settings to change
+   * @param {number} [settings.maxConcurrent] - Maximum parallel downloads
+   * @param {number} [settings.maxRetries] - Retry attempts for retryable errors
+   * @param {number} [settings.stallTimeout] - ms without progress before retrying (0 = off)
+   * @param {number} [settings.rateLimit] - Global bytes/s for all downloads (0 = unlimited)
+   * @param {Object|null} [settings.schedule] - Daily window { enabled, start, end } (null = any time)
+   * @returns {Object} Current stats with the applied values
+   */
+  configure(settings = {}) {
+    const { maxConcurrent, maxRetries, stallTimeout, rateLimit, schedule } = settings
+
+    if (maxConcurrent !== undefined) {
+      if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+        throw new Error('maxConcurrent must be a positive integer')
+      }
+      this.maxConcurrent = maxConcurrent
+    }
+
+    if (maxRetries !== undefined) {
+      if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new Error('maxRetries must be a non-negative integer')
+      }
+      this.maxRetries = maxRetries
+    }
+
+    if (stallTimeout !== undefined) {
+      if (!Number.isFinite(stallTimeout) || stallTimeout < 0) {
+        throw new Error('stallTimeout must be a non-negative number')
+      }
+      this.stallTimeout = stallTimeout
+    }
+
+    if (rateLimit !== undefined) {
+      if (!Number.isFinite(rateLimit) || rateLimit < 0) {
+        throw new Error('rateLimit must be a non-negative number')
+      }
+      this.rateLimit = Math.floor(rateLimit)
+      this.rebalanceRateLimits()
+    }
+
+    if (schedule !== undefined) {
+      const result = DownloadSchedule.validate(schedule)
+      if (!result.valid) {
+        throw new Error(`Invalid schedule: ${result.error}`)
+      }
+      this.schedule = schedule && result.schedule.enabled ? result.schedule : null
+      this.updateScheduleTimer()
+    }
+
+    console.log(`⚙️  DownloadManager reconfigured: maxConcurrent=${this.maxConcurrent}, maxRetries=${this.maxRetries}, stallTimeout=${this.stallTimeout}ms, rateLimit=${this.rateLimit}B/s, schedule=${this.schedule ? `${this.schedule.start}-${this.schedule.end}` : 'off'}`)
+
+    this.emit('queueUpdated', this.getStats())
+
+    // Pauses or resumes the queue if the window changed, otherwise
+    // starts queued downloads if the limit was raised
+    if (!this.checkSchedule()) {
+      this.processQueue()
+    }
+
+    return this.getStats()
+  }
+
+  /**
+   * Start or stop the periodic schedule check
+   * @private
+   */
+  updateScheduleTimer() {
+    clearInterval(this.scheduleTimer)
+    this.scheduleTimer = null
+
+    if (this.schedule) {
+      this.scheduleTimer = setInterval(() => this.checkSchedule(), SCHEDULE_CHECK_INTERVAL)
+      // Don't keep the process alive just for the schedule
+      if (this.scheduleTimer.unref) {
+        this.scheduleTimer.unref()
+      }
+    }
+  }
+
+  /**
+   * Pause the queue when the schedule window closes and resume it when it opens
+   * Running downloads are paused (their .part files are kept) and resumed
+   * automatically, unless the user resumed or cancelled them in the meantime.
+   * @param {Date} [now] - Time to check, defaults to now
+   * @returns {boolean} True if the window opened or closed
+   */
+  checkSchedule(now = new Date()) {
+    const within = DownloadSchedule.isWithinWindow(this.schedule, now)
+    if (within === this.withinSchedule) {
+      return false
+    }
+
+    this.withinSchedule = within
+
+    if (!within) {
+      console.log(`🌙 Outside download schedule (${this.schedule.start}-${this.schedule.end}), pausing queue`)
+      for (const videoId of [...this.activeRequests.keys()]) {
+        if (this.pauseDownload(videoId)) {
+          this.scheduleHeld.add(videoId)
+        }
+      }
+    } else {
+      console.log('☀️  Download schedule window opened, resuming queue')
+      const held = [...this.scheduleHeld]
+      this.scheduleHeld.clear()
+      held.forEach(videoId => this.resumeDownload(videoId))
     }
+
+    this.emit('scheduleChanged', { withinSchedule: within, schedule: this.schedule })
+    this.emit('queueUpdated', this.getStats())
+    this.processQueue()
+
+    return true
   }
 
   /**
@@ -73,7 +305,7 @@ class DownloadManager extends EventEmitter {
    * @returns {Promise} Resolves when download completes
    */
   async addDownload(downloadRequest, priority = PRIORITY.NORMAL) {
-    const { videoId, url, quality, format, savePath, cookieFile, downloadFn } = downloadRequest
+    const { videoId, url, quality, format, savePath, cookieFile, downloadFn, retryCount, options } = downloadRequest
 
     // Check if already downloading or queued
     if (this.activeDownloads.has(videoId)) {
@@ -84,6 +316,14 @@ class DownloadManager extends EventEmitter {
       throw new Error(`Video ${videoId} is already in queue`)
     }
 
+    if (this.pausedDownloads.has(videoId)) {
+      throw new Error(`Video ${videoId} is paused`)
+    }
+
+    if (this.retryingRequests.has(videoId)) {
+      throw new Error(`Video ${videoId} is waiting to be retried`)
+    }
+
     return new Promise((resolve, reject) => {
       const request = {
         videoId,
@@ -97,7 +337,8 @@ class DownloadManager extends EventEmitter {
         reject,
         priority,
         addedAt: Date.now(),
-        retryCount: 0
+        retryCount: retryCount || 0, // Restored downloads keep their retry count
+        options: options || {} // Extra caller data, persisted with the queue
       }
 
       this.queuedDownloads.push(request)
@@ -129,8 +370,13 @@ class DownloadManager extends EventEmitter {
    * @param {string} videoId - Video ID
    * @param {number} priority - New priority level
    * @returns {boolean} Success status
+   * @throws {Error} If priority is not a PRIORITY level
    */
   setPriority(videoId, priority) {
+    if (!Object.values(PRIORITY).includes(priority)) {
+      throw new Error(`priority must be one of ${Object.values(PRIORITY).join(', ')}`)
+    }
+
     const request = this.queuedDownloads.find(r => r.videoId === videoId)
     if (request) {
       request.priority = priority
@@ -143,36 +389,83 @@ class DownloadManager extends EventEmitter {
 
   /**
    * Process download queue
-   * Starts downloads up to maxConcurrent limit
+   * Starts downloads up to maxConcurrent limit, only inside the schedule window
    */
   async processQueue() {
+    if (!this.withinSchedule) {
+      return
+    }
+
     // Check if we can start more downloads
-    while (this.activeDownloads.size < this.maxConcurrent && this.queuedDownloads.length > 0) {
-      const request = this.queuedDownloads.shift()
-      this.startDownload(request)
+    const starting = []
+    while (this.activeDownloads.size + starting.length < this.maxConcurrent && this.queuedDownloads.length > 0) {
+      starting.push(this.queuedDownloads.shift())
     }
+
+    // Downloads starting together get their final share right away
+    const sharing = this.countSharingDownloads() + starting.filter(request => !request.options.rateLimit).length
+    const share = this.getRateLimitShare(sharing)
+    starting.forEach(request => this.startDownload(request, share))
+
+    // Running downloads follow the new number of downloads sharing the limit
+    this.rebalanceRateLimits()
   }
 
   /**
    * Start a single download
+   * @param {Object} request - Download request
+   * @param {number} rateLimitShare - Share of the global rate limit (bytes/s, 0 = unlimited)
    */
-  async startDownload(request) {
+  async startDownload(request, rateLimitShare) {
     const { videoId, url, quality, format, savePath, cookieFile, downloadFn, resolve, reject, retryCount } = request
 
+    // Each start is a new attempt; results of earlier (paused) attempts are ignored
+    const attempt = (request.attempt || 0) + 1
+    request.attempt = attempt
+
     // Mark as active
     const downloadInfo = {
       videoId,
       url,
       startedAt: Date.now(),
-      progress: 0,
+      progress: request.progress || 0,
       status: 'downloading',
       retryCount: retryCount || 0
     }
 
     this.activeDownloads.set(videoId, downloadInfo)
+
+    // A per-download limit replaces the share of the global limit
+    const rateLimit = request.options.rateLimit || rateLimitShare
+    downloadInfo.rateLimit = rateLimit
+    this.activeRequests.set(videoId, request)
     this.emit('downloadStarted', { videoId, ...downloadInfo })
     this.emit('queueUpdated', this.getStats())
 
+    // Stall watchdog: stop the process when no progress arrives in time,
+    // the resulting error is retried like a network timeout
+    let stallTimer = null
+    const armStallTimer = () => {
+      clearTimeout(stallTimer)
+      if (this.stallTimeout > 0) {
+        stallTimer = setTimeout(() => {
+          const process = this.activeProcesses.get(videoId)
+          if (this.isStaleAttempt(request, attempt)) {
+            return
+          }
+          if (!process) {
+            // Nothing to stop yet, keep watching
+            armStallTimer()
+            return
+          }
+          console.warn(`⏱️  Download stalled (${this.stallTimeout / 1000}s without progress): ${videoId}`)
+          request.stalled = attempt
+          this.terminateProcess(process)
+        }, this.stallTimeout)
+      }
+    }
+    armStallTimer()
+
     try {
       console.log(`🚀 Starting download ${this.activeDownloads.size}/${this.maxConcurrent}: ${videoId}${retryCount ? ` (retry ${retryCount}/${this.maxRetries})` : ''}`)
 
@@ -183,13 +476,28 @@ class DownloadManager extends EventEmitter {
         format,
         savePath,
         cookieFile,
+        rateLimit,
         onProcess: (process) => {
+          // Paused or cancelled before the process was spawned - stop it right away
+          if (this.isStaleAttempt(request, attempt)) {
+            this.terminateProcess(process)
+            return
+          }
+
           // Store process reference for cancellation
           this.activeProcesses.set(videoId, process)
         },
         onProgress: (progressData) => {
+          // Only transfer stages are watched; post-processing reports no progress
+          if (!progressData.stage || progressData.stage === 'download') {
+            armStallTimer()
+          } else {
+            clearTimeout(stallTimer)
+          }
+
           // Update download info and emit progress
-          if (downloadInfo) {
+          if (downloadInfo && !this.isStaleAttempt(request, attempt)) {
+            downloadInfo.stage = progressData.stage || 'download'
             downloadInfo.progress = progressData.progress || 0
             downloadInfo.speed = progressData.speed
             downloadInfo.eta = progressData.eta
@@ -198,10 +506,45 @@ class DownloadManager extends EventEmitter {
         }
       })
 
+      clearTimeout(stallTimer)
+
+      // Cancelled while finishing - the download no longer counts
+      if (request.cancelled) {
+        reject(new Error('Download cancelled by user'))
+        return
+      }
+
+      // Paused while finishing - the resumed attempt will pick it up
+      if (this.isStaleAttempt(request, attempt)) {
+        return
+      }
+
       // Download completed successfully
       this.handleDownloadComplete(videoId, result, resolve)
 
-    } catch (error) {
+    } catch (caughtError) {
+      clearTimeout(stallTimer)
+      let error = caughtError
+
+      // Process was stopped by cancelDownload or cancelAll
+      if (request.cancelled) {
+        console.log(`🛑 Download process stopped for cancel: ${videoId}`)
+        reject(new Error('Download cancelled by user'))
+        return
+      }
+
+      // Process was stopped by pauseDownload or a restart, not a real failure
+      if (this.isStaleAttempt(request, attempt)) {
+        console.log(`⏸️  Download process stopped for pause or restart: ${videoId}`)
+        return
+      }
+
+      // Process was stopped by the stall watchdog
+      if (request.stalled === attempt) {
+        delete request.stalled
+        error = new Error(`Download timeout: no progress for ${Math.round(this.stallTimeout / 1000)}s`)
+      }
+
       // Check if error is retryable and we haven't exceeded max retries
       if (retryCount < this.maxRetries && this.isRetryableError(error)) {
         console.log(`🔄 Retrying download (${retryCount + 1}/${this.maxRetries}): ${videoId}`)
@@ -209,12 +552,20 @@ class DownloadManager extends EventEmitter {
         // Remove from active
         this.activeDownloads.delete(videoId)
         this.activeProcesses.delete(videoId)
+        this.activeRequests.delete(videoId)
 
         // Update retry count and re-queue with exponential backoff
         request.retryCount = retryCount + 1
         request.lastError = error.message
 
+        this.retryingRequests.set(videoId, request)
+        this.emit('queueUpdated', this.getStats())
         setTimeout(() => {
+          // Cancelled during the backoff
+          if (!this.retryingRequests.delete(videoId)) {
+            return
+          }
+
           // Add to front of queue with same priority
           this.queuedDownloads.unshift(request)
           this.emit('queueUpdated', this.getStats())
@@ -250,6 +601,65 @@ class DownloadManager extends EventEmitter {
     return retryablePatterns.some(pattern => pattern.test(error.message))
   }
 
+  /**
+   * Check whether a download attempt has been superseded by pause/resume, a restart or cancelled
+   * @param {Object} request - Download request
+   * @param {number} attempt - Attempt number captured when it started
+   * @returns {boolean} True if the attempt's progress should be ignored
+   * @private
+   */
+  isStaleAttempt(request, attempt) {
+    return request.cancelled === true || request.paused === true || request.attempt !== attempt
+  }
+
+  /**
+   * Stop a running download and move it to the history as cancelled
+   * The request is only marked here: startDownload rejects its promise
+   * once the download function settles, so callers always get an outcome.
+   * @param {string} videoId - Video ID of an active download
+   * @private
+   */
+  cancelActiveDownload(videoId) {
+    const request = this.activeRequests.get(videoId)
+    request.cancelled = true
+
+    this.terminateProcess(this.activeProcesses.get(videoId))
+
+    const downloadInfo = this.activeDownloads.get(videoId)
+    if (downloadInfo) {
+      downloadInfo.status = 'cancelled'
+      downloadInfo.error = 'Cancelled by user'
+      downloadInfo.completedAt = Date.now()
+      downloadInfo.duration = downloadInfo.completedAt - downloadInfo.startedAt
+      this.downloadHistory.set(videoId, downloadInfo)
+    }
+
+    this.activeDownloads.delete(videoId)
+    this.activeProcesses.delete(videoId)
+    this.activeRequests.delete(videoId)
+  }
+
+  /**
+   * Stop a download process, escalating to SIGKILL if it doesn't exit
+   * @param {ChildProcess} process - Process to stop
+   * @private
+   */
+  terminateProcess(process) {
+    if (!process || process.killed) {
+      return
+    }
+
+    // Try graceful termination first
+    process.kill('SIGTERM')
+
+    // Force kill after 5 seconds if still running
+    setTimeout(() => {
+      if (process.exitCode === null && process.signalCode === null) {
+        process.kill('SIGKILL')
+      }
+    }, 5000)
+  }
+
   /**
    * Handle download completion
    */
@@ -268,6 +678,7 @@ class DownloadManager extends EventEmitter {
 
       // Clean up process reference
       this.activeProcesses.delete(videoId)
+      this.activeRequests.delete(videoId)
 
       console.log(`✅ Download completed: ${videoId} (${(downloadInfo.duration / 1000).toFixed(1)}s)`)
 
@@ -299,6 +710,7 @@ class DownloadManager extends EventEmitter {
 
       // Clean up process reference
       this.activeProcesses.delete(videoId)
+      this.activeRequests.delete(videoId)
 
       console.error(`❌ Download failed: ${videoId} - ${error.message}`)
 
@@ -319,45 +731,22 @@ class DownloadManager extends EventEmitter {
    */
   cancelDownload(videoId) {
     // Try to cancel active download first
-    if (this.activeDownloads.has(videoId)) {
-      const process = this.activeProcesses.get(videoId)
-
-      if (process && !process.killed) {
-        try {
-          // Try graceful termination first
-          process.kill('SIGTERM')
-
-          // Force kill after 5 seconds if still running
-          setTimeout(() => {
-            if (!process.killed) {
-              process.kill('SIGKILL')
-            }
-          }, 5000)
-
-          console.log(`🛑 Cancelled active download: ${videoId}`)
-
-          // Clean up
-          const downloadInfo = this.activeDownloads.get(videoId)
-          if (downloadInfo) {
-            downloadInfo.status = 'cancelled'
-            downloadInfo.error = 'Cancelled by user'
-            this.downloadHistory.set(videoId, downloadInfo)
-          }
+    if (this.activeRequests.has(videoId)) {
+      try {
+        this.cancelActiveDownload(videoId)
 
-          this.activeDownloads.delete(videoId)
-          this.activeProcesses.delete(videoId)
+        console.log(`🛑 Cancelled active download: ${videoId}`)
 
-          this.emit('downloadCancelled', { videoId })
-          this.emit('queueUpdated', this.getStats())
+        this.emit('downloadCancelled', { videoId })
+        this.emit('queueUpdated', this.getStats())
 
-          // Process next in queue
-          this.processQueue()
+        // Process next in queue
+        this.processQueue()
 
-          return true
-        } catch (error) {
-          console.error(`Error cancelling download ${videoId}:`, error)
-          return false
-        }
+        return true
+      } catch (error) {
+        console.error(`Error cancelling download ${videoId}:`, error)
+        return false
       }
     }
 
@@ -371,6 +760,28 @@ class DownloadManager extends EventEmitter {
       return true
     }
 
+    // Drop download waiting to be retried
+    if (this.retryingRequests.has(videoId)) {
+      const request = this.retryingRequests.get(videoId)
+      this.retryingRequests.delete(videoId)
+      request.reject(new Error('Download cancelled by user'))
+      console.log(`🛑 Cancelled retry of download: ${videoId}`)
+      this.emit('queueUpdated', this.getStats())
+      return true
+    }
+
+    // Drop paused download (its partial file stays on disk)
+    if (this.pausedDownloads.has(videoId)) {
+      const request = this.pausedDownloads.get(videoId)
+      this.pausedDownloads.delete(videoId)
+      this.scheduleHeld.delete(videoId)
+      request.reject(new Error('Download cancelled by user'))
+      console.log(`🛑 Cancelled paused download: ${videoId}`)
+      this.emit('downloadCancelled', { videoId })
+      this.emit('queueUpdated', this.getStats())
+      return true
+    }
+
     return false
   }
 
@@ -383,40 +794,32 @@ class DownloadManager extends EventEmitter {
     let cancelledQueued = 0
 
     // Cancel all active downloads
-    for (const [videoId, process] of this.activeProcesses.entries()) {
-      if (process && !process.killed) {
-        try {
-          process.kill('SIGTERM')
-          setTimeout(() => {
-            if (!process.killed) process.kill('SIGKILL')
-          }, 5000)
-
-          const downloadInfo = this.activeDownloads.get(videoId)
-          if (downloadInfo) {
-            downloadInfo.status = 'cancelled'
-            downloadInfo.error = 'Cancelled by user'
-            this.downloadHistory.set(videoId, downloadInfo)
-          }
-
-          cancelledActive++
-        } catch (error) {
-          console.error(`Error cancelling ${videoId}:`, error)
-        }
+    for (const videoId of [...this.activeRequests.keys()]) {
+      try {
+        this.cancelActiveDownload(videoId)
+        cancelledActive++
+      } catch (error) {
+        console.error(`Error cancelling ${videoId}:`, error)
       }
     }
 
     // Clear active downloads and processes
     this.activeDownloads.clear()
     this.activeProcesses.clear()
+    this.activeRequests.clear()
 
-    // Cancel all queued downloads
-    cancelledQueued = this.queuedDownloads.length
+    // Cancel all queued, paused and retrying downloads
+    const pendingRequests = [...this.queuedDownloads, ...this.pausedDownloads.values(), ...this.retryingRequests.values()]
+    cancelledQueued = pendingRequests.length
 
-    this.queuedDownloads.forEach(request => {
+    pendingRequests.forEach(request => {
       request.reject(new Error('Download cancelled by user'))
     })
 
     this.queuedDownloads = []
+    this.pausedDownloads.clear()
+    this.retryingRequests.clear()
+    this.scheduleHeld.clear()
     this.emit('queueUpdated', this.getStats())
 
     console.log(`🛑 Cancelled ${cancelledActive} active and ${cancelledQueued} queued downloads`)
@@ -428,6 +831,192 @@ class DownloadManager extends EventEmitter {
     }
   }
 
+  /**
+   * Pause an active or queued download
+   * Stops the yt-dlp process but leaves its .part file on disk, so the
+   * resumed attempt continues from there (yt-dlp runs with --continue).
+   * The request keeps its priority and position for when it is resumed.
+   * @param {string} videoId - Video ID to pause
+   * @returns {boolean} Success status
+   */
+  pauseDownload(videoId) {
+    let request = null
+    let progress = 0
+
+    const queueIndex = this.queuedDownloads.findIndex(req => req.videoId === videoId)
+    if (queueIndex !== -1) {
+      request = this.queuedDownloads.splice(queueIndex, 1)[0]
+    } else if (this.activeRequests.has(videoId)) {
+      request = this.activeRequests.get(videoId)
+      const downloadInfo = this.activeDownloads.get(videoId)
+      progress = downloadInfo ? downloadInfo.progress : 0
+
+      try {
+        this.terminateProcess(this.activeProcesses.get(videoId))
+      } catch (error) {
+        console.error(`Error pausing download ${videoId}:`, error)
+        return false
+      }
+
+      this.activeDownloads.delete(videoId)
+      this.activeProcesses.delete(videoId)
+      this.activeRequests.delete(videoId)
+    } else {
+      return false
+    }
+
+    request.paused = true
+    request.pausedAt = Date.now()
+    request.progress = progress
+    this.pausedDownloads.set(videoId, request)
+
+    console.log(`⏸️  Paused download: ${videoId}`)
+
+    this.emit('downloadPaused', { videoId, url: request.url, progress })
+    this.emit('queueUpdated', this.getStats())
+
+    // Paused download no longer holds a slot
+    this.processQueue()
+
+    return true
+  }
+
+  /**
+   * Resume a paused download
+   * Puts the request back into the queue at its original position
+   * (priority, then time added)
+   * @param {string} videoId - Video ID to resume
+   * @returns {boolean} Success status
+   */
+  resumeDownload(videoId) {
+    const request = this.pausedDownloads.get(videoId)
+    if (!request) {
+      return false
+    }
+
+    this.pausedDownloads.delete(videoId)
+    this.scheduleHeld.delete(videoId)
+    request.paused = false
+    delete request.pausedAt
+
+    this.queuedDownloads.push(request)
+    this.sortQueue()
+
+    console.log(`▶️  Resumed download: ${videoId}`)
+
+    this.emit('downloadResumed', { videoId, url: request.url, progress: request.progress || 0 })
+    this.emit('queueUpdated', this.getStats())
+
+    this.processQueue()
+
+    return true
+  }
+
+  /**
+   * Check if a download is paused
+   * @param {string} videoId - Video ID
+   * @returns {boolean} True if paused
+   */
+  isPaused(videoId) {
+    return this.pausedDownloads.has(videoId)
+  }
+
+  /**
+   * List running, paused and queued downloads
+   * @returns {Array<Object>} { videoId, url, status, position, progress, priority, addedAt, startedAt } -
+   *   status is 'downloading', 'paused' or 'queued', position is the place in line (1 = next, 0 = not waiting)
+   */
+  getDownloads() {
+    const active = [...this.activeRequests.values()].map(request => {
+      const downloadInfo = this.activeDownloads.get(request.videoId)
+      return {
+        videoId: request.videoId,
+        url: request.url,
+        status: 'downloading',
+        position: 0,
+        progress: downloadInfo ? downloadInfo.progress : 0,
+        priority: request.priority,
+        addedAt: request.addedAt,
+        startedAt: downloadInfo ? downloadInfo.startedAt : null
+      }
+    })
+
+    const paused = [...this.pausedDownloads.values()].map(request => ({
+      videoId: request.videoId,
+      url: request.url,
+      status: 'paused',
+      position: 0,
+      progress: request.progress || 0,
+      priority: request.priority,
+      addedAt: request.addedAt,
+      startedAt: null
+    }))
+
+    const queued = this.queuedDownloads.map((request, index) => ({
+      videoId: request.videoId,
+      url: request.url,
+      status: 'queued',
+      position: index + 1,
+      progress: request.progress || 0,
+      priority: request.priority,
+      addedAt: request.addedAt,
+      startedAt: null
+    }))
+
+    return [...active, ...paused, ...queued]
+  }
+
+  /**
+   * Get a serializable snapshot of all unfinished downloads
+   * Used to persist the queue so it can be restored after a restart
+   * @returns {Array<Object>} Active, paused and queued downloads
+   */
+  getSnapshot() {
+    const toEntry = (request, status, progress) => ({
+      videoId: request.videoId,
+      url: request.url,
+      quality: request.quality,
+      format: request.format,
+      savePath: request.savePath,
+      cookieFile: request.cookieFile || null,
+      priority: request.priority,
+      retryCount: request.retryCount || 0,
+      addedAt: request.addedAt,
+      status,
+      progress: progress || 0,
+      options: request.options || {}
+    })
+
+    const active = [...this.activeRequests.values()].map(request => {
+      const downloadInfo = this.activeDownloads.get(request.videoId)
+      return toEntry(request, 'downloading', downloadInfo ? downloadInfo.progress : 0)
+    })
+    const paused = [...this.pausedDownloads.values()].map(request => toEntry(request, 'paused', request.progress))
+    // Downloads waiting out a retry backoff go back to the front of the queue
+    const retrying = [...this.retryingRequests.values()].map(request => toEntry(request, 'queued', request.progress))
+    const queued = this.queuedDownloads.map(request => toEntry(request, 'queued', request.progress))
+
+    return [...active, ...paused, ...retrying, ...queued]
+  }
+
+  /**
+   * List finished downloads, oldest first
+   * @returns {Array<Object>} { videoId, url, status, error, filename, startedAt, completedAt, duration } -
+   *   status is 'completed', 'error' or 'cancelled'
+   */
+  getHistory() {
+    return [...this.downloadHistory.values()].map(downloadInfo => ({
+      videoId: downloadInfo.videoId,
+      url: downloadInfo.url,
+      status: downloadInfo.status,
+      error: downloadInfo.error || null,
+      filename: downloadInfo.result && downloadInfo.result.filename ? downloadInfo.result.filename : null,
+      startedAt: downloadInfo.startedAt,
+      completedAt: downloadInfo.completedAt,
+      duration: downloadInfo.duration
+    }))
+  }
+
   /**
    * Clear download history
    */
@@ -443,15 +1032,18 @@ class DownloadManager extends EventEmitter {
   getDownloadInfo(videoId) {
     return this.activeDownloads.get(videoId) ||
            this.downloadHistory.get(videoId) ||
-           this.queuedDownloads.find(req => req.videoId === videoId)
+           this.queuedDownloads.find(req => req.videoId === videoId) ||
+           this.pausedDownloads.get(videoId)
   }
 
   /**
-   * Check if video is downloading or queued
+   * Check if video is downloading, queued or paused
    */
   isDownloading(videoId) {
     return this.activeDownloads.has(videoId) ||
-           this.queuedDownloads.some(req => req.videoId === videoId)
+           this.queuedDownloads.some(req => req.videoId === videoId) ||
+           this.pausedDownloads.has(videoId) ||
+           this.retryingRequests.has(videoId)
   }
 }
 
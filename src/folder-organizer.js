@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Subfolder rules for organizing downloads
+ * Builds the yt-dlp output template that routes a download into a folder
+ * per uploader, playlist, upload month or platform below the save path
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+// Rules offered in the settings modal
+const ORGANIZE_RULES = ['uploader', 'playlist', 'date', 'platform']
+
+// Folder levels filled in by yt-dlp from the video's metadata
+// S sanitizes the value as a file name, so it can't contain path separators
+const FOLDER_TEMPLATES = {
+  uploader: ['%(uploader,channel|Unknown uploader)S'],
+  date: ['%(upload_date>%Y|Unknown year)s', '%(upload_date>%m|Unknown month)s'],
+  platform: ['%(extractor_key|Other)S']
+}
+
+// yt-dlp keeps '.' and '..' as field values, strip dots and spaces around
+// uploader names before they become folders (empty values use the default)
+const METADATA_CLEANUP_ARGS = ['--replace-in-metadata', 'uploader,channel', '^[.\\s]+|[.\\s]+$', '']
+
+const MAX_FOLDER_NAME_LENGTH = 100
+const MAX_PLAYLIST_TITLE_LENGTH = 500
+
+/**
+ * Validate an organize rule
+ * @param {string|null} rule - Rule from the settings, null or 'none' to disable
+ * @returns {string|null} Rule or null when downloads aren't organized
+ * @throws {Error} If the rule is unknown
+ */
+function validateOrganizeRule(rule) {
+  if (rule === undefined || rule === null || rule === '' || rule === 'none') {
+    return null
+  }
+
+  if (!ORGANIZE_RULES.includes(rule)) {
+    throw new Error(`Invalid organize rule: ${rule}. Allowed rules: ${ORGANIZE_RULES.join(', ')}`)
+  }
+
+  return rule
+}
+
+/**
+ * Validate the playlist a video was added from
+ * @param {Object|null} playlist - { title, index, count }
+ * @returns {Object|null} Normalized playlist info or null
+ * @throws {Error} If the playlist info is invalid
+ */
+function validatePlaylistInfo(playlist) {
+  if (playlist === undefined || playlist === null) {
+    return null
+  }
+
+  if (typeof playlist !== 'object' || Array.isArray(playlist)) {
+    throw new Error('Invalid playlist info: must be an object')
+  }
+
+  const { title, index, count } = playlist
+
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_PLAYLIST_TITLE_LENGTH) {
+    throw new Error('Invalid playlist info: title is required')
+  }
+
+  if (!Number.isInteger(index) || index < 1) {
+    throw new Error('Invalid playlist info: index must be a positive integer')
+  }
+
+  if (count !== undefined && count !== null && (!Number.isInteger(count) || count < index)) {
+    throw new Error('Invalid playlist info: count must be an integer not below the index')
+  }
+
+  return { title: title.trim(), index, count: count || null }
+}
+
+/**
+ * Turn a name into a single safe folder name
+ * Same rules as sanitizeFilename, and never '.', '..' or empty
+ * @param {string} name - Name such as a playlist title
+ * @param {string} fallback - Name to use when nothing is left
+ * @returns {string} Folder name
+ */
+function toFolderName(name, fallback) {
+  const folderName = String(name || '')
+    .replace(/[\0-\x1f\x7f]/g, '')
+    .replace(/[<>:"|?*]/g, '_')
+    .replace(/[\/\\]/g, '_')
+    .slice(0, MAX_FOLDER_NAME_LENGTH)
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+
+  return folderName || fallback
+}
+
+/**
+ * Escape literal text for a yt-dlp output template
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeTemplateLiteral(text) {
+  return text.replace(/%/g, '%%')
+}
+
+/**
+ * Fill in the playlist fields of a filename template
+ * Videos are downloaded one by one, so yt-dlp doesn't know the playlist
+ * they were added from and would render these fields as NA
+ * @param {string} template - Filename template
+ * @param {Object} playlist - Validated playlist info
+ * @returns {{template: string, hasIndex: boolean}} Template and whether it numbers the file
+ */
+function applyPlaylistFields(template, playlist) {
+  let hasIndex = false
+
+  const filled = template
+    .replace(/%\(playlist_index\)(0?)(\d*)[ds]/g, (match, zeroPad, width) => {
+      hasIndex = true
+      return String(playlist.index).padStart(Number(width) || 0, zeroPad ? '0' : ' ')
+    })
+    .replace(/%\((?:playlist|playlist_title)\)s/g, () => escapeTemplateLiteral(toFolderName(playlist.title, 'Playlist')))
+
+  return { template: filled, hasIndex }
+}
+
+/**
+ * Build the output template for a download
+ * @param {Object} options - Output options
+ * @param {string|null} options.rule - Validated organize rule
+ * @param {string} options.filenameTemplate - Validated filename template
+ * @param {Object|null} [options.playlist] - Validated playlist info
+ * @returns {{folder: string|null, template: string, args: Array<string>}}
+ *   folder: literal subfolder to create below the save path,
+ *   template: output template relative to that folder,
+ *   args: extra yt-dlp arguments
+ */
+function buildOutputTemplate({ rule, filenameTemplate, playlist = null }) {
+  let template = filenameTemplate
+  let hasIndex = false
+
+  if (playlist) {
+    ({ template, hasIndex } = applyPlaylistFields(template, playlist))
+  }
+
+  if (rule === 'playlist') {
+    // Single videos stay in the save folder
+    if (!playlist) {
+      return { folder: null, template, args: [] }
+    }
+
+    // Number files so they sort in playlist order
+    if (!hasIndex) {
+      const width = Math.max(3, String(playlist.count || playlist.index).length)
+      template = `${String(playlist.index).padStart(width, '0')} - ${template}`
+    }
+
+    return { folder: toFolderName(playlist.title, 'Playlist'), template, args: [] }
+  }
+
+  if (FOLDER_TEMPLATES[rule]) {
+    return {
+      folder: null,
+      template: [...FOLDER_TEMPLATES[rule], template].join('/'),
+      args: rule === 'uploader' ? METADATA_CLEANUP_ARGS : []
+    }
+  }
+
+  return { folder: null, template, args: [] }
+}
+
+module.exports = {
+  validateOrganizeRule,
+  validatePlaylistInfo,
+  buildOutputTemplate,
+  toFolderName,
+  escapeTemplateLiteral,
+  ORGANIZE_RULES
+}
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Parser for full yt-dlp video metadata (`yt-dlp -J`)
+ * Turns the raw info dict into the fields the preview modal and quality
+ * dropdown need, including the list of available formats
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+// Standard resolution classes, highest first
+const RESOLUTION_CLASSES = [4320, 2160, 1440, 1080, 720, 480, 360, 240, 144]
+
+/**
+ * Convert a yt-dlp codec value ('none' means the stream is absent)
+ * @param {string} codec - Codec from the info dict
+ * @returns {string|null} Codec or null
+ */
+function normalizeCodec(codec) {
+  return codec && codec !== 'none' ? codec : null
+}
+
+/**
+ * Convert a YYYYMMDD date to YYYY-MM-DD
+ * @param {string} value - Date from the info dict
+ * @returns {string|null} ISO date or null
+ */
+function formatUploadDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || ''))
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null
+}
+
+/**
+ * Get a number from the info dict, ignoring missing or invalid values
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null
+ */
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+/**
+ * Get the resolution class of a video stream (1080 for 1920x1080, 1920x800 and 1080x1920)
+ * Wide and vertical videos are classed by their long side, like video sites label them
+ * @param {number|null} width - Frame width
+ * @param {number|null} height - Frame height
+ * @returns {number|null} Resolution class or null
+ */
+function getResolutionClass(width, height) {
+  if (!height) {
+    return null
+  }
+
+  const shortSide = width ? Math.min(width, height) : height
+  const longSide = width ? Math.max(width, height) : height
+  const effective = Math.max(shortSide, Math.round(longSide * 9 / 16))
+
+  // Allow a little slack for odd encodes (1920x1072 is still 1080p)
+  return RESOLUTION_CLASSES.find(resolution => effective >= resolution * 0.95) || effective
+}
+
+/**
+ * Parse one entry of the info dict's formats list
+ * @param {Object} format - Raw yt-dlp format
+ * @returns {Object|null} Parsed format, or null for non-media formats (storyboards)
+ */
+function parseFormat(format) {
+  if (!format || !format.format_id || format.ext === 'mhtml') {
+    return null
+  }
+
+  const vcodec = normalizeCodec(format.vcodec)
+  const acodec = normalizeCodec(format.acodec)
+  const width = toNumber(format.width)
+  const height = toNumber(format.height)
+  // 'none' means the stream is absent, a missing codec only means it's unknown
+  // (direct file links), so only rule a stream out when yt-dlp says so
+  const hasVideo = format.vcodec !== 'none' && format.video_ext !== 'none' &&
+    !(!vcodec && !height && acodec)
+  const hasAudio = format.acodec !== 'none' && format.audio_ext !== 'none'
+
+  if (!hasVideo && !hasAudio) {
+    return null
+  }
+
+  const filesize = toNumber(format.filesize)
+  const filesizeApprox = toNumber(format.filesize_approx)
+
+  return {
+    formatId: String(format.format_id),
+    ext: format.ext || null,
+    width,
+    height,
+    resolution: hasVideo && width && height ? `${width}x${height}` : (hasVideo ? null : 'audio only'),
+    resolutionClass: hasVideo ? getResolutionClass(width, height) : null,
+    fps: toNumber(format.fps),
+    vcodec,
+    acodec,
+    hasVideo,
+    hasAudio,
+    filesize: filesize || filesizeApprox,
+    filesizeApproximate: !filesize && Boolean(filesizeApprox),
+    bitrate: toNumber(format.tbr),
+    note: format.format_note || null
+  }
+}
+
+/**
+ * Parse chapters from the info dict
+ * @param {Array} chapters - Raw chapters
+ * @returns {Array<Object>} Chapters ({ title, startTime, endTime })
+ */
+function parseChapters(chapters) {
+  if (!Array.isArray(chapters)) {
+    return []
+  }
+
+  return chapters
+    .filter(chapter => chapter && toNumber(chapter.start_time) !== null)
+    .map((chapter, index) => ({
+      title: chapter.title || `Chapter ${index + 1}`,
+      startTime: chapter.start_time,
+      endTime: toNumber(chapter.end_time)
+    }))
+}
+
+/**
+ * Parse a full yt-dlp info dict
+ * @param {Object} info - Output of `yt-dlp -J`
+ * @returns {Object} Full metadata
+ * @throws {Error} If the info dict is invalid
+ */
+function parseFullMetadata(info) {
+  if (!info || typeof info !== 'object') {
+    throw new Error('Invalid metadata format received')
+  }
+
+  const formats = (Array.isArray(info.formats) ? info.formats : [])
+    .map(parseFormat)
+    .filter(Boolean)
+    .sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0))
+
+  const availableResolutions = [...new Set(
+    formats.map(format => format.resolutionClass).filter(Boolean)
+  )].sort((a, b) => b - a)
+
+  return {
+    id: info.id || null,
+    title: info.title || 'Unknown Title',
+    duration: toNumber(info.duration) || 0,
+    thumbnail: info.thumbnail || null,
+    uploader: info.uploader || info.channel || null,
+    uploaderUrl: info.uploader_url || info.channel_url || null,
+    uploadDate: formatUploadDate(info.upload_date),
+    viewCount: toNumber(info.view_count),
+    likeCount: toNumber(info.like_count),
+    description: info.description || null,
+    chapters: parseChapters(info.chapters),
+    formats,
+    availableResolutions,
+    extractor: info.extractor_key || info.extractor || null,
+    webpageUrl: info.webpage_url || null
+  }
+}
+
+module.exports = {
+  parseFullMetadata,
+  parseFormat,
+  getResolutionClass,
+  RESOLUTION_CLASSES
+}
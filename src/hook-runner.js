@@ -0,0 +1,560 @@
+/**
+ * @fileoverview Post-download hooks
+ * Runs user scripts (JSON payload on stdin) and webhooks (JSON POST to a
+ * localhost/LAN endpoint) after a download or conversion finished or failed.
+ * Every run has a timeout and is written to a capped log
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+const dns = require('dns')
+const net = require('net')
+const http = require('http')
+const https = require('https')
+const { spawn } = require('child_process')
+const EventEmitter = require('events')
+
+const STORE_VERSION = 1
+
+const MAX_LOG_ENTRIES = 200
+
+// Script output and webhook responses kept per run
+const MAX_OUTPUT_LENGTH = 4000
+
+const EVENTS = ['completed', 'failed']
+const TYPES = ['script', 'webhook']
+
+const DEFAULT_TIMEOUT_SECONDS = 30
+const MAX_TIMEOUT_SECONDS = 600
+
+// Scripts that ignore SIGTERM are killed this long after the timeout
+const KILL_GRACE_PERIOD = 5000
+
+/**
+ * Check whether an IP address is loopback, private, link-local or unique local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is on this machine or the local network
+ */
+function isLanAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number)
+    return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254)
+  }
+
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase()
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (mapped) {
+      return isLanAddress(mapped[1])
+    }
+    return lower === '::1' || /^f[cd][0-9a-f]{2}:/.test(lower) || /^fe[89ab][0-9a-f]:/.test(lower)
+  }
+
+  return false
+}
+
+/**
+ * Validate hook settings
+ * @param {Object} settings - Hook settings from the renderer
+ * @returns {Object} { name, type, command, url, events, timeoutSeconds, enabled }
+ * @throws {Error} If a setting is invalid
+ */
+function validateHook(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Invalid hook settings')
+  }
+
+  const { type } = settings
+  if (!TYPES.includes(type)) {
+    throw new Error('Hook type must be script or webhook')
+  }
+
+  let command = null
+  let url = null
+
+  if (type === 'script') {
+    command = typeof settings.command === 'string' ? settings.command.trim() : ''
+    if (!command || !path.isAbsolute(command)) {
+      throw new Error('Choose the script file to run')
+    }
+    if (!fs.existsSync(command) || !fs.statSync(command).isFile()) {
+      throw new Error(`Script not found: ${command}`)
+    }
+    if (process.platform !== 'win32') {
+      try {
+        fs.accessSync(command, fs.constants.X_OK)
+      } catch (error) {
+        throw new Error(`Script is not executable (chmod +x): ${command}`)
+      }
+    }
+  } else {
+    let parsed
+    try {
+      parsed = new URL(typeof settings.url === 'string' ? settings.url.trim() : '')
+    } catch (error) {
+      throw new Error('Invalid webhook URL')
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Webhook URL must start with http:// or https://')
+    }
+    // Host names are resolved and checked on every call, addresses right away
+    const host = parsed.hostname.replace(/^\[|\]$/g, '')
+    if (net.isIP(host) && !isLanAddress(host)) {
+      throw new Error('Webhooks can only be sent to this computer or the local network')
+    }
+    url = parsed.href
+  }
+
+  const events = Array.isArray(settings.events) ? [...new Set(settings.events)] : ['completed']
+  if (events.length === 0 || !events.every(event => EVENTS.includes(event))) {
+    throw new Error(`Hook events must be one or more of: ${EVENTS.join(', ')}`)
+  }
+
+  const timeoutSeconds = settings.timeoutSeconds === undefined ? DEFAULT_TIMEOUT_SECONDS : settings.timeoutSeconds
+  if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > MAX_TIMEOUT_SECONDS) {
+    throw new Error(`Hook timeout must be 1 to ${MAX_TIMEOUT_SECONDS} seconds`)
+  }
+
+  const name = typeof settings.name === 'string' && settings.name.trim()
+    ? settings.name.trim().slice(0, 100)
+    : (command ? path.basename(command) : new URL(url).host)
+
+  return { name, type, command, url, events, timeoutSeconds, enabled: settings.enabled !== false }
+}
+
+/**
+ * Build the payload hooks receive
+ * @param {string} event - completed or failed
+ * @param {Object} download - { videoId, url, title, format, quality }
+ * @param {Object} outcome - { result } of a finished download or { error } of a failed one
+ * @param {number|null} [duration] - Media duration in seconds, if known
+ * @returns {Object} Payload
+ */
+function buildPayload(event, { videoId, url, title, format, quality }, { result = null, error = null }, duration = null) {
+  const files = result
+    ? [...(result.clipFiles || []), ...(result.chapterFiles || [])].map(file => file.filePath)
+    : []
+
+  return {
+    event,
+    videoId,
+    url,
+    title: title || null,
+    format: format || 'None',
+    quality: quality || null,
+    filePath: result && result.filePath ? result.filePath : null,
+    filename: result && result.filename ? result.filename : null,
+    files: files.length > 0 ? files : (result && result.filePath ? [result.filePath] : []),
+    duration,
+    error: error ? error.message : null,
+    finishedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Limit captured output to MAX_OUTPUT_LENGTH characters
+ * @param {string} text - Output
+ * @returns {string} Output, truncated from the end if too long
+ */
+function capOutput(text) {
+  return text.length > MAX_OUTPUT_LENGTH ? `${text.slice(0, MAX_OUTPUT_LENGTH)}\n… (truncated)` : text
+}
+
+/**
+ * Hook Runner
+ * Stores hooks with a log of their runs and runs the ones that match a download outcome
+ */
+class HookRunner extends EventEmitter {
+  /**
+   * @param {string} filePath - Store location (inside userData)
+   */
+  constructor(filePath) {
+    super()
+
+    this.filePath = filePath
+    this.hooks = new Map() // hookId -> hook
+    this.log = [] // Most recent first
+    this.pending = new Set() // Promises of runs in progress
+  }
+
+  /**
+   * Load hooks and the log, a missing or corrupt store is treated as empty
+   * @returns {Array<Object>} Hooks
+   */
+  load() {
+    this.hooks.clear()
+    this.log = []
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+
+        ;(Array.isArray(data.hooks) ? data.hooks : [])
+          .filter(hook => hook && typeof hook.id === 'string' && TYPES.includes(hook.type))
+          .forEach(hook => this.hooks.set(hook.id, hook))
+
+        this.log = Array.isArray(data.log) ? data.log.slice(0, MAX_LOG_ENTRIES) : []
+      }
+      console.log(`🪝 Hooks loaded: ${this.hooks.size}`)
+    } catch (error) {
+      console.error('Failed to read hooks:', error.message)
+    }
+
+    return this.getAll()
+  }
+
+  /**
+   * Get all hooks
+   * @returns {Array<Object>} Hooks, oldest first
+   */
+  getAll() {
+    return [...this.hooks.values()].map(hook => ({ ...hook }))
+  }
+
+  /**
+   * Get the log of hook runs
+   * @returns {Array<Object>} Log entries, most recent first
+   */
+  getLog() {
+    return this.log.slice()
+  }
+
+  /**
+   * Add a hook
+   * @param {Object} settings - Hook settings, see validateHook
+   * @returns {Object} Hook
+   */
+  add(settings) {
+    const now = Date.now()
+    const hook = {
+      id: `hook_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      ...validateHook(settings),
+      createdAt: now
+    }
+
+    this.hooks.set(hook.id, hook)
+    this.write()
+
+    return { ...hook }
+  }
+
+  /**
+   * Change a hook, settings left out keep their value
+   * @param {string} id - Hook ID
+   * @param {Object} changes - Hook settings, see validateHook
+   * @returns {Object} Updated hook
+   */
+  update(id, changes) {
+    const hook = this.getHook(id)
+    const { id: ignoredId, createdAt, ...current } = hook
+    const updated = { ...hook, ...validateHook({ ...current, ...changes }) }
+
+    this.hooks.set(id, updated)
+    this.write()
+
+    return { ...updated }
+  }
+
+  /**
+   * Remove a hook
+   * @param {string} id - Hook ID
+   * @returns {boolean} True if a hook was removed
+   */
+  remove(id) {
+    const removed = this.hooks.delete(id)
+    if (removed) {
+      this.write()
+    }
+    return removed
+  }
+
+  /**
+   * Check whether any enabled hook runs for an event
+   * @param {string} event - completed or failed
+   * @returns {boolean} True if run() would start a hook
+   */
+  hasHooks(event) {
+    return [...this.hooks.values()].some(hook => hook.enabled && hook.events.includes(event))
+  }
+
+  /**
+   * Run every enabled hook for an event, side by side
+   * Hooks never throw: failures and timeouts end up in the log
+   * @param {string} event - completed or failed
+   * @param {Object} payload - Payload from buildPayload
+   * @returns {Promise<Array<Object>>} Log entries of the runs
+   */
+  run(event, payload) {
+    const hooks = [...this.hooks.values()].filter(hook => hook.enabled && hook.events.includes(event))
+    return Promise.all(hooks.map(hook => this.track(this.runHook(hook, payload))))
+  }
+
+  /**
+   * Run one hook with a sample payload, also when it's disabled
+   * @param {string} id - Hook ID
+   * @returns {Promise<Object>} Log entry of the run
+   */
+  test(id) {
+    const hook = this.getHook(id)
+    return this.track(this.runHook(hook, {
+      event: 'test',
+      videoId: 'test',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      title: 'GrabZilla hook test',
+      format: 'None',
+      quality: '1080p',
+      filePath: null,
+      filename: null,
+      files: [],
+      duration: null,
+      error: null,
+      finishedAt: new Date().toISOString()
+    }))
+  }
+
+  /**
+   * Wait for the runs in progress, used before the headless mode exits
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending])
+    }
+  }
+
+  /**
+   * Run a hook and log the outcome
+   * @param {Object} hook - Stored hook
+   * @param {Object} payload - Payload
+   * @returns {Promise<Object>} Log entry
+   * @private
+   */
+  async runHook(hook, payload) {
+    const startedAt = Date.now()
+    let outcome
+
+    try {
+      outcome = hook.type === 'script'
+        ? await this.runScript(hook, payload)
+        : await this.sendWebhook(hook, payload)
+    } catch (error) {
+      outcome = { success: false, status: null, output: '', error: error.message }
+    }
+
+    const entry = {
+      hookId: hook.id,
+      name: hook.name,
+      type: hook.type,
+      event: payload.event,
+      videoId: payload.videoId,
+      url: payload.url,
+      title: payload.title,
+      startedAt,
+      elapsed: Date.now() - startedAt,
+      ...outcome
+    }
+
+    this.addLogEntry(entry)
+    this.write()
+    this.emit('hookFinished', entry)
+
+    return entry
+  }
+
+  /**
+   * Run a script with the payload as JSON on stdin
+   * No shell is involved; .cmd/.bat files need cmd.exe on Windows
+   * @param {Object} hook - Script hook
+   * @param {Object} payload - Payload
+   * @returns {Promise<Object>} { success, status (exit code), output, error }
+   * @private
+   */
+  runScript(hook, payload) {
+    return new Promise((resolve, reject) => {
+      const batchFile = process.platform === 'win32' && /\.(cmd|bat)$/i.test(hook.command)
+      const child = batchFile
+        ? spawn(process.env.ComSpec || 'cmd.exe', ['/d', '/c', hook.command], { cwd: path.dirname(hook.command), windowsHide: true })
+        : spawn(hook.command, [], { cwd: path.dirname(hook.command), windowsHide: true })
+
+      let output = ''
+      let timedOut = false
+      const collect = (data) => {
+        if (output.length <= MAX_OUTPUT_LENGTH) {
+          output += data.toString()
+        }
+      }
+
+      const timer = setTimeout(() => {
+        timedOut = true
+        child.kill('SIGTERM')
+        setTimeout(() => {
+          if (child.exitCode === null && child.signalCode === null) {
+            child.kill('SIGKILL')
+          }
+        }, KILL_GRACE_PERIOD).unref()
+      }, hook.timeoutSeconds * 1000)
+
+      child.stdout.on('data', collect)
+      child.stderr.on('data', collect)
+
+      child.on('error', (error) => {
+        clearTimeout(timer)
+        reject(error)
+      })
+
+      child.on('close', (code) => {
+        clearTimeout(timer)
+        resolve({
+          success: !timedOut && code === 0,
+          status: code,
+          output: capOutput(output),
+          error: timedOut ? `Timed out after ${hook.timeoutSeconds}s` : (code === 0 ? null : `Exited with code ${code}`)
+        })
+      })
+
+      // Scripts that don't read stdin close it early
+      child.stdin.on('error', () => {})
+      child.stdin.end(JSON.stringify(payload))
+    })
+  }
+
+  /**
+   * POST the payload as JSON to a webhook
+   * The host name is resolved once and the connection goes to that checked address,
+   * so a name can't be re-pointed at a public server between the check and the request
+   * @param {Object} hook - Webhook hook
+   * @param {Object} payload - Payload
+   * @returns {Promise<Object>} { success, status (HTTP status), output, error }
+   * @private
+   */
+  sendWebhook(hook, payload) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(hook.url)
+      const host = target.hostname.replace(/^\[|\]$/g, '')
+      const body = JSON.stringify(payload)
+
+      if (net.isIP(host) && !isLanAddress(host)) {
+        reject(new Error('Webhooks can only be sent to this computer or the local network'))
+        return
+      }
+
+      const lookup = (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+          if (error) {
+            callback(error)
+            return
+          }
+          const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address]
+          if (!addresses.every(isLanAddress)) {
+            callback(new Error(`${hostname} is not on this computer or the local network`))
+            return
+          }
+          callback(null, address, family)
+        })
+      }
+
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        lookup,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'GrabZilla/2.1'
+        }
+      }, (response) => {
+        let output = ''
+        response.on('data', (data) => {
+          if (output.length <= MAX_OUTPUT_LENGTH) {
+            output += data.toString()
+          }
+        })
+        response.on('end', () => {
+          clearTimeout(timer)
+          const success = response.statusCode >= 200 && response.statusCode < 300
+          resolve({
+            success,
+            status: response.statusCode,
+            output: capOutput(output),
+            error: success ? null : `HTTP ${response.statusCode}`
+          })
+        })
+        response.on('error', reject)
+      })
+
+      const timer = setTimeout(() => {
+        request.destroy(new Error(`Timed out after ${hook.timeoutSeconds}s`))
+      }, hook.timeoutSeconds * 1000)
+
+      request.on('error', (error) => {
+        clearTimeout(timer)
+        reject(error)
+      })
+      request.end(body)
+    })
+  }
+
+  /**
+   * Remember a run until it settles, for idle()
+   * @param {Promise} promise - Run
+   * @returns {Promise} The same run
+   * @private
+   */
+  track(promise) {
+    this.pending.add(promise)
+    promise.finally(() => this.pending.delete(promise))
+    return promise
+  }
+
+  /**
+   * Get a hook or throw
+   * @param {string} id - Hook ID
+   * @returns {Object} Stored hook
+   * @private
+   */
+  getHook(id) {
+    const hook = this.hooks.get(id)
+    if (!hook) {
+      throw new Error(`Hook ${id} not found`)
+    }
+    return hook
+  }
+
+  /**
+   * Prepend a log entry and drop the oldest ones
+   * @param {Object} entry - Log entry
+   * @private
+   */
+  addLogEntry(entry) {
+    this.log.unshift(entry)
+    this.log.length = Math.min(this.log.length, MAX_LOG_ENTRIES)
+  }
+
+  /**
+   * Write the store atomically (temp file + rename)
+   * @private
+   */
+  write() {
+    const tempPath = `${this.filePath}.tmp`
+    const data = {
+      version: STORE_VERSION,
+      hooks: [...this.hooks.values()],
+      log: this.log
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      console.error('Failed to write hooks:', error.message)
+    }
+  }
+}
+
+module.exports = HookRunner
+module.exports.validateHook = validateHook
+module.exports.buildPayload = buildPayload
+module.exports.isLanAddress = isLanAddress
+module.exports.EVENTS = EVENTS
@@ -1,18 +1,160 @@
 const { app, BrowserWindow, ipcMain, dialog, shell, Notification, clipboard } = require('electron')
 const path = require('path')
 const fs = require('fs')
+const util = require('util')
 const { spawn } = require('child_process')
 const notifier = require('node-notifier')
 const ffmpegConverter = require('../scripts/utils/ffmpeg-converter')
+const SubtitleOptions = require('../scripts/utils/subtitle-options')
+const FormatSelector = require('../scripts/utils/format-selector')
+const ClipOptions = require('../scripts/utils/clip-options')
+const AudioOptions = require('../scripts/utils/audio-options')
+const MetadataOptions = require('../scripts/utils/metadata-options')
+const ConversionPresets = require('../scripts/utils/conversion-presets')
+const LocalMedia = require('../scripts/utils/local-media')
+const SiteRegistry = require('../scripts/utils/site-registry')
+const URLValidator = require('../scripts/utils/url-validator')
 const DownloadManager = require('./download-manager')
-const { sanitizePath, validateCookieFile, sanitizeFilename, isValidVideoUrl, validateFFmpegFormat, validateFFmpegQuality, validateFFmpegExtension } = require('./security-utils')
+const ConversionQueue = require('./conversion-queue')
+const QueueJournal = require('./queue-journal')
+const DownloadArchive = require('./download-archive')
+const SubscriptionManager = require('./subscription-manager')
+const ControlServer = require('./control-server')
+const HookRunner = require('./hook-runner')
+const SiteSettingsStore = require('./site-settings-store')
+const { parseFullMetadata } = require('./full-metadata')
+const { planChapterFiles } = require('./chapter-splitter')
+const { verifyConversionOutput, applyOriginalPolicy } = require('./original-file-policy')
+const { validateOrganizeRule, validatePlaylistInfo, buildOutputTemplate, escapeTemplateLiteral } = require('./folder-organizer')
+const { sanitizePath, validateCookieFile, sanitizeFilename, isValidVideoUrl, validateFFmpegFormat, validateFFmpegQuality, validateFFmpegExtension, validateFilenameTemplate, validateSubtitleOptions, validateFormatPreferences, validateClipOptions, validateAudioOptions, validateMetadataOptions, validateConversionPreset, validateOriginalPolicy, validateLocalMediaFile } = require('./security-utils')
 const logger = require('./logger')
+const cli = require('./cli')
+const DeepLink = require('./deep-link')
+
+// Headless batch mode (grabzilla --urls list.txt ...) runs without a window
+// stdout is reserved for its JSON lines, everything logged goes to stderr
+const cliArgs = process.argv.slice(process.defaultApp ? 2 : 1)
+const headless = cli.isCliInvocation(cliArgs)
+if (headless) {
+  const writeToStderr = (...args) => process.stderr.write(`${util.format(...args)}\n`)
+  console.log = writeToStderr
+  console.info = writeToStderr
+  console.debug = writeToStderr
+}
+
+// One app window: later launches, and grabzilla:// links on Windows and Linux, go to the running instance
+// Headless batches run on their own
+const hasInstanceLock = headless || app.requestSingleInstanceLock()
+if (!hasInstanceLock) {
+  app.quit()
+}
 
 // Keep a global reference of the window object
 let mainWindow
 
+// Deep links that arrived before the renderer listened for them (at launch or while it loads)
+let pendingDeepLinks = []
+let deepLinksReady = false
+
+// Allowed sites are kept in userData and applied right away: headless runs,
+// grabzilla:// links and subscription checks validate URLs before any window loads
+const siteSettingsStore = new SiteSettingsStore(path.join(app.getPath('userData'), 'site-settings.json'))
+siteSettingsStore.load()
+
 // Initialize download manager
 const downloadManager = new DownloadManager()
+const { PRIORITY } = DownloadManager
+
+// Encodes wait for their own slots, so a long conversion never holds a download slot
+const conversionQueue = new ConversionQueue()
+
+// Durable queue journal so unfinished downloads and conversions survive restarts and crashes
+const queueJournal = new QueueJournal(path.join(app.getPath('userData'), 'download-queue.json'))
+queueJournal.load()
+
+const saveQueueJournal = () => {
+  queueJournal.save([...downloadManager.getSnapshot(), ...conversionQueue.getSnapshot()])
+}
+downloadManager.on('queueUpdated', saveQueueJournal)
+conversionQueue.on('queueUpdated', saveQueueJournal)
+
+// Report the place in line of conversions waiting for a slot
+conversionQueue.on('queueUpdated', () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    conversionQueue.getConversions()
+      .filter(conversion => conversion.status === 'queued')
+      .forEach(({ url, progress, position }) => {
+        mainWindow.webContents.send('download-progress', { url, progress, status: 'converting', stage: 'queued', queuePosition: position })
+      })
+  }
+})
+
+// Keep the last snapshot: downloads torn down while quitting are still unfinished
+app.on('before-quit', () => {
+  queueJournal.freeze()
+})
+
+// Videos downloaded in any session, in yt-dlp --download-archive format
+const downloadArchive = new DownloadArchive(path.join(app.getPath('userData'), 'download-archive.txt'))
+downloadArchive.load()
+
+// Channel/playlist subscriptions, new uploads are handed to the renderer for queueing
+const subscriptionManager = new SubscriptionManager(path.join(app.getPath('userData'), 'subscriptions.json'), {
+  enumerate: enumerateSubscription
+})
+subscriptionManager.load()
+
+subscriptionManager.on('newVideos', ({ subscription, videos }) => {
+  logger.info(`Subscription "${subscription.title}" has ${videos.length} new upload(s)`)
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('subscription-new-videos', { subscription, videos })
+  }
+})
+
+app.on('before-quit', () => {
+  subscriptionManager.stop()
+})
+
+// Opt-in HTTP API for scripts and bookmarklets on this machine, started from the settings
+const controlServer = new ControlServer({
+  downloadManager,
+  conversionQueue,
+  enqueue: queueControlApiDownload,
+  tokenFile: path.join(app.getPath('userData'), 'control-api-token')
+})
+
+// Defaults for API requests that leave them out, sent by the renderer with the settings
+let controlApiDefaults = { savePath: null, quality: cli.DEFAULT_QUALITY, format: cli.DEFAULT_FORMAT, cookieFile: null }
+let controlApiDownloadCount = 0
+
+app.on('before-quit', () => {
+  controlServer.stop()
+})
+
+// User scripts and webhooks run once a download or conversion finished or failed
+const hookRunner = new HookRunner(path.join(app.getPath('userData'), 'hooks.json'))
+hookRunner.load()
+
+hookRunner.on('hookFinished', (entry) => {
+  if (entry.success) {
+    logger.debug(`Hook "${entry.name}" ran for ${entry.url}`)
+  } else {
+    logger.warn(`Hook "${entry.name}" failed for ${entry.url}: ${entry.error}`)
+  }
+})
+
+// Report paused/resumed downloads to the renderer through the progress channel
+downloadManager.on('downloadPaused', ({ url, progress }) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('download-progress', { url, progress, status: 'paused', stage: 'paused' })
+  }
+})
+
+downloadManager.on('downloadResumed', ({ url, progress }) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('download-progress', { url, progress, status: 'downloading', stage: 'resumed' })
+  }
+})
 
 function createWindow() {
   // Create the browser window
@@ -48,6 +190,7 @@ function createWindow() {
   // Handle window closed
   mainWindow.on('closed', () => {
     mainWindow = null
+    deepLinksReady = false
   })
 
   // Handle external links
@@ -58,7 +201,40 @@ function createWindow() {
 }
 
 // App event handlers
-app.whenReady().then(createWindow)
+app.whenReady().then(() => {
+  if (headless) {
+    return runHeadlessBatch(cliArgs)
+  }
+  if (!hasInstanceLock) {
+    return
+  }
+
+  registerDeepLinkProtocol()
+  createWindow()
+
+  // Windows and Linux start the app with the link that launched it
+  const link = DeepLink.findDeepLink(process.argv)
+  if (link) {
+    handleDeepLink(link)
+  }
+})
+
+app.on('second-instance', (event, commandLine) => {
+  const link = DeepLink.findDeepLink(commandLine)
+  if (link) {
+    handleDeepLink(link)
+  } else {
+    focusMainWindow()
+  }
+})
+
+// macOS hands links to the running app, also before it is ready
+app.on('open-url', (event, link) => {
+  event.preventDefault()
+  if (!headless && hasInstanceLock) {
+    handleDeepLink(link)
+  }
+})
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -67,11 +243,232 @@ app.on('window-all-closed', () => {
 })
 
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
+  if (!headless && hasInstanceLock && BrowserWindow.getAllWindows().length === 0) {
     createWindow()
   }
 })
 
+/**
+ * Make GrabZilla the handler of grabzilla:// links
+ * Packaged builds declare the scheme in their installer; development runs through
+ * the electron binary, which needs the app path to start GrabZilla
+ */
+function registerDeepLinkProtocol() {
+  const registered = process.defaultApp
+    ? app.setAsDefaultProtocolClient(DeepLink.PROTOCOL, process.execPath, [path.resolve(process.argv[1])])
+    : app.setAsDefaultProtocolClient(DeepLink.PROTOCOL)
+
+  if (!registered) {
+    logger.warn(`Could not register as the handler of ${DeepLink.PROTOCOL}:// links`)
+  }
+}
+
+/**
+ * Bring the window to the front, opening it again on macOS if it was closed
+ */
+function focusMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    if (app.isReady()) {
+      createWindow()
+    }
+    return
+  }
+
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore()
+  }
+  mainWindow.focus()
+}
+
+/**
+ * Validate a grabzilla:// link and pass it to the renderer, which asks the user before adding the video
+ * Rejected links are passed on as well, so the user learns why nothing was added
+ * @param {string} link - grabzilla://add?url=...&quality=...&format=...
+ */
+function handleDeepLink(link) {
+  let payload
+  try {
+    payload = DeepLink.parseDeepLink(link)
+    if (!isValidVideoUrl(payload.url)) {
+      throw new Error('Unsupported or unsafe video URL')
+    }
+  } catch (error) {
+    logger.warn(`Rejected deep link: ${error.message}`)
+    payload = { error: error.message }
+  }
+
+  if (deepLinksReady && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('deep-link', payload)
+  } else {
+    pendingDeepLinks.push(payload)
+  }
+
+  focusMainWindow()
+}
+
+// The renderer takes the links that arrived before it listened, later ones are sent right away
+ipcMain.handle('take-pending-deep-links', async () => {
+  deepLinksReady = true
+  const links = pendingDeepLinks
+  pendingDeepLinks = []
+  return links
+})
+
+/**
+ * Run a batch of downloads from the command line without opening a window
+ * Uses the same download queue, conversion queue and URL validation as the app;
+ * progress goes to stdout as JSON lines and the exit code is that of the first failure
+ * @param {Array<string>} args - Command-line arguments
+ */
+async function runHeadlessBatch(args) {
+  const reporter = new cli.CliReporter()
+
+  if (process.platform === 'darwin' && app.dock) {
+    app.dock.hide()
+  }
+
+  // A scripted batch must not show up as unfinished downloads in the app
+  queueJournal.freeze()
+
+  const { options, ignored, help, error } = cli.parseArgs(args)
+  if (help) {
+    process.stdout.write(cli.USAGE)
+    app.exit(cli.EXIT_CODES.success)
+    return
+  }
+  if (ignored.length > 0) {
+    logger.warn(`Ignoring unknown options: ${ignored.join(' ')}`)
+  }
+
+  // Options are checked once up front, a mistake fails the batch instead of every download
+  let settings
+  try {
+    if (error) {
+      throw new Error(error)
+    }
+    if (!FormatSelector.normalizeQuality(options.quality)) {
+      throw new Error(`Unsupported quality: ${options.quality}`)
+    }
+
+    settings = {
+      quality: options.quality,
+      format: validateFFmpegFormat(options.format),
+      savePath: sanitizePath(options.savePath || process.cwd()),
+      cookieFile: options.cookieFile ? validateCookieFile(options.cookieFile) : null
+    }
+    fs.mkdirSync(settings.savePath, { recursive: true })
+
+    if (options.concurrency) {
+      downloadManager.configure({ maxConcurrent: options.concurrency })
+    }
+  } catch (usageError) {
+    process.stderr.write(`${usageError.message}\n\n${cli.USAGE}`)
+    reporter.write('error', { error: usageError.message, errorClass: 'usage', exitCode: cli.EXIT_CODES.usage })
+    app.exit(cli.EXIT_CODES.usage)
+    return
+  }
+
+  const missingBinary = !fs.existsSync(getBinaryPath('yt-dlp'))
+    ? 'yt-dlp'
+    : (settings.format !== 'None' && !ffmpegConverter.isAvailable() ? 'ffmpeg' : null)
+  if (missingBinary) {
+    const message = `${missingBinary} binary not found. Please run "npm run setup" to download required binaries.`
+    reporter.write('error', { error: message, errorClass: 'binary_missing', exitCode: cli.EXIT_CODES.binary_missing })
+    app.exit(cli.EXIT_CODES.binary_missing)
+    return
+  }
+
+  // One URL per line, lines starting with # are comments
+  let urlText
+  try {
+    urlText = fs.readFileSync(options.urlsFile === '-' ? 0 : options.urlsFile, 'utf8')
+  } catch (readError) {
+    reporter.write('error', { error: `Cannot read URL list: ${readError.message}`, errorClass: 'usage', exitCode: cli.EXIT_CODES.usage })
+    app.exit(cli.EXIT_CODES.usage)
+    return
+  }
+  const { valid, invalid } = URLValidator.validateMultipleUrls(
+    urlText.split(/\r?\n/).filter(line => !line.trim().startsWith('#')).join('\n')
+  )
+
+  reporter.write('start', { total: valid.length, invalid: invalid.length, ...settings, cookieFile: settings.cookieFile ? path.basename(settings.cookieFile) : null })
+
+  // Invalid URLs come first in the results, so they decide the exit code
+  const results = invalid.map(url => {
+    reporter.write('failed', { url, error: 'Unsupported or invalid video URL', errorClass: 'invalid_url', exitCode: cli.EXIT_CODES.invalid_url })
+    return { url, success: false, errorClass: 'invalid_url' }
+  })
+
+  if (valid.length === 0 && invalid.length === 0) {
+    reporter.write('error', { error: 'The URL list contains no video URLs', errorClass: 'usage', exitCode: cli.EXIT_CODES.usage })
+    app.exit(cli.EXIT_CODES.usage)
+    return
+  }
+
+  // Ctrl+C cancels the batch, the downloads report as cancelled
+  const cancelBatch = () => {
+    downloadManager.cancelAll()
+    conversionQueue.cancelAll()
+  }
+  process.on('SIGINT', cancelBatch)
+  process.on('SIGTERM', cancelBatch)
+
+  // Progress messages of the download pipeline are written as JSON lines
+  const event = {
+    sender: {
+      send: (channel, data) => {
+        if (channel === 'download-progress') {
+          reporter.progress(data)
+        }
+      }
+    }
+  }
+
+  const downloads = await Promise.all(valid.map(async (url, index) => {
+    const videoId = `cli_${index + 1}`
+    reporter.write('queued', { url, videoId })
+
+    try {
+      const result = await queueDownload(event, {
+        videoId,
+        url,
+        quality: settings.quality,
+        format: settings.format,
+        savePath: settings.savePath,
+        cookieFile: settings.cookieFile,
+        originalPolicy: 'delete'
+      })
+
+      const files = [...(result.clipFiles || []), ...(result.chapterFiles || [])].map(file => file.filename)
+      reporter.write('completed', {
+        url,
+        videoId,
+        filename: result.filename,
+        ...(files.length > 0 ? { files } : {}),
+        ...(result.warning ? { warning: result.warning } : {})
+      })
+      return { url, success: true }
+    } catch (downloadError) {
+      const errorClass = cli.classifyError(downloadError)
+      reporter.write('failed', { url, videoId, error: downloadError.message, errorClass, exitCode: cli.EXIT_CODES[errorClass] })
+      return { url, success: false, errorClass }
+    }
+  }))
+
+  results.push(...downloads)
+  const exitCode = cli.getExitCode(results)
+  reporter.write('summary', {
+    total: results.length,
+    completed: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    exitCode
+  })
+
+  // Hooks of the last downloads may still be running
+  await hookRunner.idle()
+  app.exit(exitCode)
+}
+
 // IPC handlers for file system operations
 ipcMain.handle('select-save-directory', async () => {
   try {
@@ -223,6 +620,21 @@ ipcMain.handle('check-file-exists', async (event, filePath) => {
   }
 })
 
+// Sites allowed for metadata, downloads and clipboard monitoring (edited in the settings)
+ipcMain.handle('get-site-settings', async () => {
+  return { success: true, ...siteSettingsStore.get() }
+})
+
+ipcMain.handle('update-site-settings', async (event, settings) => {
+  const result = siteSettingsStore.save(settings)
+  if (!result.valid) {
+    throw new Error(`Invalid site settings: ${result.error}`)
+  }
+
+  logger.debug('Site settings applied:', result.settings)
+  return { success: true, settings: result.settings }
+})
+
 // Clipboard monitoring
 let clipboardMonitorInterval = null
 let lastClipboardText = ''
@@ -249,12 +661,9 @@ ipcMain.handle('start-clipboard-monitor', async (event, userConsented = false) =
       if (currentText && currentText !== lastClipboardText) {
         lastClipboardText = currentText
 
-        // SECURITY: Only check for video URLs, don't process other clipboard content
+        // SECURITY: Only check for video URLs of enabled sites, don't process other clipboard content
         // This prevents accidental exposure of passwords, API keys, etc.
-        const youtubeMatch = currentText.match(/(?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/(?:[^\/\n\s]+\/\S+\/|(?:v|e(?:mbed)?)\/|\S*?[?&]v=)|youtu\.be\/)([a-zA-Z0-9_-]{11})/)
-        const vimeoMatch = currentText.match(/(?:https?:\/\/)?(?:www\.)?(?:vimeo\.com\/|player\.vimeo\.com\/video\/)(\d+)/)
-
-        if (youtubeMatch || vimeoMatch) {
+        if (SiteRegistry.containsVideoUrl(currentText)) {
           event.sender.send('clipboard-url-detected', currentText)
         }
         // Don't log or process non-URL clipboard content
@@ -309,7 +718,10 @@ ipcMain.handle('export-video-list', async (event, videos) => {
         quality: video.quality,
         format: video.format,
         status: video.status === 'completed' ? 'ready' : video.status, // Reset completed to ready
-        filename: video.filename || null
+        filename: video.filename || null,
+        clips: video.clips || [],
+        clipMode: video.clipMode || 'keyframe',
+        splitChapters: video.splitChapters === true
       }))
     }
 
@@ -392,6 +804,138 @@ ipcMain.handle('import-video-list', async (event) => {
   }
 })
 
+// Check which URLs point to videos in the download archive
+ipcMain.handle('check-download-archive', async (event, urls) => {
+  if (!Array.isArray(urls)) {
+    return { success: false, archived: [], error: 'URLs must be an array' }
+  }
+
+  const archived = urls.filter(url => {
+    const key = DownloadArchive.getKeyForUrl(url)
+    return key !== null && downloadArchive.has(key)
+  })
+
+  return { success: true, archived }
+})
+
+ipcMain.handle('get-download-archive', async () => {
+  return { success: true, entries: downloadArchive.getEntries() }
+})
+
+ipcMain.handle('remove-download-archive-entry', async (event, key) => {
+  if (typeof key !== 'string' || !key) {
+    return { success: false, error: 'Invalid archive entry' }
+  }
+
+  return { success: downloadArchive.remove(key) }
+})
+
+// Merge a yt-dlp --download-archive file into the archive
+ipcMain.handle('import-download-archive', async () => {
+  try {
+    const { filePaths } = await dialog.showOpenDialog({
+      title: 'Import Download Archive',
+      filters: [
+        { name: 'Archive Files', extensions: ['txt'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    })
+
+    if (!filePaths || filePaths.length === 0) {
+      return { success: false, cancelled: true }
+    }
+
+    const { added, total } = downloadArchive.importFrom(filePaths[0])
+    logger.info(`Imported ${added} download archive entries from ${path.basename(filePaths[0])}`)
+    return { success: true, added, total }
+  } catch (error) {
+    logger.error('Error importing download archive:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('export-download-archive', async () => {
+  try {
+    const { filePath } = await dialog.showSaveDialog({
+      title: 'Export Download Archive',
+      defaultPath: 'grabzilla-archive.txt',
+      filters: [
+        { name: 'Archive Files', extensions: ['txt'] }
+      ]
+    })
+
+    if (!filePath) {
+      return { success: false, cancelled: true }
+    }
+
+    const count = downloadArchive.exportTo(filePath)
+    return { success: true, filePath, count }
+  } catch (error) {
+    logger.error('Error exporting download archive:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+// Share conversion presets as JSON, every preset is validated on the way out and in
+ipcMain.handle('export-conversion-presets', async (event, presets) => {
+  try {
+    const validated = (Array.isArray(presets) ? presets : [])
+      .map(preset => ConversionPresets.validate(preset))
+      .filter(result => result.valid)
+      .map(result => result.preset)
+
+    if (validated.length === 0) {
+      return { success: false, error: 'No valid presets to export' }
+    }
+
+    const { filePath } = await dialog.showSaveDialog({
+      title: 'Export Conversion Presets',
+      defaultPath: 'grabzilla-presets.json',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] }
+      ]
+    })
+
+    if (!filePath) {
+      return { success: false, cancelled: true }
+    }
+
+    fs.writeFileSync(filePath, ConversionPresets.serialize(validated), 'utf-8')
+    return { success: true, filePath, count: validated.length }
+  } catch (error) {
+    logger.error('Error exporting conversion presets:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('import-conversion-presets', async () => {
+  try {
+    const { filePaths } = await dialog.showOpenDialog({
+      title: 'Import Conversion Presets',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] }
+      ],
+      properties: ['openFile']
+    })
+
+    if (!filePaths || filePaths.length === 0) {
+      return { success: false, cancelled: true }
+    }
+
+    const { valid, error, presets, skipped } = ConversionPresets.parse(fs.readFileSync(filePaths[0], 'utf-8'))
+    if (!valid) {
+      return { success: false, error }
+    }
+
+    skipped.forEach(reason => logger.warn('Skipped imported preset:', reason))
+    return { success: true, presets, skipped }
+  } catch (error) {
+    logger.error('Error importing conversion presets:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
 // Desktop notification system
 ipcMain.handle('show-notification', async (event, options) => {
   try {
@@ -753,7 +1297,16 @@ ipcMain.handle('check-binary-versions', async () => {
 })
 
 // Video download handler with format conversion integration (uses DownloadManager for parallel processing)
-ipcMain.handle('download-video', async (event, { videoId, url, quality, format, savePath, cookieFile }) => {
+ipcMain.handle('download-video', queueDownload)
+
+/**
+ * Validate a download request and queue it, the conversion follows in the conversion queue
+ * Shared by the download-video handler and the headless command-line mode
+ * @param {Object} event - IPC event (or a stand-in with sender.send) used for progress updates
+ * @param {Object} request - Download options sent by the renderer
+ * @returns {Promise<Object>} Download result once downloaded (and converted)
+ */
+async function queueDownload(event, { videoId, url, quality, format, savePath, cookieFile, filenameTemplate, subtitles, formatPreferences, rateLimit, organizeRule, playlist, clips, clipMode, splitChapters, audio, metadata, preset, originalPolicy, title, priority, retryCount }) {
   const ytDlpPath = getBinaryPath('yt-dlp')
   const ffmpegPath = getBinaryPath('ffmpeg')
 
@@ -777,63 +1330,625 @@ ipcMain.handle('download-video', async (event, { videoId, url, quality, format,
     throw new Error('Missing required parameters: videoId, url, quality, or savePath')
   }
 
+  // SECURITY: Clip times are parsed to numbers, the cut mode is whitelisted
+  const clipOptions = validateClipOptions(clips, clipMode)
+  if (clipOptions.clips.length > 0 && !fs.existsSync(ffmpegPath)) {
+    const error = 'ffmpeg binary not found. Required for downloading clips. Please run "npm run setup".'
+    logger.error('❌', error)
+    throw new Error(error)
+  }
+
+  // Chapters are cut out of the finished file with FFmpeg
+  const splitByChapters = splitChapters === true
+  if (splitByChapters && clipOptions.clips.length > 0) {
+    throw new Error('Clips and chapter splitting cannot be combined')
+  }
+  if (splitByChapters && !fs.existsSync(ffmpegPath)) {
+    const error = 'ffmpeg binary not found. Required for splitting by chapters. Please run "npm run setup".'
+    logger.error('❌', error)
+    throw new Error(error)
+  }
+
+  // SECURITY: Only whitelisted yt-dlp fields, no path separators
+  const validatedTemplate = validateFilenameTemplate(filenameTemplate)
+
+  // SECURITY: Language codes, source and format are whitelisted before reaching yt-dlp
+  const subtitleOptions = validateSubtitleOptions(subtitles)
+
+  // SECURITY: Quality label, codec, container and fallback policy are whitelisted
+  if (!FormatSelector.normalizeQuality(quality)) {
+    throw new Error(`Unsupported quality: ${quality}`)
+  }
+  const validatedPreferences = validateFormatPreferences(formatPreferences)
+
+  // SECURITY: Organize rule is whitelisted, playlist titles become sanitized folder names
+  const validatedRule = validateOrganizeRule(organizeRule)
+  const playlistInfo = validatePlaylistInfo(playlist)
+
+  // Per-download speed limit in bytes/s, replaces the share of the global limit
+  if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+    throw new Error('Invalid rate limit: must be a positive number of bytes per second')
+  }
+
   // Check if format conversion is required (we already validated ffmpeg exists above if needed)
   const requiresConversionCheck = format && format !== 'None' && ffmpegConverter.isAvailable()
 
+  // SECURITY: Bitrate is whitelisted, the other audio options must be booleans
+  const audioOptions = validateAudioOptions(audio)
+
+  // SECURITY: Preset values are whitelisted and turned into FFmpeg arguments by ConversionPresets
+  const conversionPreset = validateConversionPreset(format, preset)
+
+  // Presets bring their own original file policy, built-in formats use the one from the settings
+  const validatedOriginalPolicy = conversionPreset ? conversionPreset.original : validateOriginalPolicy(originalPolicy)
+
+  // Audio exports take their tags and cover from what yt-dlp writes next to the download
+  // (clips are cut into several files, they get tags but no cover)
+  const audioExport = requiresConversionCheck && AudioOptions.isAudioFormat(format)
+    ? { tags: audioOptions.tags, coverArt: audioOptions.coverArt && AudioOptions.supportsCoverArt(format) && clipOptions.clips.length === 0 }
+    : null
+
+  // Embedding runs through FFmpeg, either during the conversion or as a separate remux
+  // Subtitles cover the whole video, so clips and chapters keep them as separate files
+  const hasClips = clipOptions.clips.length > 0
+  const embedSubtitles = subtitleOptions.enabled && subtitleOptions.embed && ffmpegConverter.isAvailable() && !hasClips && !splitByChapters
+  if (subtitleOptions.enabled && subtitleOptions.embed && !embedSubtitles) {
+    logger.warn(hasClips || splitByChapters ? 'Subtitles are not embedded into clips or chapters, they will be saved as separate files' : 'ffmpeg not available, subtitles will be saved as separate files')
+  }
+
+  // SECURITY: Only switches, the tag values come from yt-dlp's metadata
+  // Tags and NFO files are written for single files, clips and chapters keep the sidecars yt-dlp writes
+  const metadataOptions = validateMetadataOptions(metadata)
+  const embedTags = metadataOptions.embed && ffmpegConverter.isAvailable() && !hasClips && !splitByChapters
+  if (metadataOptions.embed && !embedTags) {
+    logger.warn(hasClips || splitByChapters ? 'Tags are not embedded into clips or chapters' : 'ffmpeg not available, tags will not be embedded')
+  }
+
   logger.debug('Adding download to queue:', {
-    videoId, url, quality, format, savePath, requiresConversion: requiresConversionCheck
+    videoId, url, quality, format, savePath, filenameTemplate: validatedTemplate, subtitles: subtitleOptions, formatPreferences: validatedPreferences, requiresConversion: requiresConversionCheck
   })
 
-  // Define download function
-  const downloadFn = async ({ url, quality, format, savePath, cookieFile }) => {
+  // Define download function (conversion runs afterwards in the conversion queue)
+  const downloadFn = async ({ url, quality, format, savePath, cookieFile, rateLimit, onProcess, onProgress }) => {
     try {
+      // Clips: download only the ranges, each clip is converted separately
+      if (hasClips) {
+        return await downloadClips(event, {
+          url,
+          quality,
+          format: requiresConversionCheck ? format : null,
+          savePath,
+          cookieFile,
+          filenameTemplate: validatedTemplate,
+          subtitles: subtitleOptions,
+          formatPreferences: validatedPreferences,
+          rateLimit,
+          organizeRule: validatedRule,
+          playlist: playlistInfo,
+          clips: clipOptions.clips,
+          clipMode: clipOptions.mode,
+          audioExport,
+          metadata: metadataOptions,
+          onProcess,
+          onProgress
+        })
+      }
+
       // Step 1: Download video with yt-dlp
       const downloadResult = await downloadWithYtDlp(event, {
-        url, quality, savePath, cookieFile, requiresConversion: requiresConversionCheck
+        url,
+        quality,
+        savePath,
+        cookieFile,
+        filenameTemplate: validatedTemplate,
+        subtitles: subtitleOptions,
+        formatPreferences: validatedPreferences,
+        rateLimit,
+        organizeRule: validatedRule,
+        playlist: playlistInfo,
+        requiresConversion: requiresConversionCheck || embedSubtitles || embedTags || splitByChapters,
+        audioExport,
+        metadata: metadataOptions,
+        onProcess,
+        onProgress
       })
 
-      // Step 2: Convert format if required
-      if (requiresConversionCheck && downloadResult.success) {
-        const conversionResult = await convertVideoFormat(event, {
+      // Converted downloads are embedded and split after the conversion
+      if (requiresConversionCheck || !downloadResult.success) {
+        return downloadResult
+      }
+
+      // Step 2b: Embed subtitles and tags into the downloaded file (one remux)
+      if (embedSubtitles || embedTags) {
+        const embedResult = await embedIntoDownload(event, {
           url,
-          inputPath: downloadResult.filePath,
-          format,
-          quality,
-          savePath
+          filePath: downloadResult.filePath,
+          filename: downloadResult.filename,
+          subtitles: embedSubtitles ? downloadResult.subtitles : [],
+          tags: embedTags ? MetadataOptions.buildTags(downloadResult.metadata) : null
         })
+        writeSidecarFiles({ downloadPath: downloadResult.filePath, filePath: downloadResult.filePath, metadata: downloadResult.metadata, options: metadataOptions })
 
-        return {
-          success: true,
-          filename: conversionResult.filename,
-          originalFile: downloadResult.filename,
-          convertedFile: conversionResult.filename,
-          message: 'Download and conversion completed successfully'
-        }
+        return { ...downloadResult, subtitles: embedSubtitles ? embedResult.subtitles : downloadResult.subtitles }
+      }
+
+      // Step 2c: Split the downloaded file by chapters
+      if (splitByChapters) {
+        const splitResult = await splitChapterFile(event, { url, filePath: downloadResult.filePath, cookieFile, onProcess })
+        return { ...splitResult, subtitles: downloadResult.subtitles }
       }
 
+      writeSidecarFiles({ downloadPath: downloadResult.filePath, filePath: downloadResult.filePath, metadata: downloadResult.metadata, options: metadataOptions })
       return downloadResult
     } catch (error) {
-      logger.error('Download/conversion process failed:', error.message)
+      logger.error('Download process failed:', error.message)
       throw error
     }
   }
 
-  // Add to download manager queue
-  return await downloadManager.addDownload({
-    videoId,
-    url,
-    quality,
-    format,
-    savePath,
-    cookieFile,
-    downloadFn
-  })
-})
-
-/**
- * Download video using yt-dlp
+  // Define conversion function, gets the finished download from downloadFn
+  const convertFn = async (downloadResult, { onProcess }) => {
+    try {
+      if (hasClips) {
+        return await convertClips(event, {
+          url,
+          downloadResult,
+          format,
+          quality,
+          savePath,
+          audio: audioOptions,
+          preset: conversionPreset,
+          originalPolicy: validatedOriginalPolicy,
+          onProcess
+        })
+      }
+
+      // Step 2: Convert format (subtitles are embedded in the same pass)
+      const conversionResult = await convertVideoFormat(event, {
+        url,
+        inputPath: downloadResult.filePath,
+        format,
+        quality,
+        savePath,
+        subtitles: embedSubtitles ? downloadResult.subtitles : [],
+        audio: audioOptions,
+        coverPath: downloadResult.thumbnail,
+        preset: conversionPreset,
+        originalPolicy: validatedOriginalPolicy,
+        tags: embedTags ? MetadataOptions.buildTags(downloadResult.metadata) : null,
+        completes: !splitByChapters,
+        onProcess
+      })
+
+      // A thumbnail asked for as a sidecar stays, one only fetched as cover art is removed
+      if (!metadataOptions.thumbnail) {
+        removeDownloadThumbnail(downloadResult.thumbnail)
+      }
+
+      // Step 3: Split the converted file by chapters
+      if (splitByChapters) {
+        const splitResult = await splitChapterFile(event, { url, filePath: conversionResult.filePath, cookieFile, onProcess })
+        return { ...splitResult, originalFile: downloadResult.filename, original: conversionResult.original, warning: conversionResult.warning, subtitles: downloadResult.subtitles }
+      }
+
+      // Sidecars follow the converted file
+      writeSidecarFiles({ downloadPath: downloadResult.filePath, filePath: conversionResult.filePath, metadata: downloadResult.metadata, options: metadataOptions })
+
+      return {
+        success: true,
+        filename: conversionResult.filename,
+        filePath: conversionResult.filePath,
+        originalFile: downloadResult.filename,
+        convertedFile: conversionResult.filename,
+        original: conversionResult.original,
+        warning: conversionResult.warning,
+        subtitles: embedSubtitles ? conversionResult.subtitles : downloadResult.subtitles,
+        message: 'Download and conversion completed successfully'
+      }
+    } catch (error) {
+      logger.error('Conversion process failed:', error.message)
+      throw error
+    }
+  }
+
+  // Restored downloads keep their priority and retry count from the journal
+  const validPriority = Object.values(PRIORITY).includes(priority) ? priority : PRIORITY.NORMAL
+  const validRetryCount = Number.isInteger(retryCount) && retryCount > 0 ? retryCount : 0
+
+  // Re-queued from the journal, no longer pending from the previous session
+  queueJournal.release(videoId)
+
+  const queueOptions = { filenameTemplate: validatedTemplate, subtitles: subtitleOptions, formatPreferences: validatedPreferences, rateLimit: rateLimit || null, organizeRule: validatedRule, playlist: playlistInfo, clips: clipOptions.clips, clipMode: clipOptions.mode, splitChapters: splitByChapters, audio: audioOptions, metadata: metadataOptions, preset: conversionPreset, originalPolicy: validatedOriginalPolicy, title: typeof title === 'string' ? title : null }
+
+  // Hooks see the final outcome, after the conversion if there is one
+  return await runWithHooks({ videoId, url, title: queueOptions.title, format, quality }, async () => {
+    // Add to download manager queue
+    const downloadResult = await downloadManager.addDownload({
+      videoId,
+      url,
+      quality,
+      format,
+      savePath,
+      cookieFile,
+      downloadFn,
+      retryCount: validRetryCount,
+      options: queueOptions
+    }, validPriority)
+
+    if (!requiresConversionCheck || !downloadResult.success) {
+      return downloadResult
+    }
+
+    // The download slot is free again, the encode waits for a conversion slot
+    return await conversionQueue.addConversion({
+      videoId,
+      url,
+      quality,
+      format,
+      savePath,
+      cookieFile,
+      progress: 70,
+      options: queueOptions,
+      convertFn: (context) => convertFn(downloadResult, context)
+    }, validPriority)
+  })
+}
+
+/**
+ * Run a queued download or conversion and start the matching hooks once it settles
+ * queue is called right away, so the item is queued before the first await like before.
+ * Hooks don't delay the result; cancelled items don't run hooks
+ * @param {Object} download - { videoId, url, title, format, quality } for the hook payload
+ * @param {Function} queue - async () => result, queues the work and waits for it
+ * @returns {Promise<Object>} Result of queue
+ */
+async function runWithHooks(download, queue) {
+  try {
+    const result = await queue()
+    if (result && result.success && hookRunner.hasHooks('completed')) {
+      startHooks('completed', download, { result })
+    }
+    return result
+  } catch (error) {
+    if (cli.classifyError(error) !== 'cancelled' && hookRunner.hasHooks('failed')) {
+      startHooks('failed', download, { error })
+    }
+    throw error
+  }
+}
+
+/**
+ * Build the hook payload (probing the media duration) and run the hooks in the background
+ * @param {string} hookEvent - completed or failed
+ * @param {Object} download - { videoId, url, title, format, quality }
+ * @param {Object} outcome - { result } or { error }
+ */
+async function startHooks(hookEvent, download, outcome) {
+  try {
+    const filePath = outcome.result && outcome.result.filePath
+    const probe = filePath && fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+      ? await ffmpegConverter.probeFile(filePath)
+      : null
+
+    await hookRunner.run(hookEvent, HookRunner.buildPayload(hookEvent, download, outcome, probe ? probe.duration : null))
+  } catch (error) {
+    logger.error('Error running hooks:', error.message)
+  }
+}
+
+// Pick local media files to convert without downloading
+ipcMain.handle('select-local-files', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: 'Media Files', extensions: LocalMedia.EXTENSIONS }
+      ],
+      title: 'Add Local Files',
+      buttonLabel: 'Add Files'
+    })
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, cancelled: true }
+    }
+
+    return { success: true, filePaths: result.filePaths }
+  } catch (error) {
+    logger.error('Error selecting local files:', error.message)
+    return { success: false, error: `Failed to open file selector: ${error.message}` }
+  }
+})
+
+// Title, length and size of a local media file for the video list
+ipcMain.handle('get-local-file-info', async (event, filePath) => {
+  try {
+    const validatedPath = validateLocalMediaFile(filePath)
+    const probe = await ffmpegConverter.probeFile(validatedPath)
+
+    return {
+      success: true,
+      info: {
+        filePath: validatedPath,
+        title: LocalMedia.getTitle(validatedPath),
+        duration: probe ? probe.duration : null,
+        hasVideo: probe ? probe.hasVideo : null,
+        fileSize: fs.statSync(validatedPath).size
+      }
+    }
+  } catch (error) {
+    logger.warn('Error reading local file:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+// Convert a local media file through the conversion queue (same concurrency, progress and cancel)
+ipcMain.handle('convert-local-file', async (event, { videoId, filePath, quality, format, audio, preset, priority }) => {
+  if (!ffmpegConverter.isAvailable()) {
+    throw new Error('ffmpeg binary not found. Required for converting local files. Please run "npm run setup".')
+  }
+
+  if (!videoId || !filePath || !quality) {
+    throw new Error('Missing required parameters: videoId, filePath or quality')
+  }
+
+  // SECURITY: The file must be an existing media file inside the allowed folders
+  const inputPath = validateLocalMediaFile(filePath)
+
+  const validatedFormat = validateFFmpegFormat(format)
+  if (validatedFormat === 'None') {
+    throw new Error('Choose a conversion format for local files')
+  }
+
+  const audioOptions = validateAudioOptions(audio)
+  const conversionPreset = validateConversionPreset(validatedFormat, preset)
+
+  // The file:// URL keys progress updates like the URL of a download
+  const url = LocalMedia.toUrl(inputPath)
+  const validPriority = Object.values(PRIORITY).includes(priority) ? priority : PRIORITY.NORMAL
+
+  logger.debug('Adding local conversion to queue:', { videoId, inputPath, format: validatedFormat, quality })
+
+  // The user's own file is never deleted, the output is written next to it
+  const convertFn = async ({ onProcess }) => {
+    return await convertVideoFormat(event, {
+      url,
+      inputPath,
+      format: validatedFormat,
+      quality,
+      savePath: path.dirname(inputPath),
+      audio: audioOptions,
+      preset: conversionPreset,
+      originalPolicy: 'keep',
+      progressStart: 0,
+      onProcess
+    })
+  }
+
+  queueJournal.release(videoId)
+
+  const title = LocalMedia.getTitle(inputPath)
+
+  return await runWithHooks({ videoId, url, title, format: validatedFormat, quality }, () => conversionQueue.addConversion({
+    videoId,
+    url,
+    quality,
+    format: validatedFormat,
+    savePath: path.dirname(inputPath),
+    progress: 0,
+    options: { source: 'local', filePath: inputPath, audio: audioOptions, preset: conversionPreset, title },
+    convertFn
+  }, validPriority))
+})
+
+// Downloads left unfinished by the previous session (crash or quit mid-batch)
+ipcMain.handle('get-restorable-downloads', async () => {
+  try {
+    return { success: true, downloads: queueJournal.getPending() }
+  } catch (error) {
+    logger.error('Error reading queue journal:', error.message)
+    return { success: false, downloads: [], error: error.message }
+  }
+})
+
+ipcMain.handle('discard-restorable-downloads', async () => {
+  try {
+    const discarded = queueJournal.discardPending()
+    return { success: true, discarded }
+  } catch (error) {
+    logger.error('Error discarding queue journal entries:', error.message)
+    throw new Error(`Failed to discard unfinished downloads: ${error.message}`)
+  }
+})
+
+/**
+ * Download clips of a video
+ * yt-dlp downloads only the clip ranges; if that fails the whole video is downloaded
+ * and the clips are cut out with FFmpeg
+ * @param {Object} event - IPC event used for progress updates
+ * @param {Object} options - Validated download options with clips, clipMode and format (null = no conversion)
+ * @returns {Promise<Object>} Download result, clipFiles lists every clip ({ filename, filePath })
+ */
+async function downloadClips(event, options) {
+  const { url, format, clips, clipMode, onProcess } = options
+  const requiresConversion = Boolean(format)
+
+  let downloadResult
+  let clipFiles
+
+  try {
+    downloadResult = await downloadWithYtDlp(event, { ...options, requiresConversion, silentFailure: true })
+    clipFiles = downloadResult.filePaths.map(filePath => ({ filename: path.basename(filePath), filePath }))
+  } catch (error) {
+    if (error.message === 'Download process was stopped') {
+      throw error
+    }
+
+    logger.warn(`Section download failed (${error.message}), trimming the complete video instead`)
+    downloadResult = await downloadWithYtDlp(event, { ...options, clips: [], requiresConversion: true })
+    clipFiles = await trimClips(event, { url, filePath: downloadResult.filePath, clips, clipMode, onProcess })
+  }
+
+  if (clipFiles.length === 0) {
+    throw new Error('No clips were downloaded')
+  }
+
+  // Clips that need converting are completed by convertClips
+  if (!requiresConversion) {
+    event.sender.send('download-progress', { url, progress: 100, status: 'completed', stage: 'complete' })
+  }
+
+  return {
+    success: true,
+    filename: clipFiles[0].filename,
+    filePath: clipFiles[0].filePath,
+    clipFiles,
+    subtitles: downloadResult.subtitles,
+    message: `Downloaded ${clipFiles.length} clip(s)`
+  }
+}
+
+/**
+ * Convert downloaded clips one after another (progress restarts for every clip)
+ * @param {Object} event - IPC event used for progress updates
+ * @param {Object} options - { url, downloadResult, format, quality, savePath, audio, preset, originalPolicy, onProcess }
+ * @returns {Promise<Object>} downloadResult with the converted clipFiles and their warnings
+ */
+async function convertClips(event, { url, downloadResult, format, quality, savePath, audio, preset, originalPolicy, onProcess }) {
+  const clipFiles = []
+  const warnings = []
+
+  for (const clipFile of downloadResult.clipFiles) {
+    const conversionResult = await convertVideoFormat(event, { url, inputPath: clipFile.filePath, format, quality, savePath, audio, preset, originalPolicy, onProcess })
+    clipFiles.push({ filename: conversionResult.filename, filePath: conversionResult.filePath })
+    if (conversionResult.warning) {
+      warnings.push(`${clipFile.filename}: ${conversionResult.warning}`)
+    }
+  }
+
+  return {
+    ...downloadResult,
+    filename: clipFiles[0].filename,
+    filePath: clipFiles[0].filePath,
+    clipFiles,
+    warning: warnings.length > 0 ? warnings.join('\n') : null
+  }
+}
+
+/**
+ * Cut clips out of a complete download with FFmpeg, the complete file is removed afterwards
+ * @param {Object} event - IPC event used for progress updates
+ * @param {Object} options - { url, filePath, clips, clipMode, onProcess } - onProcess receives each FFmpeg process for cancellation
+ * @returns {Promise<Array<Object>>} Clip files ({ filename, filePath })
+ */
+async function trimClips(event, { url, filePath, clips, clipMode, onProcess }) {
+  const accurate = clipMode === 'accurate'
+  const clipFiles = []
+
+  for (const [index, clip] of clips.entries()) {
+    // Re-encoded clips are H.264/AAC, which needs an MP4 container
+    const filename = ClipOptions.getClipFilename(path.basename(filePath), clip, accurate ? '.mp4' : null)
+    const clipPath = path.join(path.dirname(filePath), filename)
+
+    await ffmpegConverter.trimVideo({
+      inputPath: filePath,
+      outputPath: clipPath,
+      start: clip.start,
+      end: clip.end,
+      accurate,
+      onProcess,
+      onProgress: (progressData) => {
+        event.sender.send('download-progress', {
+          url,
+          progress: 70 + Math.round(((index + progressData.progress / 100) / clips.length) * 30),
+          status: 'converting',
+          stage: 'trim'
+        })
+      }
+    })
+
+    clipFiles.push({ filename, filePath: clipPath })
+  }
+
+  try {
+    fs.unlinkSync(filePath)
+  } catch (cleanupError) {
+    logger.warn('Failed to clean up complete download:', cleanupError.message)
+  }
+
+  return clipFiles
+}
+
+/**
+ * Split a finished download into one file per chapter with FFmpeg
+ * Chapters come from the full metadata; the split files go into a folder named
+ * after the download and the unsplit file is removed once every chapter was written
+ * @param {Object} event - IPC event used for progress updates
+ * @param {Object} options - { url, filePath, cookieFile, onProcess } - onProcess receives each FFmpeg process for cancellation
+ * @returns {Promise<Object>} Download result, chapterFiles lists every chapter ({ index, title, filename, filePath })
+ */
+async function splitChapterFile(event, { url, filePath, cookieFile, onProcess }) {
+  const filename = path.basename(filePath)
+  const complete = (message, extra = {}) => {
+    event.sender.send('download-progress', { url, progress: 100, status: 'completed', stage: 'complete' })
+    notifyDownloadComplete(extra.chapterFolder ? path.basename(extra.chapterFolder) : filename, true)
+    return { success: true, filename, filePath, chapterFiles: [], chapterFolder: null, message, ...extra }
+  }
+
+  event.sender.send('download-progress', { url, progress: 70, status: 'converting', stage: 'split' })
+
+  let metadata
+  try {
+    metadata = await fetchFullMetadata(url, cookieFile)
+  } catch (error) {
+    logger.warn(`Could not read chapters (${error.message}), keeping ${filename} as one file`)
+    return complete('Chapters could not be read, the video was saved as one file')
+  }
+
+  const { folder, files } = planChapterFiles(filePath, metadata.chapters, metadata.duration || null)
+  if (files.length === 0) {
+    logger.info(`${filename} has no chapters, keeping it as one file`)
+    return complete('The video has no chapters, it was saved as one file')
+  }
+
+  fs.mkdirSync(folder, { recursive: true })
+
+  for (const [position, chapter] of files.entries()) {
+    await ffmpegConverter.trimVideo({
+      inputPath: filePath,
+      outputPath: chapter.filePath,
+      start: chapter.start,
+      end: chapter.end,
+      onProcess,
+      onProgress: (progressData) => {
+        event.sender.send('download-progress', {
+          url,
+          progress: 70 + Math.round(((position + progressData.progress / 100) / files.length) * 30),
+          status: 'converting',
+          stage: 'split'
+        })
+      }
+    })
+  }
+
+  try {
+    fs.unlinkSync(filePath)
+  } catch (cleanupError) {
+    logger.warn('Failed to clean up unsplit download:', cleanupError.message)
+  }
+
+  return complete(`Split into ${files.length} chapter(s)`, {
+    filename: path.basename(folder),
+    filePath: folder,
+    chapterFolder: folder,
+    chapterFiles: files.map(({ index, title, filename, filePath }) => ({ index, title, filename, filePath }))
+  })
+}
+
+/**
+ * Download video using yt-dlp
+ * With clips only their ranges are downloaded, one file per clip (filePaths)
  */
-async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, requiresConversion, onProcess, onProgress }) {
+async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, filenameTemplate, subtitles, formatPreferences, rateLimit, organizeRule, playlist, clips = [], clipMode, audioExport = null, metadata = null, requiresConversion, silentFailure = false, onProcess, onProgress }) {
   const ytDlpPath = getBinaryPath('yt-dlp')
 
   // Sanitize and validate paths
@@ -844,16 +1959,64 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
     throw new Error(`Invalid save path: ${error.message}`)
   }
 
+  // Route into a subfolder when downloads are organized
+  const output = buildOutputTemplate({
+    rule: organizeRule,
+    filenameTemplate: filenameTemplate || '%(title)s.%(ext)s',
+    playlist
+  })
+  let outputDir = sanitizedSavePath
+  if (output.folder) {
+    try {
+      outputDir = sanitizePath(path.join(sanitizedSavePath, output.folder), sanitizedSavePath)
+      fs.mkdirSync(outputDir, { recursive: true })
+    } catch (error) {
+      throw new Error(`Cannot create download folder: ${error.message}`)
+    }
+  }
+
+  // Separate video and audio streams can only be merged with ffmpeg
+  const ffmpegPath = getBinaryPath('ffmpeg')
+  const canMerge = fs.existsSync(ffmpegPath)
+
   // Build yt-dlp arguments
   const args = [
     '--newline', // Force progress on new lines for better parsing
     '--no-warnings', // Reduce noise in output
     '--continue', // Resume interrupted downloads
-    '-f', getQualityFormat(quality),
-    '-o', path.join(sanitizedSavePath, '%(title)s.%(ext)s'),
+    '--progress', // Keep progress output, --print below implies --quiet
+    '--print', 'after_move:[archive] %(extractor_key)s %(id)s', // Download archive entry
+    '--print', 'after_move:filepath', // Final path after templating/merging
+    ...FormatSelector.buildYtDlpArgs(quality, formatPreferences, { canMerge }),
+    '-o', path.join(sanitizedSavePath, output.folder ? escapeTemplateLiteral(output.folder) : '', clips.length > 0 ? ClipOptions.buildOutputTemplate(output.template) : output.template),
+    ...output.args,
+    ...ClipOptions.buildYtDlpArgs(clips, clipMode),
+    ...SubtitleOptions.buildYtDlpArgs(subtitles),
+    ...MetadataOptions.buildYtDlpArgs(metadata, { canConvert: canMerge }),
     url
   ]
 
+  // Audio exports: tags written into the download carry over to the audio file,
+  // the thumbnail is saved as JPEG next to it to become the cover
+  if (audioExport && canMerge) {
+    if (audioExport.tags) {
+      args.unshift('--embed-metadata')
+    }
+    if (audioExport.coverArt && !(metadata && metadata.thumbnail)) {
+      args.unshift('--write-thumbnail', '--convert-thumbnails', 'jpg')
+    }
+  }
+
+  // Bandwidth share assigned by the DownloadManager (bytes/s)
+  if (rateLimit > 0) {
+    args.unshift('--limit-rate', String(rateLimit))
+  }
+
+  // Merging and subtitle conversion need ffmpeg, point yt-dlp at the bundled binary
+  if (canMerge) {
+    args.unshift('--ffmpeg-location', ffmpegPath)
+  }
+
   // Add cookie file if provided (with validation)
   if (cookieFile) {
     try {
@@ -866,6 +2029,10 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
     }
   }
 
+  // Clip ranges are fetched by yt-dlp's ffmpeg downloader, which prints no progress
+  // until a clip is done: report them as their own stage so the stall watchdog skips them
+  const transferStage = clips.length > 0 ? 'sections' : 'download'
+
   return new Promise((resolve, reject) => {
     logger.debug('Starting yt-dlp download:', { url, quality, savePath })
 
@@ -878,19 +2045,28 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
     if (onProcess && typeof onProcess === 'function') {
       onProcess(downloadProcess)
     }
+
+    if (transferStage !== 'download' && onProgress && typeof onProgress === 'function') {
+      onProgress({ url, progress: 0, status: 'downloading', stage: transferStage })
+    }
     
     let output = ''
     let errorOutput = ''
     let downloadedFilename = null
     let downloadedFilePath = null
+    const downloadedFilePaths = []
+    let archiveEntry = null
+    let videoMetadata = null
+    let pendingLine = ''
     
     // Enhanced progress parsing from yt-dlp output
     downloadProcess.stdout.on('data', (data) => {
       const chunk = data.toString()
       output += chunk
       
-      // Parse different types of progress information
-      const lines = chunk.split('\n')
+      // Parse different types of progress information (keep partial lines for the next chunk)
+      const lines = (pendingLine + chunk).split('\n')
+      pendingLine = lines.pop()
       
       lines.forEach(line => {
         // Download progress: [download] 45.2% of 123.45MiB at 1.23MiB/s ETA 00:30
@@ -908,7 +2084,8 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
             url,
             progress: adjustedProgress,
             status: 'downloading',
-            stage: 'download',
+            // Merging/fixups run silently after 100%, the stall watchdog must not count that time
+            stage: progress >= 100 ? 'postprocess' : transferStage,
             speed: speedMatch ? speedMatch[1] : null,
             eta: etaMatch ? etaMatch[1] : null
           }
@@ -946,6 +2123,26 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
           downloadedFilename = path.basename(alreadyDownloadedMatch[1])
           downloadedFilePath = alreadyDownloadedMatch[1]
         }
+
+        // Extractor and video ID from --print after_move:[archive] ...
+        const archiveMatch = line.trim().match(/^\[archive\] (\S+) (\S+)$/)
+        if (archiveMatch) {
+          archiveEntry = { extractor: archiveMatch[1], id: archiveMatch[2] }
+        }
+
+        // Title, uploader, date and URL from --print after_move:[metadata] ...
+        const printedMetadata = MetadataOptions.parseMetadataLine(line)
+        if (printedMetadata) {
+          videoMetadata = printedMetadata
+        }
+
+        // Final file path from --print after_move:filepath (rendered filename template), once per clip
+        const printedPath = line.trim()
+        if (printedPath && !printedPath.startsWith('[') && path.isAbsolute(printedPath)) {
+          downloadedFilename = path.basename(printedPath)
+          downloadedFilePath = printedPath
+          downloadedFilePaths.push(printedPath)
+        }
       })
     })
     
@@ -959,8 +2156,16 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
       }
     })
     
-    downloadProcess.on('close', (code) => {
+    downloadProcess.on('close', (code, signal) => {
       logger.debug(`yt-dlp process exited with code ${code}`)
+
+      // Final path may arrive without a trailing newline
+      const lastLine = pendingLine.trim()
+      if (lastLine && !lastLine.startsWith('[') && path.isAbsolute(lastLine)) {
+        downloadedFilename = path.basename(lastLine)
+        downloadedFilePath = lastLine
+        downloadedFilePaths.push(lastLine)
+      }
       
       if (code === 0) {
         // Send progress update - either final or intermediate if conversion required
@@ -978,17 +2183,39 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
         if (!requiresConversion) {
           notifyDownloadComplete(downloadedFilename || 'Video', true)
         }
+
+        // Remember the video so it can be flagged or skipped when added again
+        if (archiveEntry) {
+          downloadArchive.add(archiveEntry.extractor, archiveEntry.id)
+        }
         
         resolve({ 
           success: true, 
           output,
           filename: downloadedFilename,
           filePath: downloadedFilePath,
+          filePaths: downloadedFilePaths,
+          subtitles: findSubtitleFiles(downloadedFilePath, subtitles),
+          thumbnail: (audioExport && audioExport.coverArt) || (metadata && metadata.thumbnail) ? findThumbnailFile(downloadedFilePath) : null,
+          metadata: videoMetadata,
           message: requiresConversion ? 'Download completed, starting conversion...' : 'Download completed successfully'
         })
+      } else if (downloadProcess.killed || signal) {
+        // Stopped on purpose (pause or cancel) - the .part file is kept for --continue
+        reject(new Error('Download process was stopped'))
       } else {
         // Enhanced error parsing with detailed user-friendly messages
         const errorInfo = parseDownloadError(errorOutput, code)
+
+        // The failure class travels with the error (exit codes of the command-line mode)
+        const downloadError = new Error(errorInfo.message)
+        downloadError.type = errorInfo.type
+
+        // The caller retries another way, don't report the failure yet
+        if (silentFailure) {
+          reject(downloadError)
+          return
+        }
         
         // Send error notification
         notifyDownloadComplete(url, false, errorInfo.message)
@@ -1004,7 +2231,7 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
           errorType: errorInfo.type
         })
         
-        reject(new Error(errorInfo.message))
+        reject(downloadError)
       }
     })
     
@@ -1015,24 +2242,10 @@ async function downloadWithYtDlp(event, { url, quality, savePath, cookieFile, re
   })
 }
 
-// Helper function to get yt-dlp format string for quality
-function getQualityFormat(quality) {
-  const qualityMap = {
-    '4K': 'best[height<=2160]',
-    '1440p': 'best[height<=1440]', 
-    '1080p': 'best[height<=1080]',
-    '720p': 'best[height<=720]',
-    '480p': 'best[height<=480]',
-    'best': 'best'
-  }
-  
-  return qualityMap[quality] || 'best[height<=720]'
-}
-
 // Format conversion handlers
-ipcMain.handle('cancel-conversion', async (event, conversionId) => {
+ipcMain.handle('cancel-conversion', async (event, videoId) => {
   try {
-    const cancelled = ffmpegConverter.cancelConversion(conversionId)
+    const cancelled = conversionQueue.cancelConversion(videoId)
     return { success: cancelled, message: cancelled ? 'Conversion cancelled' : 'Conversion not found' }
   } catch (error) {
     logger.error('Error cancelling conversion:', error.message)
@@ -1042,11 +2255,11 @@ ipcMain.handle('cancel-conversion', async (event, conversionId) => {
 
 ipcMain.handle('cancel-all-conversions', async (event) => {
   try {
-    const cancelledCount = ffmpegConverter.cancelAllConversions()
-    return { 
-      success: true, 
-      cancelledCount, 
-      message: `Cancelled ${cancelledCount} active conversions` 
+    const result = conversionQueue.cancelAll()
+    return {
+      success: true,
+      cancelledCount: result.total,
+      message: `Cancelled ${result.cancelledActive} active and ${result.cancelledQueued} queued conversions`
     }
   } catch (error) {
     logger.error('Error cancelling all conversions:', error.message)
@@ -1056,8 +2269,8 @@ ipcMain.handle('cancel-all-conversions', async (event) => {
 
 ipcMain.handle('get-active-conversions', async (event) => {
   try {
-    const activeConversions = ffmpegConverter.getActiveConversions()
-    return { success: true, conversions: activeConversions }
+    // Running conversions first, then the queued ones in the order they will start
+    return { success: true, conversions: conversionQueue.getConversions(), stats: conversionQueue.getStats() }
   } catch (error) {
     logger.error('Error getting active conversions:', error.message)
     throw new Error(`Failed to get active conversions: ${error.message}`)
@@ -1065,9 +2278,71 @@ ipcMain.handle('get-active-conversions', async (event) => {
 })
 
 // Download Manager IPC Handlers
+ipcMain.handle('update-download-settings', async (event, settings = {}) => {
+  try {
+    const { maxConcurrent, maxConcurrentConversions, maxRetries, stallTimeout, rateLimit, schedule } = settings
+    const updates = {}
+
+    // Same ranges as the settings modal inputs
+    if (maxConcurrent !== undefined && maxConcurrent !== null) {
+      const value = parseInt(maxConcurrent, 10)
+      if (!Number.isInteger(value) || value < 1 || value > 10) {
+        throw new Error('Concurrent downloads must be between 1 and 10')
+      }
+      updates.maxConcurrent = value
+    }
+
+    if (maxRetries !== undefined && maxRetries !== null) {
+      const value = parseInt(maxRetries, 10)
+      if (!Number.isInteger(value) || value < 0 || value > 10) {
+        throw new Error('Max retries must be between 0 and 10')
+      }
+      updates.maxRetries = value
+    }
+
+    // Stall timeout is given in seconds, 0 disables it
+    if (stallTimeout !== undefined && stallTimeout !== null) {
+      const value = parseInt(stallTimeout, 10)
+      if (!Number.isInteger(value) || value < 0 || value > 600) {
+        throw new Error('Stall timeout must be between 0 and 600 seconds')
+      }
+      updates.stallTimeout = value * 1000
+    }
+
+    // Global rate limit in bytes/s, 0 removes it
+    if (rateLimit !== undefined && rateLimit !== null) {
+      const value = Number(rateLimit)
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error('Rate limit must be a non-negative number of bytes per second')
+      }
+      updates.rateLimit = value
+    }
+
+    // Validated by the DownloadManager, null removes the schedule
+    if (schedule !== undefined) {
+      updates.schedule = schedule
+    }
+
+    // Conversion slots are separate from download slots
+    if (maxConcurrentConversions !== undefined && maxConcurrentConversions !== null) {
+      const value = parseInt(maxConcurrentConversions, 10)
+      if (!Number.isInteger(value) || value < 1 || value > 4) {
+        throw new Error('Concurrent conversions must be between 1 and 4')
+      }
+      conversionQueue.configure({ maxConcurrent: value })
+    }
+
+    const stats = { ...downloadManager.configure(updates), conversions: conversionQueue.getStats() }
+    return { success: true, stats }
+  } catch (error) {
+    logger.error('Error updating download settings:', error.message)
+    throw new Error(`Failed to update download settings: ${error.message}`)
+  }
+})
+
 ipcMain.handle('get-download-stats', async (event) => {
   try {
-    const stats = downloadManager.getStats()
+    const stats = { ...downloadManager.getStats(), conversions: conversionQueue.getStats() }
     return { success: true, stats }
   } catch (error) {
     logger.error('Error getting download stats:', error.message)
@@ -1077,7 +2352,8 @@ ipcMain.handle('get-download-stats', async (event) => {
 
 ipcMain.handle('cancel-download', async (event, videoId) => {
   try {
-    const cancelled = downloadManager.cancelDownload(videoId)
+    // A finished download may be waiting for or running its conversion
+    const cancelled = downloadManager.cancelDownload(videoId) || conversionQueue.cancelConversion(videoId)
     return {
       success: cancelled,
       message: cancelled ? 'Download cancelled' : 'Download not found in queue'
@@ -1129,6 +2405,85 @@ ipcMain.handle('resume-download', async (event, videoId) => {
   }
 })
 
+// Control API IPC Handlers
+ipcMain.handle('configure-control-api', async (event, settings = {}) => {
+  const { enabled, port, savePath, quality, format, cookieFile } = settings
+
+  try {
+    const validPort = parseInt(port, 10)
+    if (!Number.isInteger(validPort) || validPort < 1024 || validPort > 65535) {
+      throw new Error('Port must be between 1024 and 65535')
+    }
+
+    controlApiDefaults = {
+      savePath: savePath ? sanitizePath(savePath) : null,
+      quality: quality && FormatSelector.normalizeQuality(quality) ? quality : cli.DEFAULT_QUALITY,
+      format: format ? validateFFmpegFormat(format) : cli.DEFAULT_FORMAT,
+      cookieFile: cookieFile ? validateCookieFile(cookieFile) : null
+    }
+
+    if (!enabled) {
+      await controlServer.stop()
+    } else if (controlServer.getStatus().port !== validPort) {
+      await controlServer.start(validPort)
+    }
+
+    return { success: true, ...controlServer.getStatus(), token: enabled ? controlServer.getToken() : null }
+  } catch (error) {
+    const message = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message
+    logger.error('Error configuring control API:', message)
+    return { success: false, error: message, ...controlServer.getStatus() }
+  }
+})
+
+ipcMain.handle('regenerate-control-api-token', async () => {
+  try {
+    return { success: true, token: controlServer.regenerateToken() }
+  } catch (error) {
+    logger.error('Error regenerating control API token:', error.message)
+    throw new Error(`Failed to regenerate token: ${error.message}`)
+  }
+})
+
+/**
+ * Queue a download requested through the control API
+ * Runs in the main process like the command-line mode, progress reaches API clients
+ * through the DownloadManager and ConversionQueue events
+ * @param {Object} request - { url, quality, format, savePath, priority } from the API client
+ * @returns {Promise<Object>} { videoId, url, quality, format, savePath } once queued
+ * @throws {Error} If the request is invalid, so the client gets the error instead of a failed download
+ */
+async function queueControlApiDownload({ url, quality, format, savePath, priority }) {
+  if (!isValidVideoUrl(url)) {
+    throw new Error('Unsupported or invalid video URL')
+  }
+
+  const request = {
+    videoId: `api_${Date.now().toString(36)}_${++controlApiDownloadCount}`,
+    url,
+    quality: quality || controlApiDefaults.quality,
+    format: validateFFmpegFormat(format || controlApiDefaults.format),
+    savePath: sanitizePath(savePath || controlApiDefaults.savePath || app.getPath('downloads')),
+    cookieFile: controlApiDefaults.cookieFile,
+    priority
+  }
+  fs.mkdirSync(request.savePath, { recursive: true })
+
+  const event = { sender: { send: () => {} } }
+  const pending = queueDownload(event, request)
+
+  // queueDownload validates and queues synchronously: a download missing from the queue was rejected
+  if (!downloadManager.isDownloading(request.videoId)) {
+    await pending
+  }
+
+  pending
+    .then(result => logger.info(`Control API download finished: ${url} -> ${result.filename}`))
+    .catch(error => logger.warn(`Control API download failed: ${url} - ${error.message}`))
+
+  return { videoId: request.videoId, url, quality: request.quality, format: request.format, savePath: request.savePath }
+}
+
 // Get video metadata with optimized extraction (only essential fields)
 ipcMain.handle('get-video-metadata', async (event, url, cookieFile = null) => {
   const ytDlpPath = getBinaryPath('yt-dlp')
@@ -1178,40 +2533,116 @@ ipcMain.handle('get-video-metadata', async (event, url, cookieFile = null) => {
       throw new Error('No metadata returned from yt-dlp')
     }
 
-    // Parse pipe-delimited output
-    const parts = output.trim().split('|||')
+    // Parse pipe-delimited output
+    const parts = output.trim().split('|||')
+
+    if (parts.length < 3) {
+      throw new Error('Invalid metadata format received')
+    }
+
+    const result = {
+      title: parts[0] || 'Unknown Title',
+      duration: parseInt(parts[1]) || 0,  // Raw seconds as number
+      thumbnail: parts[2] || null
+    }
+
+    const duration = Date.now() - startTime
+    logger.debug(`Metadata extracted in ${duration}ms:`, result.title)
+    return result
+
+  } catch (error) {
+    logger.error('Error extracting metadata:', error.message)
+    throw new Error(getMetadataErrorMessage(error))
+  }
+})
+
+// Full metadata for a single video (preview modal, available qualities)
+// Slower than get-video-metadata because yt-dlp resolves every format, so bulk adds keep the cheap path
+ipcMain.handle('get-full-video-metadata', async (event, url, cookieFile = null) => {
+  const ytDlpPath = getBinaryPath('yt-dlp')
+
+  if (!fs.existsSync(ytDlpPath)) {
+    const errorInfo = handleBinaryMissing('yt-dlp')
+    throw new Error(errorInfo.message)
+  }
+
+  if (!url || typeof url !== 'string' || !isValidVideoUrl(url)) {
+    throw new Error('Valid URL is required')
+  }
+
+  try {
+    return await fetchFullMetadata(url, cookieFile)
+  } catch (error) {
+    logger.error('Error extracting full metadata:', error.message)
+    throw new Error(getMetadataErrorMessage(error))
+  }
+})
+
+/**
+ * Fetch full metadata (formats, chapters, counts) with yt-dlp
+ * @param {string} url - Validated video URL
+ * @param {string|null} cookieFile - Cookie file, ignored if invalid
+ * @returns {Promise<Object>} Parsed metadata (see parseFullMetadata)
+ */
+async function fetchFullMetadata(url, cookieFile = null) {
+  const ytDlpPath = getBinaryPath('yt-dlp')
+
+  logger.debug('Fetching full metadata for:', url)
+  const startTime = Date.now()
+
+  const args = [
+    '--dump-single-json',
+    '--no-warnings',
+    '--skip-download',
+    '--no-playlist',
+    url
+  ]
+
+  if (cookieFile) {
+    try {
+      const validatedCookieFile = validateCookieFile(cookieFile)
+      args.unshift('--cookies', validatedCookieFile)
+    } catch (error) {
+      logger.warn('✗ Cookie file validation failed:', error.message)
+    }
+  }
+
+  const output = await runCommand(ytDlpPath, args)
 
-    if (parts.length < 3) {
-      throw new Error('Invalid metadata format received')
-    }
+  if (!output.trim()) {
+    throw new Error('No metadata returned from yt-dlp')
+  }
 
-    const result = {
-      title: parts[0] || 'Unknown Title',
-      duration: parseInt(parts[1]) || 0,  // Raw seconds as number
-      thumbnail: parts[2] || null
-    }
+  let info
+  try {
+    info = JSON.parse(output)
+  } catch (parseError) {
+    throw new Error('Invalid metadata format received')
+  }
 
-    const duration = Date.now() - startTime
-    logger.debug(`Metadata extracted in ${duration}ms:`, result.title)
-    return result
+  const result = parseFullMetadata(info)
 
-  } catch (error) {
-    logger.error('Error extracting metadata:', error.message)
+  logger.debug(`Full metadata extracted in ${Date.now() - startTime}ms: ${result.title} (${result.formats.length} formats)`)
+  return result
+}
 
-    // Provide more specific error messages
-    if (error.message.includes('Video unavailable')) {
-      throw new Error('Video is unavailable or has been removed')
-    } else if (error.message.includes('Private video')) {
-      throw new Error('Video is private and cannot be accessed')
-    } else if (error.message.includes('Sign in')) {
-      throw new Error('Age-restricted video - authentication required')
-    } else if (error.message.includes('network')) {
-      throw new Error('Network error - check your internet connection')
-    } else {
-      throw new Error(`Failed to get metadata: ${error.message}`)
-    }
-  }
-})
+/**
+ * Map yt-dlp metadata errors to user-friendly messages
+ * @param {Error} error - Error from the yt-dlp process
+ * @returns {string} Message for the renderer
+ */
+function getMetadataErrorMessage(error) {
+  if (error.message.includes('Video unavailable')) {
+    return 'Video is unavailable or has been removed'
+  } else if (error.message.includes('Private video')) {
+    return 'Video is private and cannot be accessed'
+  } else if (error.message.includes('Sign in')) {
+    return 'Age-restricted video - authentication required'
+  } else if (error.message.includes('network')) {
+    return 'Network error - check your internet connection'
+  }
+  return `Failed to get metadata: ${error.message}`
+}
 
 // Batch metadata extraction for multiple URLs - OPTIMIZED for speed
 ipcMain.handle('get-batch-video-metadata', async (event, urls, cookieFile = null) => {
@@ -1333,8 +2764,11 @@ ipcMain.handle('get-batch-video-metadata', async (event, urls, cookieFile = null
   }
 })
 
-// Extract all videos from a YouTube playlist
-ipcMain.handle('extract-playlist-videos', async (event, playlistUrl) => {
+// Playlist entries enumerated per request, large playlists are loaded page by page
+const PLAYLIST_PAGE_SIZE = 200
+
+// Extract one page of videos from a YouTube playlist
+ipcMain.handle('extract-playlist-videos', async (event, playlistUrl, page = {}) => {
   const ytDlpPath = getBinaryPath('yt-dlp')
 
   if (!fs.existsSync(ytDlpPath)) {
@@ -1356,39 +2790,55 @@ ipcMain.handle('extract-playlist-videos', async (event, playlistUrl) => {
 
   const playlistId = match[1]
 
+  const { start = 1, limit = PLAYLIST_PAGE_SIZE } = page || {}
+  if (!Number.isInteger(start) || start < 1 || !Number.isInteger(limit) || limit < 1 || limit > PLAYLIST_PAGE_SIZE) {
+    throw new Error(`Invalid playlist page: start must be 1 or more, limit 1 to ${PLAYLIST_PAGE_SIZE}`)
+  }
+  const end = start + limit - 1
+
   try {
-    logger.debug('Extracting playlist videos:', playlistId)
+    logger.debug(`Extracting playlist videos ${start}-${end}:`, playlistId)
 
-    // Use yt-dlp to extract playlist information
+    // Use yt-dlp to extract playlist information (approximate dates allow filtering by upload date)
     const args = [
       '--flat-playlist',
       '--dump-json',
       '--no-warnings',
+      '--lazy-playlist',
+      '--playlist-items', `${start}:${end}`,
+      '--extractor-args', 'youtubetab:approximate_date',
       playlistUrl
     ]
 
     const output = await runCommand(ytDlpPath, args)
 
-    if (!output.trim()) {
+    // Later pages may be empty when the previous page ended exactly at the playlist end
+    if (!output.trim() && start === 1) {
       throw new Error('No playlist data returned from yt-dlp')
     }
 
     // Parse JSON lines (one per video)
-    const lines = output.trim().split('\n')
+    const lines = output.trim() ? output.trim().split('\n') : []
     const videos = []
+    let playlistTitle = null
+    let playlistCount = null
 
     for (const line of lines) {
       try {
         const videoData = JSON.parse(line)
+        playlistTitle = playlistTitle || videoData.playlist_title || videoData.playlist || null
+        playlistCount = playlistCount || videoData.playlist_count || null
 
-        // Extract essential video information
+        // Extract essential video information (index keeps playlist order for numbered files)
         videos.push({
           id: videoData.id,
           title: videoData.title || 'Unknown Title',
           url: videoData.url || `https://www.youtube.com/watch?v=${videoData.id}`,
           duration: videoData.duration || null,
           thumbnail: videoData.thumbnail || null,
-          uploader: videoData.uploader || videoData.channel || null
+          uploader: videoData.uploader || videoData.channel || null,
+          uploadDate: videoData.upload_date || formatUploadDate(videoData.timestamp),
+          playlistIndex: Number.isInteger(videoData.playlist_index) ? videoData.playlist_index : start + videos.length
         })
       } catch (parseError) {
         logger.warn('Failed to parse playlist video:', parseError)
@@ -1401,8 +2851,12 @@ ipcMain.handle('extract-playlist-videos', async (event, playlistUrl) => {
     return {
       success: true,
       playlistId: playlistId,
+      playlistTitle: playlistTitle || `Playlist ${playlistId}`,
+      playlistCount: playlistCount,
       videoCount: videos.length,
-      videos: videos
+      videos: videos,
+      start: start,
+      hasMore: playlistCount ? end < playlistCount : lines.length >= limit
     }
 
   } catch (error) {
@@ -1418,11 +2872,238 @@ ipcMain.handle('extract-playlist-videos', async (event, playlistUrl) => {
   }
 })
 
+// Subscriptions
+const SUBSCRIPTION_ENTRY_LIMIT = 100
+
+/**
+ * List the latest uploads of a channel or playlist
+ * @param {string} url - Subscription URL
+ * @returns {Promise<Object>} { title, entries: [{ id, url, title }] } newest first
+ */
+async function enumerateSubscription(url) {
+  const ytDlpPath = getBinaryPath('yt-dlp')
+
+  if (!fs.existsSync(ytDlpPath)) {
+    const errorInfo = handleBinaryMissing('yt-dlp')
+    throw new Error(errorInfo.message)
+  }
+
+  // Channel home pages list shelves, the uploads live in the videos tab
+  const channelMatch = url.match(/^(https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:@[\w.-]+|channel\/[\w-]+|c\/[\w.-]+|user\/[\w.-]+))\/?(?:[?#].*)?$/i)
+  const listUrl = channelMatch ? `${channelMatch[1]}/videos` : url
+
+  const args = [
+    '--flat-playlist',
+    '--dump-json',
+    '--no-warnings',
+    '--playlist-end', String(SUBSCRIPTION_ENTRY_LIMIT),
+    listUrl
+  ]
+
+  const output = await runCommand(ytDlpPath, args)
+  const entries = []
+  let title = null
+
+  for (const line of output.trim().split('\n')) {
+    if (!line) continue
+
+    try {
+      const videoData = JSON.parse(line)
+      title = title || videoData.playlist_title || videoData.playlist || videoData.channel || null
+
+      if (videoData.id) {
+        entries.push({
+          id: videoData.id,
+          title: videoData.title || 'Unknown Title',
+          url: videoData.url || `https://www.youtube.com/watch?v=${videoData.id}`
+        })
+      }
+    } catch (parseError) {
+      logger.warn('Failed to parse subscription entry:', parseError.message)
+    }
+  }
+
+  return { title, entries }
+}
+
+/**
+ * Validate per-subscription defaults, only fields present in settings are returned
+ * @param {Object} settings - Settings from the renderer
+ * @returns {Object} Validated settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateSubscriptionSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Invalid subscription settings')
+  }
+
+  const validated = {}
+
+  if (settings.quality !== undefined) {
+    if (settings.quality !== null && !FormatSelector.normalizeQuality(settings.quality)) {
+      throw new Error(`Unsupported quality: ${settings.quality}`)
+    }
+    validated.quality = settings.quality
+  }
+
+  if (settings.format !== undefined) {
+    validated.format = settings.format === null ? null : validateFFmpegFormat(settings.format)
+  }
+
+  if (settings.savePath !== undefined) {
+    validated.savePath = settings.savePath ? sanitizePath(settings.savePath) : null
+  }
+
+  if (settings.organizeRule !== undefined) {
+    validated.organizeRule = settings.organizeRule === null ? null : (validateOrganizeRule(settings.organizeRule) || 'none')
+  }
+
+  if (settings.intervalHours !== undefined) {
+    if (!Number.isInteger(settings.intervalHours) || settings.intervalHours < 0 || settings.intervalHours > 24 * 30) {
+      throw new Error('Invalid check interval: must be 0 to 720 hours')
+    }
+    validated.intervalHours = settings.intervalHours
+  }
+
+  if (settings.enabled !== undefined) {
+    validated.enabled = settings.enabled === true
+  }
+
+  return validated
+}
+
+ipcMain.handle('get-subscriptions', async () => {
+  return { success: true, subscriptions: subscriptionManager.getAll(), log: subscriptionManager.getLog() }
+})
+
+ipcMain.handle('add-subscription', async (event, url, settings = {}) => {
+  if (!url || typeof url !== 'string' || !isValidVideoUrl(url.trim())) {
+    return { success: false, error: 'Subscription URL must be a channel or playlist on an enabled site' }
+  }
+
+  try {
+    const subscription = await subscriptionManager.add({ url: url.trim(), ...validateSubscriptionSettings(settings) })
+    logger.info(`Subscribed to ${subscription.title}`)
+    return { success: true, subscription }
+  } catch (error) {
+    logger.error('Error adding subscription:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('update-subscription', async (event, id, settings) => {
+  try {
+    return { success: true, subscription: subscriptionManager.update(id, validateSubscriptionSettings(settings)) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('remove-subscription', async (event, id) => {
+  return { success: subscriptionManager.remove(id) }
+})
+
+// Manual "check now", new uploads also arrive through subscription-new-videos
+ipcMain.handle('check-subscription', async (event, id) => {
+  try {
+    const { subscription, videos } = await subscriptionManager.check(id)
+    return { success: true, subscription, newCount: videos.length }
+  } catch (error) {
+    logger.error('Error checking subscription:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('check-all-subscriptions', async () => {
+  const subscriptions = subscriptionManager.getAll().filter(subscription => subscription.enabled)
+  let newCount = 0
+  let failed = 0
+
+  for (const subscription of subscriptions) {
+    try {
+      newCount += (await subscriptionManager.check(subscription.id)).videos.length
+    } catch (error) {
+      failed++
+    }
+  }
+
+  return { success: true, checked: subscriptions.length, newCount, failed }
+})
+
+// Started by the renderer once it listens for new uploads, so none get lost at startup
+ipcMain.handle('start-subscription-checks', async () => {
+  subscriptionManager.start()
+  return { success: true }
+})
+
+ipcMain.handle('get-hooks', async () => {
+  return { success: true, hooks: hookRunner.getAll(), log: hookRunner.getLog() }
+})
+
+ipcMain.handle('add-hook', async (event, settings) => {
+  try {
+    const hook = hookRunner.add(settings)
+    logger.info(`Added ${hook.type} hook "${hook.name}"`)
+    return { success: true, hook }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('update-hook', async (event, id, settings) => {
+  try {
+    return { success: true, hook: hookRunner.update(id, settings) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('remove-hook', async (event, id) => {
+  return { success: hookRunner.remove(id) }
+})
+
+// Runs the hook once with a sample payload, the result is also added to the log
+ipcMain.handle('test-hook', async (event, id) => {
+  try {
+    return { success: true, entry: await hookRunner.test(id) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+ipcMain.handle('select-hook-script', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      title: 'Select Hook Script',
+      buttonLabel: 'Select Script',
+      message: 'The script gets the download details as JSON on stdin'
+    })
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, cancelled: true }
+    }
+
+    return { success: true, path: result.filePaths[0] }
+  } catch (error) {
+    logger.error('Error selecting hook script:', error.message)
+    return { success: false, error: `Failed to open file selector: ${error.message}` }
+  }
+})
+
+/**
+ * Convert a Unix timestamp to yt-dlp's YYYYMMDD upload date
+ * @param {number} timestamp - Seconds since the epoch
+ * @returns {string|null} Upload date, or null if unknown
+ */
+function formatUploadDate(timestamp) {
+  if (!Number.isFinite(timestamp)) return null
+  return new Date(timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, '')
+}
+
 // Helper function to select the best thumbnail from available options
 // NOTE: Removed unused helper functions that extracted metadata we don't display:
 // - selectBestThumbnail() - yt-dlp now provides single thumbnail URL directly
-// - extractAvailableQualities() - quality dropdown is manual, not auto-populated
-// - formatUploadDate() - upload date not displayed in UI
 // - formatViewCount() - view count not displayed in UI
 // - formatFilesize() - filesize not displayed in UI
 
@@ -1473,8 +3154,10 @@ function formatDuration(seconds) {
 
 /**
  * Convert video format using FFmpeg
+ * With completes = false a later step (chapter splitting) reports completion instead
+ * Progress runs from progressStart to 100 (70 after a download, 0 for local files)
  */
-async function convertVideoFormat(event, { url, inputPath, format, quality, savePath }) {
+async function convertVideoFormat(event, { url, inputPath, format, quality, savePath, subtitles = [], audio = null, coverPath = null, preset = null, originalPolicy = 'delete', tags = null, progressStart = 70, completes = true, onProcess }) {
   if (!ffmpegConverter.isAvailable()) {
     throw new Error('FFmpeg binary not found - conversion not available')
   }
@@ -1488,33 +3171,34 @@ async function convertVideoFormat(event, { url, inputPath, format, quality, save
     throw new Error(`Invalid conversion parameters: ${error.message}`)
   }
 
-  // Generate output filename with appropriate extension and format suffix
-  const inputFilename = path.basename(inputPath, path.extname(inputPath))
-  const outputExtension = validateFFmpegExtension(validatedFormat)
+  // Generate output filename with appropriate extension and format suffix (presets bring their own)
+  const outputExtension = preset ? preset.container : validateFFmpegExtension(validatedFormat)
 
   // Map format names to proper filename suffixes
   const formatSuffixes = {
     'H264': 'h264',
     'ProRes': 'prores',
-    'DNxHR': 'dnxhd',
-    'Audio only': 'audio'
+    'DNxHR': 'dnxhd'
   }
-  const suffix = formatSuffixes[validatedFormat] || validatedFormat.toLowerCase()
+  const suffix = preset
+    ? preset.suffix
+    : formatSuffixes[validatedFormat] || (AudioOptions.isAudioFormat(validatedFormat) ? 'audio' : validatedFormat.toLowerCase())
 
-  const outputFilename = `${inputFilename}_${suffix}.${outputExtension}`
-  const outputPath = path.join(savePath, outputFilename)
+  const outputFilename = getConvertedFilename(inputPath, suffix, outputExtension)
+  const outputPath = path.join(path.dirname(inputPath) || savePath, outputFilename)
 
   logger.debug('Starting format conversion:', {
     inputPath, outputPath, format: validatedFormat, quality: validatedQuality
   })
 
-  // Get video duration for progress calculation
-  const duration = await ffmpegConverter.getVideoDuration(inputPath)
+  // Probe the source for progress calculation and to verify the output against it
+  const source = await ffmpegConverter.probeFile(inputPath)
+  const duration = source ? source.duration : null
 
   // Set up progress callback
   const onProgress = (progressData) => {
-    // Map conversion progress to 70-100% range (download was 0-70%)
-    const adjustedProgress = 70 + Math.round(progressData.progress * 0.3)
+    // Map conversion progress to the progressStart-100% range (download was 0-70%)
+    const adjustedProgress = progressStart + Math.round(progressData.progress * (100 - progressStart) / 100)
     
     event.sender.send('download-progress', {
       url,
@@ -1529,7 +3213,7 @@ async function convertVideoFormat(event, { url, inputPath, format, quality, save
     // Start conversion
     event.sender.send('download-progress', {
       url,
-      progress: 70,
+      progress: progressStart,
       status: 'converting',
       stage: 'conversion'
     })
@@ -1540,26 +3224,44 @@ async function convertVideoFormat(event, { url, inputPath, format, quality, save
       format: validatedFormat,
       quality: validatedQuality,
       duration,
+      subtitles,
+      audio: audio || AudioOptions.DEFAULTS,
+      coverPath,
+      preset,
+      tags,
+      onProcess,
       onProgress
     })
 
-    // Send final completion progress
-    event.sender.send('download-progress', {
-      url,
-      progress: 100,
-      status: 'completed',
-      stage: 'complete'
+    // The original is only removed or moved once the output has the expected streams and length
+    const verification = verifyConversionOutput(source, await ffmpegConverter.probeFile(outputPath), {
+      video: !AudioOptions.isAudioFormat(validatedFormat),
+      audio: !(preset && preset.audioCodec === 'none')
     })
 
-    // Send desktop notification for successful conversion
-    notifyDownloadComplete(outputFilename, true)
+    let original = { policy: 'keep', path: inputPath }
+    if (!verification.verified) {
+      logger.warn(`Conversion check failed, keeping the original ${inputPath}:`, verification.error)
+    } else {
+      try {
+        original = applyOriginalPolicy(inputPath, originalPolicy)
+        logger.debug(`Original file policy '${originalPolicy}' applied:`, inputPath)
+      } catch (cleanupError) {
+        logger.warn('Failed to apply the original file policy:', cleanupError.message)
+      }
+    }
 
-    // Clean up original file if conversion successful
-    try {
-      fs.unlinkSync(inputPath)
-      logger.debug('Cleaned up original file:', inputPath)
-    } catch (cleanupError) {
-      logger.warn('Failed to clean up original file:', cleanupError.message)
+    // Send final completion progress
+    if (completes) {
+      event.sender.send('download-progress', {
+        url,
+        progress: 100,
+        status: 'completed',
+        stage: 'complete'
+      })
+
+      // Send desktop notification for successful conversion
+      notifyDownloadComplete(outputFilename, true)
     }
 
     return {
@@ -1567,6 +3269,9 @@ async function convertVideoFormat(event, { url, inputPath, format, quality, save
       filename: outputFilename,
       filePath: outputPath,
       fileSize: result.fileSize,
+      subtitles: subtitles.map(subtitle => ({ ...subtitle, embedded: result.embeddedSubtitles > 0 })),
+      original,
+      warning: verification.verified ? null : `${verification.error}, the original was kept`,
       message: 'Conversion completed successfully'
     }
 
@@ -1576,6 +3281,192 @@ async function convertVideoFormat(event, { url, inputPath, format, quality, save
   }
 }
 
+/**
+ * Embed downloaded subtitle files and tags into the download (no format conversion requested)
+ * Embedding is best effort: on failure the subtitles stay available as separate files
+ * @param {Object} event - IPC event used for progress updates
+ * @param {Object} options - { url, filePath, filename, subtitles, tags }
+ * @returns {Promise<Object>} { subtitles } with the embedded flag updated
+ */
+async function embedIntoDownload(event, { url, filePath, filename, subtitles = [], tags = null }) {
+  let embedded = false
+  const canEmbedSubtitles = subtitles.length > 0 && Boolean(ffmpegConverter.getSubtitleCodec(filePath))
+
+  if (subtitles.length > 0 && !canEmbedSubtitles) {
+    logger.warn(`Subtitles can't be embedded into ${path.extname(filePath)} files, keeping them as separate files`)
+  }
+
+  if (!canEmbedSubtitles && !tags) {
+    logger.debug('No subtitles or tags to embed')
+  } else {
+    const stage = canEmbedSubtitles ? 'subtitles' : 'metadata'
+    event.sender.send('download-progress', {
+      url,
+      progress: 70,
+      status: 'converting',
+      stage
+    })
+
+    try {
+      const duration = await ffmpegConverter.getVideoDuration(filePath)
+      const result = await ffmpegConverter.remux({
+        inputPath: filePath,
+        subtitles: canEmbedSubtitles ? subtitles : [],
+        tags,
+        duration,
+        onProgress: (progressData) => {
+          event.sender.send('download-progress', {
+            url,
+            progress: 70 + Math.round(progressData.progress * 0.3),
+            status: 'converting',
+            stage
+          })
+        }
+      })
+      embedded = result.embeddedSubtitles > 0
+    } catch (error) {
+      logger.warn('Failed to embed subtitles and tags, keeping the download as it is:', error.message)
+    }
+  }
+
+  event.sender.send('download-progress', {
+    url,
+    progress: 100,
+    status: 'completed',
+    stage: 'complete'
+  })
+
+  notifyDownloadComplete(filename || 'Video', true)
+
+  return {
+    subtitles: subtitles.map(subtitle => ({ ...subtitle, embedded }))
+  }
+}
+
+/**
+ * Give the sidecar files yt-dlp wrote the name of the finished file and write the NFO file
+ * Sidecars are best effort, failures are logged and the download still succeeds
+ * @param {Object} options - { downloadPath, filePath, metadata, options }
+ * @param {string} options.downloadPath - File yt-dlp downloaded (the sidecars are named after it)
+ * @param {string} options.filePath - Finished file, the converted one after a conversion
+ * @param {Object|null} options.metadata - Metadata printed by yt-dlp
+ * @param {Object} options.options - Validated metadata options
+ */
+function writeSidecarFiles({ downloadPath, filePath, metadata, options }) {
+  if (!downloadPath || !filePath) {
+    return
+  }
+
+  const fromStem = MetadataOptions.getStem(downloadPath)
+  const toStem = MetadataOptions.getStem(filePath)
+
+  if (fromStem !== toStem) {
+    MetadataOptions.getSidecarPaths(downloadPath, options)
+      .filter(sidecarPath => fs.existsSync(sidecarPath))
+      .forEach(sidecarPath => {
+        try {
+          fs.renameSync(sidecarPath, `${toStem}${sidecarPath.slice(fromStem.length)}`)
+        } catch (error) {
+          logger.warn('Failed to rename sidecar file:', error.message)
+        }
+      })
+  }
+
+  if (!options.nfo) {
+    return
+  }
+
+  if (!metadata) {
+    logger.warn(`No metadata was read for ${path.basename(filePath)}, skipping the NFO file`)
+    return
+  }
+
+  try {
+    fs.writeFileSync(MetadataOptions.getNfoPath(filePath), MetadataOptions.buildNfo(metadata), 'utf8')
+  } catch (error) {
+    logger.warn('Failed to write NFO file:', error.message)
+  }
+}
+
+/**
+ * Find subtitle files yt-dlp wrote next to a downloaded video
+ * yt-dlp names them <video name>.<language>.<format>
+ * @param {string} videoPath - Downloaded video path
+ * @param {Object} subtitleOptions - Validated subtitle options
+ * @returns {Array<Object>} Subtitle files ({ language, format, filename, path, embedded })
+ */
+function findSubtitleFiles(videoPath, subtitleOptions) {
+  if (!videoPath || !subtitleOptions || !subtitleOptions.enabled) {
+    return []
+  }
+
+  const directory = path.dirname(videoPath)
+  const videoFilename = path.basename(videoPath)
+
+  try {
+    return fs.readdirSync(directory)
+      .map(filename => ({
+        filename,
+        language: SubtitleOptions.matchSubtitleFile(videoFilename, filename, subtitleOptions.format)
+      }))
+      .filter(entry => entry.language)
+      .map(({ filename, language }) => ({
+        language,
+        format: subtitleOptions.format,
+        filename,
+        path: path.join(directory, filename),
+        embedded: false
+      }))
+  } catch (error) {
+    logger.warn('Failed to look up subtitle files:', error.message)
+    return []
+  }
+}
+
+/**
+ * Find the JPEG thumbnail yt-dlp wrote next to a download (--convert-thumbnails jpg)
+ * @param {string|null} videoPath - Downloaded file path
+ * @returns {string|null} Thumbnail path, or null if there is none
+ */
+function findThumbnailFile(videoPath) {
+  if (!videoPath) {
+    return null
+  }
+
+  const thumbnailPath = path.join(path.dirname(videoPath), `${path.basename(videoPath, path.extname(videoPath))}.jpg`)
+  return fs.existsSync(thumbnailPath) ? thumbnailPath : null
+}
+
+/**
+ * Remove a thumbnail once it was embedded as cover art
+ * @param {string|null} thumbnailPath - Thumbnail from findThumbnailFile
+ */
+function removeDownloadThumbnail(thumbnailPath) {
+  if (!thumbnailPath) {
+    return
+  }
+
+  try {
+    fs.unlinkSync(thumbnailPath)
+  } catch (cleanupError) {
+    logger.warn('Failed to clean up thumbnail:', cleanupError.message)
+  }
+}
+
+/**
+ * Build the converted file's name from the downloaded file
+ * The input name is already rendered from the user's filename template by
+ * yt-dlp, so the converted file keeps it and only adds the format suffix
+ * @param {string} inputPath - Downloaded file path
+ * @param {string} suffix - Format suffix (e.g. h264)
+ * @param {string} extension - Output extension without dot
+ * @returns {string} Output filename
+ */
+function getConvertedFilename(inputPath, suffix, extension) {
+  const baseName = path.basename(inputPath, path.extname(inputPath))
+  return `${baseName}_${suffix}.${extension}`
+}
+
 /**
  * Get output file extension for format
  */
@@ -1583,10 +3474,9 @@ function getOutputExtension(format) {
   const extensionMap = {
     'H264': 'mp4',
     'ProRes': 'mov',
-    'DNxHR': 'mov',
-    'Audio only': 'm4a'
+    'DNxHR': 'mov'
   }
-  return extensionMap[format] || 'mp4'
+  return extensionMap[format] || AudioOptions.getExtension(format) || 'mp4'
 }
 
 /**
@@ -1687,6 +3577,11 @@ function parseDownloadError(errorOutput, exitCode) {
  * Send desktop notification for download completion
  */
 function notifyDownloadComplete(filename, success, errorMessage = null) {
+  // Scripted batches report through their exit code, not the desktop
+  if (headless) {
+    return
+  }
+
   try {
     const notificationOptions = {
       title: success ? 'Download Complete' : 'Download Failed',
@@ -1741,14 +3636,16 @@ function handleBinaryMissing(binaryName) {
       : 'ffmpeg is required for video format conversion and processing'
   }
 
-  // Send notification about missing binary
-  notifier.notify({
-    title: errorInfo.title,
-    message: `${errorInfo.message}. Please check the application setup.`,
-    icon: path.join(__dirname, '../assets/icons/logo.png'),
-    sound: true,
-    timeout: 10
-  })
+  // Send notification about missing binary (scripted batches report it in their output)
+  if (!headless) {
+    notifier.notify({
+      title: errorInfo.title,
+      message: `${errorInfo.message}. Please check the application setup.`,
+      icon: path.join(__dirname, '../assets/icons/logo.png'),
+      sound: true,
+      timeout: 10
+    })
+  }
 
   return errorInfo
 }
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Original file policy
+ * Checks that a conversion output is usable before its source is touched, then
+ * deletes the source, keeps it next to the output or moves it to an "originals" folder
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const ORIGINALS_FOLDER = 'originals'
+
+// Outputs are rarely exactly as long as the source (container rounding, audio priming,
+// frame rate changes), so allow 1 second or 1% of the duration, whichever is larger
+const DURATION_TOLERANCE = 1
+const DURATION_TOLERANCE_RATIO = 0.01
+
+/**
+ * Compare a conversion output with its source
+ * Streams the source doesn't have are not expected in the output
+ * @param {Object|null} source - Probe of the source ({ duration, hasVideo, hasAudio }), null if unknown
+ * @param {Object|null} output - Probe of the output, null if it couldn't be read
+ * @param {Object} [expected] - { video, audio } - false when the conversion drops that stream
+ * @returns {Object} { verified, error }
+ */
+function verifyConversionOutput(source, output, { video = true, audio = true } = {}) {
+  if (!output) {
+    return { verified: false, error: 'The converted file could not be read' }
+  }
+
+  if (video && (source ? source.hasVideo : true) && !output.hasVideo) {
+    return { verified: false, error: 'The converted file has no video stream' }
+  }
+
+  if (audio && (source ? source.hasAudio : true) && !output.hasAudio) {
+    return { verified: false, error: 'The converted file has no audio stream' }
+  }
+
+  if (source && typeof source.duration === 'number') {
+    if (typeof output.duration !== 'number') {
+      return { verified: false, error: 'The length of the converted file could not be read' }
+    }
+
+    const tolerance = Math.max(DURATION_TOLERANCE, source.duration * DURATION_TOLERANCE_RATIO)
+    if (Math.abs(output.duration - source.duration) > tolerance) {
+      return {
+        verified: false,
+        error: `The converted file is ${output.duration.toFixed(1)}s long, the original ${source.duration.toFixed(1)}s`
+      }
+    }
+  }
+
+  return { verified: true, error: null }
+}
+
+/**
+ * Get a free path for an original in the "originals" folder next to it
+ * @param {string} filePath - Original file
+ * @returns {string} Target path, numbered if the name is taken
+ */
+function getOriginalsPath(filePath) {
+  const folder = path.join(path.dirname(filePath), ORIGINALS_FOLDER)
+  const extension = path.extname(filePath)
+  const baseName = path.basename(filePath, extension)
+
+  let target = path.join(folder, `${baseName}${extension}`)
+  for (let counter = 2; fs.existsSync(target); counter++) {
+    target = path.join(folder, `${baseName} (${counter})${extension}`)
+  }
+  return target
+}
+
+/**
+ * Delete, keep or move the original of a verified conversion
+ * @param {string} filePath - Original file
+ * @param {string} policy - 'delete', 'keep' or 'move'
+ * @returns {Object} { policy, path } - where the original is now, null once deleted
+ */
+function applyOriginalPolicy(filePath, policy) {
+  switch (policy) {
+    case 'keep':
+      return { policy, path: filePath }
+
+    case 'move': {
+      const target = getOriginalsPath(filePath)
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.renameSync(filePath, target)
+      return { policy, path: target }
+    }
+
+    case 'delete':
+      fs.unlinkSync(filePath)
+      return { policy, path: null }
+
+    default:
+      throw new Error(`Unsupported original file policy: ${policy}`)
+  }
+}
+
+module.exports = {
+  verifyConversionOutput,
+  applyOriginalPolicy,
+  getOriginalsPath,
+  ORIGINALS_FOLDER,
+  DURATION_TOLERANCE
+}
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron')
+const { contextBridge, ipcRenderer, webUtils } = require('electron')
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
@@ -24,6 +24,49 @@ contextBridge.exposeInMainWorld('electronAPI', {
   exportVideoList: (videos) => ipcRenderer.invoke('export-video-list', videos),
   importVideoList: () => ipcRenderer.invoke('import-video-list'),
 
+  // Download archive (videos downloaded before)
+  checkDownloadArchive: (urls) => ipcRenderer.invoke('check-download-archive', urls),
+  getDownloadArchive: () => ipcRenderer.invoke('get-download-archive'),
+  removeDownloadArchiveEntry: (key) => ipcRenderer.invoke('remove-download-archive-entry', key),
+  importDownloadArchive: () => ipcRenderer.invoke('import-download-archive'),
+  exportDownloadArchive: () => ipcRenderer.invoke('export-download-archive'),
+
+  // Conversion presets shared as JSON
+  importConversionPresets: () => ipcRenderer.invoke('import-conversion-presets'),
+  exportConversionPresets: (presets) => ipcRenderer.invoke('export-conversion-presets', presets),
+
+  // Channel/playlist subscriptions
+  getSubscriptions: () => ipcRenderer.invoke('get-subscriptions'),
+  addSubscription: (url, settings) => ipcRenderer.invoke('add-subscription', url, settings),
+  updateSubscription: (id, settings) => ipcRenderer.invoke('update-subscription', id, settings),
+  removeSubscription: (id) => ipcRenderer.invoke('remove-subscription', id),
+  checkSubscription: (id) => ipcRenderer.invoke('check-subscription', id),
+  checkAllSubscriptions: () => ipcRenderer.invoke('check-all-subscriptions'),
+  startSubscriptionChecks: () => ipcRenderer.invoke('start-subscription-checks'),
+  onSubscriptionNewVideos: (callback) => {
+    ipcRenderer.on('subscription-new-videos', callback)
+    return () => {
+      ipcRenderer.removeListener('subscription-new-videos', callback)
+    }
+  },
+
+  // Scripts and webhooks run after downloads
+  getHooks: () => ipcRenderer.invoke('get-hooks'),
+  addHook: (settings) => ipcRenderer.invoke('add-hook', settings),
+  updateHook: (id, settings) => ipcRenderer.invoke('update-hook', id, settings),
+  removeHook: (id) => ipcRenderer.invoke('remove-hook', id),
+  testHook: (id) => ipcRenderer.invoke('test-hook', id),
+  selectHookScript: () => ipcRenderer.invoke('select-hook-script'),
+
+  // grabzilla://add links from the browser
+  takePendingDeepLinks: () => ipcRenderer.invoke('take-pending-deep-links'),
+  onDeepLink: (callback) => {
+    ipcRenderer.on('deep-link', callback)
+    return () => {
+      ipcRenderer.removeListener('deep-link', callback)
+    }
+  },
+
   // Desktop notifications and dialogs
   showNotification: (options) => ipcRenderer.invoke('show-notification', options),
   showErrorDialog: (options) => ipcRenderer.invoke('show-error-dialog', options),
@@ -36,20 +79,37 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Video operations
   downloadVideo: (options) => ipcRenderer.invoke('download-video', options),
   getVideoMetadata: (url, cookieFile) => ipcRenderer.invoke('get-video-metadata', url, cookieFile),
+  getFullVideoMetadata: (url, cookieFile) => ipcRenderer.invoke('get-full-video-metadata', url, cookieFile),
   getBatchVideoMetadata: (urls, cookieFile) => ipcRenderer.invoke('get-batch-video-metadata', urls, cookieFile),
-  extractPlaylistVideos: (playlistUrl) => ipcRenderer.invoke('extract-playlist-videos', playlistUrl),
+  extractPlaylistVideos: (playlistUrl, page) => ipcRenderer.invoke('extract-playlist-videos', playlistUrl, page),
   
+  // Local files converted without downloading
+  selectLocalFiles: () => ipcRenderer.invoke('select-local-files'),
+  getLocalFileInfo: (filePath) => ipcRenderer.invoke('get-local-file-info', filePath),
+  convertLocalFile: (options) => ipcRenderer.invoke('convert-local-file', options),
+  // Dropped File objects no longer carry their path, Electron resolves it here
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+
   // Format conversion operations
-  cancelConversion: (conversionId) => ipcRenderer.invoke('cancel-conversion', conversionId),
+  cancelConversion: (videoId) => ipcRenderer.invoke('cancel-conversion', videoId),
   cancelAllConversions: () => ipcRenderer.invoke('cancel-all-conversions'),
   getActiveConversions: () => ipcRenderer.invoke('get-active-conversions'),
 
   // Download manager operations
   getDownloadStats: () => ipcRenderer.invoke('get-download-stats'),
+  updateDownloadSettings: (settings) => ipcRenderer.invoke('update-download-settings', settings),
+  getSiteSettings: () => ipcRenderer.invoke('get-site-settings'),
+  updateSiteSettings: (settings) => ipcRenderer.invoke('update-site-settings', settings),
   cancelDownload: (videoId) => ipcRenderer.invoke('cancel-download', videoId),
   cancelAllDownloads: () => ipcRenderer.invoke('cancel-all-downloads'),
   pauseDownload: (videoId) => ipcRenderer.invoke('pause-download', videoId),
   resumeDownload: (videoId) => ipcRenderer.invoke('resume-download', videoId),
+  getRestorableDownloads: () => ipcRenderer.invoke('get-restorable-downloads'),
+  discardRestorableDownloads: () => ipcRenderer.invoke('discard-restorable-downloads'),
+
+  // Local HTTP control API
+  configureControlApi: (settings) => ipcRenderer.invoke('configure-control-api', settings),
+  regenerateControlApiToken: () => ipcRenderer.invoke('regenerate-control-api-token'),
 
   // Event listeners for download progress with enhanced data
   onDownloadProgress: (callback) => {
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Durable on-disk journal of the download queue
+ * Keeps unfinished downloads across app restarts and crashes
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const JOURNAL_VERSION = 1
+
+// Statuses that can be restored after a restart
+const RESTORABLE_STATUSES = ['queued', 'downloading', 'converting', 'paused']
+
+/**
+ * Queue Journal
+ * Persists DownloadManager snapshots as JSON and hands restorable
+ * entries from the previous session back to the app on launch
+ */
+class QueueJournal {
+  /**
+   * @param {string} filePath - Journal file location (inside userData)
+   */
+  constructor(filePath) {
+    this.filePath = filePath
+    this.pending = new Map() // videoId -> entry left over from the last session
+    this.lastSnapshot = []
+    this.frozen = false
+  }
+
+  /**
+   * Load entries left by the previous session
+   * A missing or corrupt journal is treated as empty
+   * @returns {Array<Object>} Restorable entries
+   */
+  load() {
+    this.pending.clear()
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return []
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      const entries = Array.isArray(data.entries) ? data.entries : []
+
+      entries
+        .filter(entry => this.isValidEntry(entry))
+        .forEach(entry => this.pending.set(entry.videoId, entry))
+
+      console.log(`📒 Queue journal loaded: ${this.pending.size} unfinished download(s)`)
+    } catch (error) {
+      console.error('Failed to read queue journal, starting with an empty queue:', error.message)
+    }
+
+    return this.getPending()
+  }
+
+  /**
+   * Check a journal entry has everything needed to re-queue it
+   * @param {Object} entry - Journal entry
+   * @returns {boolean} True if valid
+   * @private
+   */
+  isValidEntry(entry) {
+    return Boolean(entry) &&
+      typeof entry.videoId === 'string' && entry.videoId.length > 0 &&
+      typeof entry.url === 'string' && entry.url.length > 0 &&
+      typeof entry.savePath === 'string' && entry.savePath.length > 0 &&
+      RESTORABLE_STATUSES.includes(entry.status)
+  }
+
+  /**
+   * Get entries from the previous session that haven't been resumed or discarded
+   * Interrupted downloads are listed first, then by priority and age
+   * @returns {Array<Object>} Restorable entries
+   */
+  getPending() {
+    const statusOrder = { downloading: 0, converting: 0, paused: 1, queued: 2 }
+
+    return [...this.pending.values()].sort((a, b) => {
+      if (statusOrder[a.status] !== statusOrder[b.status]) {
+        return statusOrder[a.status] - statusOrder[b.status]
+      }
+      if ((b.priority || 0) !== (a.priority || 0)) {
+        return (b.priority || 0) - (a.priority || 0)
+      }
+      return (a.addedAt || 0) - (b.addedAt || 0)
+    })
+  }
+
+  /**
+   * Mark a previous-session entry as handled (it was re-queued)
+   * @param {string} videoId - Video ID
+   * @returns {boolean} True if an entry was released
+   */
+  release(videoId) {
+    const released = this.pending.delete(videoId)
+    if (released) {
+      this.write()
+    }
+    return released
+  }
+
+  /**
+   * Drop all previous-session entries (user declined to resume)
+   * @returns {number} Number of discarded entries
+   */
+  discardPending() {
+    const count = this.pending.size
+    this.pending.clear()
+    this.write()
+    return count
+  }
+
+  /**
+   * Persist the current queue snapshot
+   * Previous-session entries not yet handled are kept so a second
+   * crash doesn't lose them
+   * @param {Array<Object>} snapshot - DownloadManager and ConversionQueue getSnapshot() results
+   */
+  save(snapshot) {
+    this.lastSnapshot = Array.isArray(snapshot) ? snapshot : []
+    this.write()
+  }
+
+  /**
+   * Stop writing (called when the app starts quitting so that downloads
+   * torn down during shutdown stay in the journal)
+   */
+  freeze() {
+    this.frozen = true
+  }
+
+  /**
+   * Write journal atomically (temp file + rename)
+   * @private
+   */
+  write() {
+    if (this.frozen) {
+      return
+    }
+
+    const current = new Set(this.lastSnapshot.map(entry => entry.videoId))
+    const entries = [
+      ...this.lastSnapshot,
+      ...[...this.pending.values()].filter(entry => !current.has(entry.videoId))
+    ]
+
+    const data = {
+      version: JOURNAL_VERSION,
+      savedAt: new Date().toISOString(),
+      entries
+    }
+
+    const tempPath = `${this.filePath}.tmp`
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      console.error('Failed to write queue journal:', error.message)
+    }
+  }
+}
+
+module.exports = QueueJournal
+module.exports.RESTORABLE_STATUSES = RESTORABLE_STATUSES
@@ -6,6 +6,15 @@
 const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
+const FilenameTemplate = require('../scripts/utils/filename-template.js');
+const SubtitleOptions = require('../scripts/utils/subtitle-options.js');
+const FormatSelector = require('../scripts/utils/format-selector.js');
+const SiteRegistry = require('../scripts/utils/site-registry.js');
+const ClipOptions = require('../scripts/utils/clip-options.js');
+const AudioOptions = require('../scripts/utils/audio-options.js');
+const MetadataOptions = require('../scripts/utils/metadata-options.js');
+const ConversionPresets = require('../scripts/utils/conversion-presets.js');
+const LocalMedia = require('../scripts/utils/local-media.js');
 
 /**
  * Sanitize and validate file system paths to prevent traversal attacks
@@ -163,21 +172,8 @@ function isValidVideoUrl(url) {
       return false;
     }
 
-    // Whitelist allowed domains
-    const allowedDomains = [
-      'youtube.com',
-      'www.youtube.com',
-      'youtu.be',
-      'm.youtube.com',
-      'vimeo.com',
-      'www.vimeo.com',
-      'player.vimeo.com'
-    ];
-
-    const hostname = parsed.hostname.toLowerCase();
-    return allowedDomains.some(domain =>
-      hostname === domain || hostname.endsWith('.' + domain)
-    );
+    // Whitelist of enabled and user-defined sites (subdomains included)
+    return SiteRegistry.isAllowedHost(parsed.hostname);
   } catch (error) {
     return false;
   }
@@ -200,12 +196,17 @@ function validateFFmpegFormat(format) {
     'H264',
     'ProRes',
     'DNxHR',
-    'Audio only',
+    ...Object.keys(AudioOptions.FORMATS),
     'None'
   ];
 
   const trimmed = format.trim();
 
+  // User presets are referenced by id, their settings are validated separately
+  if (ConversionPresets.isPresetFormat(trimmed)) {
+    return trimmed;
+  }
+
   if (!allowedFormats.includes(trimmed)) {
     throw new Error(`Invalid format: ${trimmed}. Allowed formats: ${allowedFormats.join(', ')}`);
   }
@@ -237,13 +238,15 @@ function validateFFmpegQuality(quality) {
     'worst'
   ];
 
+  // The quality dropdown uses 'Best', keywords are matched case-insensitively
   const trimmed = quality.trim();
+  const normalized = ['best', 'worst'].includes(trimmed.toLowerCase()) ? trimmed.toLowerCase() : trimmed;
 
-  if (!allowedQualities.includes(trimmed)) {
+  if (!allowedQualities.includes(normalized)) {
     throw new Error(`Invalid quality: ${trimmed}. Allowed qualities: ${allowedQualities.join(', ')}`);
   }
 
-  return trimmed;
+  return normalized;
 }
 
 /**
@@ -256,11 +259,10 @@ function validateFFmpegExtension(format) {
     'H264': 'mp4',
     'ProRes': 'mov',
     'DNxHR': 'mov',
-    'Audio only': 'm4a',
     'None': '' // No conversion
   };
 
-  const ext = extensionMap[format];
+  const ext = format in extensionMap ? extensionMap[format] : AudioOptions.getExtension(format);
   if (!ext && format !== 'None') {
     throw new Error(`Unknown format for extension mapping: ${format}`);
   }
@@ -268,6 +270,179 @@ function validateFFmpegExtension(format) {
   return ext;
 }
 
+/**
+ * Validate a yt-dlp output template for downloaded filenames
+ * Only whitelisted fields are allowed and the template cannot contain
+ * path separators, so it always resolves to a file inside the save folder
+ * @param {string} template - Template from user settings
+ * @returns {string} Normalized template ending in .%(ext)s
+ * @throws {Error} If template is invalid
+ */
+function validateFilenameTemplate(template) {
+  const result = FilenameTemplate.validate(template);
+
+  if (!result.valid) {
+    throw new Error(`Invalid filename template: ${result.error}`);
+  }
+
+  return result.template;
+}
+
+/**
+ * Validate subtitle options before they are turned into yt-dlp arguments
+ * Language codes are whitelisted by pattern, source and format by value
+ * @param {Object|null} options - { enabled, languages, source, format, embed }
+ * @returns {Object} Normalized subtitle options (disabled when not provided)
+ * @throws {Error} If options are invalid
+ */
+function validateSubtitleOptions(options) {
+  const result = SubtitleOptions.validate(options);
+
+  if (!result.valid) {
+    throw new Error(`Invalid subtitle options: ${result.error}`);
+  }
+
+  return result.options;
+}
+
+/**
+ * Validate format preferences before they are turned into yt-dlp arguments
+ * Codec, container and fallback policy are whitelisted by value
+ * @param {Object|null} preferences - { codec, container, fallback }
+ * @returns {Object} Normalized preferences (defaults when not provided)
+ * @throws {Error} If preferences are invalid
+ */
+function validateFormatPreferences(preferences) {
+  const result = FormatSelector.validate(preferences);
+
+  if (!result.valid) {
+    throw new Error(`Invalid format preferences: ${result.error}`);
+  }
+
+  return result.preferences;
+}
+
+/**
+ * Validate clip ranges before they are turned into yt-dlp or FFmpeg arguments
+ * Times are parsed to numbers, the cut mode is whitelisted by value
+ * @param {Array<Object>|null} clips - [{ start, end, label }]
+ * @param {string|null} mode - 'keyframe' or 'accurate'
+ * @returns {Object} { clips, mode } (no clips when not provided)
+ * @throws {Error} If clips or the mode are invalid
+ */
+function validateClipOptions(clips, mode) {
+  const result = ClipOptions.validate(clips, mode);
+
+  if (!result.valid) {
+    throw new Error(`Invalid clips: ${result.error}`);
+  }
+
+  return { clips: result.clips, mode: result.mode };
+}
+
+/**
+ * Validate audio export options (bitrate, VBR, normalization, cover art, tags)
+ * The bitrate is whitelisted by value before it becomes an FFmpeg argument
+ * @param {Object|null} options - Audio options from the settings
+ * @returns {Object} Options with defaults filled in
+ * @throws {Error} If an option is invalid
+ */
+function validateAudioOptions(options) {
+  const result = AudioOptions.validate(options);
+
+  if (!result.valid) {
+    throw new Error(`Invalid audio options: ${result.error}`);
+  }
+
+  return result.options;
+}
+
+/**
+ * Validate sidecar file and tag options
+ * Only switches, the tag values themselves come from yt-dlp's metadata
+ * @param {Object|null} options - Metadata options from the settings
+ * @returns {Object} Options with defaults filled in
+ * @throws {Error} If an option is invalid
+ */
+function validateMetadataOptions(options) {
+  const result = MetadataOptions.validate(options);
+
+  if (!result.valid) {
+    throw new Error(`Invalid metadata options: ${result.error}`);
+  }
+
+  return result.options;
+}
+
+/**
+ * Validate the conversion preset sent with a preset format
+ * Every preset value is checked against a whitelist, so no FFmpeg argument comes from the user
+ * @param {string} format - Format of the download ('preset:<id>' for presets)
+ * @param {Object|null} preset - Preset settings
+ * @returns {Object|null} Validated preset, or null for built-in formats
+ * @throws {Error} If the preset is missing, invalid or doesn't match the format
+ */
+function validateConversionPreset(format, preset) {
+  const id = ConversionPresets.parseFormat(format);
+  if (!id) {
+    return null;
+  }
+
+  if (!preset) {
+    throw new Error('Invalid conversion preset: preset not found, it may have been deleted');
+  }
+
+  const result = ConversionPresets.validate(preset, { requireId: true });
+
+  if (!result.valid) {
+    throw new Error(`Invalid conversion preset: ${result.error}`);
+  }
+
+  if (result.preset.id !== id) {
+    throw new Error('Invalid conversion preset: does not match the selected format');
+  }
+
+  return result.preset;
+}
+
+/**
+ * Validate a local media file queued for conversion
+ * @param {string} filePath - Media file picked or dropped by the user
+ * @returns {string} Resolved file path
+ * @throws {Error} If the file is missing, outside the allowed folders or not a media file
+ */
+function validateLocalMediaFile(filePath) {
+  const resolved = sanitizePath(filePath);
+
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new Error(`Local file not found: ${resolved}`);
+  }
+
+  if (!LocalMedia.isMediaFile(resolved)) {
+    throw new Error(`Unsupported media file: ${path.basename(resolved)}. Allowed: ${LocalMedia.EXTENSIONS.join(', ')}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate what happens to the original after a conversion
+ * @param {string|null} policy - 'delete', 'keep' or 'move', defaults to 'delete'
+ * @returns {string} Validated policy
+ * @throws {Error} If the policy is unknown
+ */
+function validateOriginalPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return 'delete';
+  }
+
+  if (!ConversionPresets.ORIGINAL_POLICIES.includes(policy)) {
+    throw new Error(`Invalid original file policy: ${policy}. Allowed: ${ConversionPresets.ORIGINAL_POLICIES.join(', ')}`);
+  }
+
+  return policy;
+}
+
 module.exports = {
   sanitizePath,
   validateCookieFile,
@@ -275,5 +450,14 @@ module.exports = {
   isValidVideoUrl,
   validateFFmpegFormat,
   validateFFmpegQuality,
-  validateFFmpegExtension
+  validateFFmpegExtension,
+  validateFilenameTemplate,
+  validateSubtitleOptions,
+  validateFormatPreferences,
+  validateClipOptions,
+  validateAudioOptions,
+  validateMetadataOptions,
+  validateConversionPreset,
+  validateOriginalPolicy,
+  validateLocalMediaFile
 };
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Persisted site whitelist
+ * Keeps the enabled sites and custom hosts in userData so the main process
+ * applies them on launch, before any window has loaded: headless runs,
+ * grabzilla:// links and subscription checks use the same whitelist as the UI
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+const SiteRegistry = require('../scripts/utils/site-registry')
+
+const STORE_VERSION = 1
+
+/**
+ * Site Settings Store
+ * Loads the saved settings into the SiteRegistry and writes changes back
+ */
+class SiteSettingsStore {
+  /**
+   * @param {string} filePath - Store location (inside userData)
+   */
+  constructor(filePath) {
+    this.filePath = filePath
+    this.stored = false // True once settings were saved, false while the defaults apply
+  }
+
+  /**
+   * Load the saved settings and apply them to the SiteRegistry
+   * A missing, corrupt or invalid file leaves the defaults in place
+   * @returns {Object} Applied settings { enabledSites, customHosts }
+   */
+  load() {
+    this.stored = false
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return SiteRegistry.settings
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      const result = SiteRegistry.configure(data.settings || null)
+      if (!result.valid) {
+        console.error('Invalid site settings file, using the default sites:', result.error)
+        return SiteRegistry.settings
+      }
+
+      this.stored = true
+      console.log(`🌐 Site settings loaded: ${result.settings.enabledSites.length} site(s), ${result.settings.customHosts.length} custom host(s)`)
+    } catch (error) {
+      console.error('Failed to read site settings, using the default sites:', error.message)
+    }
+
+    return SiteRegistry.settings
+  }
+
+  /**
+   * Apply new settings and save them
+   * @param {Object} settings - { enabledSites, customHosts }
+   * @returns {Object} { valid, error, settings } from SiteRegistry.configure - nothing is saved when invalid
+   */
+  save(settings) {
+    const result = SiteRegistry.configure(settings)
+    if (result.valid) {
+      this.stored = true
+      this.write()
+    }
+    return result
+  }
+
+  /**
+   * Get the applied settings
+   * @returns {Object} { settings, stored } - stored is false while the defaults apply
+   */
+  get() {
+    return { settings: SiteRegistry.settings, stored: this.stored }
+  }
+
+  /**
+   * Write the settings atomically (temp file + rename)
+   * @private
+   */
+  write() {
+    const tempPath = `${this.filePath}.tmp`
+    const data = {
+      version: STORE_VERSION,
+      settings: SiteRegistry.settings
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      console.error('Failed to write site settings:', error.message)
+    }
+  }
+}
+
+module.exports = SiteSettingsStore
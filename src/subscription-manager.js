@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Channel and playlist subscriptions
+ * Re-enumerates subscribed channels/playlists and reports uploads that
+ * weren't seen before so the app can queue them with per-subscription defaults
+ * @author GrabZilla Development Team
+ * @version 2.1.0
+ */
+
+const fs = require('fs')
+const path = require('path')
+const EventEmitter = require('events')
+
+const STORE_VERSION = 1
+
+// Video IDs remembered per subscription (enough to cover re-ordered or removed uploads)
+const MAX_SEEN_IDS = 1000
+
+// Videos queued per check at most, protects against a changed channel flooding the queue
+const MAX_NEW_PER_CHECK = 25
+
+const MAX_LOG_ENTRIES = 200
+
+// How often due subscriptions are looked for
+const CHECK_INTERVAL = 5 * 60 * 1000
+
+const DEFAULT_INTERVAL_HOURS = 24
+
+/**
+ * Subscription Manager
+ * Stores subscriptions with the video IDs already seen and a log of queued uploads
+ */
+class SubscriptionManager extends EventEmitter {
+  /**
+   * @param {string} filePath - Store location (inside userData)
+   * @param {Object} options
+   * @param {Function} options.enumerate - async (url) => { title, entries: [{ id, url, title }] }
+   */
+  constructor(filePath, { enumerate }) {
+    super()
+
+    this.filePath = filePath
+    this.enumerate = enumerate
+    this.subscriptions = new Map() // subscriptionId -> subscription
+    this.log = [] // Most recent first
+    this.checking = new Set() // subscriptionIds being checked
+    this.timer = null
+  }
+
+  /**
+   * Load subscriptions and the log, a missing or corrupt store is treated as empty
+   * @returns {Array<Object>} Subscriptions
+   */
+  load() {
+    this.subscriptions.clear()
+    this.log = []
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+
+        ;(Array.isArray(data.subscriptions) ? data.subscriptions : [])
+          .filter(subscription => subscription && typeof subscription.id === 'string' && typeof subscription.url === 'string')
+          .forEach(subscription => this.subscriptions.set(subscription.id, {
+            ...subscription,
+            seenIds: Array.isArray(subscription.seenIds) ? subscription.seenIds : []
+          }))
+
+        this.log = Array.isArray(data.log) ? data.log.slice(0, MAX_LOG_ENTRIES) : []
+      }
+      console.log(`📺 Subscriptions loaded: ${this.subscriptions.size}`)
+    } catch (error) {
+      console.error('Failed to read subscriptions:', error.message)
+    }
+
+    return this.getAll()
+  }
+
+  /**
+   * Get all subscriptions without their seen IDs
+   * @returns {Array<Object>} Subscriptions, oldest first
+   */
+  getAll() {
+    return [...this.subscriptions.values()].map(subscription => this.toPublic(subscription))
+  }
+
+  /**
+   * Get the log of checks that queued videos or failed
+   * @returns {Array<Object>} Log entries, most recent first
+   */
+  getLog() {
+    return this.log.slice()
+  }
+
+  /**
+   * Subscribe to a channel or playlist
+   * Uploads that already exist are marked as seen, only later ones are queued
+   * @param {Object} options - Validated subscription settings
+   * @param {string} options.url - Channel or playlist URL
+   * @param {string|null} [options.quality] - Quality for new uploads (null = app default)
+   * @param {string|null} [options.format] - Conversion format (null = app default)
+   * @param {string|null} [options.savePath] - Download folder (null = app save path)
+   * @param {string|null} [options.organizeRule] - Organize rule (null = app setting)
+   * @param {number} [options.intervalHours] - Hours between automatic checks, 0 = manual only
+   * @returns {Promise<Object>} Subscription
+   */
+  async add({ url, quality = null, format = null, savePath = null, organizeRule = null, intervalHours = DEFAULT_INTERVAL_HOURS }) {
+    const existing = [...this.subscriptions.values()].find(subscription => subscription.url === url)
+    if (existing) {
+      throw new Error('Already subscribed to this URL')
+    }
+
+    const { title, entries } = await this.enumerate(url)
+    const now = Date.now()
+
+    const subscription = {
+      id: `sub_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      title: title || url,
+      quality,
+      format,
+      savePath,
+      organizeRule,
+      intervalHours,
+      enabled: true,
+      createdAt: now,
+      lastCheckedAt: now,
+      lastSeenId: entries.length > 0 ? entries[0].id : null,
+      lastError: null,
+      seenIds: entries.map(entry => entry.id).slice(0, MAX_SEEN_IDS)
+    }
+
+    this.subscriptions.set(subscription.id, subscription)
+    this.write()
+
+    return this.toPublic(subscription)
+  }
+
+  /**
+   * Change the defaults or schedule of a subscription
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - Validated values for quality, format, savePath, organizeRule, intervalHours, enabled
+   * @returns {Object} Updated subscription
+   */
+  update(id, changes) {
+    const subscription = this.getSubscription(id)
+
+    ;['quality', 'format', 'savePath', 'organizeRule', 'intervalHours', 'enabled'].forEach(key => {
+      if (changes[key] !== undefined) {
+        subscription[key] = changes[key]
+      }
+    })
+
+    this.write()
+    return this.toPublic(subscription)
+  }
+
+  /**
+   * Unsubscribe
+   * @param {string} id - Subscription ID
+   * @returns {boolean} True if a subscription was removed
+   */
+  remove(id) {
+    const removed = this.subscriptions.delete(id)
+    if (removed) {
+      this.write()
+    }
+    return removed
+  }
+
+  /**
+   * Enumerate a subscription and report uploads that weren't seen before
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} { subscription, videos } - videos are newest first
+   */
+  async check(id) {
+    const subscription = this.getSubscription(id)
+
+    if (this.checking.has(id)) {
+      throw new Error('Subscription is already being checked')
+    }
+
+    this.checking.add(id)
+
+    try {
+      const { title, entries } = await this.enumerate(subscription.url)
+      const seen = new Set(subscription.seenIds)
+      const unseen = entries.filter(entry => !seen.has(entry.id))
+      const videos = unseen.slice(0, MAX_NEW_PER_CHECK)
+
+      // Skipped extras are marked seen too, they'd flood the next check otherwise
+      subscription.seenIds = [...unseen.map(entry => entry.id), ...subscription.seenIds].slice(0, MAX_SEEN_IDS)
+      subscription.title = title || subscription.title
+      subscription.lastSeenId = entries.length > 0 ? entries[0].id : subscription.lastSeenId
+      subscription.lastCheckedAt = Date.now()
+      subscription.lastError = null
+
+      if (videos.length > 0) {
+        this.addLogEntry({
+          subscriptionId: id,
+          title: subscription.title,
+          checkedAt: subscription.lastCheckedAt,
+          videos: videos.map(({ id, url, title }) => ({ id, url, title })),
+          skipped: unseen.length - videos.length,
+          error: null
+        })
+        this.emit('newVideos', { subscription: this.toPublic(subscription), videos })
+      }
+
+      this.write()
+      return { subscription: this.toPublic(subscription), videos }
+    } catch (error) {
+      subscription.lastCheckedAt = Date.now()
+      subscription.lastError = error.message
+      this.addLogEntry({
+        subscriptionId: id,
+        title: subscription.title,
+        checkedAt: subscription.lastCheckedAt,
+        videos: [],
+        skipped: 0,
+        error: error.message
+      })
+      this.write()
+      throw error
+    } finally {
+      this.checking.delete(id)
+    }
+  }
+
+  /**
+   * Check every enabled subscription whose interval has passed, one at a time
+   * @param {number} [now] - Current time in ms
+   * @returns {Promise<number>} Number of subscriptions checked
+   */
+  async checkDue(now = Date.now()) {
+    const due = [...this.subscriptions.values()].filter(subscription =>
+      subscription.enabled &&
+      subscription.intervalHours > 0 &&
+      now - subscription.lastCheckedAt >= subscription.intervalHours * 60 * 60 * 1000
+    )
+
+    let checked = 0
+    for (const subscription of due) {
+      try {
+        await this.check(subscription.id)
+        checked++
+      } catch (error) {
+        console.error(`Subscription check failed for ${subscription.url}:`, error.message)
+      }
+    }
+
+    return checked
+  }
+
+  /**
+   * Start periodic checks (also checks once right away)
+   */
+  start() {
+    if (this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => this.checkDue(), CHECK_INTERVAL)
+    // Checks must not keep the app alive on quit
+    if (this.timer.unref) {
+      this.timer.unref()
+    }
+
+    this.checkDue()
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Get a subscription or throw
+   * @param {string} id - Subscription ID
+   * @returns {Object} Stored subscription
+   * @private
+   */
+  getSubscription(id) {
+    const subscription = this.subscriptions.get(id)
+    if (!subscription) {
+      throw new Error(`Subscription ${id} not found`)
+    }
+    return subscription
+  }
+
+  /**
+   * Strip internal fields
+   * @param {Object} subscription - Stored subscription
+   * @returns {Object} Subscription for the renderer
+   * @private
+   */
+  toPublic(subscription) {
+    const { seenIds, ...rest } = subscription
+    return { ...rest, checking: this.checking.has(subscription.id) }
+  }
+
+  /**
+   * Prepend a log entry and drop the oldest ones
+   * @param {Object} entry - Log entry
+   * @private
+   */
+  addLogEntry(entry) {
+    this.log.unshift(entry)
+    this.log.length = Math.min(this.log.length, MAX_LOG_ENTRIES)
+  }
+
+  /**
+   * Write the store atomically (temp file + rename)
+   * @private
+   */
+  write() {
+    const tempPath = `${this.filePath}.tmp`
+    const data = {
+      version: STORE_VERSION,
+      subscriptions: [...this.subscriptions.values()],
+      log: this.log
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8')
+      fs.renameSync(tempPath, this.filePath)
+    } catch (error) {
+      console.error('Failed to write subscriptions:', error.message)
+    }
+  }
+}
+
+module.exports = SubscriptionManager
+module.exports.MAX_NEW_PER_CHECK = MAX_NEW_PER_CHECK
@@ -0,0 +1,101 @@
+/**
+ * Audio Options Tests
+ * Tests for audio export formats, bitrate/VBR choices and FFmpeg arguments
+ */
+
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import AudioOptions from '../scripts/utils/audio-options.js'
+import ffmpegConverter from '../scripts/utils/ffmpeg-converter.js'
+
+describe('AudioOptions', () => {
+  describe('formats', () => {
+    it('should know the extension of every audio format', () => {
+      expect(['MP3', 'M4A', 'Opus', 'FLAC', 'WAV'].map(format => AudioOptions.getExtension(format)))
+        .toEqual(['mp3', 'm4a', 'opus', 'flac', 'wav'])
+      expect(AudioOptions.getExtension('Audio only')).toBe('m4a')
+      expect(AudioOptions.isAudioFormat('H264')).toBe(false)
+    })
+
+    it('should only embed covers where the container supports them', () => {
+      expect(AudioOptions.supportsCoverArt('MP3')).toBe(true)
+      expect(AudioOptions.supportsCoverArt('FLAC')).toBe(true)
+      expect(AudioOptions.supportsCoverArt('WAV')).toBe(false)
+      expect(AudioOptions.supportsCoverArt('Opus')).toBe(false)
+    })
+  })
+
+  describe('validate', () => {
+    it('should fill in defaults', () => {
+      expect(AudioOptions.validate(null).options).toEqual(AudioOptions.DEFAULTS)
+      expect(AudioOptions.validate({ bitrate: 320 }).options).toEqual({ ...AudioOptions.DEFAULTS, bitrate: 320 })
+    })
+
+    it('should reject bitrates outside the list and non-boolean flags', () => {
+      expect(AudioOptions.validate({ bitrate: 193 }).valid).toBe(false)
+      expect(AudioOptions.validate({ bitrate: '192k; rm -rf' }).valid).toBe(false)
+      expect(AudioOptions.validate({ normalize: 'yes' }).valid).toBe(false)
+      expect(AudioOptions.validate('320').valid).toBe(false)
+    })
+
+    it('should read options from the app config', () => {
+      expect(AudioOptions.fromConfig({})).toEqual(AudioOptions.DEFAULTS)
+      expect(AudioOptions.fromConfig({ audioBitrate: 256, audioVbr: true, audioCoverArt: false }))
+        .toEqual({ bitrate: 256, vbr: true, normalize: false, coverArt: false, tags: true })
+    })
+  })
+
+  describe('buildEncodingArgs', () => {
+    const options = (overrides = {}) => ({ ...AudioOptions.DEFAULTS, ...overrides })
+
+    it('should encode lossy formats at the chosen bitrate', () => {
+      expect(AudioOptions.buildEncodingArgs('MP3', options({ bitrate: 320 }))).toEqual(['-c:a', 'libmp3lame', '-b:a', '320k'])
+      expect(AudioOptions.buildEncodingArgs('M4A', options())).toEqual(['-c:a', 'aac', '-b:a', '192k'])
+      expect(AudioOptions.buildEncodingArgs('Opus', options({ bitrate: 128 }))).toEqual(['-c:a', 'libopus', '-b:a', '128k', '-vbr', 'off'])
+    })
+
+    it('should use VBR where the encoder supports it', () => {
+      expect(AudioOptions.buildEncodingArgs('MP3', options({ vbr: true }))).toEqual(['-c:a', 'libmp3lame', '-q:a', '2'])
+      expect(AudioOptions.buildEncodingArgs('Opus', options({ vbr: true }))).toContain('on')
+      expect(AudioOptions.buildEncodingArgs('M4A', options({ vbr: true }))).toEqual(['-c:a', 'aac', '-b:a', '192k'])
+    })
+
+    it('should ignore the bitrate of lossless formats', () => {
+      expect(AudioOptions.buildEncodingArgs('FLAC', options({ bitrate: 96 }))).toEqual(['-c:a', 'flac'])
+      expect(AudioOptions.buildEncodingArgs('WAV', options())).toEqual(['-c:a', 'pcm_s16le'])
+    })
+
+    it('should add the loudness normalization filter', () => {
+      expect(AudioOptions.buildEncodingArgs('WAV', options({ normalize: true })))
+        .toEqual(['-c:a', 'pcm_s16le', '-af', AudioOptions.LOUDNORM_FILTER, '-ar', '48000'])
+    })
+  })
+
+  describe('FFmpegConverter integration', () => {
+    it('should encode audio formats through getEncodingArgs', () => {
+      expect(ffmpegConverter.getEncodingArgs('FLAC', '1080p', false)).toEqual(['-c:a', 'flac'])
+      expect(ffmpegConverter.getOutputExtension('Opus')).toBe('opus')
+      expect(() => ffmpegConverter.getEncodingArgs('OGG', '1080p', false)).toThrow('Unsupported format')
+    })
+
+    it('should embed an existing cover and keep or strip the tags', () => {
+      const coverPath = path.join(os.tmpdir(), `grabzilla-cover-${Date.now()}.jpg`)
+      fs.writeFileSync(coverPath, 'jpeg')
+
+      try {
+        expect(ffmpegConverter.getAudioArgs('MP3', AudioOptions.DEFAULTS, coverPath)).toEqual({
+          inputs: ['-i', coverPath],
+          args: ['-map', '0:a', '-map', '1:v', '-c:v', 'copy', '-disposition:v:0', 'attached_pic', '-map_metadata', '0', '-id3v2_version', '3']
+        })
+        expect(ffmpegConverter.getAudioArgs('WAV', { ...AudioOptions.DEFAULTS, tags: false }, coverPath)).toEqual({
+          inputs: [],
+          args: ['-map', '0:a', '-map_metadata', '-1']
+        })
+      } finally {
+        fs.unlinkSync(coverPath)
+      }
+    })
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Chapter Splitter Tests
+ * Tests for turning chapters into per-chapter files of a download
+ */
+
+import { describe, it, expect } from 'vitest'
+import path from 'path'
+import { buildChapterSegments, planChapterFiles } from '../src/chapter-splitter.js'
+
+const chapters = [
+  { title: 'Q&A', startTime: 1800, endTime: null },
+  { title: 'Intro', startTime: 0, endTime: 95.5 },
+  { title: 'Main talk', startTime: 95.5, endTime: 1800 }
+]
+
+describe('Chapter Splitter', () => {
+  describe('buildChapterSegments', () => {
+    it('should order chapters and end open chapters at the video end', () => {
+      expect(buildChapterSegments(chapters, 2400)).toEqual([
+        { index: 1, title: 'Intro', start: 0, end: 95.5 },
+        { index: 2, title: 'Main talk', start: 95.5, end: 1800 },
+        { index: 3, title: 'Q&A', start: 1800, end: 2400 }
+      ])
+    })
+
+    it('should end chapters without an end at the next chapter', () => {
+      const segments = buildChapterSegments([
+        { title: 'One', startTime: 0, endTime: null },
+        { title: 'Two', startTime: 60, endTime: null }
+      ], 120)
+
+      expect(segments.map(segment => segment.end)).toEqual([60, 120])
+    })
+
+    it('should drop empty chapters and renumber the rest', () => {
+      const segments = buildChapterSegments([
+        { title: 'Marker', startTime: 0, endTime: 0.2 },
+        { title: 'Real', startTime: 0.2, endTime: 300 },
+        { title: 'Past the end', startTime: 300, endTime: 400 }
+      ], 300)
+
+      expect(segments).toEqual([{ index: 1, title: 'Real', start: 0.2, end: 300 }])
+    })
+
+    it('should skip an open last chapter when the duration is unknown', () => {
+      expect(buildChapterSegments(chapters, null)).toHaveLength(2)
+      expect(buildChapterSegments(null, 100)).toEqual([])
+    })
+  })
+
+  describe('planChapterFiles', () => {
+    it('should name files by chapter index and title inside a folder named after the download', () => {
+      const filePath = path.join('/videos', 'Conference Talk.mp4')
+      const { folder, files } = planChapterFiles(filePath, chapters, 2400)
+
+      expect(folder).toBe(path.join('/videos', 'Conference Talk'))
+      expect(files.map(file => file.filename)).toEqual([
+        '01 - Intro.mp4',
+        '02 - Main talk.mp4',
+        '03 - Q&A.mp4'
+      ])
+      expect(files[2].filePath).toBe(path.join(folder, '03 - Q&A.mp4'))
+    })
+
+    it('should make chapter titles safe file names', () => {
+      const { files } = planChapterFiles('/videos/Talk.mkv', [
+        { title: '../../etc/passwd', startTime: 0, endTime: 10 },
+        { title: 'What? <Why>: "How"', startTime: 10, endTime: 20 },
+        { title: '...', startTime: 20, endTime: 30 }
+      ], 30)
+
+      expect(files.map(file => file.filename)).toEqual([
+        '01 - _.._etc_passwd.mkv',
+        '02 - What_ _Why__ _How_.mkv',
+        '03 - Chapter 3.mkv'
+      ])
+    })
+
+    it('should pad indexes to the number of chapters', () => {
+      const many = Array.from({ length: 120 }, (_, i) => ({ title: `Part ${i + 1}`, startTime: i * 10, endTime: (i + 1) * 10 }))
+      const { files } = planChapterFiles('/videos/Course.mp4', many, 1200)
+
+      expect(files[0].filename).toBe('001 - Part 1.mp4')
+      expect(files[119].filename).toBe('120 - Part 120.mp4')
+    })
+  })
+})
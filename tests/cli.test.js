@@ -0,0 +1,110 @@
+/**
+ * Command-Line Mode Tests
+ * Tests for argument parsing, failure classes, exit codes and JSON line output
+ */
+
+import { describe, it, expect } from 'vitest'
+import cli from '../src/cli.js'
+
+const { EXIT_CODES } = cli
+
+describe('Command-line mode', () => {
+  describe('isCliInvocation', () => {
+    it('should only switch to headless mode for a URL list or the help', () => {
+      expect(cli.isCliInvocation(['--urls', 'list.txt'])).toBe(true)
+      expect(cli.isCliInvocation(['--urls=list.txt'])).toBe(true)
+      expect(cli.isCliInvocation(['--help'])).toBe(true)
+      expect(cli.isCliInvocation(['--dev'])).toBe(false)
+      expect(cli.isCliInvocation([])).toBe(false)
+    })
+  })
+
+  describe('parseArgs', () => {
+    it('should read the options and fill in defaults', () => {
+      const { options, error } = cli.parseArgs(['--urls', 'list.txt', '--format=H264', '--out', '/tmp/videos', '--concurrency', '2'])
+
+      expect(error).toBeNull()
+      expect(options).toEqual({
+        urlsFile: 'list.txt',
+        quality: cli.DEFAULT_QUALITY,
+        format: 'H264',
+        savePath: '/tmp/videos',
+        cookieFile: null,
+        concurrency: 2
+      })
+    })
+
+    it('should ignore Electron and Chromium switches', () => {
+      const { ignored, error } = cli.parseArgs(['--no-sandbox', '--urls', 'list.txt', '--disable-gpu'])
+      expect(error).toBeNull()
+      expect(ignored).toEqual(['--no-sandbox', '--disable-gpu'])
+    })
+
+    it('should report usage errors', () => {
+      expect(cli.parseArgs(['--quality', '720p']).error).toMatch('--urls')
+      expect(cli.parseArgs(['--urls']).error).toMatch('Missing value')
+      expect(cli.parseArgs(['--urls', '--out', 'dir']).error).toMatch('Missing value')
+      expect(cli.parseArgs(['--urls', 'list.txt', 'extra']).error).toMatch('Unexpected argument')
+      expect(cli.parseArgs(['--urls', 'list.txt', '--concurrency', '11']).error).toMatch('--concurrency')
+    })
+
+    it('should ask for help', () => {
+      expect(cli.parseArgs(['--urls', 'list.txt', '--help']).help).toBe(true)
+    })
+  })
+
+  describe('exit codes', () => {
+    it('should classify errors by their parseDownloadError type first', () => {
+      const geoBlocked = Object.assign(new Error('Video not available in your region'), { type: 'geo_blocked' })
+      expect(cli.classifyError(geoBlocked)).toBe('geo_blocked')
+
+      const specific = Object.assign(new Error('Unsupported URL'), { type: 'specific' })
+      expect(cli.classifyError(specific)).toBe('unknown')
+    })
+
+    it('should recognize conversion, cancellation and missing binaries by message', () => {
+      expect(cli.classifyError(new Error('Format conversion failed: Invalid data found'))).toBe('conversion')
+      expect(cli.classifyError(new Error('Format conversion failed: Conversion was cancelled'))).toBe('cancelled')
+      expect(cli.classifyError(new Error('Download cancelled by user'))).toBe('cancelled')
+      expect(cli.classifyError(new Error('ffmpeg binary not found. Required for format conversion.'))).toBe('binary_missing')
+    })
+
+    it('should exit with the code of the first failure', () => {
+      expect(cli.getExitCode([{ success: true }, { success: true }])).toBe(EXIT_CODES.success)
+      expect(cli.getExitCode([
+        { success: true },
+        { success: false, errorClass: 'network' },
+        { success: false, errorClass: 'conversion' }
+      ])).toBe(EXIT_CODES.network)
+      expect(cli.getExitCode([{ success: false, errorClass: 'nonsense' }])).toBe(EXIT_CODES.unknown)
+    })
+
+    it('should give every failure class its own code', () => {
+      const codes = Object.values(EXIT_CODES)
+      expect(new Set(codes).size).toBe(codes.length)
+    })
+  })
+
+  describe('CliReporter', () => {
+    it('should write one JSON object per line and skip repeated progress', () => {
+      const lines = []
+      const reporter = new cli.CliReporter({ write: (text) => lines.push(text) })
+      const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+
+      reporter.write('queued', { url, videoId: 'cli_1' })
+      reporter.progress({ url, progress: 12.2, status: 'downloading', stage: 'download', speed: '1.2MiB/s' })
+      reporter.progress({ url, progress: 12.8, status: 'downloading', stage: 'download', speed: '1.3MiB/s' })
+      reporter.progress({ url, progress: 70, status: 'converting', stage: 'conversion' })
+
+      expect(lines).toHaveLength(3)
+      expect(lines.every(line => line.endsWith('\n'))).toBe(true)
+
+      const events = lines.map(line => JSON.parse(line))
+      expect(events[0]).toMatchObject({ event: 'queued', url, videoId: 'cli_1' })
+      expect(events[1]).toMatchObject({ event: 'progress', progress: 12, stage: 'download', speed: '1.2MiB/s' })
+      expect(events[2]).toMatchObject({ event: 'progress', progress: 70, status: 'converting' })
+      expect(events[2]).not.toHaveProperty('speed')
+      expect(typeof events[0].time).toBe('string')
+    })
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Clip Options Tests
+ * Tests for clip time parsing, validation and yt-dlp/FFmpeg naming
+ */
+
+import { describe, it, expect } from 'vitest'
+import ClipOptions from '../scripts/utils/clip-options.js'
+
+describe('ClipOptions', () => {
+  describe('timestamps', () => {
+    it('should parse seconds, minutes and hours', () => {
+      expect(ClipOptions.parseTimestamp('90')).toBe(90)
+      expect(ClipOptions.parseTimestamp('1:30')).toBe(90)
+      expect(ClipOptions.parseTimestamp('01:02:03')).toBe(3723)
+      expect(ClipOptions.parseTimestamp('1:30.25')).toBe(90.25)
+      expect(ClipOptions.parseTimestamp(12.5)).toBe(12.5)
+    })
+
+    it('should reject malformed timestamps', () => {
+      expect(ClipOptions.parseTimestamp('1:75')).toBeNull()
+      expect(ClipOptions.parseTimestamp('-5')).toBeNull()
+      expect(ClipOptions.parseTimestamp('1h30m')).toBeNull()
+      expect(ClipOptions.parseTimestamp(-1)).toBeNull()
+    })
+
+    it('should format timestamps', () => {
+      expect(ClipOptions.formatTimestamp(90)).toBe('1:30')
+      expect(ClipOptions.formatTimestamp(3723)).toBe('1:02:03')
+      expect(ClipOptions.formatTimestamp(90.25)).toBe('1:30.25')
+    })
+  })
+
+  describe('validate', () => {
+    it('should normalize clips to seconds sorted by start', () => {
+      const result = ClipOptions.validate([
+        { start: '10:00', end: '12:30' },
+        { start: '1:30', end: '2:45', label: 'Intro' }
+      ], 'accurate')
+
+      expect(result.valid).toBe(true)
+      expect(result.mode).toBe('accurate')
+      expect(result.clips).toEqual([
+        { start: 90, end: 165, label: 'Intro' },
+        { start: 600, end: 750, label: null }
+      ])
+    })
+
+    it('should reject reversed clips, unknown modes and too many clips', () => {
+      expect(ClipOptions.validate([{ start: '2:00', end: '1:00' }]).valid).toBe(false)
+      expect(ClipOptions.validate([{ start: '0', end: '1' }], 'smart').valid).toBe(false)
+      expect(ClipOptions.validate(Array.from({ length: 21 }, (_, i) => ({ start: i, end: i + 1 }))).valid).toBe(false)
+    })
+
+    it('should treat missing clips as the whole video', () => {
+      expect(ClipOptions.validate(null)).toEqual({ valid: true, error: null, clips: [], mode: 'keyframe' })
+    })
+  })
+
+  describe('clip lists', () => {
+    it('should round-trip clips through the text format', () => {
+      const parsed = ClipOptions.parseList('1:30-2:45 Intro\n\n10:00 - 12:30')
+      const { clips } = ClipOptions.validate(parsed.clips)
+
+      expect(ClipOptions.formatList(clips)).toBe('1:30-2:45 Intro\n10:00-12:30')
+      expect(ClipOptions.parseList('from 1:30').valid).toBe(false)
+    })
+
+    it('should build clips from chapters', () => {
+      expect(ClipOptions.fromChapter({ title: 'Outro', startTime: 600, endTime: null }, 660)).toEqual({ start: 600, end: 660, label: 'Outro' })
+      expect(ClipOptions.fromChapter({ title: 'Broken', startTime: 600, endTime: 600 })).toBeNull()
+    })
+  })
+
+  describe('download arguments', () => {
+    const clips = [{ start: 90, end: 165.5, label: null }, { start: 600, end: 750, label: null }]
+
+    it('should request each section and force keyframes in accurate mode', () => {
+      expect(ClipOptions.buildYtDlpArgs(clips, 'keyframe')).toEqual([
+        '--download-sections', '*90-165.5',
+        '--download-sections', '*600-750'
+      ])
+      expect(ClipOptions.buildYtDlpArgs(clips, 'accurate')).toContain('--force-keyframes-at-cuts')
+      expect(ClipOptions.buildYtDlpArgs([], 'accurate')).toEqual([])
+    })
+
+    it('should name clips the same way for yt-dlp sections and FFmpeg trims', () => {
+      expect(ClipOptions.buildOutputTemplate('%(title)s.%(ext)s'))
+        .toBe('%(title)s [%(section_start>%H-%M-%S)s-%(section_end>%H-%M-%S)s].%(ext)s')
+      expect(ClipOptions.getClipFilename('Talk.webm', clips[0])).toBe('Talk [00-01-30-00-02-45].webm')
+      expect(ClipOptions.getClipFilename('Talk.webm', clips[1], '.mp4')).toBe('Talk [00-10-00-00-12-30].mp4')
+    })
+  })
+})
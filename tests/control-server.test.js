@@ -0,0 +1,195 @@
+/**
+ * Control Server Tests
+ * Tests for the local HTTP API: token and host checks, queue endpoints and the event stream
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import ControlServer from '../src/control-server.js'
+import DownloadManager from '../src/download-manager.js'
+import ConversionQueue from '../src/conversion-queue.js'
+
+const { PRIORITY } = DownloadManager
+
+describe('ControlServer', () => {
+  let tempDir
+  let downloadManager
+  let conversionQueue
+  let server
+  let baseUrl
+  let finishDownloads
+  let downloadCount
+
+  // Downloads wait until the test calls finishDownloads()
+  const enqueue = vi.fn(async ({ url, priority }) => {
+    if (!url.startsWith('https://www.youtube.com/')) {
+      throw new Error('Unsupported or invalid video URL')
+    }
+
+    const videoId = `api_${++downloadCount}`
+    downloadManager.addDownload({
+      videoId,
+      url,
+      quality: '720p',
+      format: 'None',
+      savePath: '/tmp',
+      downloadFn: () => new Promise(resolve => finishDownloads.push(() => resolve({ success: true, filename: `${videoId}.mp4` })))
+    }, priority).catch(() => {})
+    return { videoId, url }
+  })
+
+  const request = (pathname, options = {}) => fetch(`${baseUrl}${pathname}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${server.getToken()}`, 'Content-Type': 'application/json', ...options.headers }
+  })
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-control-'))
+    downloadManager = new DownloadManager({ maxConcurrent: 1 })
+    conversionQueue = new ConversionQueue({ maxConcurrent: 1 })
+    finishDownloads = []
+    downloadCount = 0
+    enqueue.mockClear()
+
+    server = new ControlServer({ downloadManager, conversionQueue, enqueue, tokenFile: path.join(tempDir, 'control-api-token') })
+    const status = await server.start(0)
+    baseUrl = `http://127.0.0.1:${status.port}`
+  })
+
+  afterEach(async () => {
+    await server.stop()
+    downloadManager.cancelAll()
+    conversionQueue.cancelAll()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('token', () => {
+    it('should keep the token between sessions and replace it on request', () => {
+      const token = server.getToken()
+      expect(token).toMatch(/^[a-f0-9]{64}$/)
+
+      const nextSession = new ControlServer({ downloadManager, conversionQueue, enqueue, tokenFile: path.join(tempDir, 'control-api-token') })
+      expect(nextSession.getToken()).toBe(token)
+      expect(server.regenerateToken()).not.toBe(token)
+    })
+
+    it('should reject requests without the token', async () => {
+      const missing = await fetch(`${baseUrl}/api/queue`)
+      const wrong = await fetch(`${baseUrl}/api/queue`, { headers: { Authorization: 'Bearer nope' } })
+
+      expect(missing.status).toBe(401)
+      expect(wrong.status).toBe(401)
+    })
+
+    it('should only accept local Host headers', () => {
+      expect(server.isLocalHost(`127.0.0.1:${server.port}`)).toBe(true)
+      expect(server.isLocalHost(`localhost:${server.port}`)).toBe(true)
+      expect(server.isLocalHost(`attacker.example:${server.port}`)).toBe(false)
+    })
+  })
+
+  describe('queue', () => {
+    it('should queue a URL and list it with its priority and place in line', async () => {
+      await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=first' }) })
+      const response = await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=second', priority: 'low' }) })
+
+      expect(response.status).toBe(202)
+      expect(await response.json()).toEqual({ videoId: 'api_2', url: 'https://www.youtube.com/watch?v=second', priority: 'low' })
+      expect(enqueue).toHaveBeenLastCalledWith(expect.objectContaining({ priority: PRIORITY.LOW }))
+
+      const queue = await (await request('/api/queue')).json()
+      expect(queue.downloads.map(({ videoId, status, position, priority }) => ({ videoId, status, position, priority }))).toEqual([
+        { videoId: 'api_1', status: 'downloading', position: 0, priority: 'normal' },
+        { videoId: 'api_2', status: 'queued', position: 1, priority: 'low' }
+      ])
+      expect(queue.stats.downloads).toMatchObject({ active: 1, queued: 1 })
+      expect(queue.stats.conversions).toMatchObject({ active: 0 })
+    })
+
+    it('should answer invalid requests with 400', async () => {
+      const invalidUrl = await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://example.com/video' }) })
+      const invalidPriority = await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=a', priority: 'urgent' }) })
+      const invalidJson = await request('/api/queue', { method: 'POST', body: '{' })
+
+      expect(invalidUrl.status).toBe(400)
+      expect((await invalidUrl.json()).error).toBe('Unsupported or invalid video URL')
+      expect(invalidPriority.status).toBe(400)
+      expect(invalidJson.status).toBe(400)
+      expect((await request('/api/unknown')).status).toBe(404)
+
+      const malformed = await request('/api/queue/%E0%A4%A', { method: 'DELETE' })
+      expect(malformed.status).toBe(400)
+      expect((await malformed.json()).error).toBe('Malformed path')
+    })
+
+    it('should change the priority of queued downloads only', async () => {
+      for (const id of ['a', 'b', 'c']) {
+        await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: `https://www.youtube.com/watch?v=${id}` }) })
+      }
+
+      const raised = await request('/api/queue/api_3/priority', { method: 'PUT', body: JSON.stringify({ priority: 'high' }) })
+      expect(await raised.json()).toEqual({ videoId: 'api_3', priority: 'high', position: 1 })
+
+      const running = await request('/api/queue/api_1/priority', { method: 'PUT', body: JSON.stringify({ priority: 'high' }) })
+      expect(running.status).toBe(409)
+
+      const unknown = await request('/api/queue/missing/priority', { method: 'PUT', body: JSON.stringify({ priority: 'high' }) })
+      expect(unknown.status).toBe(404)
+
+      // Inherited object keys are not priority names
+      for (const priority of ['constructor', 'toString', '__proto__']) {
+        const invalid = await request('/api/queue/api_2/priority', { method: 'PUT', body: JSON.stringify({ priority }) })
+        expect(invalid.status).toBe(400)
+      }
+      const inherited = await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=d', priority: 'constructor' }) })
+      expect(inherited.status).toBe(400)
+    })
+
+    it('should cancel queued downloads', async () => {
+      await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=a' }) })
+      await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=b' }) })
+
+      const cancelled = await request('/api/queue/api_2', { method: 'DELETE' })
+      expect(await cancelled.json()).toEqual({ videoId: 'api_2', cancelled: true })
+      expect((await request('/api/queue/api_2', { method: 'DELETE' })).status).toBe(404)
+    })
+  })
+
+  describe('history and events', () => {
+    it('should stream queue events and list finished downloads', async () => {
+      const events = await request('/api/events')
+      expect(events.headers.get('content-type')).toBe('text/event-stream')
+      const reader = events.body.getReader()
+      const decoder = new TextDecoder()
+      let received = ''
+      const readUntil = async (text) => {
+        while (!received.includes(text)) {
+          const { value } = await reader.read()
+          received += decoder.decode(value)
+        }
+      }
+
+      await request('/api/queue', { method: 'POST', body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=a' }) })
+      await readUntil('event: downloadStarted')
+      finishDownloads.forEach(finish => finish())
+      await readUntil('event: downloadCompleted')
+
+      const completed = received.split('\n\n').find(message => message.startsWith('event: downloadCompleted'))
+      expect(JSON.parse(completed.split('data: ')[1])).toMatchObject({ videoId: 'api_1', url: 'https://www.youtube.com/watch?v=a' })
+      await reader.cancel()
+
+      const { history } = await (await request('/api/history')).json()
+      expect(history).toEqual([expect.objectContaining({ videoId: 'api_1', status: 'completed', filename: 'api_1.mp4' })])
+    })
+
+    it('should accept the token as a query parameter for the event stream only', async () => {
+      const events = await fetch(`${baseUrl}/api/events?token=${server.getToken()}`)
+      expect(events.status).toBe(200)
+      await events.body.cancel()
+
+      expect((await fetch(`${baseUrl}/api/queue?token=${server.getToken()}`)).status).toBe(401)
+    })
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Conversion Presets Tests
+ * Tests for user-defined conversion presets, their FFmpeg arguments and JSON sharing
+ */
+
+import { describe, it, expect } from 'vitest'
+import ConversionPresets from '../scripts/utils/conversion-presets.js'
+
+const webPreset = {
+  id: 'p_web',
+  name: 'Web 720p',
+  container: 'mp4',
+  videoCodec: 'h264',
+  rateControl: 'crf',
+  crf: 26,
+  maxHeight: 720,
+  fps: 30,
+  audioCodec: 'aac',
+  audioBitrate: 128,
+  suffix: 'web720'
+}
+
+describe('ConversionPresets', () => {
+  describe('formats', () => {
+    it('should reference presets by id', () => {
+      expect(ConversionPresets.toFormat(webPreset)).toBe('preset:p_web')
+      expect(ConversionPresets.parseFormat('preset:p_web')).toBe('p_web')
+      expect(ConversionPresets.isPresetFormat('H264')).toBe(false)
+      expect(ConversionPresets.isPresetFormat('preset:../x')).toBe(false)
+    })
+  })
+
+  describe('validate', () => {
+    it('should fill in defaults and keep only known fields', () => {
+      const result = ConversionPresets.validate({ name: ' Small ', suffix: 'small', extra: '-vf evil' })
+      expect(result.valid).toBe(true)
+      expect(result.preset.name).toBe('Small')
+      expect(result.preset.container).toBe('mp4')
+      expect(result.preset.id).toMatch(/^p_/)
+      expect(result.preset).not.toHaveProperty('extra')
+    })
+
+    it('should only accept codecs the container can hold', () => {
+      expect(ConversionPresets.validate({ ...webPreset, container: 'webm' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, container: 'mov', videoCodec: 'prores', audioCodec: 'pcm' }).valid).toBe(true)
+      expect(ConversionPresets.validate({ ...webPreset, container: 'avi' }).valid).toBe(false)
+    })
+
+    it('should reject values that could smuggle FFmpeg arguments', () => {
+      expect(ConversionPresets.validate({ ...webPreset, crf: '23 -vf evil' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, videoCodec: 'libx264 -f' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, maxHeight: 721 }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, suffix: '../x' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, id: 'a b' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, original: 'shred' }).valid).toBe(false)
+    })
+
+    it('should require a suffix and forbid scaling when copying video', () => {
+      expect(ConversionPresets.validate({ ...webPreset, suffix: '' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, videoCodec: 'copy' }).valid).toBe(false)
+      expect(ConversionPresets.validate({ ...webPreset, videoCodec: 'copy', maxHeight: null, fps: null }).valid).toBe(true)
+    })
+
+    it('should reject presets without an id when asked to', () => {
+      const { id, ...withoutId } = webPreset
+      expect(ConversionPresets.validate(withoutId, { requireId: true }).valid).toBe(false)
+    })
+  })
+
+  describe('buildFFmpegArgs', () => {
+    it('should build H.264 arguments with scaling and frame rate', () => {
+      const { preset } = ConversionPresets.validate(webPreset)
+      expect(ConversionPresets.buildFFmpegArgs(preset)).toEqual([
+        '-c:v', 'libx264', '-preset', 'medium', '-crf', '26', '-pix_fmt', 'yuv420p',
+        '-vf', "scale=-2:'min(ih,720)'", '-r', '30',
+        '-c:a', 'aac', '-b:a', '128k'
+      ])
+    })
+
+    it('should handle bitrate mode, VP9 and dropped audio', () => {
+      const { preset } = ConversionPresets.validate({ ...webPreset, container: 'webm', videoCodec: 'vp9', audioCodec: 'none', maxHeight: null, fps: null })
+      expect(ConversionPresets.buildFFmpegArgs(preset)).toEqual(['-c:v', 'libvpx-vp9', '-crf', '26', '-b:v', '0', '-an'])
+
+      const bitrate = ConversionPresets.validate({ ...webPreset, videoCodec: 'h265', rateControl: 'bitrate', videoBitrate: 3000 }).preset
+      const args = ConversionPresets.buildFFmpegArgs(bitrate)
+      expect(args).toContain('3000k')
+      expect(args).toContain('hvc1')
+    })
+  })
+
+  describe('sharing', () => {
+    it('should round-trip presets with new ids', () => {
+      const result = ConversionPresets.parse(ConversionPresets.serialize([webPreset]))
+      expect(result.valid).toBe(true)
+      expect(result.presets).toHaveLength(1)
+      expect(result.presets[0].name).toBe('Web 720p')
+      expect(result.presets[0].id).not.toBe('p_web')
+    })
+
+    it('should skip invalid presets and reject other files', () => {
+      const result = ConversionPresets.parse(JSON.stringify([webPreset, { ...webPreset, videoCodec: 'evil' }]))
+      expect(result.presets).toHaveLength(1)
+      expect(result.skipped).toHaveLength(1)
+      expect(ConversionPresets.parse('not json').valid).toBe(false)
+      expect(ConversionPresets.parse('{"videos": []}').valid).toBe(false)
+    })
+
+    it('should replace presets with the same name and keep their id', () => {
+      const imported = { ...webPreset, id: 'p_new', name: 'WEB 720P', crf: 20 }
+      const merged = ConversionPresets.merge([webPreset], [imported, { ...webPreset, id: 'p_other', name: 'Other' }])
+      expect(merged).toHaveLength(2)
+      expect(merged[0]).toMatchObject({ id: 'p_web', crf: 20 })
+    })
+  })
+})
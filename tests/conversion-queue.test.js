@@ -0,0 +1,137 @@
+/**
+ * Conversion Queue Tests
+ * Tests for the conversion worker pool, its queue positions, cancellation and journal snapshot
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import ConversionQueue from '../src/conversion-queue.js'
+import DownloadManager from '../src/download-manager.js'
+
+const { PRIORITY } = DownloadManager
+
+// Conversion that finishes when the test calls finish()
+function createDeferredConversion() {
+  let finish
+  let fail
+  const done = new Promise((resolve, reject) => {
+    finish = resolve
+    fail = reject
+  })
+  const convertFn = vi.fn(() => done)
+  return { convertFn, finish, fail }
+}
+
+function createRequest(videoId, convertFn, extra = {}) {
+  return {
+    videoId,
+    url: `https://youtube.com/watch?v=${videoId}`,
+    quality: '720p',
+    format: 'H264',
+    savePath: '/tmp',
+    progress: 70,
+    convertFn,
+    ...extra
+  }
+}
+
+describe('ConversionQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new ConversionQueue({ maxConcurrent: 1 })
+  })
+
+  afterEach(() => {
+    queue.cancelAll()
+  })
+
+  it('should run no more conversions than its limit and queue the rest', async () => {
+    const first = createDeferredConversion()
+    const second = createDeferredConversion()
+
+    const firstPromise = queue.addConversion(createRequest('a', first.convertFn))
+    const secondPromise = queue.addConversion(createRequest('b', second.convertFn))
+
+    expect(first.convertFn).toHaveBeenCalledTimes(1)
+    expect(second.convertFn).not.toHaveBeenCalled()
+    expect(queue.getStats()).toMatchObject({ active: 1, queued: 1, maxConcurrent: 1 })
+
+    first.finish({ success: true, filename: 'a.mp4' })
+    await expect(firstPromise).resolves.toEqual({ success: true, filename: 'a.mp4' })
+    expect(second.convertFn).toHaveBeenCalledTimes(1)
+
+    second.finish({ success: true })
+    await secondPromise
+    expect(queue.getStats()).toMatchObject({ active: 0, queued: 0, completed: 2 })
+  })
+
+  it('should list running and queued conversions with their place in line', () => {
+    queue.addConversion(createRequest('a', createDeferredConversion().convertFn))
+    queue.addConversion(createRequest('b', createDeferredConversion().convertFn)).catch(() => {})
+    queue.addConversion(createRequest('c', createDeferredConversion().convertFn), PRIORITY.HIGH).catch(() => {})
+
+    expect(queue.getConversions().map(({ videoId, status, position, progress }) => ({ videoId, status, position, progress }))).toEqual([
+      { videoId: 'a', status: 'converting', position: 0, progress: 70 },
+      { videoId: 'c', status: 'queued', position: 1, progress: 70 },
+      { videoId: 'b', status: 'queued', position: 2, progress: 70 }
+    ])
+  })
+
+  it('should reject a video that is already converting', async () => {
+    queue.addConversion(createRequest('a', createDeferredConversion().convertFn))
+
+    await expect(queue.addConversion(createRequest('a', vi.fn())))
+      .rejects.toThrow('already being converted')
+  })
+
+  it('should cancel queued conversions without running them', async () => {
+    queue.addConversion(createRequest('a', createDeferredConversion().convertFn))
+    const queued = createDeferredConversion()
+    const queuedPromise = queue.addConversion(createRequest('b', queued.convertFn))
+
+    expect(queue.cancelConversion('b')).toBe(true)
+    await expect(queuedPromise).rejects.toThrow('cancelled')
+    expect(queued.convertFn).not.toHaveBeenCalled()
+    expect(queue.cancelConversion('missing')).toBe(false)
+  })
+
+  it('should stop the FFmpeg process of a running conversion and start the next one', async () => {
+    const process = { pid: 42, killed: false, exitCode: null, signalCode: null, kill: vi.fn() }
+    const running = createDeferredConversion()
+    running.convertFn.mockImplementation(({ onProcess }) => {
+      onProcess(process)
+      return new Promise((resolve, reject) => {
+        process.kill.mockImplementation(() => reject(new Error('Conversion was cancelled')))
+      })
+    })
+    const next = createDeferredConversion()
+
+    const runningPromise = queue.addConversion(createRequest('a', running.convertFn))
+    queue.addConversion(createRequest('b', next.convertFn)).catch(() => {})
+    expect(queue.getConversions()[0].pid).toBe(42)
+
+    expect(queue.cancelConversion('a')).toBe(true)
+    expect(process.kill).toHaveBeenCalledWith('SIGTERM')
+    await expect(runningPromise).rejects.toThrow('cancelled')
+    expect(next.convertFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('should start queued conversions when the limit is raised', () => {
+    queue.addConversion(createRequest('a', createDeferredConversion().convertFn))
+    const second = createDeferredConversion()
+    queue.addConversion(createRequest('b', second.convertFn))
+
+    expect(() => queue.configure({ maxConcurrent: 0 })).toThrow()
+    queue.configure({ maxConcurrent: 2 })
+    expect(second.convertFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('should snapshot unfinished conversions in the queue journal format', () => {
+    queue.addConversion(createRequest('a', createDeferredConversion().convertFn, { options: { source: 'local', filePath: '/tmp/a.mov' } }))
+    queue.addConversion(createRequest('b', createDeferredConversion().convertFn)).catch(() => {})
+
+    const snapshot = queue.getSnapshot()
+    expect(snapshot.map(entry => [entry.videoId, entry.status])).toEqual([['a', 'converting'], ['b', 'queued']])
+    expect(snapshot[0]).toMatchObject({ savePath: '/tmp', progress: 70, options: { source: 'local', filePath: '/tmp/a.mov' } })
+  })
+})
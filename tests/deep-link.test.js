@@ -0,0 +1,57 @@
+/**
+ * Deep Link Tests
+ * Tests for finding and validating grabzilla://add links
+ */
+
+import { describe, it, expect } from 'vitest'
+import DeepLink from '../src/deep-link.js'
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+const link = (url, extra = '') => `grabzilla://add?url=${encodeURIComponent(url)}${extra}`
+
+describe('Deep links', () => {
+  describe('findDeepLink', () => {
+    it('should pick the link out of a command line', () => {
+      expect(DeepLink.findDeepLink(['/Applications/GrabZilla', '--no-sandbox', link(VIDEO_URL)])).toBe(link(VIDEO_URL))
+      expect(DeepLink.findDeepLink(['/Applications/GrabZilla', '--dev'])).toBeNull()
+    })
+  })
+
+  describe('parseDeepLink', () => {
+    it('should read the video URL, quality and format', () => {
+      expect(DeepLink.parseDeepLink(link(VIDEO_URL, '&quality=720P&format=mp3'))).toEqual({
+        url: VIDEO_URL,
+        quality: '720p',
+        format: 'MP3'
+      })
+      expect(DeepLink.parseDeepLink(link('https://vimeo.com/123456789'))).toEqual({
+        url: 'https://vimeo.com/123456789',
+        quality: null,
+        format: null
+      })
+    })
+
+    it('should only handle the add action', () => {
+      expect(() => DeepLink.parseDeepLink(`grabzilla://remove?url=${encodeURIComponent(VIDEO_URL)}`)).toThrow('only grabzilla://add')
+      expect(() => DeepLink.parseDeepLink('grabzilla://add')).toThrow('does not contain a video URL')
+      expect(() => DeepLink.parseDeepLink('not a link')).toThrow('Invalid link')
+    })
+
+    it('should reject sites outside the whitelist and other schemes', () => {
+      expect(() => DeepLink.parseDeepLink(link('https://example.com/video'))).toThrow('not in trusted list')
+      expect(() => DeepLink.parseDeepLink(link('javascript:alert(1)'))).toThrow('Unsupported or unsafe')
+      expect(() => DeepLink.parseDeepLink(link('file:///etc/passwd'))).toThrow('Unsupported or unsafe')
+    })
+
+    it('should reject lookalike domains', () => {
+      // Cyrillic "о" in youtube
+      expect(() => DeepLink.parseDeepLink(link('https://www.yоutube.com/watch?v=dQw4w9WgXcQ'))).toThrow('Punycode')
+      expect(() => DeepLink.parseDeepLink(link('https://xn--yutube-wqf.com/watch?v=dQw4w9WgXcQ'))).toThrow('Punycode')
+    })
+
+    it('should reject unknown qualities and formats', () => {
+      expect(() => DeepLink.parseDeepLink(link(VIDEO_URL, '&quality=9000p'))).toThrow('Unsupported quality')
+      expect(() => DeepLink.parseDeepLink(link(VIDEO_URL, '&format=exe'))).toThrow('Unsupported format')
+    })
+  })
+})
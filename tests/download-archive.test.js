@@ -0,0 +1,101 @@
+/**
+ * Download Archive Tests
+ * Tests for the persistent, yt-dlp compatible archive of downloaded videos
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import DownloadArchive from '../src/download-archive.js'
+
+describe('DownloadArchive', () => {
+  let tempDir
+  let archivePath
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-archive-'))
+    archivePath = path.join(tempDir, 'download-archive.txt')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('keys', () => {
+    it('should build keys like yt-dlp', () => {
+      expect(DownloadArchive.makeKey('Youtube', 'dQw4w9WgXcQ')).toBe('youtube dQw4w9WgXcQ')
+      expect(DownloadArchive.makeKey('Youtube', 'has space')).toBeNull()
+      expect(DownloadArchive.makeKey('Youtube', '"><img>')).toBeNull()
+      expect(DownloadArchive.makeKey('', 'abc')).toBeNull()
+    })
+
+    it('should derive keys from YouTube and Vimeo URLs', () => {
+      expect(DownloadArchive.getKeyForUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe('youtube dQw4w9WgXcQ')
+      expect(DownloadArchive.getKeyForUrl('https://youtu.be/dQw4w9WgXcQ')).toBe('youtube dQw4w9WgXcQ')
+      expect(DownloadArchive.getKeyForUrl('https://www.youtube.com/shorts/abc123DEF45')).toBe('youtube abc123DEF45')
+      expect(DownloadArchive.getKeyForUrl('https://vimeo.com/123456789')).toBe('vimeo 123456789')
+      expect(DownloadArchive.getKeyForUrl('https://example.com/video.mp4')).toBeNull()
+    })
+  })
+
+  it('should start empty when no archive exists', () => {
+    const archive = new DownloadArchive(archivePath)
+    expect(archive.load()).toBe(0)
+    expect(archive.getEntries()).toEqual([])
+  })
+
+  it('should persist added videos in yt-dlp archive format', () => {
+    const archive = new DownloadArchive(archivePath)
+    archive.load()
+
+    expect(archive.add('Youtube', 'dQw4w9WgXcQ')).toBe(true)
+    expect(archive.add('youtube', 'dQw4w9WgXcQ')).toBe(false)
+    expect(archive.add('Vimeo', '123456789')).toBe(true)
+
+    expect(fs.readFileSync(archivePath, 'utf8')).toBe('youtube dQw4w9WgXcQ\nvimeo 123456789\n')
+
+    const nextSession = new DownloadArchive(archivePath)
+    expect(nextSession.load()).toBe(2)
+    expect(nextSession.has('youtube dQw4w9WgXcQ')).toBe(true)
+  })
+
+  it('should remove individual entries', () => {
+    const archive = new DownloadArchive(archivePath)
+    archive.add('youtube', 'a')
+    archive.add('youtube', 'b')
+
+    expect(archive.remove('youtube a')).toBe(true)
+    expect(archive.remove('youtube a')).toBe(false)
+
+    expect(new DownloadArchive(archivePath).load()).toBe(1)
+    expect(fs.readdirSync(tempDir)).toEqual(['download-archive.txt'])
+  })
+
+  it('should list entries with their platform and ID', () => {
+    const archive = new DownloadArchive(archivePath)
+    archive.add('Vimeo', '42')
+    expect(archive.getEntries()).toEqual([{ key: 'vimeo 42', extractor: 'vimeo', id: '42' }])
+  })
+
+  it('should import archive files and skip malformed lines', () => {
+    const importPath = path.join(tempDir, 'import.txt')
+    fs.writeFileSync(importPath, 'youtube a\r\n\nnot a valid line\nYoutube b\nyoutube a\n')
+
+    const archive = new DownloadArchive(archivePath)
+    archive.add('youtube', 'a')
+
+    expect(archive.importFrom(importPath)).toEqual({ added: 1, total: 2 })
+    expect(new DownloadArchive(archivePath).load()).toBe(2)
+  })
+
+  it('should export an archive yt-dlp can read back', () => {
+    const archive = new DownloadArchive(archivePath)
+    archive.add('youtube', 'a')
+    archive.add('vimeo', '1')
+
+    const exportPath = path.join(tempDir, 'export.txt')
+    expect(archive.exportTo(exportPath)).toBe(2)
+    expect(fs.readFileSync(exportPath, 'utf8')).toBe('youtube a\nvimeo 1\n')
+  })
+})
@@ -103,7 +103,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       manager.addDownload({
         videoId: 'active2',
@@ -112,7 +112,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       // Now this one goes to queue
       manager.addDownload({
@@ -142,7 +142,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       manager.addDownload({
         videoId: 'active2',
@@ -151,7 +151,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       // Now this one goes to queue with HIGH priority
       manager.addDownload({
@@ -181,7 +181,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       manager.addDownload({
         videoId: 'active2',
@@ -190,7 +190,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       // Now add to queue with different priorities
       manager.addDownload({
@@ -243,7 +243,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       manager.addDownload({
         videoId: 'active2',
@@ -252,7 +252,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       // Add low priority download
       manager.addDownload({
@@ -271,6 +271,11 @@ describe('DownloadManager - Parallel Processing', () => {
       const request = manager.queuedDownloads.find(r => r.videoId === 'test1')
       expect(request.priority).toBe(PRIORITY.HIGH)
 
+      // Only PRIORITY levels are accepted
+      expect(() => manager.setPriority('test1', 5)).toThrow('priority')
+      expect(() => manager.setPriority('test1', () => {})).toThrow('priority')
+      expect(request.priority).toBe(PRIORITY.HIGH)
+
       // Clean up
       manager.cancelAll()
     })
@@ -323,7 +328,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       manager.addDownload({
         videoId: 'active2',
@@ -332,7 +337,7 @@ describe('DownloadManager - Parallel Processing', () => {
         format: 'mp4',
         savePath: '/tmp',
         downloadFn: slowDownload
-      })
+      }).catch(() => {}) // Suppress cancellation errors
 
       // Add to queue
       const queuedPromise = manager.addDownload({
@@ -380,6 +385,633 @@ describe('DownloadManager - Parallel Processing', () => {
       expect(manager.queuedDownloads.length).toBe(0)
       expect(manager.activeDownloads.size).toBe(0)
     })
+
+    it('should settle every pending download when all are cancelled', async () => {
+      // Fake yt-dlp process: exits with an error once killed
+      const killableDownload = vi.fn(({ onProcess }) => new Promise((resolve, reject) => {
+        onProcess({
+          killed: false,
+          exitCode: null,
+          signalCode: null,
+          kill(signal) {
+            this.killed = true
+            this.signalCode = signal
+            reject(new Error('Download process was stopped'))
+          }
+        })
+      }))
+      // Not spawned yet when cancelled, finishes later
+      const unspawnedDownload = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return { success: true }
+      })
+
+      const promises = [
+        ['active1', killableDownload],
+        ['active2', unspawnedDownload],
+        ['queued1', killableDownload]
+      ].map(([videoId, downloadFn]) => manager.addDownload({
+        videoId,
+        url: `https://youtube.com/watch?v=${videoId}`,
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn
+      }))
+
+      expect(manager.cancelAll()).toMatchObject({ cancelledActive: 2, cancelledQueued: 1 })
+
+      const results = await Promise.allSettled(promises)
+      expect(results.map(result => result.status)).toEqual(['rejected', 'rejected', 'rejected'])
+      results.forEach(result => expect(result.reason.message).toBe('Download cancelled by user'))
+      expect(manager.getHistory().map(entry => entry.status)).toEqual(['cancelled', 'cancelled'])
+    })
+
+    it('should reject an active download when it is cancelled', async () => {
+      const downloadPromise = manager.addDownload({
+        videoId: 'active1',
+        url: 'https://youtube.com/watch?v=active1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn: ({ onProcess }) => new Promise((resolve, reject) => {
+          onProcess({ killed: false, exitCode: null, signalCode: null, kill() { reject(new Error('Download process was stopped')) } })
+        })
+      })
+
+      expect(manager.cancelDownload('active1')).toBe(true)
+      await expect(downloadPromise).rejects.toThrow('cancelled')
+      expect(manager.activeDownloads.size).toBe(0)
+    })
+  })
+
+  describe('Pause and Resume', () => {
+    // Download function that behaves like yt-dlp: a fake process that rejects when killed
+    const createKillableDownload = () => vi.fn(({ onProcess }) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ success: true }), 200)
+      onProcess({
+        killed: false,
+        exitCode: null,
+        signalCode: null,
+        kill(signal) {
+          this.killed = true
+          this.signalCode = signal
+          clearTimeout(timer)
+          reject(new Error('Download process was stopped'))
+        }
+      })
+    }))
+
+    it('should pause an active download and free its slot', async () => {
+      const downloadFn = createKillableDownload()
+      const pausedHandler = vi.fn()
+      manager.on('downloadPaused', pausedHandler)
+
+      manager.addDownload({
+        videoId: 'pause1',
+        url: 'https://youtube.com/watch?v=pause1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn
+      }).catch(() => {})
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+
+      expect(manager.pauseDownload('pause1')).toBe(true)
+      expect(manager.activeDownloads.has('pause1')).toBe(false)
+      expect(manager.isPaused('pause1')).toBe(true)
+      expect(manager.isDownloading('pause1')).toBe(true)
+      expect(manager.getStats().paused).toBe(1)
+      expect(pausedHandler).toHaveBeenCalledWith(expect.objectContaining({
+        videoId: 'pause1',
+        url: 'https://youtube.com/watch?v=pause1'
+      }))
+    })
+
+    it('should not fail or retry when the paused process exits', async () => {
+      const downloadFn = createKillableDownload()
+      const failedHandler = vi.fn()
+      manager.on('downloadFailed', failedHandler)
+
+      manager.addDownload({
+        videoId: 'pause1',
+        url: 'https://youtube.com/watch?v=pause1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn
+      }).catch(() => {})
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+      manager.pauseDownload('pause1')
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      expect(failedHandler).not.toHaveBeenCalled()
+      expect(manager.downloadHistory.has('pause1')).toBe(false)
+      expect(manager.queuedDownloads.length).toBe(0)
+      expect(downloadFn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should resume a paused download and resolve the original promise', async () => {
+      let calls = 0
+      const downloadFn = vi.fn((options) => {
+        calls++
+        if (calls === 1) {
+          return createKillableDownload()(options)
+        }
+        return Promise.resolve({ success: true, resumed: true })
+      })
+      const resumedHandler = vi.fn()
+      manager.on('downloadResumed', resumedHandler)
+
+      const downloadPromise = manager.addDownload({
+        videoId: 'pause1',
+        url: 'https://youtube.com/watch?v=pause1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn
+      })
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+      manager.pauseDownload('pause1')
+
+      expect(manager.resumeDownload('pause1')).toBe(true)
+      expect(manager.isPaused('pause1')).toBe(false)
+      expect(resumedHandler).toHaveBeenCalledWith(expect.objectContaining({ videoId: 'pause1' }))
+
+      const result = await downloadPromise
+      expect(result.resumed).toBe(true)
+      expect(downloadFn).toHaveBeenCalledTimes(2)
+    })
+
+    it('should pause a queued download and start the next one', async () => {
+      const slowDownload = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 300))
+        return { success: true }
+      })
+
+      for (const id of ['active1', 'active2']) {
+        manager.addDownload({
+          videoId: id,
+          url: `https://youtube.com/watch?v=${id}`,
+          quality: '720p',
+          format: 'mp4',
+          savePath: '/tmp',
+          downloadFn: slowDownload
+        }).catch(() => {})
+      }
+
+      manager.addDownload({
+        videoId: 'queued1',
+        url: 'https://youtube.com/watch?v=queued1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn: mockDownloadFn
+      }).catch(() => {})
+
+      expect(manager.pauseDownload('queued1')).toBe(true)
+      expect(manager.queuedDownloads.find(r => r.videoId === 'queued1')).toBeUndefined()
+      expect(manager.isPaused('queued1')).toBe(true)
+
+      manager.resumeDownload('queued1')
+      expect(manager.queuedDownloads.find(r => r.videoId === 'queued1')).toBeDefined()
+    })
+
+    it('should return false for unknown downloads', () => {
+      expect(manager.pauseDownload('missing')).toBe(false)
+      expect(manager.resumeDownload('missing')).toBe(false)
+    })
+
+    it('should reject a paused download when cancelled', async () => {
+      const downloadFn = createKillableDownload()
+
+      const downloadPromise = manager.addDownload({
+        videoId: 'pause1',
+        url: 'https://youtube.com/watch?v=pause1',
+        quality: '720p',
+        format: 'mp4',
+        savePath: '/tmp',
+        downloadFn
+      })
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+      manager.pauseDownload('pause1')
+
+      expect(manager.cancelDownload('pause1')).toBe(true)
+      expect(manager.isPaused('pause1')).toBe(false)
+      await expect(downloadPromise).rejects.toThrow('cancelled')
+    })
+  })
+
+  describe('Runtime Configuration', () => {
+    it('should report live settings in stats', () => {
+      manager.configure({ maxConcurrent: 4, maxRetries: 0, stallTimeout: 15000 })
+
+      const stats = manager.getStats()
+      expect(stats.maxConcurrent).toBe(4)
+      expect(stats.maxRetries).toBe(0)
+      expect(stats.stallTimeout).toBe(15000)
+    })
+
+    it('should reject invalid values', () => {
+      expect(() => manager.configure({ maxConcurrent: 0 })).toThrow()
+      expect(() => manager.configure({ maxRetries: -1 })).toThrow()
+      expect(() => manager.configure({ stallTimeout: -5 })).toThrow()
+      expect(manager.maxConcurrent).toBe(2)
+    })
+
+    it('should start queued downloads when concurrency is raised', async () => {
+      const slowDownload = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 200))
+        return { success: true }
+      })
+
+      for (const id of ['a', 'b', 'c']) {
+        manager.addDownload({
+          videoId: id,
+          url: `https://youtube.com/watch?v=${id}`,
+          quality: '720p',
+          format: 'None',
+          savePath: '/tmp',
+          downloadFn: slowDownload
+        }).catch(() => {})
+      }
+
+      expect(manager.activeDownloads.size).toBe(2)
+      manager.configure({ maxConcurrent: 3 })
+      expect(manager.activeDownloads.size).toBe(3)
+      expect(manager.queuedDownloads.length).toBe(0)
+    })
+
+    it('should drain gracefully when concurrency is lowered', async () => {
+      const slowDownload = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+        return { success: true }
+      })
+
+      const promises = ['a', 'b', 'c'].map(id => manager.addDownload({
+        videoId: id,
+        url: `https://youtube.com/watch?v=${id}`,
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: slowDownload
+      }))
+
+      manager.configure({ maxConcurrent: 1 })
+
+      // Running downloads are not stopped
+      expect(manager.activeDownloads.size).toBe(2)
+      expect(manager.queuedDownloads.length).toBe(1)
+
+      await Promise.all(promises.slice(0, 2))
+
+      // Only one slot now, the queued download takes it
+      expect(manager.activeDownloads.size).toBe(1)
+      await promises[2]
+      expect(slowDownload).toHaveBeenCalledTimes(3)
+    })
+
+    it('should retry a download that stalls without progress', async () => {
+      manager.configure({ stallTimeout: 50, maxRetries: 1 })
+
+      let calls = 0
+      const stallingDownload = vi.fn(({ onProcess }) => {
+        calls++
+        if (calls > 1) {
+          return Promise.resolve({ success: true, attempt: calls })
+        }
+        // First attempt never reports progress and only ends when killed
+        return new Promise((resolve, reject) => {
+          onProcess({
+            killed: false,
+            exitCode: null,
+            signalCode: null,
+            kill(signal) {
+              this.killed = true
+              this.signalCode = signal
+              reject(new Error('Download process was stopped'))
+            }
+          })
+        })
+      })
+
+      const result = await manager.addDownload({
+        videoId: 'stall1',
+        url: 'https://youtube.com/watch?v=stall1',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: stallingDownload
+      })
+
+      expect(result.attempt).toBe(2)
+      expect(stallingDownload).toHaveBeenCalledTimes(2)
+    }, 5000)
+
+    it('should fail with a timeout error once retries are exhausted', async () => {
+      manager.configure({ stallTimeout: 50, maxRetries: 0 })
+
+      const stallingDownload = vi.fn(({ onProcess }) => new Promise((resolve, reject) => {
+        onProcess({
+          killed: false,
+          exitCode: null,
+          signalCode: null,
+          kill(signal) {
+            this.killed = true
+            this.signalCode = signal
+            reject(new Error('Download process was stopped'))
+          }
+        })
+      }))
+
+      await expect(manager.addDownload({
+        videoId: 'stall2',
+        url: 'https://youtube.com/watch?v=stall2',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: stallingDownload
+      })).rejects.toThrow('timeout')
+    })
+
+    it('should not stop a clip download that prints no progress', async () => {
+      manager.configure({ stallTimeout: 50, maxRetries: 0 })
+
+      // Like yt-dlp fetching clip ranges: one 'sections' report, then silence until done
+      const kill = vi.fn()
+      const sectionDownload = vi.fn(({ onProcess, onProgress }) => {
+        onProcess({ killed: false, exitCode: null, signalCode: null, kill })
+        onProgress({ progress: 0, status: 'downloading', stage: 'sections' })
+        return new Promise(resolve => setTimeout(() => resolve({ success: true }), 200))
+      })
+
+      const result = await manager.addDownload({
+        videoId: 'clip1',
+        url: 'https://youtube.com/watch?v=clip1',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: sectionDownload
+      })
+
+      expect(result.success).toBe(true)
+      expect(kill).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Bandwidth and Schedule', () => {
+    // Fake process that rejects when killed, like a paused yt-dlp
+    const createKillableDownload = () => vi.fn(({ onProcess }) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ success: true }), 200)
+      onProcess({
+        killed: false,
+        exitCode: null,
+        signalCode: null,
+        kill(signal) {
+          this.killed = true
+          this.signalCode = signal
+          clearTimeout(timer)
+          reject(new Error('Download process was stopped'))
+        }
+      })
+    }))
+
+    const atTime = (hours, minutes = 0) => new Date(2025, 0, 1, hours, minutes)
+
+    afterEach(() => {
+      manager.configure({ schedule: null })
+    })
+
+    it('should give a single download the whole rate limit', async () => {
+      const downloadFn = vi.fn(async () => ({ success: true }))
+      manager.configure({ rateLimit: 1000000 })
+
+      await manager.addDownload({
+        videoId: 'rate1',
+        url: 'https://youtube.com/watch?v=rate1',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn
+      })
+
+      expect(downloadFn).toHaveBeenCalledWith(expect.objectContaining({ rateLimit: 1000000 }))
+      expect(manager.getStats()).toEqual(expect.objectContaining({ rateLimit: 1000000, rateLimitPerDownload: 1000000 }))
+    })
+
+    it('should restart running downloads when the number sharing the limit changes', async () => {
+      const downloadFn = createKillableDownload()
+      const rateOf = videoId => downloadFn.mock.calls
+        .filter(([options]) => options.url.endsWith(videoId))
+        .map(([options]) => options.rateLimit)
+
+      manager.configure({ rateLimit: 900000 })
+      const add = videoId => manager.addDownload({
+        videoId,
+        url: `https://youtube.com/watch?v=${videoId}`,
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn
+      }).catch(() => {})
+
+      add('a')
+      expect(rateOf('a')).toEqual([900000])
+
+      // A second download halves the share, the first restarts with it
+      add('b')
+      expect(rateOf('a')).toEqual([900000, 450000])
+      expect(rateOf('b')).toEqual([450000])
+
+      // Raising concurrency starts the queued download and lowers every share
+      add('c')
+      manager.configure({ maxConcurrent: 3 })
+      expect(rateOf('a').at(-1)).toBe(300000)
+      expect(rateOf('b').at(-1)).toBe(300000)
+      expect(rateOf('c')).toEqual([300000])
+
+      // Each download that stops raises the share of the rest
+      manager.cancelDownload('a')
+      expect(rateOf('c')).toEqual([300000, 450000])
+      manager.cancelDownload('b')
+      expect(rateOf('c')).toEqual([300000, 450000, 900000])
+      expect(manager.activeDownloads.get('c').rateLimit).toBe(900000)
+    })
+
+    it('should use a per-download rate limit instead of the share', async () => {
+      const downloadFn = vi.fn(async () => ({ success: true }))
+      manager.configure({ rateLimit: 1000000 })
+
+      await manager.addDownload({
+        videoId: 'rate2',
+        url: 'https://youtube.com/watch?v=rate2',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn,
+        options: { rateLimit: 50000 }
+      })
+
+      expect(downloadFn).toHaveBeenCalledWith(expect.objectContaining({ rateLimit: 50000 }))
+    })
+
+    it('should not limit downloads without a rate limit', () => {
+      expect(manager.getStats().rateLimitPerDownload).toBe(0)
+      expect(() => manager.configure({ rateLimit: -1 })).toThrow()
+    })
+
+    it('should reject invalid schedules', () => {
+      expect(() => manager.configure({ schedule: { enabled: true, start: '25:00', end: '06:00' } })).toThrow('Invalid schedule')
+      expect(manager.getStats().schedule).toBeNull()
+    })
+
+    it('should hold the queue outside the schedule window', () => {
+      manager.configure({ schedule: { enabled: true, start: '01:00', end: '06:00' } })
+      manager.checkSchedule(atTime(12))
+
+      manager.addDownload({
+        videoId: 'sched1',
+        url: 'https://youtube.com/watch?v=sched1',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: mockDownloadFn
+      }).catch(() => {})
+
+      expect(manager.activeDownloads.size).toBe(0)
+      expect(manager.getStats()).toEqual(expect.objectContaining({ queued: 1, withinSchedule: false, canAcceptMore: false }))
+
+      manager.checkSchedule(atTime(2))
+      expect(manager.activeDownloads.has('sched1')).toBe(true)
+    })
+
+    it('should pause running downloads when the window closes and resume them when it opens', async () => {
+      const downloadFn = createKillableDownload()
+      const scheduleHandler = vi.fn()
+      manager.on('scheduleChanged', scheduleHandler)
+
+      manager.configure({ schedule: { enabled: true, start: '22:00', end: '06:00' } })
+      manager.checkSchedule(atTime(23))
+
+      const promise = manager.addDownload({
+        videoId: 'sched2',
+        url: 'https://youtube.com/watch?v=sched2',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn
+      })
+
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(manager.checkSchedule(atTime(6, 30))).toBe(true)
+
+      expect(manager.isPaused('sched2')).toBe(true)
+      expect(manager.getStats().heldBySchedule).toBe(1)
+      expect(scheduleHandler).toHaveBeenCalledWith(expect.objectContaining({ withinSchedule: false }))
+
+      manager.checkSchedule(atTime(22, 15))
+      expect(manager.isPaused('sched2')).toBe(false)
+      expect(manager.activeDownloads.has('sched2')).toBe(true)
+
+      await expect(promise).resolves.toEqual({ success: true })
+      expect(downloadFn).toHaveBeenCalledTimes(2)
+    })
+
+    it('should resume held downloads when the schedule is turned off', async () => {
+      manager.configure({ schedule: { enabled: true, start: '01:00', end: '06:00' } })
+      manager.checkSchedule(atTime(12))
+
+      manager.addDownload({
+        videoId: 'sched3',
+        url: 'https://youtube.com/watch?v=sched3',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: mockDownloadFn
+      }).catch(() => {})
+
+      manager.configure({ schedule: { enabled: false, start: '01:00', end: '06:00' } })
+      expect(manager.getStats().withinSchedule).toBe(true)
+      expect(manager.activeDownloads.has('sched3')).toBe(true)
+    })
+  })
+
+  describe('Queue Snapshot', () => {
+    it('should snapshot active, paused and queued downloads', async () => {
+      const slowDownload = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 300))
+        return { success: true }
+      })
+
+      for (const id of ['active1', 'active2', 'queued1', 'queued2']) {
+        manager.addDownload({
+          videoId: id,
+          url: `https://youtube.com/watch?v=${id}`,
+          quality: '720p',
+          format: 'None',
+          savePath: '/tmp',
+          downloadFn: slowDownload,
+          options: { title: id }
+        }, id === 'queued2' ? PRIORITY.HIGH : PRIORITY.NORMAL).catch(() => {})
+      }
+
+      manager.pauseDownload('queued1')
+
+      const snapshot = manager.getSnapshot()
+      expect(snapshot.map(entry => [entry.videoId, entry.status])).toEqual([
+        ['active1', 'downloading'],
+        ['active2', 'downloading'],
+        ['queued1', 'paused'],
+        ['queued2', 'queued']
+      ])
+      expect(snapshot[3].priority).toBe(PRIORITY.HIGH)
+      expect(snapshot[0].options).toEqual({ title: 'active1' })
+      expect(snapshot[0]).not.toHaveProperty('downloadFn')
+      expect(() => JSON.stringify(snapshot)).not.toThrow()
+    })
+
+    it('should keep a restored retry count', () => {
+      manager.addDownload({
+        videoId: 'restored',
+        url: 'https://youtube.com/watch?v=restored',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: mockDownloadFn,
+        retryCount: 1
+      }).catch(() => {})
+
+      const entry = manager.getSnapshot().find(e => e.videoId === 'restored')
+      expect(entry.retryCount).toBe(1)
+    })
+
+    it('should keep downloads waiting to be retried', async () => {
+      const failingDownload = vi.fn(async () => {
+        throw new Error('network error: connection reset')
+      })
+
+      manager.addDownload({
+        videoId: 'retry1',
+        url: 'https://youtube.com/watch?v=retry1',
+        quality: '720p',
+        format: 'None',
+        savePath: '/tmp',
+        downloadFn: failingDownload,
+        options: { title: 'retry1' }
+      }).catch(() => {})
+
+      // First attempt failed, the 1s backoff is running
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(manager.retryingRequests.has('retry1')).toBe(true)
+
+      const snapshot = manager.getSnapshot()
+      expect(snapshot).toHaveLength(1)
+      expect(snapshot[0]).toMatchObject({ videoId: 'retry1', status: 'queued', retryCount: 1, options: { title: 'retry1' } })
+    })
   })
 
   describe('Event Emission', () => {
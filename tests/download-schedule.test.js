@@ -0,0 +1,67 @@
+/**
+ * Download Schedule Tests
+ * Tests for schedule validation and the daily download window
+ */
+
+import { describe, it, expect } from 'vitest'
+import DownloadSchedule from '../scripts/utils/download-schedule.js'
+
+const atTime = (hours, minutes = 0) => new Date(2025, 0, 1, hours, minutes)
+
+describe('DownloadSchedule', () => {
+  describe('parseTime', () => {
+    it('should return minutes after midnight', () => {
+      expect(DownloadSchedule.parseTime('00:00')).toBe(0)
+      expect(DownloadSchedule.parseTime('01:30')).toBe(90)
+      expect(DownloadSchedule.parseTime(' 23:59 ')).toBe(1439)
+    })
+
+    it('should reject invalid times', () => {
+      expect(DownloadSchedule.parseTime('24:00')).toBeNull()
+      expect(DownloadSchedule.parseTime('1:00')).toBeNull()
+      expect(DownloadSchedule.parseTime('01:60')).toBeNull()
+      expect(DownloadSchedule.parseTime(null)).toBeNull()
+    })
+  })
+
+  describe('validate', () => {
+    it('should return the disabled defaults when no schedule is given', () => {
+      const result = DownloadSchedule.validate(null)
+      expect(result.valid).toBe(true)
+      expect(result.schedule.enabled).toBe(false)
+    })
+
+    it('should normalize valid schedules', () => {
+      expect(DownloadSchedule.validate({ enabled: 1, start: '22:00', end: ' 06:00' }).schedule)
+        .toEqual({ enabled: true, start: '22:00', end: '06:00' })
+    })
+
+    it('should reject invalid or empty windows', () => {
+      expect(DownloadSchedule.validate({ enabled: true, start: '1am', end: '06:00' }).valid).toBe(false)
+      expect(DownloadSchedule.validate({ enabled: true, start: '06:00', end: '06:00' }).valid).toBe(false)
+      expect(DownloadSchedule.validate('01:00-06:00').valid).toBe(false)
+    })
+  })
+
+  describe('isWithinWindow', () => {
+    it('should allow downloads at any time without an enabled schedule', () => {
+      expect(DownloadSchedule.isWithinWindow(null, atTime(12))).toBe(true)
+      expect(DownloadSchedule.isWithinWindow({ enabled: false, start: '01:00', end: '06:00' }, atTime(12))).toBe(true)
+    })
+
+    it('should include the start and exclude the end of a window', () => {
+      const schedule = { enabled: true, start: '01:00', end: '06:00' }
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(1))).toBe(true)
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(5, 59))).toBe(true)
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(6))).toBe(false)
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(0, 59))).toBe(false)
+    })
+
+    it('should handle windows past midnight', () => {
+      const schedule = { enabled: true, start: '22:00', end: '06:00' }
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(23))).toBe(true)
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(3))).toBe(true)
+      expect(DownloadSchedule.isWithinWindow(schedule, atTime(12))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,124 @@
+/**
+ * Filename Template Tests
+ * Tests for yt-dlp output template validation and preview rendering
+ */
+
+import { describe, it, expect } from 'vitest'
+import FilenameTemplate from '../scripts/utils/filename-template.js'
+
+describe('FilenameTemplate', () => {
+  describe('normalize', () => {
+    it('should fall back to the default template when empty', () => {
+      expect(FilenameTemplate.normalize('')).toBe('%(title)s.%(ext)s')
+      expect(FilenameTemplate.normalize(null)).toBe('%(title)s.%(ext)s')
+    })
+
+    it('should append the extension field when missing', () => {
+      expect(FilenameTemplate.normalize('%(title)s')).toBe('%(title)s.%(ext)s')
+      expect(FilenameTemplate.normalize('%(uploader)s - %(title)s')).toBe('%(uploader)s - %(title)s.%(ext)s')
+    })
+
+    it('should not duplicate an existing extension field', () => {
+      expect(FilenameTemplate.normalize('%(title)s.%(ext)s')).toBe('%(title)s.%(ext)s')
+      expect(FilenameTemplate.normalize('%(title)s%(ext)s')).toBe('%(title)s.%(ext)s')
+    })
+  })
+
+  describe('validate', () => {
+    it('should accept templates using supported fields', () => {
+      const templates = [
+        '%(title)s',
+        '%(uploader)s - %(title)s [%(id)s]',
+        '%(upload_date>%Y-%m-%d)s %(title)s',
+        '%(playlist_index)03d - %(title)s',
+        '%(channel|Unknown)s - %(title)s',
+        '100%% %(title)s'
+      ]
+
+      templates.forEach(template => {
+        const result = FilenameTemplate.validate(template)
+        expect(result.valid, template).toBe(true)
+        expect(result.template.endsWith('.%(ext)s')).toBe(true)
+      })
+    })
+
+    it('should reject unsupported fields', () => {
+      const result = FilenameTemplate.validate('%(filepath)s')
+      expect(result.valid).toBe(false)
+      expect(result.error).toContain('filepath')
+    })
+
+    it('should reject path separators and traversal', () => {
+      const templates = [
+        '../%(title)s',
+        '%(uploader)s/%(title)s',
+        '..\\%(title)s',
+        '/etc/%(title)s'
+      ]
+
+      templates.forEach(template => {
+        const result = FilenameTemplate.validate(template)
+        expect(result.valid, template).toBe(false)
+        expect(result.error).toContain('path separators')
+      })
+    })
+
+    it('should reject templates without a naming field', () => {
+      expect(FilenameTemplate.validate('video').valid).toBe(false)
+      expect(FilenameTemplate.validate('..').valid).toBe(false)
+    })
+
+    it('should reject malformed template syntax', () => {
+      expect(FilenameTemplate.validate('%(title').valid).toBe(false)
+      expect(FilenameTemplate.validate('%s').valid).toBe(false)
+      expect(FilenameTemplate.validate('%(title)x').valid).toBe(false)
+    })
+
+    it('should reject characters that are invalid in filenames', () => {
+      expect(FilenameTemplate.validate('%(title)s: %(id)s').valid).toBe(false)
+      expect(FilenameTemplate.validate('%(title)s?').valid).toBe(false)
+    })
+
+    it('should only allow date formatting on date fields', () => {
+      expect(FilenameTemplate.validate('%(title>%Y)s').valid).toBe(false)
+      expect(FilenameTemplate.validate('%(upload_date>%Y/%m)s').valid).toBe(false)
+    })
+
+    it('should reject overly long templates', () => {
+      const result = FilenameTemplate.validate('%(title)s' + 'x'.repeat(300))
+      expect(result.valid).toBe(false)
+    })
+
+    it('should reject non-string input', () => {
+      expect(FilenameTemplate.validate(42).valid).toBe(false)
+    })
+  })
+
+  describe('render and preview', () => {
+    it('should render sample metadata', () => {
+      expect(FilenameTemplate.render('%(uploader)s - %(title)s')).toBe('Blender - Big Buck Bunny.mp4')
+    })
+
+    it('should format dates and padded numbers', () => {
+      expect(FilenameTemplate.render('%(upload_date>%Y-%m-%d)s %(playlist_index)03d')).toBe('2014-05-28 001.mp4')
+    })
+
+    it('should use defaults or NA for missing values', () => {
+      const metadata = { title: 'Clip', ext: 'webm' }
+      expect(FilenameTemplate.render('%(uploader|Unknown)s - %(title)s', metadata)).toBe('Unknown - Clip.webm')
+      expect(FilenameTemplate.render('%(uploader)s - %(title)s', metadata)).toBe('NA - Clip.webm')
+    })
+
+    it('should replace separators inside field values', () => {
+      const metadata = { title: 'AC/DC live', ext: 'mp4' }
+      expect(FilenameTemplate.render('%(title)s', metadata)).toBe('AC_DC live.mp4')
+    })
+
+    it('should return an error instead of a preview for invalid templates', () => {
+      const result = FilenameTemplate.preview('../%(title)s')
+      expect(result.valid).toBe(false)
+      expect(result.preview).toBe('')
+      expect(result.error).toBeTruthy()
+    })
+  })
+})
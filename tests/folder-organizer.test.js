@@ -0,0 +1,91 @@
+/**
+ * Folder Organizer Tests
+ * Tests for organize rules, playlist numbering and safe folder names
+ */
+
+import { describe, it, expect } from 'vitest'
+import { validateOrganizeRule, validatePlaylistInfo, buildOutputTemplate, toFolderName } from '../src/folder-organizer.js'
+
+const playlist = { title: 'Open Movies', index: 7, count: 12 }
+
+describe('Folder Organizer', () => {
+  describe('validateOrganizeRule', () => {
+    it('should accept known rules and treat empty values as disabled', () => {
+      expect(validateOrganizeRule('uploader')).toBe('uploader')
+      expect(validateOrganizeRule('none')).toBeNull()
+      expect(validateOrganizeRule(null)).toBeNull()
+    })
+
+    it('should reject unknown rules', () => {
+      expect(() => validateOrganizeRule('../')).toThrow('Invalid organize rule')
+    })
+  })
+
+  describe('validatePlaylistInfo', () => {
+    it('should normalize playlist info', () => {
+      expect(validatePlaylistInfo({ title: ' Open Movies ', index: 1 })).toEqual({ title: 'Open Movies', index: 1, count: null })
+      expect(validatePlaylistInfo(null)).toBeNull()
+    })
+
+    it('should reject invalid playlist info', () => {
+      expect(() => validatePlaylistInfo({ title: '', index: 1 })).toThrow()
+      expect(() => validatePlaylistInfo({ title: 'A', index: 0 })).toThrow()
+      expect(() => validatePlaylistInfo({ title: 'A', index: 5, count: 3 })).toThrow()
+      expect(() => validatePlaylistInfo('Open Movies')).toThrow()
+    })
+  })
+
+  describe('toFolderName', () => {
+    it('should never produce path traversal or nested folders', () => {
+      expect(toFolderName('..', 'Playlist')).toBe('Playlist')
+      expect(toFolderName('../../etc', 'Playlist')).toBe('_.._etc')
+      expect(toFolderName('a/b\\c: d?', 'Playlist')).toBe('a_b_c_ d_')
+      expect(toFolderName('  .hidden. ', 'Playlist')).toBe('hidden')
+    })
+
+    it('should limit the folder name length', () => {
+      expect(toFolderName('x'.repeat(300), 'Playlist')).toHaveLength(100)
+    })
+  })
+
+  describe('buildOutputTemplate', () => {
+    it('should leave the template alone without a rule', () => {
+      expect(buildOutputTemplate({ rule: null, filenameTemplate: '%(title)s.%(ext)s' }))
+        .toEqual({ folder: null, template: '%(title)s.%(ext)s', args: [] })
+    })
+
+    it('should add sanitized metadata folders for uploader, date and platform', () => {
+      const uploader = buildOutputTemplate({ rule: 'uploader', filenameTemplate: '%(title)s.%(ext)s' })
+      expect(uploader.template).toBe('%(uploader,channel|Unknown uploader)S/%(title)s.%(ext)s')
+      expect(uploader.args[0]).toBe('--replace-in-metadata')
+
+      expect(buildOutputTemplate({ rule: 'date', filenameTemplate: '%(title)s.%(ext)s' }).template)
+        .toBe('%(upload_date>%Y|Unknown year)s/%(upload_date>%m|Unknown month)s/%(title)s.%(ext)s')
+      expect(buildOutputTemplate({ rule: 'platform', filenameTemplate: '%(title)s.%(ext)s' }).template)
+        .toBe('%(extractor_key|Other)S/%(title)s.%(ext)s')
+    })
+
+    it('should put playlist videos in a numbered playlist folder', () => {
+      expect(buildOutputTemplate({ rule: 'playlist', filenameTemplate: '%(title)s.%(ext)s', playlist }))
+        .toEqual({ folder: 'Open Movies', template: '007 - %(title)s.%(ext)s', args: [] })
+    })
+
+    it('should keep single videos in the save folder with the playlist rule', () => {
+      expect(buildOutputTemplate({ rule: 'playlist', filenameTemplate: '%(title)s.%(ext)s' }).folder).toBeNull()
+    })
+
+    it('should fill in playlist fields of the filename template', () => {
+      const result = buildOutputTemplate({
+        rule: 'playlist',
+        filenameTemplate: '%(playlist_index)03d %(playlist_title)s - %(title)s.%(ext)s',
+        playlist: { title: '100% Open', index: 7 }
+      })
+
+      expect(result.template).toBe('007 100%% Open - %(title)s.%(ext)s')
+      expect(result.folder).toBe('100% Open')
+
+      expect(buildOutputTemplate({ rule: null, filenameTemplate: '%(playlist_index)s.%(ext)s', playlist }).template)
+        .toBe('7.%(ext)s')
+    })
+  })
+})
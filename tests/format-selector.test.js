@@ -0,0 +1,106 @@
+/**
+ * Format Selector Tests
+ * Tests for quality labels, format preferences and yt-dlp format selection
+ */
+
+import { describe, it, expect } from 'vitest'
+import FormatSelector from '../scripts/utils/format-selector.js'
+
+describe('FormatSelector', () => {
+  describe('normalizeQuality', () => {
+    it('should return canonical labels regardless of case', () => {
+      expect(FormatSelector.normalizeQuality('best')).toBe('Best')
+      expect(FormatSelector.normalizeQuality('Best')).toBe('Best')
+      expect(FormatSelector.normalizeQuality(' 4k ')).toBe('4K')
+      expect(FormatSelector.normalizeQuality('1080P')).toBe('1080p')
+    })
+
+    it('should reject unknown labels', () => {
+      expect(FormatSelector.normalizeQuality('8K')).toBeNull()
+      expect(FormatSelector.normalizeQuality('best[height<=720]')).toBeNull()
+      expect(FormatSelector.normalizeQuality(null)).toBeNull()
+    })
+  })
+
+  describe('validate', () => {
+    it('should return defaults when no preferences are given', () => {
+      const result = FormatSelector.validate(null)
+      expect(result.valid).toBe(true)
+      expect(result.preferences).toEqual({ codec: 'any', container: 'any', fallback: 'lower' })
+    })
+
+    it('should fill in missing preferences', () => {
+      const result = FormatSelector.validate({ codec: 'vp9' })
+      expect(result.preferences).toEqual({ codec: 'vp9', container: 'any', fallback: 'lower' })
+    })
+
+    it('should reject unsupported values', () => {
+      expect(FormatSelector.validate({ codec: 'hevc' }).valid).toBe(false)
+      expect(FormatSelector.validate({ container: 'avi' }).valid).toBe(false)
+      expect(FormatSelector.validate({ fallback: 'higher' }).valid).toBe(false)
+      expect(FormatSelector.validate('mp4').valid).toBe(false)
+    })
+  })
+
+  describe('fromConfig', () => {
+    it('should build preferences from settings', () => {
+      expect(FormatSelector.fromConfig({ preferredCodec: 'av1', preferredContainer: 'mkv', qualityFallback: 'fail' }))
+        .toEqual({ codec: 'av1', container: 'mkv', fallback: 'fail' })
+      expect(FormatSelector.fromConfig({})).toEqual(FormatSelector.DEFAULTS)
+    })
+  })
+
+  describe('buildYtDlpArgs', () => {
+    it('should merge the best streams at or below the requested resolution', () => {
+      expect(FormatSelector.buildYtDlpArgs('1080p', FormatSelector.DEFAULTS))
+        .toEqual(['-f', 'bv*+ba/b', '-S', 'res:1080'])
+      expect(FormatSelector.buildYtDlpArgs('Best', FormatSelector.DEFAULTS))
+        .toEqual(['-f', 'bv*+ba/b', '-S', 'res'])
+    })
+
+    it('should rank codec and container preferences below resolution', () => {
+      const args = FormatSelector.buildYtDlpArgs('720p', { codec: 'av1', container: 'mp4', fallback: 'lower' })
+      expect(args).toEqual(['-f', 'bv*+ba/b', '-S', 'res:720,vcodec:av01,ext:mp4:m4a', '--merge-output-format', 'mp4/mkv'])
+    })
+
+    it('should only accept the requested resolution with the fail policy', () => {
+      const [, selector] = FormatSelector.buildYtDlpArgs('4K', { codec: 'any', container: 'any', fallback: 'fail' })
+      const alternatives = selector.split('/')
+
+      expect(alternatives[0]).toBe('bv*[height<=2160][height>=2052]+ba')
+      expect(alternatives).toContain('bv*[width<=3840][width>=3648][height<2052]+ba')
+      expect(alternatives).toContain('bv*[width<=2160][width>=2052][height>2160]+ba')
+      expect(alternatives.filter(alternative => alternative.startsWith('b['))).toHaveLength(3)
+      expect(selector).not.toContain('bv*+ba')
+    })
+
+    it('should not limit Best with the fail policy', () => {
+      expect(FormatSelector.buildYtDlpArgs('best', { codec: 'any', container: 'any', fallback: 'fail' }).slice(0, 2))
+        .toEqual(['-f', 'bv*+ba/b'])
+    })
+
+    it('should only use single-file formats when streams cannot be merged', () => {
+      const preferences = { codec: 'any', container: 'webm', fallback: 'fail' }
+      const args = FormatSelector.buildYtDlpArgs('480p', preferences, { canMerge: false })
+
+      expect(args[1].split('/').every(alternative => alternative.startsWith('b['))).toBe(true)
+      expect(args).not.toContain('--merge-output-format')
+      expect(FormatSelector.buildYtDlpArgs('480p', FormatSelector.DEFAULTS, { canMerge: false })[1]).toBe('b')
+    })
+
+    it('should throw for unsupported quality labels', () => {
+      expect(() => FormatSelector.buildYtDlpArgs('best[height<=720]')).toThrow('Unsupported quality')
+    })
+  })
+
+  describe('getAvailableQualities', () => {
+    it('should map resolution classes to labels, highest first', () => {
+      expect(FormatSelector.getAvailableQualities([144, 360, 1080, 2160, 720])).toEqual(['4K', '1080p', '720p', '360p'])
+    })
+
+    it('should return an empty list without resolutions', () => {
+      expect(FormatSelector.getAvailableQualities(null)).toEqual([])
+      expect(FormatSelector.getAvailableQualities([240, 144])).toEqual([])
+    })
+  })
+})
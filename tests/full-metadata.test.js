@@ -0,0 +1,142 @@
+/**
+ * Full Metadata Tests
+ * Tests for parsing `yt-dlp -J` output into preview and format data
+ */
+
+import { describe, it, expect } from 'vitest'
+import { parseFullMetadata, parseFormat, getResolutionClass } from '../src/full-metadata.js'
+
+const createInfo = (overrides = {}) => ({
+  id: 'aqz-KE-bpKQ',
+  title: 'Big Buck Bunny',
+  duration: 635,
+  thumbnail: 'https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg',
+  uploader: 'Blender',
+  upload_date: '20140528',
+  view_count: 1234567,
+  like_count: 45678,
+  description: 'Big Buck Bunny tells the story of a giant rabbit.',
+  chapters: [
+    { title: 'Intro', start_time: 0, end_time: 60 },
+    { title: 'Chase', start_time: 60, end_time: 635 }
+  ],
+  formats: [
+    { format_id: 'sb0', ext: 'mhtml', vcodec: 'none', acodec: 'none', format_note: 'storyboard' },
+    { format_id: '140', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', filesize: 10280000, tbr: 129 },
+    { format_id: '18', ext: 'mp4', width: 640, height: 360, fps: 24, vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', filesize_approx: 30000000, tbr: 380 },
+    { format_id: '137', ext: 'mp4', width: 1920, height: 1080, fps: 24, vcodec: 'avc1.640028', acodec: 'none', filesize: 250000000, tbr: 3200 },
+    { format_id: '401', ext: 'mp4', width: 3840, height: 2160, fps: 24, vcodec: 'av01.0.12M.08', acodec: 'none', tbr: 12000 }
+  ],
+  extractor_key: 'Youtube',
+  webpage_url: 'https://www.youtube.com/watch?v=aqz-KE-bpKQ',
+  ...overrides
+})
+
+describe('Full Metadata', () => {
+  describe('parseFullMetadata', () => {
+    it('should extract descriptive fields', () => {
+      const metadata = parseFullMetadata(createInfo())
+
+      expect(metadata).toMatchObject({
+        title: 'Big Buck Bunny',
+        duration: 635,
+        uploader: 'Blender',
+        uploadDate: '2014-05-28',
+        viewCount: 1234567,
+        likeCount: 45678,
+        extractor: 'Youtube'
+      })
+      expect(metadata.description).toContain('giant rabbit')
+    })
+
+    it('should extract chapters', () => {
+      const metadata = parseFullMetadata(createInfo())
+      expect(metadata.chapters).toEqual([
+        { title: 'Intro', startTime: 0, endTime: 60 },
+        { title: 'Chase', startTime: 60, endTime: 635 }
+      ])
+    })
+
+    it('should list media formats highest resolution first and skip storyboards', () => {
+      const metadata = parseFullMetadata(createInfo())
+
+      expect(metadata.formats.map(format => format.formatId)).toEqual(['401', '137', '18', '140'])
+      expect(metadata.availableResolutions).toEqual([2160, 1080, 360])
+    })
+
+    it('should keep missing counts and dates as null', () => {
+      const metadata = parseFullMetadata({ title: 'Clip' })
+
+      expect(metadata.viewCount).toBeNull()
+      expect(metadata.likeCount).toBeNull()
+      expect(metadata.uploadDate).toBeNull()
+      expect(metadata.chapters).toEqual([])
+      expect(metadata.formats).toEqual([])
+    })
+
+    it('should fall back to the channel name when there is no uploader', () => {
+      expect(parseFullMetadata(createInfo({ uploader: undefined, channel: 'Blender Studio' })).uploader).toBe('Blender Studio')
+    })
+
+    it('should reject invalid input', () => {
+      expect(() => parseFullMetadata(null)).toThrow('Invalid metadata format')
+    })
+  })
+
+  describe('parseFormat', () => {
+    it('should describe video, audio and codecs', () => {
+      const format = parseFormat({ format_id: '22', ext: 'mp4', width: 1280, height: 720, fps: 30, vcodec: 'avc1.64001F', acodec: 'mp4a.40.2', filesize: 5000 })
+
+      expect(format).toMatchObject({
+        formatId: '22',
+        resolution: '1280x720',
+        resolutionClass: 720,
+        fps: 30,
+        vcodec: 'avc1.64001F',
+        acodec: 'mp4a.40.2',
+        hasVideo: true,
+        hasAudio: true,
+        filesize: 5000,
+        filesizeApproximate: false
+      })
+    })
+
+    it('should mark audio-only formats and approximate sizes', () => {
+      const format = parseFormat({ format_id: '251', ext: 'webm', vcodec: 'none', acodec: 'opus', filesize_approx: 4000 })
+
+      expect(format.resolution).toBe('audio only')
+      expect(format.hasVideo).toBe(false)
+      expect(format.filesize).toBe(4000)
+      expect(format.filesizeApproximate).toBe(true)
+    })
+
+    it('should keep direct file formats with unknown codecs', () => {
+      const format = parseFormat({ format_id: 'mp4', ext: 'mp4', vcodec: null, video_ext: 'mp4', audio_ext: 'none' })
+
+      expect(format.hasVideo).toBe(true)
+      expect(format.hasAudio).toBe(false)
+      expect(format.resolutionClass).toBeNull()
+    })
+
+    it('should skip formats without media streams', () => {
+      expect(parseFormat({ format_id: 'sb1', ext: 'mhtml' })).toBeNull()
+      expect(parseFormat({ format_id: 'x', ext: 'mp4', vcodec: 'none', acodec: 'none' })).toBeNull()
+      expect(parseFormat({})).toBeNull()
+    })
+  })
+
+  describe('getResolutionClass', () => {
+    it('should class standard, wide and vertical videos like video sites do', () => {
+      expect(getResolutionClass(1920, 1080)).toBe(1080)
+      expect(getResolutionClass(1920, 800)).toBe(1080)
+      expect(getResolutionClass(1080, 1920)).toBe(1080)
+      expect(getResolutionClass(3840, 1600)).toBe(2160)
+      expect(getResolutionClass(1280, 720)).toBe(720)
+      expect(getResolutionClass(1920, 1072)).toBe(1080)
+    })
+
+    it('should return null without a height', () => {
+      expect(getResolutionClass(1920, null)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,166 @@
+/**
+ * Hook Runner Tests
+ * Tests for hook validation, script and webhook runs, timeouts and the run log
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import http from 'http'
+import HookRunner from '../src/hook-runner.js'
+
+const { validateHook, buildPayload, isLanAddress } = HookRunner
+
+const isWindows = process.platform === 'win32'
+
+describe('HookRunner', () => {
+  let tempDir
+  let runner
+
+  // Node script that echoes the payload it reads from stdin
+  const writeScript = (name, body) => {
+    const scriptPath = path.join(tempDir, name)
+    fs.writeFileSync(scriptPath, `#!/usr/bin/env node\n${body}\n`, { mode: 0o755 })
+    return scriptPath
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-hooks-'))
+    runner = new HookRunner(path.join(tempDir, 'hooks.json'))
+    runner.load()
+  })
+
+  afterEach(async () => {
+    await runner.idle()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('validateHook', () => {
+    it('should fill in defaults', () => {
+      const hook = validateHook({ type: 'webhook', url: 'http://127.0.0.1:8080/done' })
+      expect(hook).toEqual({
+        name: '127.0.0.1:8080',
+        type: 'webhook',
+        command: null,
+        url: 'http://127.0.0.1:8080/done',
+        events: ['completed'],
+        timeoutSeconds: 30,
+        enabled: true
+      })
+    })
+
+    it('should reject invalid hooks', () => {
+      expect(() => validateHook({ type: 'email' })).toThrow('script or webhook')
+      expect(() => validateHook({ type: 'script', command: 'relative.sh' })).toThrow('script file')
+      expect(() => validateHook({ type: 'script', command: path.join(tempDir, 'missing.sh') })).toThrow('not found')
+      expect(() => validateHook({ type: 'webhook', url: 'ftp://192.168.1.2/' })).toThrow('http')
+      expect(() => validateHook({ type: 'webhook', url: 'http://8.8.8.8/hook' })).toThrow('local network')
+      expect(() => validateHook({ type: 'webhook', url: 'http://localhost/', events: ['started'] })).toThrow('events')
+      expect(() => validateHook({ type: 'webhook', url: 'http://localhost/', timeoutSeconds: 0 })).toThrow('timeout')
+    })
+
+    it('should only treat loopback and private addresses as local', () => {
+      expect(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.0.10', '169.254.1.1', '::1', 'fd12::1', 'fe80::1', '::ffff:192.168.1.1'].every(isLanAddress)).toBe(true)
+      expect(['8.8.8.8', '172.32.0.1', '2001:db8::1', '::ffff:1.1.1.1', 'example.com'].some(isLanAddress)).toBe(false)
+    })
+  })
+
+  describe('buildPayload', () => {
+    it('should list clip and chapter files and the error', () => {
+      const download = { videoId: 'v1', url: 'https://www.youtube.com/watch?v=a', title: 'Talk', format: 'H264', quality: '720p' }
+
+      const clips = buildPayload('completed', download, {
+        result: { filePath: '/out/a.mp4', filename: 'a.mp4', clipFiles: [{ filePath: '/out/a.mp4' }, { filePath: '/out/b.mp4' }] }
+      }, 12.5)
+      expect(clips).toMatchObject({ event: 'completed', title: 'Talk', filePath: '/out/a.mp4', files: ['/out/a.mp4', '/out/b.mp4'], duration: 12.5, error: null })
+
+      const failed = buildPayload('failed', download, { error: new Error('Video unavailable') })
+      expect(failed).toMatchObject({ event: 'failed', filePath: null, files: [], error: 'Video unavailable' })
+    })
+  })
+
+  describe('store', () => {
+    it('should persist hooks and keep settings left out of an update', () => {
+      const hook = runner.add({ type: 'webhook', url: 'http://localhost:9000/', name: 'Media server', events: ['completed', 'failed'] })
+      runner.update(hook.id, { enabled: false })
+
+      const reloaded = new HookRunner(path.join(tempDir, 'hooks.json'))
+      expect(reloaded.load()).toEqual([{ ...hook, enabled: false }])
+      expect(reloaded.hasHooks('completed')).toBe(false)
+
+      expect(reloaded.remove(hook.id)).toBe(true)
+      expect(reloaded.getAll()).toEqual([])
+    })
+  })
+
+  describe.skipIf(isWindows)('scripts', () => {
+    it('should pass the payload on stdin and capture the output', async () => {
+      const command = writeScript('echo.js', `
+let input = ''
+process.stdin.on('data', data => { input += data })
+process.stdin.on('end', () => {
+  const payload = JSON.parse(input)
+  console.log('got ' + payload.event + ' ' + payload.filePath)
+})`)
+      runner.add({ type: 'script', command, events: ['completed'] })
+      runner.add({ type: 'script', command, events: ['failed'] })
+
+      const entries = await runner.run('completed', { event: 'completed', videoId: 'v1', filePath: '/out/a.mp4' })
+
+      expect(entries).toHaveLength(1)
+      expect(entries[0]).toMatchObject({ type: 'script', event: 'completed', videoId: 'v1', success: true, status: 0, error: null })
+      expect(entries[0].output.trim()).toBe('got completed /out/a.mp4')
+      expect(runner.getLog()).toEqual(entries)
+    })
+
+    it('should report failing scripts and stop them at the timeout', async () => {
+      const failing = runner.add({ type: 'script', command: writeScript('fail.js', 'console.error("boom"); process.exit(3)') })
+      const slow = runner.add({ type: 'script', command: writeScript('slow.js', 'setTimeout(() => {}, 60000)'), timeoutSeconds: 1 })
+
+      const failed = await runner.test(failing.id)
+      expect(failed).toMatchObject({ success: false, status: 3, error: 'Exited with code 3' })
+      expect(failed.output).toContain('boom')
+
+      const timedOut = await runner.test(slow.id)
+      expect(timedOut).toMatchObject({ success: false, error: 'Timed out after 1s' })
+    })
+  })
+
+  describe('webhooks', () => {
+    let server
+    let received
+
+    beforeEach(async () => {
+      received = []
+      server = http.createServer((request, response) => {
+        let body = ''
+        request.on('data', data => { body += data })
+        request.on('end', () => {
+          received.push({ path: request.url, type: request.headers['content-type'], payload: JSON.parse(body) })
+          response.writeHead(request.url === '/broken' ? 500 : 200)
+          response.end('ok')
+        })
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve))
+    })
+
+    it('should POST the payload as JSON and log the HTTP status', async () => {
+      const { port } = server.address()
+      runner.add({ type: 'webhook', url: `http://localhost:${port}/done`, events: ['failed'] })
+      runner.add({ type: 'webhook', url: `http://127.0.0.1:${port}/broken`, events: ['failed'] })
+
+      const entries = await runner.run('failed', { event: 'failed', videoId: 'v2', error: 'Video unavailable' })
+
+      expect(received.map(({ path, type, payload }) => [path, type, payload.error]).sort()).toEqual([
+        ['/broken', 'application/json', 'Video unavailable'],
+        ['/done', 'application/json', 'Video unavailable']
+      ])
+      expect(entries.map(entry => [entry.success, entry.status]).sort()).toEqual([[false, 500], [true, 200]])
+    })
+  })
+})
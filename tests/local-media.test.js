@@ -0,0 +1,48 @@
+/**
+ * Local Media Tests
+ * Tests for recognizing local media files and the file:// URLs that identify them
+ */
+
+import { describe, it, expect } from 'vitest'
+import LocalMedia from '../scripts/utils/local-media.js'
+
+describe('LocalMedia', () => {
+  describe('isMediaFile', () => {
+    it('should accept video and audio extensions in any case', () => {
+      expect(LocalMedia.isMediaFile('/Videos/Holiday.MOV')).toBe(true)
+      expect(LocalMedia.isMediaFile('C:\\Music\\Song.flac')).toBe(true)
+      expect(LocalMedia.isMediaFile('/Videos/clip.mkv')).toBe(true)
+    })
+
+    it('should reject other files and files without an extension', () => {
+      expect(LocalMedia.isMediaFile('/Documents/notes.txt')).toBe(false)
+      expect(LocalMedia.isMediaFile('/Videos/mp4')).toBe(false)
+      expect(LocalMedia.isMediaFile('/Videos/.mp4')).toBe(false)
+      expect(LocalMedia.isMediaFile('')).toBe(false)
+    })
+  })
+
+  describe('getTitle', () => {
+    it('should use the file name without folder and extension', () => {
+      expect(LocalMedia.getTitle('/Videos/Holiday 2024.mov')).toBe('Holiday 2024')
+      expect(LocalMedia.getTitle('C:\\Videos\\talk.final.mp4')).toBe('talk.final')
+      expect(LocalMedia.getTitle('/Videos/README')).toBe('README')
+    })
+  })
+
+  describe('toUrl', () => {
+    it('should build file:// URLs for POSIX paths', () => {
+      expect(LocalMedia.toUrl('/Videos/Holiday 2024.mov')).toBe('file:///Videos/Holiday%202024.mov')
+    })
+
+    it('should keep the drive letter of Windows paths', () => {
+      expect(LocalMedia.toUrl('C:\\Videos\\a#b.mp4')).toBe('file:///C:/Videos/a%23b.mp4')
+    })
+
+    it('should be recognized as local URLs', () => {
+      expect(LocalMedia.isLocalUrl(LocalMedia.toUrl('/Videos/a.mp4'))).toBe(true)
+      expect(LocalMedia.isLocalUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe(false)
+      expect(LocalMedia.isLocalUrl(null)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/**
+ * Metadata Options Tests
+ * Tests for sidecar file arguments, the printed metadata, container tags and NFO files
+ */
+
+import { describe, it, expect } from 'vitest'
+import MetadataOptions from '../scripts/utils/metadata-options.js'
+
+const metadata = {
+  id: 'dQw4w9WgXcQ',
+  title: 'Conference Talk <Keynote>',
+  uploader: 'Tech & Co',
+  upload_date: '20240315',
+  webpage_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+  description: 'Slides at example.com\nRecorded live',
+  duration: 1312.5,
+  extractor_key: 'Youtube'
+}
+
+describe('MetadataOptions', () => {
+  describe('validate', () => {
+    it('should fill in defaults', () => {
+      expect(MetadataOptions.validate(null).options).toEqual(MetadataOptions.DEFAULTS)
+      expect(MetadataOptions.validate({ nfo: true }).options).toEqual({ ...MetadataOptions.DEFAULTS, nfo: true })
+    })
+
+    it('should reject non-boolean switches', () => {
+      expect(MetadataOptions.validate({ embed: 'yes' }).valid).toBe(false)
+      expect(MetadataOptions.validate([]).valid).toBe(false)
+    })
+
+    it('should read the options from the app config', () => {
+      expect(MetadataOptions.fromConfig({ metadataInfoJson: true, metadataEmbed: true })).toEqual({
+        infoJson: true,
+        description: false,
+        thumbnail: false,
+        nfo: false,
+        embed: true
+      })
+    })
+  })
+
+  describe('buildYtDlpArgs', () => {
+    it('should only add arguments for enabled options', () => {
+      expect(MetadataOptions.buildYtDlpArgs(MetadataOptions.DEFAULTS)).toEqual([])
+      expect(MetadataOptions.buildYtDlpArgs({ ...MetadataOptions.DEFAULTS, infoJson: true, description: true, thumbnail: true }))
+        .toEqual(['--write-info-json', '--write-description', '--write-thumbnail', '--convert-thumbnails', 'jpg'])
+    })
+
+    it('should keep the original thumbnail format without FFmpeg', () => {
+      expect(MetadataOptions.buildYtDlpArgs({ ...MetadataOptions.DEFAULTS, thumbnail: true }, { canConvert: false }))
+        .toEqual(['--write-thumbnail'])
+    })
+
+    it('should print the metadata for tags and NFO files', () => {
+      const args = MetadataOptions.buildYtDlpArgs({ ...MetadataOptions.DEFAULTS, embed: true })
+      expect(args[0]).toBe('--print')
+      expect(args[1]).toMatch(/^after_move:\[metadata\] %\(\.\{id,title,uploader,.*\}\)j$/)
+    })
+  })
+
+  describe('parseMetadataLine', () => {
+    it('should read the printed JSON and ignore other lines', () => {
+      expect(MetadataOptions.parseMetadataLine(`[metadata] ${JSON.stringify(metadata)}\r`)).toEqual(metadata)
+      expect(MetadataOptions.parseMetadataLine('[download] 45.2% of 10MiB')).toBeNull()
+      expect(MetadataOptions.parseMetadataLine('[metadata] {broken')).toBeNull()
+    })
+  })
+
+  describe('tags', () => {
+    it('should record title, uploader, date and source URL', () => {
+      const tags = MetadataOptions.buildTags(metadata)
+      expect(tags).toEqual({
+        title: 'Conference Talk <Keynote>',
+        artist: 'Tech & Co',
+        date: '2024-03-15',
+        comment: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+      })
+      expect(MetadataOptions.buildFFmpegArgs(tags)).toEqual([
+        '-metadata', 'title=Conference Talk <Keynote>',
+        '-metadata', 'artist=Tech & Co',
+        '-metadata', 'date=2024-03-15',
+        '-metadata', 'comment=https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+      ])
+    })
+
+    it('should drop control characters, missing values and malformed dates', () => {
+      expect(MetadataOptions.buildTags({ title: 'Line one\nline two', channel: 'Channel', upload_date: '2024' }))
+        .toEqual({ title: 'Line one line two', artist: 'Channel' })
+      expect(MetadataOptions.buildTags({ id: 'x' })).toBeNull()
+      expect(MetadataOptions.buildFFmpegArgs(null)).toEqual([])
+    })
+  })
+
+  describe('buildNfo', () => {
+    it('should write an escaped movie NFO', () => {
+      const nfo = MetadataOptions.buildNfo(metadata)
+
+      expect(nfo).toMatch(/^<\?xml version="1.0" encoding="UTF-8" standalone="yes"\?>\n<movie>\n/)
+      expect(nfo).toContain('<title>Conference Talk &lt;Keynote&gt;</title>')
+      expect(nfo).toContain('<studio>Tech &amp; Co</studio>')
+      expect(nfo).toContain('<premiered>2024-03-15</premiered>')
+      expect(nfo).toContain('<year>2024</year>')
+      expect(nfo).toContain('<runtime>22</runtime>')
+      expect(nfo).toContain('<uniqueid type="youtube" default="true">dQw4w9WgXcQ</uniqueid>')
+      expect(nfo.trim().endsWith('</movie>')).toBe(true)
+    })
+
+    it('should leave out unknown fields', () => {
+      const nfo = MetadataOptions.buildNfo({ title: 'Clip' })
+      expect(nfo).not.toContain('<premiered>')
+      expect(nfo).not.toContain('<uniqueid')
+    })
+  })
+
+  describe('sidecar paths', () => {
+    it('should list the sidecar files of the enabled options', () => {
+      const options = { ...MetadataOptions.DEFAULTS, infoJson: true, thumbnail: true }
+      expect(MetadataOptions.getSidecarPaths('/videos/Talk.webm', options)).toEqual([
+        '/videos/Talk.info.json',
+        '/videos/Talk.jpg',
+        '/videos/Talk.webp',
+        '/videos/Talk.png'
+      ])
+      expect(MetadataOptions.getNfoPath('/videos/Talk_h264.mp4')).toBe('/videos/Talk_h264.nfo')
+      expect(MetadataOptions.getStem('/videos/v1.0 final/Talk')).toBe('/videos/v1.0 final/Talk')
+    })
+  })
+})
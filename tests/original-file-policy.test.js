@@ -0,0 +1,91 @@
+/**
+ * Original File Policy Tests
+ * Tests for checking conversion outputs and deleting, keeping or moving their originals
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { verifyConversionOutput, applyOriginalPolicy, getOriginalsPath } from '../src/original-file-policy.js'
+import ffmpegConverter from '../scripts/utils/ffmpeg-converter.js'
+
+const source = { duration: 600, hasVideo: true, hasAudio: true }
+
+describe('Original File Policy', () => {
+  describe('verifyConversionOutput', () => {
+    it('should accept outputs within the duration tolerance', () => {
+      expect(verifyConversionOutput(source, { duration: 604, hasVideo: true, hasAudio: true }).verified).toBe(true)
+      expect(verifyConversionOutput({ ...source, duration: 10 }, { duration: 10.8, hasVideo: true, hasAudio: true }).verified).toBe(true)
+    })
+
+    it('should reject truncated, unreadable or incomplete outputs', () => {
+      expect(verifyConversionOutput(source, { duration: 300, hasVideo: true, hasAudio: true }).verified).toBe(false)
+      expect(verifyConversionOutput(source, null).verified).toBe(false)
+      expect(verifyConversionOutput(source, { duration: 600, hasVideo: false, hasAudio: true }).error).toMatch(/no video/)
+      expect(verifyConversionOutput(source, { duration: 600, hasVideo: true, hasAudio: false }).error).toMatch(/no audio/)
+    })
+
+    it('should only expect the streams the conversion keeps', () => {
+      const audioOnly = { duration: 600, hasVideo: false, hasAudio: true }
+      expect(verifyConversionOutput(source, audioOnly, { video: false }).verified).toBe(true)
+      expect(verifyConversionOutput({ ...source, hasAudio: false }, { duration: 600, hasVideo: true, hasAudio: false }).verified).toBe(true)
+      expect(verifyConversionOutput(source, { duration: 600, hasVideo: true, hasAudio: false }, { audio: false }).verified).toBe(true)
+    })
+  })
+
+  describe('applyOriginalPolicy', () => {
+    let tempDir
+    let original
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-originals-'))
+      original = path.join(tempDir, 'Talk.webm')
+      fs.writeFileSync(original, 'video')
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should delete or keep the original', () => {
+      expect(applyOriginalPolicy(original, 'keep')).toEqual({ policy: 'keep', path: original })
+      expect(fs.existsSync(original)).toBe(true)
+
+      expect(applyOriginalPolicy(original, 'delete')).toEqual({ policy: 'delete', path: null })
+      expect(fs.existsSync(original)).toBe(false)
+    })
+
+    it('should move the original to a numbered path in the originals folder', () => {
+      fs.mkdirSync(path.join(tempDir, 'originals'))
+      fs.writeFileSync(path.join(tempDir, 'originals', 'Talk.webm'), 'older')
+
+      const result = applyOriginalPolicy(original, 'move')
+      expect(result.path).toBe(path.join(tempDir, 'originals', 'Talk (2).webm'))
+      expect(fs.existsSync(result.path)).toBe(true)
+      expect(fs.existsSync(original)).toBe(false)
+      expect(getOriginalsPath(original)).toBe(path.join(tempDir, 'originals', 'Talk (3).webm'))
+    })
+
+    it('should reject unknown policies', () => {
+      expect(() => applyOriginalPolicy(original, 'shred')).toThrow()
+      expect(fs.existsSync(original)).toBe(true)
+    })
+  })
+
+  describe('probe parsing', () => {
+    it('should read streams and duration from FFmpeg and FFprobe output', () => {
+      const summary = [
+        "Input #0, mp3, from 'song.mp3':",
+        '  Duration: 00:03:05.50, start: 0.025057, bitrate: 192 kb/s',
+        '  Stream #0:0: Audio: mp3, 44100 Hz, stereo, fltp, 192 kb/s',
+        '  Stream #0:1: Video: mjpeg (Baseline), yuvj420p(pc), 600x600, 90k tbn (attached pic)'
+      ].join('\n')
+      expect(ffmpegConverter.parseInputSummary(summary)).toEqual({ duration: 185.5, hasVideo: false, hasAudio: true })
+      expect(ffmpegConverter.parseInputSummary('song.mp3: Invalid data found when processing input')).toBeNull()
+
+      const json = JSON.stringify({ streams: [{ codec_type: 'video' }, { codec_type: 'audio' }], format: { duration: '12.5' } })
+      expect(ffmpegConverter.parseProbeJson(json)).toEqual({ duration: 12.5, hasVideo: true, hasAudio: true })
+    })
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * Playlist Filter Tests
+ * Tests for selecting playlist entries by range, duration, title and upload date
+ */
+
+import { describe, it, expect } from 'vitest'
+import PlaylistFilter from '../scripts/utils/playlist-filter.js'
+
+const videos = Array.from({ length: 30 }, (_, i) => ({
+  playlistIndex: i + 1,
+  title: i % 2 === 0 ? `Episode ${i + 1}` : `Trailer ${i + 1}`,
+  duration: (i + 1) * 60,
+  uploadDate: `2024${String((i % 12) + 1).padStart(2, '0')}15`
+}))
+
+const indices = (result) => result.videos.map(video => video.playlistIndex)
+
+describe('PlaylistFilter', () => {
+  describe('parseRange', () => {
+    it('should parse ranges, single positions, open ranges and last N', () => {
+      expect(PlaylistFilter.parseRange('5-20, 3, 50-, last 10').ranges).toEqual([
+        { start: 5, end: 20 },
+        { start: 3, end: 3 },
+        { start: 50, end: Infinity },
+        { last: 10 }
+      ])
+      expect(PlaylistFilter.parseRange('').ranges).toEqual([])
+    })
+
+    it('should reject malformed and reversed ranges', () => {
+      expect(PlaylistFilter.parseRange('20-5').valid).toBe(false)
+      expect(PlaylistFilter.parseRange('first 3').valid).toBe(false)
+      expect(PlaylistFilter.parseRange('0-4').valid).toBe(false)
+    })
+  })
+
+  describe('validate', () => {
+    it('should reject invalid patterns, durations and dates', () => {
+      expect(PlaylistFilter.validate({ titlePattern: '(unclosed' }).valid).toBe(false)
+      expect(PlaylistFilter.validate({ titlePattern: 'a'.repeat(201) }).valid).toBe(false)
+      expect(PlaylistFilter.validate({ minDuration: 600, maxDuration: 60 }).valid).toBe(false)
+      expect(PlaylistFilter.validate({ minDuration: -1 }).valid).toBe(false)
+      expect(PlaylistFilter.validate({ dateFrom: '2024-02-30' }).valid).toBe(false)
+      expect(PlaylistFilter.validate({ dateFrom: '2024-06-01', dateTo: '2024-01-01' }).valid).toBe(false)
+    })
+
+    it('should accept an empty filter', () => {
+      expect(PlaylistFilter.validate(null).valid).toBe(true)
+      expect(PlaylistFilter.apply(videos, PlaylistFilter.DEFAULTS).videos).toHaveLength(30)
+    })
+  })
+
+  describe('apply', () => {
+    it('should select by index range', () => {
+      expect(indices(PlaylistFilter.apply(videos, { range: '5-8, 12' }))).toEqual([5, 6, 7, 8, 12])
+    })
+
+    it('should select the last videos when the playlist length is known', () => {
+      expect(indices(PlaylistFilter.apply(videos, { range: 'last 3' }, 30))).toEqual([28, 29, 30])
+      expect(PlaylistFilter.apply(videos, { range: 'last 3' }, null).valid).toBe(false)
+    })
+
+    it('should combine duration bounds and a case-insensitive title pattern', () => {
+      const result = PlaylistFilter.apply(videos, { minDuration: 300, maxDuration: 600, titlePattern: '^episode' })
+      expect(indices(result)).toEqual([5, 7, 9])
+    })
+
+    it('should select by upload date and skip entries without a known date or duration', () => {
+      const withUnknown = [...videos, { playlistIndex: 31, title: 'Episode 31', duration: null, uploadDate: null }]
+
+      expect(indices(PlaylistFilter.apply(withUnknown, { dateFrom: '2024-12-01', dateTo: '2024-12-31' }))).toEqual([12, 24])
+      expect(PlaylistFilter.apply(withUnknown, { minDuration: 1 }).videos).toHaveLength(30)
+    })
+  })
+})
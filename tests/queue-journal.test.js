@@ -0,0 +1,147 @@
+/**
+ * Queue Journal Tests
+ * Tests for persisting and restoring the download queue across restarts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import QueueJournal from '../src/queue-journal.js'
+
+const createEntry = (videoId, overrides = {}) => ({
+  videoId,
+  url: `https://youtube.com/watch?v=${videoId}`,
+  quality: '720p',
+  format: 'None',
+  savePath: '/tmp/downloads',
+  cookieFile: null,
+  priority: 2,
+  retryCount: 0,
+  addedAt: Date.now(),
+  status: 'queued',
+  progress: 0,
+  options: {},
+  ...overrides
+})
+
+describe('QueueJournal', () => {
+  let tempDir
+  let journalPath
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-journal-'))
+    journalPath = path.join(tempDir, 'download-queue.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('should start empty when no journal exists', () => {
+    const journal = new QueueJournal(journalPath)
+    expect(journal.load()).toEqual([])
+  })
+
+  it('should persist snapshots and restore them in the next session', () => {
+    const journal = new QueueJournal(journalPath)
+    journal.load()
+    journal.save([
+      createEntry('a', { status: 'downloading', progress: 42, retryCount: 1 }),
+      createEntry('b', { priority: 3 })
+    ])
+
+    const nextSession = new QueueJournal(journalPath)
+    const restored = nextSession.load()
+
+    expect(restored).toHaveLength(2)
+    expect(restored[0]).toMatchObject({ videoId: 'a', status: 'downloading', progress: 42, retryCount: 1 })
+    expect(restored[1]).toMatchObject({ videoId: 'b', priority: 3 })
+  })
+
+  it('should list interrupted downloads before queued ones, then by priority', () => {
+    const journal = new QueueJournal(journalPath)
+    journal.save([
+      createEntry('low', { priority: 1, addedAt: 1 }),
+      createEntry('high', { priority: 3, addedAt: 2 }),
+      createEntry('paused', { status: 'paused', addedAt: 3 }),
+      createEntry('active', { status: 'downloading', addedAt: 4 })
+    ])
+
+    const restored = new QueueJournal(journalPath).load()
+    expect(restored.map(entry => entry.videoId)).toEqual(['active', 'paused', 'high', 'low'])
+  })
+
+  it('should restore conversions that were interrupted', () => {
+    new QueueJournal(journalPath).save([
+      createEntry('queued'),
+      createEntry('converting', { status: 'converting', progress: 70 })
+    ])
+
+    const restored = new QueueJournal(journalPath).load()
+    expect(restored.map(entry => entry.videoId)).toEqual(['converting', 'queued'])
+  })
+
+  it('should keep unhandled entries from the previous session when saving', () => {
+    new QueueJournal(journalPath).save([createEntry('old')])
+
+    const journal = new QueueJournal(journalPath)
+    journal.load()
+    journal.save([createEntry('new')])
+
+    const restored = new QueueJournal(journalPath).load()
+    expect(restored.map(entry => entry.videoId).sort()).toEqual(['new', 'old'])
+  })
+
+  it('should drop released entries once they are re-queued', () => {
+    new QueueJournal(journalPath).save([createEntry('a'), createEntry('b')])
+
+    const journal = new QueueJournal(journalPath)
+    journal.load()
+    expect(journal.release('a')).toBe(true)
+    expect(journal.release('missing')).toBe(false)
+    expect(journal.getPending().map(entry => entry.videoId)).toEqual(['b'])
+
+    // Finished after being re-queued: not in the snapshot anymore
+    journal.save([])
+    expect(new QueueJournal(journalPath).load().map(entry => entry.videoId)).toEqual(['b'])
+  })
+
+  it('should discard all pending entries', () => {
+    new QueueJournal(journalPath).save([createEntry('a'), createEntry('b')])
+
+    const journal = new QueueJournal(journalPath)
+    journal.load()
+    expect(journal.discardPending()).toBe(2)
+    expect(new QueueJournal(journalPath).load()).toEqual([])
+  })
+
+  it('should stop writing once frozen', () => {
+    const journal = new QueueJournal(journalPath)
+    journal.save([createEntry('a')])
+    journal.freeze()
+    journal.save([])
+
+    expect(new QueueJournal(journalPath).load()).toHaveLength(1)
+  })
+
+  it('should ignore corrupt journals and invalid entries', () => {
+    fs.writeFileSync(journalPath, '{ not json')
+    expect(new QueueJournal(journalPath).load()).toEqual([])
+
+    fs.writeFileSync(journalPath, JSON.stringify({
+      version: 1,
+      entries: [
+        createEntry('valid'),
+        { videoId: 'no-url', savePath: '/tmp', status: 'queued' },
+        createEntry('done', { status: 'completed' })
+      ]
+    }))
+    expect(new QueueJournal(journalPath).load().map(entry => entry.videoId)).toEqual(['valid'])
+  })
+
+  it('should not leave temp files behind', () => {
+    new QueueJournal(journalPath).save([createEntry('a')])
+    expect(fs.readdirSync(tempDir)).toEqual(['download-queue.json'])
+  })
+})
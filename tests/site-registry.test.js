@@ -0,0 +1,109 @@
+/**
+ * Site Registry Tests
+ * Tests for the shared site whitelist, ID extraction, normalization and embeds
+ */
+
+import { describe, it, expect, afterEach } from 'vitest'
+import SiteRegistry from '../scripts/utils/site-registry.js'
+import URLValidator from '../scripts/utils/url-validator.js'
+
+describe('SiteRegistry', () => {
+  afterEach(() => {
+    SiteRegistry.configure(null)
+  })
+
+  describe('built-in sites', () => {
+    it('should extract IDs and normalize URLs of every built-in site', () => {
+      const cases = [
+        ['https://youtu.be/dQw4w9WgXcQ', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+        ['https://m.youtube.com/watch?v=dQw4w9WgXcQ&t=10', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+        ['https://player.vimeo.com/video/123456789', 'https://vimeo.com/123456789'],
+        ['https://www.twitch.tv/videos/2023456789?t=1h', 'https://www.twitch.tv/videos/2023456789'],
+        ['https://dai.ly/x8abc12', 'https://www.dailymotion.com/video/x8abc12'],
+        ['https://m.soundcloud.com/artist/track-name?in=x', 'https://soundcloud.com/artist/track-name']
+      ]
+
+      cases.forEach(([url, canonical]) => {
+        expect(SiteRegistry.normalizeUrl(url)).toBe(canonical)
+      })
+    })
+
+    it('should not treat SoundCloud sets or Twitch channels as videos', () => {
+      expect(SiteRegistry.findSite('https://soundcloud.com/artist/sets/album')).toBeNull()
+      expect(SiteRegistry.findSite('https://www.twitch.tv/somechannel')).toBeNull()
+    })
+
+    it('should build embed URLs where the site allows embedding', () => {
+      expect(SiteRegistry.getEmbedUrl('https://youtu.be/dQw4w9WgXcQ')).toBe('https://www.youtube.com/embed/dQw4w9WgXcQ')
+      expect(SiteRegistry.getEmbedUrl('https://www.dailymotion.com/video/x8abc12')).toBe('https://www.dailymotion.com/embed/video/x8abc12')
+      expect(SiteRegistry.getEmbedUrl('https://www.twitch.tv/videos/2023456789')).toBeNull()
+    })
+
+    it('should build yt-dlp archive entries', () => {
+      expect(SiteRegistry.getArchiveEntry('https://www.twitch.tv/videos/42')).toEqual({ extractor: 'twitchvod', id: 'v42' })
+      expect(SiteRegistry.getArchiveEntry('https://soundcloud.com/artist/track')).toBeNull()
+    })
+  })
+
+  describe('text and clipboard matching', () => {
+    it('should find URLs of every enabled site in text', () => {
+      const text = 'Watch https://youtu.be/dQw4w9WgXcQ and twitch.tv/videos/42\nalso https://example.com/video/1'
+      expect(SiteRegistry.extractUrls(text)).toEqual(['https://youtu.be/dQw4w9WgXcQ', 'twitch.tv/videos/42'])
+      expect(SiteRegistry.containsVideoUrl('my password is hunter2')).toBe(false)
+    })
+
+    it('should ignore hosts that only end with a supported domain', () => {
+      expect(SiteRegistry.extractUrls('https://notyoutube.com/watch?v=dQw4w9WgXcQ')).toEqual([])
+      expect(SiteRegistry.isAllowedHost('evilvimeo.com')).toBe(false)
+      expect(SiteRegistry.isAllowedHost('www.vimeo.com')).toBe(true)
+    })
+  })
+
+  describe('settings', () => {
+    it('should normalize custom hosts', () => {
+      expect(SiteRegistry.normalizeHost(' https://www.Example.com/videos ')).toBe('example.com')
+      expect(SiteRegistry.normalizeHost('xn--yutube-wqf.com')).toBeNull()
+      expect(SiteRegistry.normalizeHost('localhost')).toBeNull()
+      expect(SiteRegistry.normalizeHost('exa mple.com')).toBeNull()
+    })
+
+    it('should reject unknown sites and invalid hosts', () => {
+      expect(SiteRegistry.validate({ enabledSites: ['myspace'] }).valid).toBe(false)
+      expect(SiteRegistry.validate({ customHosts: ['not a host'] }).valid).toBe(false)
+      expect(SiteRegistry.validate('youtube').valid).toBe(false)
+    })
+
+    it('should keep the previous settings when configuring invalid ones', () => {
+      SiteRegistry.configure({ enabledSites: ['vimeo'] })
+      SiteRegistry.configure({ enabledSites: ['myspace'] })
+      expect(SiteRegistry.settings.enabledSites).toEqual(['vimeo'])
+    })
+
+    it('should stop accepting disabled sites', () => {
+      SiteRegistry.configure({ enabledSites: ['vimeo'], customHosts: [] })
+
+      expect(SiteRegistry.findSite('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBeNull()
+      expect(SiteRegistry.isAllowedHost('youtube.com')).toBe(false)
+      expect(SiteRegistry.containsVideoUrl('https://youtu.be/dQw4w9WgXcQ')).toBe(false)
+    })
+
+    it('should accept URLs of custom hosts and their subdomains', () => {
+      SiteRegistry.configure({ customHosts: ['Example.com'] })
+
+      const site = SiteRegistry.findSite('https://media.example.com/watch/1')
+      expect(site.name).toBe('example.com')
+      expect(SiteRegistry.isAllowedHost('media.example.com')).toBe(true)
+      expect(SiteRegistry.normalizeUrl('https://example.com/watch/1')).toBe('https://example.com/watch/1')
+      expect(SiteRegistry.extractUrls('see https://example.com/watch/1 or notexample.com/x')).toEqual(['https://example.com/watch/1'])
+      expect(SiteRegistry.findSite('https://example.com')).toBeNull()
+    })
+  })
+
+  describe('URLValidator integration', () => {
+    it('should validate and normalize URLs of the new built-in sites', () => {
+      const { valid } = URLValidator.validateMultipleUrls('https://www.twitch.tv/videos/42\nhttps://dai.ly/x8abc12')
+      expect(valid).toEqual(['https://www.twitch.tv/videos/42', 'https://www.dailymotion.com/video/x8abc12'])
+      expect(URLValidator.getPlatform('https://soundcloud.com/artist/track')).toBe('SoundCloud')
+    })
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * Site Settings Store Tests
+ * Tests for persisting the site whitelist so it applies before the window loads
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createRequire } from 'module'
+import SiteSettingsStore from '../src/site-settings-store.js'
+
+// The store configures the registry instance loaded with require(), as in the main process
+const require = createRequire(import.meta.url)
+const SiteRegistry = require('../scripts/utils/site-registry.js')
+const URLValidator = require('../scripts/utils/url-validator.js')
+
+describe('SiteSettingsStore', () => {
+  let tempDir
+  let storePath
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-sites-'))
+    storePath = path.join(tempDir, 'site-settings.json')
+  })
+
+  afterEach(() => {
+    SiteRegistry.configure(null)
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('should keep the defaults until settings are saved', () => {
+    const store = new SiteSettingsStore(storePath)
+
+    expect(store.load()).toEqual(SiteRegistry.DEFAULTS)
+    expect(store.get().stored).toBe(false)
+    expect(fs.existsSync(storePath)).toBe(false)
+  })
+
+  it('should apply saved settings on the next launch', () => {
+    const result = new SiteSettingsStore(storePath).save({ enabledSites: ['vimeo'], customHosts: ['https://www.videos.example.org/watch'] })
+    expect(result.valid).toBe(true)
+
+    // New session: the registry starts with the defaults
+    SiteRegistry.configure(null)
+    const store = new SiteSettingsStore(storePath)
+    expect(store.load()).toEqual({ enabledSites: ['vimeo'], customHosts: ['videos.example.org'] })
+    expect(store.get().stored).toBe(true)
+
+    expect(URLValidator.isValidVideoUrl('https://videos.example.org/talk/42')).toBe(true)
+    expect(URLValidator.isValidVideoUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe(false)
+  })
+
+  it('should not save invalid settings', () => {
+    const store = new SiteSettingsStore(storePath)
+
+    expect(store.save({ enabledSites: ['myspace'] }).valid).toBe(false)
+    expect(fs.existsSync(storePath)).toBe(false)
+    expect(SiteRegistry.settings).toEqual(SiteRegistry.DEFAULTS)
+  })
+
+  it('should fall back to the defaults for a corrupt file', () => {
+    fs.writeFileSync(storePath, '{ not json')
+    const store = new SiteSettingsStore(storePath)
+
+    expect(store.load()).toEqual(SiteRegistry.DEFAULTS)
+    expect(store.get().stored).toBe(false)
+
+    fs.writeFileSync(storePath, JSON.stringify({ version: 1, settings: { customHosts: ['xn--pple-43d.com'] } }))
+    expect(store.load()).toEqual(SiteRegistry.DEFAULTS)
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Subscription Manager Tests
+ * Tests for channel/playlist subscriptions and new-upload detection
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import SubscriptionManager from '../src/subscription-manager.js'
+
+const CHANNEL_URL = 'https://www.youtube.com/@example/videos'
+
+const entry = (id) => ({ id, url: `https://www.youtube.com/watch?v=${id}`, title: `Video ${id}` })
+
+describe('SubscriptionManager', () => {
+  let tempDir
+  let storePath
+  let entries
+  let enumerate
+  let manager
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grabzilla-subscriptions-'))
+    storePath = path.join(tempDir, 'subscriptions.json')
+    entries = [entry('b'), entry('a')]
+    enumerate = vi.fn(async () => ({ title: 'Example Channel', entries }))
+    manager = new SubscriptionManager(storePath, { enumerate })
+  })
+
+  afterEach(() => {
+    manager.stop()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('should treat existing uploads as seen when subscribing', async () => {
+    const subscription = await manager.add({ url: CHANNEL_URL, quality: '720p' })
+
+    expect(subscription.title).toBe('Example Channel')
+    expect(subscription.lastSeenId).toBe('b')
+    expect(subscription.seenIds).toBeUndefined()
+
+    const { videos } = await manager.check(subscription.id)
+    expect(videos).toEqual([])
+    expect(manager.getLog()).toEqual([])
+  })
+
+  it('should reject duplicate subscriptions', async () => {
+    await manager.add({ url: CHANNEL_URL })
+    await expect(manager.add({ url: CHANNEL_URL })).rejects.toThrow('Already subscribed')
+  })
+
+  it('should report and log only new uploads', async () => {
+    const subscription = await manager.add({ url: CHANNEL_URL })
+    const listener = vi.fn()
+    manager.on('newVideos', listener)
+
+    entries = [entry('d'), entry('c'), entry('b'), entry('a')]
+    const { videos } = await manager.check(subscription.id)
+
+    expect(videos.map(video => video.id)).toEqual(['d', 'c'])
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(manager.getLog()[0].videos.map(video => video.id)).toEqual(['d', 'c'])
+
+    const second = await manager.check(subscription.id)
+    expect(second.videos).toEqual([])
+  })
+
+  it('should cap videos queued per check and not report the rest later', async () => {
+    entries = []
+    const subscription = await manager.add({ url: CHANNEL_URL })
+
+    entries = Array.from({ length: SubscriptionManager.MAX_NEW_PER_CHECK + 5 }, (_, i) => entry(`v${i}`))
+    const { videos } = await manager.check(subscription.id)
+
+    expect(videos).toHaveLength(SubscriptionManager.MAX_NEW_PER_CHECK)
+    expect(manager.getLog()[0].skipped).toBe(5)
+    expect((await manager.check(subscription.id)).videos).toEqual([])
+  })
+
+  it('should record failed checks', async () => {
+    const subscription = await manager.add({ url: CHANNEL_URL })
+    enumerate.mockRejectedValueOnce(new Error('Channel unavailable'))
+
+    await expect(manager.check(subscription.id)).rejects.toThrow('Channel unavailable')
+    expect(manager.getAll()[0].lastError).toBe('Channel unavailable')
+    expect(manager.getLog()[0].error).toBe('Channel unavailable')
+  })
+
+  it('should only check enabled subscriptions that are due', async () => {
+    const due = await manager.add({ url: CHANNEL_URL, intervalHours: 1 })
+    const disabled = await manager.add({ url: 'https://www.youtube.com/playlist?list=PL1', intervalHours: 1 })
+    await manager.add({ url: 'https://www.youtube.com/playlist?list=PL2', intervalHours: 0 })
+    manager.update(disabled.id, { enabled: false })
+    enumerate.mockClear()
+
+    expect(await manager.checkDue(due.lastCheckedAt + 30 * 60 * 1000)).toBe(0)
+    expect(await manager.checkDue(due.lastCheckedAt + 60 * 60 * 1000)).toBe(1)
+    expect(enumerate).toHaveBeenCalledTimes(1)
+    expect(enumerate).toHaveBeenCalledWith(CHANNEL_URL)
+  })
+
+  it('should persist subscriptions, seen uploads and the log', async () => {
+    const subscription = await manager.add({ url: CHANNEL_URL, format: 'H264', savePath: '/downloads/example' })
+    entries = [entry('c'), ...entries]
+    await manager.check(subscription.id)
+
+    const reloaded = new SubscriptionManager(storePath, { enumerate })
+    const [restored] = reloaded.load()
+
+    expect(restored).toMatchObject({ url: CHANNEL_URL, format: 'H264', savePath: '/downloads/example', lastSeenId: 'c' })
+    expect(reloaded.getLog()).toHaveLength(1)
+    expect((await reloaded.check(subscription.id)).videos).toEqual([])
+  })
+
+  it('should remove subscriptions', async () => {
+    const subscription = await manager.add({ url: CHANNEL_URL })
+
+    expect(manager.remove(subscription.id)).toBe(true)
+    expect(manager.getAll()).toEqual([])
+    await expect(manager.check(subscription.id)).rejects.toThrow('not found')
+  })
+})
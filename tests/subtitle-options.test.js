@@ -0,0 +1,115 @@
+/**
+ * Subtitle Options Tests
+ * Tests for subtitle settings validation and yt-dlp argument building
+ */
+
+import { describe, it, expect } from 'vitest'
+import SubtitleOptions from '../scripts/utils/subtitle-options.js'
+
+describe('SubtitleOptions', () => {
+  describe('parseLanguages', () => {
+    it('should split comma and space separated lists', () => {
+      expect(SubtitleOptions.parseLanguages('en, es-419  pt-BR')).toEqual(['en', 'es-419', 'pt-BR'])
+    })
+
+    it('should drop empty entries and duplicates', () => {
+      expect(SubtitleOptions.parseLanguages(' en,,en , ')).toEqual(['en'])
+      expect(SubtitleOptions.parseLanguages(['fr', ' fr', 'de'])).toEqual(['fr', 'de'])
+      expect(SubtitleOptions.parseLanguages(null)).toEqual([])
+    })
+  })
+
+  describe('validate', () => {
+    it('should return disabled defaults when no options are given', () => {
+      const result = SubtitleOptions.validate(null)
+      expect(result.valid).toBe(true)
+      expect(result.options.enabled).toBe(false)
+    })
+
+    it('should normalize valid options', () => {
+      const result = SubtitleOptions.validate({ enabled: true, languages: 'en, ja', source: 'both', format: 'vtt', embed: true })
+      expect(result.valid).toBe(true)
+      expect(result.options).toEqual({ enabled: true, languages: ['en', 'ja'], source: 'both', format: 'vtt', embed: true })
+    })
+
+    it('should fill in missing fields with defaults', () => {
+      const result = SubtitleOptions.validate({ enabled: true })
+      expect(result.options).toEqual({ enabled: true, languages: ['en'], source: 'manual', format: 'srt', embed: false })
+    })
+
+    it('should reject language codes that could inject arguments', () => {
+      const languages = ['en,--exec', '-en', 'en;rm', '.*', 'english']
+      languages.forEach(language => {
+        const result = SubtitleOptions.validate({ enabled: true, languages: [language] })
+        expect(result.valid, language).toBe(false)
+      })
+    })
+
+    it('should require a language when enabled', () => {
+      expect(SubtitleOptions.validate({ enabled: true, languages: '' }).valid).toBe(false)
+      expect(SubtitleOptions.validate({ enabled: false, languages: '' }).valid).toBe(true)
+    })
+
+    it('should reject unsupported sources and formats', () => {
+      expect(SubtitleOptions.validate({ enabled: true, source: 'live' }).valid).toBe(false)
+      expect(SubtitleOptions.validate({ enabled: true, format: 'sub' }).valid).toBe(false)
+    })
+
+    it('should reject too many languages and non-object input', () => {
+      const languages = ['en', 'es', 'fr', 'de', 'it', 'ja', 'ko', 'zh', 'pt', 'ru', 'ar']
+      expect(SubtitleOptions.validate({ enabled: true, languages }).valid).toBe(false)
+      expect(SubtitleOptions.validate('en').valid).toBe(false)
+    })
+  })
+
+  describe('fromConfig', () => {
+    it('should build defaults from settings', () => {
+      const options = SubtitleOptions.fromConfig({
+        autoDownloadSubtitles: true,
+        subtitleLanguages: ['en', 'de'],
+        subtitleSource: 'auto',
+        subtitleFormat: 'ass',
+        embedSubtitles: true
+      })
+      expect(options).toEqual({ enabled: true, languages: ['en', 'de'], source: 'auto', format: 'ass', embed: true })
+    })
+
+    it('should migrate the single subtitleLanguage setting', () => {
+      const options = SubtitleOptions.fromConfig({ autoDownloadSubtitles: true, subtitleLanguage: 'fr' })
+      expect(options.languages).toEqual(['fr'])
+      expect(SubtitleOptions.fromConfig({}).enabled).toBe(false)
+    })
+  })
+
+  describe('buildYtDlpArgs', () => {
+    it('should return no arguments when disabled', () => {
+      expect(SubtitleOptions.buildYtDlpArgs(null)).toEqual([])
+      expect(SubtitleOptions.buildYtDlpArgs({ ...SubtitleOptions.DEFAULTS, enabled: false })).toEqual([])
+    })
+
+    it('should select manual, auto-generated or both caption sources', () => {
+      const base = { enabled: true, languages: ['en', 'es'], format: 'srt', embed: false }
+
+      expect(SubtitleOptions.buildYtDlpArgs({ ...base, source: 'manual' }))
+        .toEqual(['--write-subs', '--sub-langs', 'en,es', '--convert-subs', 'srt'])
+      expect(SubtitleOptions.buildYtDlpArgs({ ...base, source: 'auto' }))
+        .toEqual(['--write-auto-subs', '--sub-langs', 'en,es', '--convert-subs', 'srt'])
+      expect(SubtitleOptions.buildYtDlpArgs({ ...base, source: 'both' }).slice(0, 2))
+        .toEqual(['--write-subs', '--write-auto-subs'])
+    })
+  })
+
+  describe('matchSubtitleFile', () => {
+    it('should return the language of subtitle files written for the video', () => {
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'My Video.en.srt', 'srt')).toBe('en')
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'My Video.pt-BR.srt', 'srt')).toBe('pt-BR')
+    })
+
+    it('should ignore other files', () => {
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'My Video.mp4', 'srt')).toBeNull()
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'My Video.en.vtt', 'srt')).toBeNull()
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'Other.en.srt', 'srt')).toBeNull()
+      expect(SubtitleOptions.matchSubtitleFile('My Video.mp4', 'My Video.part.en.srt', 'srt')).toBeNull()
+    })
+  })
+})
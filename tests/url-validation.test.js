@@ -203,8 +203,8 @@ describe('URL Validation - Task 8', () => {
                 { url: '', expectedError: 'URL cannot be empty' },
                 { url: null, expectedError: 'URL is required' },
                 { url: 'not a url', expectedError: 'Invalid URL format - must include domain' },
-                { url: 'https://tiktok.com/@user/video/123', expectedError: 'Unsupported video platform - currently supports YouTube and Vimeo' },
-                { url: 'https://google.com', expectedError: 'Unsupported video platform - currently supports YouTube and Vimeo' }
+                { url: 'https://tiktok.com/@user/video/123', expectedError: 'Unsupported video platform - currently supports YouTube, Vimeo, Twitch, Dailymotion, SoundCloud' },
+                { url: 'https://google.com', expectedError: 'Unsupported video platform - currently supports YouTube, Vimeo, Twitch, Dailymotion, SoundCloud' }
             ];
             
             testCases.forEach(({ url, expectedError }) => {